@@ -2,11 +2,19 @@
 import S3Light from "./basic/S3Light.js";
 import S3GLSystem from "./gl/S3GLSystem.js";
 import S3MeshLoader from "./loader/S3MeshLoader.js";
+import S3MeshLoaderError from "./loader/S3MeshLoaderError.js";
+import S3SceneLoader from "./loader/S3SceneLoader.js";
 import S3Math from "./math/S3Math.js";
 import S3Angles from "./math/S3Angles.js";
+import S3Quaternion from "./math/S3Quaternion.js";
 import S3Vector from "./math/S3Vector.js";
 import S3Matrix from "./math/S3Matrix.js";
 import S3Plane from "./math/S3Plane.js";
+import S3Ray from "./math/S3Ray.js";
+import S3AABB from "./math/S3AABB.js";
+import S3Sphere from "./math/S3Sphere.js";
+import S3Frustum from "./math/S3Frustum.js";
+import S3Polygon from "./math/S3Polygon.js";
 import CameraController from "./tools/CameraController.js";
 
 /**
@@ -21,9 +29,15 @@ import CameraController from "./tools/CameraController.js";
  * @property {typeof S3GLSystem} GLSystem WebGL用拡張システム
  * @property {typeof S3Math} Math 数学ユーティリティ
  * @property {typeof S3Angles} Angles オイラー角クラス
+ * @property {typeof S3Quaternion} Quaternion 四元数クラス
  * @property {typeof S3Vector} Vector ベクトルクラス
  * @property {typeof S3Matrix} Matrix 行列クラス
  * @property {typeof S3Plane} Plane 平面クラス
+ * @property {typeof S3Ray} Ray レイ（半直線）クラス
+ * @property {typeof S3AABB} AABB 軸平行境界ボックスクラス
+ * @property {typeof S3Sphere} Sphere 球（境界球）クラス
+ * @property {typeof S3Frustum} Frustum 視錐台クラス
+ * @property {typeof S3Polygon} Polygon 多角形ユーティリティ
  * @property {Object} SYSTEM_MODE 描画モード定数
  * @property {Object} DEPTH_MODE 深度バッファモード定数
  * @property {Object} DIMENSION_MODE 座標系モード定数
@@ -32,6 +46,8 @@ import CameraController from "./tools/CameraController.js";
  * @property {Object} CULL_MODE カリングモード定数
  * @property {Object} LIGHT_MODE ライトモード定数
  * @property {typeof S3MeshLoader} MeshLoader メッシュデータローダ
+ * @property {typeof S3MeshLoaderError} MeshLoaderError メッシュの読み込みエラー
+ * @property {typeof S3SceneLoader} SceneLoader シーンファイルの保存・読み込み
  * @property {typeof CameraController} CameraController カメラコントローラー
  *
  * @example
@@ -46,9 +62,15 @@ const S3 = {
 	GLSystem: S3GLSystem,
 	Math: S3Math,
 	Angles: S3Angles,
+	Quaternion: S3Quaternion,
 	Vector: S3Vector,
 	Matrix: S3Matrix,
 	Plane: S3Plane,
+	Ray: S3Ray,
+	AABB: S3AABB,
+	Sphere: S3Sphere,
+	Frustum: S3Frustum,
+	Polygon: S3Polygon,
 
 	SYSTEM_MODE: S3System.SYSTEM_MODE,
 	DEPTH_MODE: S3System.DEPTH_MODE,
@@ -59,6 +81,8 @@ const S3 = {
 	LIGHT_MODE: S3Light.MODE,
 
 	MeshLoader: S3MeshLoader,
+	MeshLoaderError: S3MeshLoaderError,
+	SceneLoader: S3SceneLoader,
 	CameraController: CameraController
 };
 
@@ -1,6 +1,8 @@
 ﻿import S3Math from "../math/S3Math.js";
 import S3Vector from "../math/S3Vector.js";
 import S3Matrix from "../math/S3Matrix.js";
+import S3Ray from "../math/S3Ray.js";
+import S3Frustum from "../math/S3Frustum.js";
 import S3System from "./S3System.js";
 
 /**
@@ -118,6 +120,65 @@ export default class S3Camera {
 		return { LookAt: V, aspect: x, PerspectiveFov: P, Viewport: S };
 	}
 
+	/**
+	 * ビュー行列と射影行列を掛けた、縦型（列ベクトル用）の行列を作成します。
+	 * @param {HTMLCanvasElement} canvas 描画先となるcanvas要素
+	 * @returns {S3Matrix} ビュー・射影行列
+	 */
+	_getViewProjectionMatrix(canvas) {
+		const VPS = this.getVPSMatrix(canvas);
+		const M = this.sys.mulMatrix(VPS.LookAt, VPS.PerspectiveFov);
+		return this.sys.vectormode === S3System.VECTOR_MODE.VECTOR4x1 ? M : M.transposed();
+	}
+
+	/**
+	 * カメラの視錐台（ワールド座標系）を作成します。
+	 * 視錐台の外にあるモデルを描画前に除外する判定などに使用します。
+	 *
+	 * @param {HTMLCanvasElement} canvas 描画先となるcanvas要素
+	 * @returns {S3Frustum} 視錐台
+	 *
+	 * @example
+	 * const frustum = camera.getFrustum(canvas);
+	 * if (!frustum.isHitSphere(sphere)) {
+	 * 	// 描画しない
+	 * }
+	 */
+	getFrustum(canvas) {
+		const M = this._getViewProjectionMatrix(canvas);
+		return S3Frustum.fromMatrix(M, this.sys.depthmode === S3System.DEPTH_MODE.DIRECT_X);
+	}
+
+	/**
+	 * canvas上の位置を通る、カメラからのレイ（ワールド座標系）を作成します。
+	 * マウスで指した物体の選択（ピッキング）などに使用します。
+	 *
+	 * @param {HTMLCanvasElement} canvas 描画先となるcanvas要素
+	 * @param {number} x canvas上のX座標（左端が0）
+	 * @param {number} y canvas上のY座標（上端が0）
+	 * @returns {S3Ray|null} 近平面から遠平面へ向かうレイ（行列が逆行列を持たない場合は null）
+	 *
+	 * @example
+	 * const ray = camera.getPickingRay(canvas, e.offsetX, e.offsetY);
+	 * const distance = ray.intersectTriangle(a, b, c);
+	 */
+	getPickingRay(canvas, x, y) {
+		const M = this._getViewProjectionMatrix(canvas).inverse4();
+		if (M === null) {
+			return null;
+		}
+		// canvas上の座標を正規化デバイス座標（-1～1、上がプラス）へ変換する
+		const nx = (2.0 * x) / canvas.width - 1.0;
+		const ny = 1.0 - (2.0 * y) / canvas.height;
+		const near_z = this.sys.depthmode === S3System.DEPTH_MODE.DIRECT_X ? 0.0 : -1.0;
+		const near = M.mulVector(new S3Vector(nx, ny, near_z, 1.0));
+		const far = M.mulVector(new S3Vector(nx, ny, 1.0, 1.0));
+		return S3Ray.fromPoints(
+			new S3Vector(near.x / near.w, near.y / near.w, near.z / near.w),
+			new S3Vector(far.x / far.w, far.y / far.w, far.z / far.w)
+		);
+	}
+
 	/**
 	 * 描画範囲（ニア・ファー）を設定します。
 	 * @param {number} near 最近接面
@@ -2,6 +2,36 @@
 import S3Material from "./S3Material.js";
 import S3TriangleIndex from "./S3TriangleIndex.js";
 import S3System from "./S3System.js";
+import S3Vector from "../math/S3Vector.js";
+
+/**
+ * メッシュのボーン（アニメーション用）
+ * @typedef {Object} S3MeshBone
+ * @property {string} name 名前
+ * @property {number} parent 親のボーン番号（最上位の場合は-1）
+ * @property {S3Vector} position 位置
+ */
+
+/**
+ * モーフによる頂点の移動量
+ * @typedef {Object} S3MeshMorphOffset
+ * @property {number} index 頂点番号
+ * @property {S3Vector} position 移動量
+ */
+
+/**
+ * メッシュのモーフ（表情などの頂点の変形）
+ * @typedef {Object} S3MeshMorph
+ * @property {string} name 名前
+ * @property {Array<S3MeshMorphOffset>} offsets 頂点の移動量（頂点以外を変形するモーフの場合は空）
+ */
+
+/**
+ * 頂点に影響するボーンとその割合
+ * @typedef {Object} S3MeshSkinWeight
+ * @property {Array<number>} bones ボーン番号
+ * @property {Array<number>} weights 影響度（合計が1）
+ */
 
 /**
  * 3DCG用メッシュ（立体形状データ）を管理するクラス (mutable)
@@ -29,6 +59,19 @@ export default class S3Mesh {
 		 */
 		this.is_inverse = false;
 
+		/**
+		 * 法線を滑らかにする角度（度）
+		 * 面の法線と頂点の法線の差がこの角度より大きい場合は面の法線を使用します。
+		 * @type {number}
+		 */
+		this.smooth_angle = 50;
+
+		/**
+		 * 読み込み元のURL（URLから読み込んでいない場合はnull）
+		 * @type {?string}
+		 */
+		this.url = null;
+
 		this._init();
 	}
 
@@ -51,6 +94,24 @@ export default class S3Mesh {
 		 * @type {boolean}
 		 */
 		this.is_complete = false;
+
+		/**
+		 * ボーン（描画には使用せず、アニメーション用に保持します）
+		 * @type {Array<S3MeshBone>}
+		 */
+		this.bones = [];
+
+		/**
+		 * モーフ（描画には使用せず、アニメーション用に保持します）
+		 * @type {Array<S3MeshMorph>}
+		 */
+		this.morphs = [];
+
+		/**
+		 * 頂点ごとのボーンの影響度（頂点配列と同じ順番）
+		 * @type {Array<S3MeshSkinWeight>}
+		 */
+		this.skin_weights = [];
 	}
 
 	/**
@@ -81,9 +142,14 @@ export default class S3Mesh {
 			Instance = S3Mesh;
 		}
 		const mesh = new Instance(this.sys);
+		mesh.setSmoothAngle(this.smooth_angle);
+		mesh.setURL(this.url);
 		mesh.addVertex(this.getVertexArray());
 		mesh.addTriangleIndex(this.getTriangleIndexArray());
 		mesh.addMaterial(this.getMaterialArray());
+		mesh.setBones(this.bones);
+		mesh.setMorphs(this.morphs);
+		mesh.setSkinWeights(this.skin_weights);
 		return mesh;
 	}
 
@@ -105,6 +171,89 @@ export default class S3Mesh {
 		this.is_inverse = inverse;
 	}
 
+	/**
+	 * 法線を滑らかにする角度を設定します。
+	 * 0を指定すると面ごとの法線（フラットシェーディング）になります。
+	 * @param {number} angle 角度（度）
+	 */
+	setSmoothAngle(angle) {
+		this.setComplete(false);
+		this.smooth_angle = angle;
+	}
+
+	/**
+	 * 法線を滑らかにする角度を取得します。
+	 * @returns {number} 角度（度）
+	 */
+	getSmoothAngle() {
+		return this.smooth_angle;
+	}
+
+	/**
+	 * 読み込み元のURLを設定します。
+	 * シーンの保存時に、メッシュをURLで参照するために使用します。
+	 * @param {?string} url URL（なしの場合はnull）
+	 */
+	setURL(url) {
+		this.url = url;
+	}
+
+	/**
+	 * 読み込み元のURLを取得します。
+	 * @returns {?string} URL（URLから読み込んでいない場合はnull）
+	 */
+	getURL() {
+		return this.url;
+	}
+
+	/**
+	 * ボーンを設定します。
+	 * @param {Array<S3MeshBone>} bones ボーンの配列
+	 */
+	setBones(bones) {
+		this.bones = bones;
+	}
+
+	/**
+	 * ボーンを取得します。
+	 * @returns {Array<S3MeshBone>} ボーンの配列
+	 */
+	getBones() {
+		return this.bones;
+	}
+
+	/**
+	 * モーフを設定します。
+	 * @param {Array<S3MeshMorph>} morphs モーフの配列
+	 */
+	setMorphs(morphs) {
+		this.morphs = morphs;
+	}
+
+	/**
+	 * モーフを取得します。
+	 * @returns {Array<S3MeshMorph>} モーフの配列
+	 */
+	getMorphs() {
+		return this.morphs;
+	}
+
+	/**
+	 * 頂点ごとのボーンの影響度を設定します。
+	 * @param {Array<S3MeshSkinWeight>} skin_weights 頂点配列と同じ順番の影響度の配列
+	 */
+	setSkinWeights(skin_weights) {
+		this.skin_weights = skin_weights;
+	}
+
+	/**
+	 * 頂点ごとのボーンの影響度を取得します。
+	 * @returns {Array<S3MeshSkinWeight>} 頂点配列と同じ順番の影響度の配列
+	 */
+	getSkinWeights() {
+		return this.skin_weights;
+	}
+
 	/**
 	 * メッシュが保持する頂点配列を取得します。
 	 * @returns {Array<S3Vertex>} 頂点配列
@@ -1,5 +1,6 @@
 ﻿import S3Vector from "../math/S3Vector.js";
 import S3Angles from "../math/S3Angles.js";
+import S3Quaternion from "../math/S3Quaternion.js";
 import S3Mesh from "./S3Mesh.js";
 
 /**
@@ -28,6 +29,13 @@ export default class S3Model {
 		 */
 		this.angles = new S3Angles();
 
+		/**
+		 * モデルの回転（四元数）
+		 * 設定されている場合はオイラー角の代わりに使用します（未設定の場合はnull）
+		 * @type {?S3Quaternion}
+		 */
+		this.quaternion = null;
+
 		/**
 		 * モデルの拡大縮小率（スケール）
 		 * @type {S3Vector}
@@ -132,10 +140,54 @@ export default class S3Model {
 
 	/**
 	 * モデルの回転角（オイラー角）を設定します。
+	 * 四元数の回転は解除されます。
 	 * @param {S3Angles} angles 新しいオイラー角
 	 */
 	setAngle(angles) {
 		this.angles = angles;
+		this.quaternion = null;
+	}
+
+	/**
+	 * モデルの回転を四元数で取得します。
+	 * 四元数が設定されていない場合は、オイラー角から作成します。
+	 * @returns {S3Quaternion} 現在の回転
+	 */
+	getQuaternion() {
+		return this.quaternion !== null ? this.quaternion : S3Quaternion.fromAngles(this.angles);
+	}
+
+	/**
+	 * モデルの回転を四元数で設定します。
+	 * ワールド変換行列にはこの四元数が使用され、getAngle は同じ回転のオイラー角を返します。
+	 * 以降に setAngle や addRotateX などでオイラー角を変更すると、四元数の回転は解除されます。
+	 * @param {S3Quaternion} quaternion 新しい回転
+	 */
+	setQuaternion(quaternion) {
+		this.quaternion = quaternion.normalize();
+		this.angles = this.quaternion.toAngles(this.angles.order);
+	}
+
+	/**
+	 * オイラー角の回転の順序を取得します。
+	 * @returns {string} 回転を行う軸の順序（S3Angles.ORDER）
+	 */
+	getRotationOrder() {
+		return this.angles.order;
+	}
+
+	/**
+	 * オイラー角の回転の順序を変更します。
+	 * モデルの向きは変えずに、新しい順序で同じ向きになるオイラー角へ変換します。
+	 * 角度はそのままで順序だけを変える場合は、setAngle(angles.setOrder(order)) を使用してください。
+	 * @param {string} order 回転を行う軸の順序（S3Angles.ORDER）
+	 */
+	setRotationOrder(order) {
+		if (this.quaternion !== null) {
+			this.angles = this.quaternion.toAngles(order);
+		} else {
+			this.angles = this.angles.toOrder(order);
+		}
 	}
 
 	/**
@@ -143,7 +195,7 @@ export default class S3Model {
 	 * @param {number} x 加算する角度（度単位）
 	 */
 	addRotateX(x) {
-		this.angles = this.angles.addRotateX(x);
+		this.setAngle(this.angles.addRotateX(x));
 	}
 
 	/**
@@ -151,7 +203,7 @@ export default class S3Model {
 	 * @param {number} y 加算する角度（度単位）
 	 */
 	addRotateY(y) {
-		this.angles = this.angles.addRotateY(y);
+		this.setAngle(this.angles.addRotateY(y));
 	}
 
 	/**
@@ -159,7 +211,7 @@ export default class S3Model {
 	 * @param {number} z 加算する角度（度単位）
 	 */
 	addRotateZ(z) {
-		this.angles = this.angles.addRotateZ(z);
+		this.setAngle(this.angles.addRotateZ(z));
 	}
 
 	/**
@@ -167,7 +219,7 @@ export default class S3Model {
 	 * @param {number} x 新しい角度（度単位）
 	 */
 	setRotateX(x) {
-		this.angles = this.angles.setRotateX(x);
+		this.setAngle(this.angles.setRotateX(x));
 	}
 
 	/**
@@ -175,7 +227,7 @@ export default class S3Model {
 	 * @param {number} y 新しい角度（度単位）
 	 */
 	setRotateY(y) {
-		this.angles = this.angles.setRotateY(y);
+		this.setAngle(this.angles.setRotateY(y));
 	}
 
 	/**
@@ -183,6 +235,6 @@ export default class S3Model {
 	 * @param {number} z 新しい角度（度単位）
 	 */
 	setRotateZ(z) {
-		this.angles = this.angles.addRotateZ(z);
+		this.setAngle(this.angles.addRotateZ(z));
 	}
 }
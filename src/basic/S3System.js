@@ -1,6 +1,8 @@
 ﻿import S3Math from "../math/S3Math.js";
 import S3Vector from "../math/S3Vector.js";
 import S3Matrix from "../math/S3Matrix.js";
+import S3Angles from "../math/S3Angles.js";
+import S3Quaternion from "../math/S3Quaternion.js";
 
 import S3Camera from "./S3Camera.js";
 import S3Light from "./S3Light.js";
@@ -12,6 +14,27 @@ import S3Texture from "./S3Texture.js";
 import S3TriangleIndex from "./S3TriangleIndex.js";
 import S3Vertex from "./S3Vertex.js";
 
+import S3ResourceLoaderBrowser from "../loader/S3ResourceLoaderBrowser.js";
+import S3ResourceLoaderNode from "../loader/S3ResourceLoaderNode.js";
+
+/**
+ * 画像やファイルの読み込み処理
+ * S3System.setResourceLoader で差し替えることができます。
+ * @typedef {Object} S3ResourceLoader
+ * @property {function(string, function(any): void, function(string): void): void} loadImage 画像を読み込む（URL、成功時のコールバック、失敗時のコールバック）
+ * @property {function(string, function(any, ?string): void, boolean, function(string): void): void} loadFile ファイルを読み込む（URL、データとMIMEタイプを受け取るコールバック、バイナリか、失敗時のコールバック）
+ * @property {function(string, function(S3ResourceStream): void, function(string): void): void} [openStream] ファイルを少しずつ読み込むストリームを開く（URL、ストリームを受け取るコールバック、失敗時のコールバック）。
+ *     ない場合、S3MeshLoader.loadMeshStream は loadFile でまとめて取得します
+ */
+
+/**
+ * 少しずつ読み込むファイルのストリーム
+ * @typedef {Object} S3ResourceStream
+ * @property {function(): Promise<{done: boolean, value: any}>} read 次のデータ（文字列、またはUTF-8のバイト列）を取得する
+ * @property {function(): void} cancel 読み込みを中断する
+ * @property {?number} total 全体のバイト数（分からない場合はnull）
+ */
+
 /**
  * /////////////////////////////////////////////////////////
  * 描写に使用するシーンを構成するクラス群
@@ -109,6 +132,12 @@ export default class S3System {
 		 */
 		this.canvas = null;
 
+		/**
+		 * 画像やファイルの読み込み処理（nullの場合は環境に応じた標準の処理）
+		 * @type {?S3ResourceLoader}
+		 */
+		this.resource_loader = null;
+
 		this._init();
 	}
 
@@ -159,46 +188,102 @@ export default class S3System {
 		return id;
 	}
 
+	/**
+	 * 画像やファイルの読み込みに使用する処理を設定します。
+	 * 設定しない場合、XMLHttpRequest が使える環境ではブラウザ用、それ以外では Node.js 用の処理を使用します。
+	 * @param {?S3ResourceLoader} loader 読み込み処理（nullで標準の処理に戻す）
+	 *
+	 * @example
+	 * // テスト用にメモリ上のデータを返す
+	 * s3.setResourceLoader({
+	 * 	loadImage: function (url, callback, error_callback) {
+	 * 		error_callback("not found [" + url + "]");
+	 * 	},
+	 * 	loadFile: function (url, callback) {
+	 * 		callback(files[url], null);
+	 * 	}
+	 * });
+	 */
+	setResourceLoader(loader) {
+		this.resource_loader = loader;
+	}
+
+	/**
+	 * 画像やファイルの読み込みに使用する処理を取得します。
+	 * @returns {S3ResourceLoader} 読み込み処理
+	 */
+	getResourceLoader() {
+		if (this.resource_loader) {
+			return this.resource_loader;
+		}
+		return typeof XMLHttpRequest !== "undefined" ? S3ResourceLoaderBrowser : S3ResourceLoaderNode;
+	}
+
 	/**
 	 * 画像やテキストファイルをダウンロードします。
-	 * 画像拡張子ならImage要素、それ以外はテキストとして取得しコールバックします。
+	 * 画像拡張子なら画像（ブラウザではImage要素）、それ以外はテキストとして取得しコールバックします。
+	 * バイナリ指定時はテキストではなくArrayBufferとして取得します。
+	 * 取得には getResourceLoader() の読み込み処理を使用します。
 	 * @param {string} url 取得先URL
-	 * @param {function} callback 取得完了時に呼ばれるコールバック関数
+	 * @param {function} callback 取得完了時に呼ばれるコールバック関数（データ、拡張子、MIMEタイプを受け取る）
+	 * @param {boolean} [is_binary=false] trueならArrayBufferとして取得する
+	 * @param {function(string): void} [error_callback] 取得に失敗した場合に、エラーの内容を受け取るコールバック関数
 	 */
-	_download(url, callback) {
-		const dotlist = url.split(".");
+	_download(url, callback, is_binary, error_callback) {
+		const dotlist = url.split(/[?#]/)[0].split(".");
 		let isImage = false;
 		const ext = "";
-		if (dotlist.length > 1) {
-			const ext = dotlist[dotlist.length - 1].toLocaleString();
+		if (/^data:image\//.test(url)) {
+			// 画像のデータURI
+			isImage = true;
+		} else if (dotlist.length > 1) {
+			const ext = dotlist[dotlist.length - 1].toLowerCase();
 			isImage =
 				ext === "gif" || ext === "jpg" || ext === "png" || ext === "bmp" || ext === "svg" || ext === "jpeg";
 		}
-		if (isImage) {
-			const image = new Image();
-			image.onload = function () {
-				callback(image, ext);
-			};
-			image.src = url;
-			return;
-		}
-		const http = new XMLHttpRequest();
+		const loader = this.getResourceLoader();
 		/**
-		 * @returns {void}
+		 * @param {string} message
 		 */
-		const handleHttpResponse = function () {
-			if (http.readyState === 4) {
-				// DONE
-				if (http.status !== 200) {
-					console.log("error download [" + url + "]");
-					return null;
-				}
-				callback(http.responseText, ext);
+		const errorCallback = function (message) {
+			if (error_callback) {
+				error_callback(message);
 			}
 		};
-		http.onreadystatechange = handleHttpResponse;
-		http.open("GET", url, true);
-		http.send(null);
+		if (isImage) {
+			loader.loadImage(
+				url,
+				function (image) {
+					callback(image, ext);
+				},
+				errorCallback
+			);
+			return;
+		}
+		loader.loadFile(
+			url,
+			function (data, content_type) {
+				callback(data, ext, content_type);
+			},
+			!!is_binary,
+			errorCallback
+		);
+	}
+
+	/**
+	 * 画像やテキストファイルをダウンロードし、Promiseで返します。
+	 * 取得に失敗した場合は、URLとHTTPステータスを含むErrorでrejectします。
+	 * @param {string} url 取得先URL
+	 * @param {boolean} [is_binary=false] trueならArrayBufferとして取得する
+	 * @returns {Promise<any>} 取得したデータ（画像、テキスト、またはArrayBuffer）
+	 */
+	_downloadPromise(url, is_binary) {
+		const that = this;
+		return new Promise(function (resolve, reject) {
+			that._download(url, resolve, is_binary, function (message) {
+				reject(new Error(message));
+			});
+		});
 	}
 
 	/**
@@ -538,6 +623,110 @@ export default class S3System {
 		return this.vectormode === S3System.VECTOR_MODE.VECTOR4x1 ? M.transposed() : M;
 	}
 
+	/**
+	 * 近平面上の範囲を指定して射影行列を生成します。
+	 * 視線が中心を通らない視体積（画面の分割描画や立体視など）に使用します。
+	 * @param {number} Left 近平面上の視体積の左端
+	 * @param {number} Right 近平面上の視体積の右端
+	 * @param {number} Bottom 近平面上の視体積の下端
+	 * @param {number} Top 近平面上の視体積の上端
+	 * @param {number} Near カメラから近平面までの距離（ニアークリッピング平面）
+	 * @param {number} Far カメラから遠平面までの距離（ファークリッピング平面）
+	 * @returns {S3Matrix} 射影変換行列
+	 */
+	getMatrixPerspectiveOffCenter(Left, Right, Bottom, Top, Near, Far) {
+		const Width = Right - Left;
+		const Height = Top - Bottom;
+		const Delta = Far - Near;
+		if (Near > Far) {
+			throw "Near > Far error";
+		} else if (Width === 0.0 || Height === 0.0 || Delta === 0.0) {
+			throw "divide error";
+		}
+		const M = new S3Matrix();
+		M.m00 = (2.0 * Near) / Width;
+		M.m01 = 0.0;
+		M.m02 = 0.0;
+		M.m03 = 0.0;
+		M.m10 = 0.0;
+		M.m11 = (2.0 * Near) / Height;
+		M.m12 = 0.0;
+		M.m13 = 0.0;
+		M.m20 = -(Right + Left) / Width;
+		M.m21 = -(Top + Bottom) / Height;
+		M.m22 = 1.0;
+		M.m23 = 1.0;
+		M.m30 = 0.0;
+		M.m31 = 0.0;
+		M.m32 = 0.0;
+		M.m33 = 0.0;
+		if (this.depthmode === S3System.DEPTH_MODE.DIRECT_X) {
+			M.m22 = Far / Delta;
+			M.m32 = (-Far * Near) / Delta;
+		} else if (this.depthmode === S3System.DEPTH_MODE.OPEN_GL) {
+			M.m22 = (Far + Near) / Delta;
+			M.m32 = (-2.0 * Far * Near) / Delta;
+		}
+		if (this.dimensionmode === S3System.DIMENSION_MODE.RIGHT_HAND) {
+			// 奥行き方向が反転するため、Zに掛かる成分をすべて反転する
+			M.m20 = -M.m20;
+			M.m21 = -M.m21;
+			M.m22 = -M.m22;
+			M.m23 = -M.m23;
+		}
+		return this.vectormode === S3System.VECTOR_MODE.VECTOR4x1 ? M.transposed() : M;
+	}
+
+	/**
+	 * 平行投影の射影行列を生成します。
+	 * 遠近感のない表示（図面やUIの重ね描きなど）に使用します。
+	 * @param {number} Left 視体積の左端
+	 * @param {number} Right 視体積の右端
+	 * @param {number} Bottom 視体積の下端
+	 * @param {number} Top 視体積の上端
+	 * @param {number} Near カメラから近平面までの距離（ニアークリッピング平面）
+	 * @param {number} Far カメラから遠平面までの距離（ファークリッピング平面）
+	 * @returns {S3Matrix} 射影変換行列
+	 */
+	getMatrixOrthographic(Left, Right, Bottom, Top, Near, Far) {
+		const Width = Right - Left;
+		const Height = Top - Bottom;
+		const Delta = Far - Near;
+		if (Near > Far) {
+			throw "Near > Far error";
+		} else if (Width === 0.0 || Height === 0.0 || Delta === 0.0) {
+			throw "divide error";
+		}
+		const M = new S3Matrix();
+		M.m00 = 2.0 / Width;
+		M.m01 = 0.0;
+		M.m02 = 0.0;
+		M.m03 = 0.0;
+		M.m10 = 0.0;
+		M.m11 = 2.0 / Height;
+		M.m12 = 0.0;
+		M.m13 = 0.0;
+		M.m20 = 0.0;
+		M.m21 = 0.0;
+		M.m22 = 1.0;
+		M.m23 = 0.0;
+		M.m30 = -(Right + Left) / Width;
+		M.m31 = -(Top + Bottom) / Height;
+		M.m32 = 0.0;
+		M.m33 = 1.0;
+		if (this.depthmode === S3System.DEPTH_MODE.DIRECT_X) {
+			M.m22 = 1.0 / Delta;
+			M.m32 = -Near / Delta;
+		} else if (this.depthmode === S3System.DEPTH_MODE.OPEN_GL) {
+			M.m22 = 2.0 / Delta;
+			M.m32 = -(Far + Near) / Delta;
+		}
+		if (this.dimensionmode === S3System.DIMENSION_MODE.RIGHT_HAND) {
+			M.m22 = -M.m22;
+		}
+		return this.vectormode === S3System.VECTOR_MODE.VECTOR4x1 ? M.transposed() : M;
+	}
+
 	/**
 	 * カメラのビュー行列を生成します。
 	 * @param {S3Vector} eye カメラの座標の位置ベクトル
@@ -784,14 +973,48 @@ export default class S3System {
 		return this.mulMatrix(this.mulMatrix(Z, X), Y);
 	}
 
+	/**
+	 * オイラー角（S3Angles）の回転行列を、回転の順序（order）に従って作成します。
+	 * @param {S3Angles} angles オイラー角
+	 * @returns {S3Matrix} 合成回転行列
+	 */
+	getMatrixRotateAngles(angles) {
+		const R = [
+			this.getMatrixRotateX(angles.pitch),
+			this.getMatrixRotateY(angles.yaw),
+			this.getMatrixRotateZ(angles.roll)
+		];
+		// "ZXY" → [2, 0, 1]
+		const index = [];
+		for (let i = 0; i < 3; i++) {
+			index[i] = angles.order.charCodeAt(i) - 88;
+		}
+		return this.mulMatrix(this.mulMatrix(R[index[0]], R[index[1]]), R[index[2]]);
+	}
+
+	/**
+	 * 四元数が表す回転の回転行列を作成します。
+	 * @param {S3Quaternion} q 四元数
+	 * @returns {S3Matrix} 回転行列
+	 */
+	getMatrixRotateQuaternion(q) {
+		// 四元数からは縦型の行列が得られる
+		const M = q.toMatrix();
+		return this.vectormode === S3System.VECTOR_MODE.VECTOR4x1 ? M : M.transposed();
+	}
+
 	/**
 	 * 指定モデルのワールド変換行列を生成します（スケール→回転→移動の順）。
+	 * 回転はオイラー角の回転の順序に従い、四元数の回転が設定されている場合はオイラー角の代わりに使用します。
 	 * @param {S3Model} model 対象モデル
 	 * @returns {S3Matrix} ワールド変換行列
 	 */
 	getMatrixWorldTransform(model) {
 		// 回転行列
-		const R = this.getMatrixRotateZXY(model.angles.roll, model.angles.pitch, model.angles.yaw);
+		const R =
+			model.quaternion !== null
+				? this.getMatrixRotateQuaternion(model.quaternion)
+				: this.getMatrixRotateAngles(model.angles);
 		// スケーリング
 		const S = this.getMatrixScale(model.scale.x, model.scale.y, model.scale.z);
 		// 移動行列
@@ -926,10 +1149,12 @@ export default class S3System {
 	/**
 	 * 新しい頂点インスタンスを生成します。
 	 * @param {S3Vector} position 頂点座標
+	 * @param {S3Vector} [normal] 頂点の法線ベクトル（省略可）
+	 * @param {S3Vector} [color] 頂点カラー（RGBA、省略可）
 	 * @returns {S3Vertex} 生成された頂点
 	 */
-	createVertex(position) {
-		return new S3Vertex(position);
+	createVertex(position, normal, color) {
+		return new S3Vertex(position, normal, color);
 	}
 
 	/**
@@ -955,6 +1180,18 @@ export default class S3System {
 		return new S3Texture(this, name);
 	}
 
+	/**
+	 * 画像をダウンロードし、読み込みが完了したテクスチャを返します。
+	 * @param {string} url 画像のURL
+	 * @returns {Promise<S3Texture>} 読み込み済みのテクスチャ（失敗時はErrorでreject）
+	 *
+	 * @example
+	 * const texture = await s3.loadTexture("./image.png");
+	 */
+	loadTexture(url) {
+		return this.createTexture(url).whenLoaded();
+	}
+
 	/**
 	 * 新しいシーンインスタンスを生成します。
 	 * @returns {S3Scene} 生成されたシーン
@@ -0,0 +1,98 @@
+﻿import S3Vector from "../math/S3Vector.js";
+import S3System from "./S3System.js";
+
+const MODES = [
+	[S3System.DEPTH_MODE.OPEN_GL, S3System.DIMENSION_MODE.RIGHT_HAND],
+	[S3System.DEPTH_MODE.OPEN_GL, S3System.DIMENSION_MODE.LEFT_HAND],
+	[S3System.DEPTH_MODE.DIRECT_X, S3System.DIMENSION_MODE.RIGHT_HAND],
+	[S3System.DEPTH_MODE.DIRECT_X, S3System.DIMENSION_MODE.LEFT_HAND]
+];
+
+/**
+ * 縦型の行列で射影し、正規化デバイス座標にする
+ * @param {import("../math/S3Matrix.js").default} M
+ * @param {number} x
+ * @param {number} y
+ * @param {number} z
+ * @returns {Array<number>}
+ */
+const project = function (M, x, y, z) {
+	const v = M.mulVector(new S3Vector(x, y, z, 1));
+	return [v.x / v.w, v.y / v.w, v.z / v.w];
+};
+
+/**
+ * 各成分が近い値か確認する
+ * @param {Array<number>} actual
+ * @param {Array<number>} expected
+ */
+const expectArrayClose = function (actual, expected) {
+	for (let i = 0; i < expected.length; i++) {
+		expect(actual[i]).toBeCloseTo(expected[i]);
+	}
+};
+
+/**
+ * 指定したモードのシステムを作成する
+ * @param {Array<number>} mode 深度のモードと座標系
+ * @returns {S3System}
+ */
+const createSystem = function (mode) {
+	const sys = new S3System();
+	sys.setDepthMode(mode[0]);
+	sys.setDimensionMode(mode[1]);
+	sys.setVectorMode(S3System.VECTOR_MODE.VECTOR4x1);
+	return sys;
+};
+
+describe("S3System の射影行列", function () {
+	test("平行投影は視体積の角を正規化デバイス座標の角に移す", function () {
+		MODES.forEach(function (mode) {
+			const sys = createSystem(mode);
+			const near_z = mode[0] === S3System.DEPTH_MODE.DIRECT_X ? 0 : -1;
+			// 右手系ではカメラの前方がZ軸の負の向き
+			const front = mode[1] === S3System.DIMENSION_MODE.RIGHT_HAND ? -1 : 1;
+			const M = sys.getMatrixOrthographic(-4, 2, -1, 3, 1, 11);
+			expectArrayClose(project(M, -4, -1, front * 1), [-1, -1, near_z]);
+			expectArrayClose(project(M, 2, 3, front * 11), [1, 1, 1]);
+			// 遠近感がないため、奥行きが変わっても位置は変わらない
+			expectArrayClose(project(M, 2, 3, front * 6), [1, 1]);
+		});
+	});
+
+	test("中心をずらした透視投影は近平面上の範囲を正規化デバイス座標の角に移す", function () {
+		MODES.forEach(function (mode) {
+			const sys = createSystem(mode);
+			const near_z = mode[0] === S3System.DEPTH_MODE.DIRECT_X ? 0 : -1;
+			const front = mode[1] === S3System.DIMENSION_MODE.RIGHT_HAND ? -1 : 1;
+			const M = sys.getMatrixPerspectiveOffCenter(-1, 3, -2, 1, 2, 10);
+			expectArrayClose(project(M, -1, -2, front * 2), [-1, -1, near_z]);
+			expectArrayClose(project(M, 3, 1, front * 2), [1, 1, near_z]);
+			// 遠平面では距離に比例して範囲が広がる
+			expectArrayClose(project(M, 15, 5, front * 10), [1, 1, 1]);
+		});
+	});
+
+	test("左右対称の範囲を指定すると視野角から作成した射影行列と同じになる", function () {
+		MODES.forEach(function (mode) {
+			const sys = createSystem(mode);
+			const A = sys.getMatrixPerspectiveOffCenter(-2, 2, -1, 1, 1, 100);
+			const B = sys.getMatrixPerspectiveFov(90, 2, 1, 100);
+			expectArrayClose(project(A, 3, -4, 50), project(B, 3, -4, 50));
+			expectArrayClose(project(A, 1, 2, -50), project(B, 1, 2, -50));
+		});
+	});
+
+	test("範囲が不正な場合は例外を投げる", function () {
+		const sys = new S3System();
+		expect(function () {
+			sys.getMatrixOrthographic(-1, 1, -1, 1, 10, 1);
+		}).toThrow("Near > Far error");
+		expect(function () {
+			sys.getMatrixOrthographic(1, 1, -1, 1, 1, 10);
+		}).toThrow("divide error");
+		expect(function () {
+			sys.getMatrixPerspectiveOffCenter(-1, 1, 1, 1, 1, 10);
+		}).toThrow("divide error");
+	});
+});
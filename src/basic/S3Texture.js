@@ -38,7 +38,7 @@ export default class S3Texture {
 
 		/**
 		 * テクスチャ画像本体（ImageData, HTMLImageElement, HTMLCanvasElement, HTMLVideoElementなど）
-		 * @type {?ImageData|HTMLImageElement|HTMLCanvasElement|HTMLVideoElement}
+		 * @type {?ImageData|HTMLImageElement|HTMLCanvasElement|HTMLVideoElement|ArrayBuffer}
 		 */
 		this.image = null;
 
@@ -48,6 +48,18 @@ export default class S3Texture {
 		 */
 		this.is_loadimage = false;
 
+		/**
+		 * 画像の読み込みに失敗した場合のエラー
+		 * @type {?Error}
+		 */
+		this.error = null;
+
+		/**
+		 * 読み込みの完了（または失敗）を待っているコールバック
+		 * @type {Array<function(?Error): void>}
+		 */
+		this.load_listeners = [];
+
 		/**
 		 * テクスチャが破棄されたかどうか
 		 * @type {boolean}
@@ -57,10 +69,14 @@ export default class S3Texture {
 
 	/**
 	 * テクスチャを破棄します。再利用は不可になります。
+	 * 読み込み中の場合、whenLoaded はErrorでrejectします。
 	 */
 	dispose() {
 		if (!this.is_dispose) {
 			this.is_dispose = true;
+			if (!this.is_loadimage && this.error === null && this.url !== null) {
+				this._notifyLoad(new Error("読み込み中にテクスチャが破棄されました [" + this.url + "]"));
+			}
 		}
 	}
 
@@ -69,13 +85,16 @@ export default class S3Texture {
 	 * - 画像が2の累乗でない場合は自動でリサイズします。
 	 * - 文字列の場合はURLとして画像をダウンロードします。
 	 * - 設定可能な形式: ImageData, HTMLImageElement, HTMLCanvasElement, HTMLVideoElement, URL(string)
-	 * @param {string|ImageData|HTMLImageElement|HTMLCanvasElement|HTMLVideoElement} image 設定する画像データまたはURL文字列
+	 * - DOMのない環境（Node.js など）では、画像ファイルの内容（ArrayBuffer）をデコードせずに保持します。
+	 * @param {string|ImageData|HTMLImageElement|HTMLCanvasElement|HTMLVideoElement|ArrayBuffer} image 設定する画像データまたはURL文字列
 	 */
 	setImage(image) {
 		if (image === null || this.is_dispose) {
 			return;
 		}
-		if (image instanceof HTMLImageElement || image instanceof HTMLCanvasElement) {
+		// DOMのない環境（Node.js など）では画像の型が存在しないため、事前に確認する
+		const is_dom = typeof HTMLImageElement !== "undefined";
+		if (is_dom && (image instanceof HTMLImageElement || image instanceof HTMLCanvasElement)) {
 			const original_width = image.width;
 			const original_height = image.height;
 			/**
@@ -114,10 +133,12 @@ export default class S3Texture {
 			}
 		}
 		if (
-			image instanceof ImageData ||
-			image instanceof HTMLImageElement ||
-			image instanceof HTMLCanvasElement ||
-			image instanceof HTMLVideoElement
+			(is_dom &&
+				(image instanceof ImageData ||
+					image instanceof HTMLImageElement ||
+					image instanceof HTMLCanvasElement ||
+					image instanceof HTMLVideoElement)) ||
+			image instanceof ArrayBuffer
 		) {
 			if (this.url === null) {
 				// 直接設定した場合はIDをURLとして設定する
@@ -125,6 +146,7 @@ export default class S3Texture {
 			}
 			this.image = image;
 			this.is_loadimage = true;
+			this._notifyLoad(null);
 			return;
 		} else if (typeof image === "string") {
 			this.url = image;
@@ -132,11 +154,15 @@ export default class S3Texture {
 			this.sys._download(
 				this.url,
 				/**
-				 * @param {ImageData|HTMLImageElement|HTMLCanvasElement|HTMLVideoElement} image
+				 * @param {ImageData|HTMLImageElement|HTMLCanvasElement|HTMLVideoElement|ArrayBuffer} image
 				 * @returns {void}
 				 */
 				function (image) {
 					that.setImage(image);
+				},
+				false,
+				function (message) {
+					that._notifyLoad(new Error(message));
 				}
 			);
 			return;
@@ -145,4 +171,55 @@ export default class S3Texture {
 			console.log(image);
 		}
 	}
+
+	/**
+	 * 読み込みの完了（または失敗）を待っているコールバックを呼び出します。
+	 * @param {?Error} error 失敗した場合のエラー（成功時はnull）
+	 * @protect
+	 */
+	_notifyLoad(error) {
+		this.error = error;
+		const listeners = this.load_listeners;
+		this.load_listeners = [];
+		for (let i = 0; i < listeners.length; i++) {
+			listeners[i](error);
+		}
+	}
+
+	/**
+	 * 画像の読み込みが完了するまで待ちます。
+	 * - 読み込み済み、または画像が設定されていない場合はすぐに完了します。
+	 * - 画像の読み込みに失敗した場合や、読み込み中に破棄された場合はErrorでrejectします。
+	 * @returns {Promise<S3Texture>} このテクスチャ
+	 */
+	whenLoaded() {
+		const that = this;
+		return new Promise(function (resolve, reject) {
+			if (that.error !== null) {
+				reject(that.error);
+			} else if (that.is_loadimage || that.url === null) {
+				resolve(that);
+			} else {
+				that.load_listeners.push(function (error) {
+					if (error !== null) {
+						reject(error);
+					} else {
+						resolve(that);
+					}
+				});
+			}
+		});
+	}
+
+	/**
+	 * ファイルへ書き出すときの画像の参照先を取得します。
+	 * 画像を直接設定した場合のURLは内部IDのため、参照先として使用できません。
+	 * @returns {?string} 画像のURL（画像が設定されていない場合や内部IDの場合はnull）
+	 */
+	getFileURL() {
+		if (this.url === null || /^[0-9a-f]+(:[0-9a-f]+){3}$/.test(this.url)) {
+			return null;
+		}
+		return this.url;
+	}
 }
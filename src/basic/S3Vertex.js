@@ -2,7 +2,7 @@
 
 /**
  * 3DCG用の頂点クラス（immutable）
- * 各頂点の空間上の座標情報を管理するシンプルなクラスです。
+ * 各頂点の空間上の座標情報（必要に応じて法線や頂点カラー）を管理するシンプルなクラスです。
  *
  * @class
  * @module S3
@@ -11,13 +11,27 @@ export default class S3Vertex {
 	/**
 	 * 頂点を作成します。（immutable）
 	 * @param {S3Vector} position 頂点の座標ベクトル
+	 * @param {S3Vector} [normal] 頂点の法線ベクトル（省略時は描画時に面から自動計算）
+	 * @param {S3Vector} [color] 頂点カラー（RGBA、各成分0～1）
 	 */
-	constructor(position) {
+	constructor(position, normal, color) {
 		/**
 		 * 頂点の座標ベクトル
 		 * @type {S3Vector}
 		 */
 		this.position = position;
+
+		/**
+		 * 頂点の法線ベクトル（ファイル等で指定されていない場合はnull）
+		 * @type {?S3Vector}
+		 */
+		this.normal = normal !== undefined && normal !== null ? normal : null;
+
+		/**
+		 * 頂点カラー（RGBA、各成分0～1。指定されていない場合はnull）
+		 * @type {?S3Vector}
+		 */
+		this.color = color !== undefined && color !== null ? color : null;
 	}
 
 	/**
@@ -29,6 +43,6 @@ export default class S3Vertex {
 		if (!Instance) {
 			Instance = S3Vertex;
 		}
-		return new Instance(this.position);
+		return new Instance(this.position, this.normal, this.color);
 	}
 }
@@ -277,10 +277,11 @@ export default class S3GLMesh extends S3Mesh {
 		}
 
 		// 面法線と、頂点（スムーズ）法線との角度の差が、下記より大きい場合は面法線を優先
+		const smooth = Math.cos((this.getSmoothAngle() / 360) * (2 * Math.PI));
 		const SMOOTH = {};
-		SMOOTH.normal = Math.cos((50 / 360) * (2 * Math.PI));
-		SMOOTH.tangent = Math.cos((50 / 360) * (2 * Math.PI));
-		SMOOTH.binormal = Math.cos((50 / 360) * (2 * Math.PI));
+		SMOOTH.normal = smooth;
+		SMOOTH.tangent = smooth;
+		SMOOTH.binormal = smooth;
 
 		// 最終的に三角形の各頂点の法線を求める
 		for (let i = 0; i < triangleindex_list.length; i++) {
@@ -308,6 +309,10 @@ export default class S3GLMesh extends S3Mesh {
 					// コピー
 					triangledata.vertex[key][j] = targetdata[key];
 				}
+				// 頂点に法線が指定されている場合は、計算した法線よりも優先する
+				if (vertex_list[index].normal) {
+					triangledata.vertex.normal[j] = vertex_list[index].normal;
+				}
 			}
 		}
 
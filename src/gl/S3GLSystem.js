@@ -317,6 +317,35 @@ export default class S3GLSystem extends S3System {
 		return program;
 	}
 
+	/**
+	 * 頂点シェーダとフラグメントシェーダをダウンロードし、新しいシェーダープログラムを返します。
+	 * GLが設定済みの場合は、コンパイルとリンクまで行います。
+	 * ダウンロード、コンパイル、リンクに失敗した場合はErrorでrejectします。
+	 * @param {string} vertex_url 頂点シェーダのURL
+	 * @param {string} fragment_url フラグメントシェーダのURL
+	 * @returns {Promise<S3GLProgram>} 生成されたシェーダープログラム
+	 *
+	 * @example
+	 * const program = await s3.loadProgram("./shader/vertex.vert", "./shader/fragment.frag");
+	 * s3.setProgram(program);
+	 */
+	loadProgram(vertex_url, fragment_url) {
+		const that = this;
+		return Promise.all([this._downloadPromise(vertex_url), this._downloadPromise(fragment_url)]).then(
+			function (code) {
+				const program = that.createProgram();
+				program.setVertexShader(code[0]);
+				program.setFragmentShader(code[1]);
+				if (that.isSetGL() && program.getProgram() === null) {
+					throw new Error(
+						"シェーダーのコンパイルまたはリンクに失敗しました [" + vertex_url + ", " + fragment_url + "]"
+					);
+				}
+				return program;
+			}
+		);
+	}
+
 	/**
 	 * 登録されている全てのシェーダープログラムを破棄します。
 	 */
@@ -592,10 +621,12 @@ export default class S3GLSystem extends S3System {
 	/**
 	 * GL用の頂点インスタンス（S3GLVertex）を生成します。
 	 * @param {S3Vector} position 頂点座標
+	 * @param {S3Vector} [normal] 頂点の法線ベクトル（省略可）
+	 * @param {S3Vector} [color] 頂点カラー（RGBA、省略可）
 	 * @returns {S3GLVertex} 生成されたGL用頂点
 	 */
-	createVertex(position) {
-		return new S3GLVertex(position);
+	createVertex(position, normal, color) {
+		return new S3GLVertex(position, normal, color);
 	}
 
 	/**
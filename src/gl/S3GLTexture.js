@@ -50,15 +50,11 @@ export default class S3GLTexture extends S3Texture {
 	 */
 	dispose() {
 		if (!this.is_dispose) {
-			/**
-			 * テクスチャが破棄されたかどうか
-			 * @type {boolean}
-			 */
-			this.is_dispose = true;
 			if (this.gldata !== null) {
 				this._s3gl.glfunc.deleteTexture(this.url);
 				this.gldata = null;
 			}
+			super.dispose();
 		}
 	}
 
@@ -75,7 +71,8 @@ export default class S3GLTexture extends S3Texture {
 		if (this.gldata !== null) {
 			return this.gldata;
 		}
-		if (this.is_loadimage) {
+		// デコードしていない画像データ（ArrayBuffer）はGLで使用できない
+		if (this.is_loadimage && !(this.image instanceof ArrayBuffer)) {
 			this.gldata = this._s3gl.glfunc.createTexture(this.url, this.image);
 			return this.gldata;
 		}
@@ -15,9 +15,11 @@ export default class S3GLVertex extends S3Vertex {
 	/**
 	 * S3GLVertexのインスタンスを生成します。
 	 * @param {S3Vector} position 頂点の3次元位置ベクトル
+	 * @param {S3Vector} [normal] 頂点の法線ベクトル（省略可）
+	 * @param {S3Vector} [color] 頂点カラー（RGBA、省略可）
 	 */
-	constructor(position) {
-		super(position);
+	constructor(position, normal, color) {
+		super(position, normal, color);
 	}
 
 	/**
@@ -0,0 +1,198 @@
+﻿/**
+ * パス名操作・ファイルパスの解決用ヘルパークラス
+ *
+ * - MQOやglTFファイル内から外部ファイルへの参照（テクスチャパス等）を絶対パスに変換するために利用されます。
+ * - `getAbsolutePath()` でファイルの絶対パスを計算し、`getParent()` で親ディレクトリのパスも取得できます。
+ * - 内部的にパスの区切りを正規化（バックスラッシュ→スラッシュ）します。
+ * - ダウンロードしたバイナリとテキストを相互に変換する UTF-8 の変換処理も提供します。
+ * - PMD などの Shift_JIS や UTF-16LE で書かれた文字列も、TextDecoder があれば変換できます。
+ */
+export default class S3File {
+	/**
+	 * ファイルインスタンスを生成します。
+	 * @param {string} pathname ファイルパスやURL
+	 */
+	constructor(pathname) {
+		/**
+		 * 正規化済みパス
+		 * @type {string}
+		 */
+		this.pathname = pathname.replace(/\\/g, "/");
+	}
+
+	/**
+	 * ファイルの絶対パスを取得します。
+	 * - http(s)やdata等のスキーム付きの場合はそのまま
+	 * - 相対パスの場合は現在のURLから解決
+	 * - ブラウザ以外（Node.js など）では、カレントディレクトリからの相対パスのまま正規化します
+	 *
+	 * @returns {string} 絶対パス（URL形式）
+	 */
+	getAbsolutePath() {
+		if (/^[a-z]+:/i.test(this.pathname)) {
+			return this.pathname;
+		}
+		if (typeof window === "undefined") {
+			const output = [];
+			const namelist = this.pathname.split("/");
+			for (let i = 0; i < namelist.length; i++) {
+				if (namelist[i] === "" || namelist[i] === ".") {
+					continue;
+				}
+				if (namelist[i] === ".." && output.length > 0 && output[output.length - 1] !== "..") {
+					output.pop();
+					continue;
+				}
+				output.push(namelist[i]);
+			}
+			return (this.pathname.charAt(0) === "/" ? "/" : "./") + output.join("/");
+		}
+		let name = window.location.toString();
+		if (!/\/$/.test(name)) {
+			name = name.match(/.*\//)[0];
+		}
+		const namelist = this.pathname.split("/");
+		for (let i = 0; i < namelist.length; i++) {
+			if (namelist[i] === "" || namelist[i] === ".") {
+				continue;
+			}
+			if (namelist[i] === "..") {
+				name = name.substring(0, name.length - 1).match(/.*\//)[0];
+				continue;
+			}
+			name += namelist[i];
+			if (i !== namelist.length - 1) {
+				name += "/";
+			}
+		}
+		return name;
+	}
+
+	/**
+	 * 親ディレクトリのパスを取得します。
+	 * @returns {string} 親ディレクトリの絶対パス
+	 */
+	getParent() {
+		const x = this.getAbsolutePath().match(/.*\//)[0];
+		return x.substring(0, x.length - 1);
+	}
+
+	/**
+	 * 絶対パス、またはスキーム付きのURLか判定します。
+	 * - ファイル内の参照先がこれに当たる場合は、親ディレクトリを付けずにそのまま使用します
+	 *
+	 * @returns {boolean} 絶対パスやスキーム付きのURLならtrue
+	 */
+	isAbsolute() {
+		return /^([a-z][a-z0-9+.-]*:|\/)/i.test(this.pathname);
+	}
+
+	/**
+	 * 指定したディレクトリからの相対パスを取得します。
+	 * - スキームやホストが異なるなど、相対パスで表せない場合は絶対パスを返します
+	 *
+	 * @param {string} base_dir 基準にするディレクトリのパスやURL
+	 * @returns {string} 相対パス
+	 */
+	getRelativePath(base_dir) {
+		const target = this.getAbsolutePath();
+		const base = new S3File(base_dir).getAbsolutePath();
+		/**
+		 * パスの先頭（"http://host/", "/", "./" など）を取得する
+		 * @param {string} path
+		 * @returns {string|null}
+		 */
+		const getRoot = function (path) {
+			const root = path.match(/^([a-z][a-z0-9+.-]*:\/\/[^/]*\/|\/|\.\/)/i);
+			return root ? root[0] : null;
+		};
+		const root = getRoot(target);
+		if (root === null || root !== getRoot(base)) {
+			return target;
+		}
+		const target_list = target.substring(root.length).split("/");
+		const base_list = base
+			.substring(root.length)
+			.split("/")
+			.filter(function (name) {
+				return name !== "";
+			});
+		let i = 0;
+		while (i < base_list.length && i < target_list.length - 1 && base_list[i] === target_list[i]) {
+			i++;
+		}
+		const output = [];
+		for (let j = i; j < base_list.length; j++) {
+			if (base_list[j] === "..") {
+				// 基準がカレントディレクトリより上にある場合は辿れない
+				return target;
+			}
+			output.push("..");
+		}
+		return output.concat(target_list.slice(i)).join("/");
+	}
+
+	/**
+	 * UTF-8 のバイト列を文字列へ変換します。
+	 *
+	 * @param {Uint8Array} bytes UTF-8 のバイト列
+	 * @returns {string} 変換後の文字列
+	 */
+	static decodeUTF8(bytes) {
+		if (typeof TextDecoder !== "undefined") {
+			return new TextDecoder("utf-8").decode(bytes);
+		}
+		let text = "";
+		for (let i = 0; i < bytes.length; i++) {
+			text += "%" + (bytes[i] < 16 ? "0" : "") + bytes[i].toString(16);
+		}
+		return decodeURIComponent(text);
+	}
+
+	/**
+	 * 指定した文字コードのバイト列を文字列へ変換します。
+	 * TextDecoder がない環境では、UTF-8 と UTF-16LE 以外は ASCII の範囲のみ変換します。
+	 *
+	 * @param {Uint8Array} bytes バイト列
+	 * @param {string} encoding 文字コード（"utf-8", "utf-16le", "shift_jis" など）
+	 * @returns {string} 変換後の文字列
+	 */
+	static decodeText(bytes, encoding) {
+		const name = encoding.toLowerCase();
+		if (typeof TextDecoder !== "undefined") {
+			return new TextDecoder(name).decode(bytes);
+		}
+		if (name === "utf-8" || name === "utf8") {
+			return S3File.decodeUTF8(bytes);
+		}
+		let text = "";
+		if (name === "utf-16le") {
+			for (let i = 0; i + 1 < bytes.length; i += 2) {
+				text += String.fromCharCode(bytes[i] | (bytes[i + 1] << 8));
+			}
+		} else {
+			for (let i = 0; i < bytes.length; i++) {
+				text += bytes[i] < 0x80 ? String.fromCharCode(bytes[i]) : "?";
+			}
+		}
+		return text;
+	}
+
+	/**
+	 * 文字列を UTF-8 のバイト列へ変換します。
+	 *
+	 * @param {string} text 変換する文字列
+	 * @returns {Uint8Array} UTF-8 のバイト列
+	 */
+	static encodeUTF8(text) {
+		if (typeof TextEncoder !== "undefined") {
+			return new TextEncoder().encode(text);
+		}
+		const binary = unescape(encodeURIComponent(text));
+		const bytes = new Uint8Array(binary.length);
+		for (let i = 0; i < binary.length; i++) {
+			bytes[i] = binary.charCodeAt(i);
+		}
+		return bytes;
+	}
+}
@@ -1,26 +1,628 @@
 ﻿import S3System from "../basic/S3System.js";
 import S3Mesh from "../basic/S3Mesh.js";
+import S3Scene from "../basic/S3Scene.js";
+import S3Vector from "../math/S3Vector.js";
 import S3MeshLoaderJSON from "./S3MeshLoaderJSON.js";
 import S3MeshLoaderMQO from "./S3MeshLoaderMQO.js";
 import S3MeshLoaderOBJ from "./S3MeshLoaderOBJ.js";
+import S3MeshLoaderGLTF from "./S3MeshLoaderGLTF.js";
+import S3MeshLoaderGLB from "./S3MeshLoaderGLB.js";
+import S3MeshLoaderSTL from "./S3MeshLoaderSTL.js";
+import S3MeshLoaderPLY from "./S3MeshLoaderPLY.js";
+import S3MeshLoaderX from "./S3MeshLoaderX.js";
+import S3MeshLoaderPMX from "./S3MeshLoaderPMX.js";
+import S3MeshLoaderPMD from "./S3MeshLoaderPMD.js";
+import S3MeshLoaderDAE from "./S3MeshLoaderDAE.js";
+import S3MeshLoaderS3B from "./S3MeshLoaderS3B.js";
+import S3File from "./S3File.js";
+import S3MeshLoaderError from "./S3MeshLoaderError.js";
 
 /**
  * メッシュデータの入出力用関数定義
  * @typedef {Object} S3MeshLoaderDataIOFunvction
- * @property {string} name 入出力形式の名前（"JSON", "MQO", "OBJ"など）
- * @property {function(S3System, S3Mesh, string, string=): boolean} input テキストをインスタンスへ変換する
- * @property {function(S3Mesh): string} [output] インスタンスをテキストへ出力する
+ * @property {string} name 入出力形式の名前（"JSON", "MQO", "OBJ", "GLTF", "GLB", "S3B", "STL", "PLY"など）
+ * @property {Array<string>} [extensions] 対応する拡張子（省略時は name を拡張子とみなす）
+ * @property {Array<string>} [mime] 対応するMIMEタイプ
+ * @property {function(string, any): boolean} [sniff] データの先頭部分とデータ本体から、この形式か判定する
+ * @property {boolean} [binary] trueの場合、URLからはArrayBufferとしてダウンロードする
+ * @property {function(S3System, S3Mesh, any, string=, function(boolean, any=): void=, S3MeshLoaderOption=): (boolean|null)} input テキストをインスタンスへ変換する。
+ *     外部ファイルの読み込み等で非同期になる場合は null を返し、完了時に第5引数のコールバックを呼ぶ（失敗時は第2引数に原因の例外を渡せる）
+ * @property {function((S3Mesh|S3Scene), S3MeshLoaderOption=): (string|ArrayBuffer)} [output] インスタンスをテキスト（またはバイナリ）へ出力する。
+ *     S3Scene を受け付けるのは GLTF, GLB のみ
+ * @property {function(S3System, any, string=, S3MeshLoaderOption=): Array<S3MeshLoaderObject>} [inputObjects] テキストをオブジェクトごとのインスタンスへ変換する（MQO）
+ * @property {function(S3System, any, string=, S3MeshLoaderOption=): ?S3Scene} [inputScene] テキストをモデルを配置したシーンへ変換する（COLLADA）。
+ *     解析できない場合は null を返す
+ * @property {function(S3MeshLoaderOption=): S3MeshLoaderStreamParser} [createParser] 少しずつ届くテキストを解析するパーサーを作成する（OBJ）
  */
 
 /**
+ * 少しずつ届くテキストを解析するパーサー
+ * @typedef {Object} S3MeshLoaderStreamParser
+ * @property {function(string): void} push テキストの続きを渡して、解析できるところまで解析する
+ * @property {function(S3System, S3Mesh, string=, function(boolean, any=): void=): (boolean|null)} end 解析を終えてメッシュを作成する（戻り値とコールバックは input と同じ）
+ * @property {function(): number} getFaceCount 解析済みの面の数を取得する
+ */
+
+/**
+ * 読み込みの進捗
+ * @typedef {Object} S3MeshLoaderProgress
+ * @property {number} bytes 解析済みのバイト数（UTF-8）
+ * @property {?number} total 全体のバイト数（分からない場合はnull）
+ * @property {number} faces 解析済みの面の数
+ */
+
+/**
+ * オブジェクト単位で読み込んだメッシュ
+ * @typedef {Object} S3MeshLoaderObject
+ * @property {string} name オブジェクト名
+ * @property {S3Mesh} mesh オブジェクトのメッシュ
+ * @property {boolean} visible 表示するオブジェクトか
+ * @property {number} depth 階層の深さ（0が最上位）
+ * @property {?S3MeshLoaderObject} parent 親のオブジェクト（最上位の場合はnull）
+ * @property {Array<S3MeshLoaderObject>} children 子のオブジェクト
+ */
+
+/**
+ * 対応している形式の情報
+ * @typedef {Object} S3MeshLoaderFormatInfo
+ * @property {string} name 形式の名前
+ * @property {Array<string>} extensions 対応する拡張子
+ * @property {Array<string>} mime 対応するMIMEタイプ
+ * @property {boolean} binary バイナリデータとして読み込む形式か
+ * @property {boolean} can_input 入力（インポート）に対応しているか
+ * @property {boolean} can_output 出力（エクスポート）に対応しているか
+ */
+
+/**
+ * 入出力時のオプション（形式ごとに使用するものだけを参照する）
+ * @typedef {Object} S3MeshLoaderOption
+ * @property {boolean} [weld] 入力時、同じ位置の頂点を1つにまとめる（STL）
+ * @property {boolean} [binary] 出力時、バイナリ形式で出力する（STL）
+ * @property {string} [mtl] 入力時、mtllib の代わりに使用するMTLファイルの内容（OBJ）
+ * @property {string} [mtllib] 出力時、mtllib に書き込むファイル名（OBJ）
+ * @property {function(string): void} [onmtl] 出力時、対応するMTLファイルの内容を受け取るコールバック（OBJ）
+ * @property {string} [url] 出力時、出力先ファイルのURL（テクスチャの参照先を相対パスで書き込む、OBJ）
+ * @property {string} [axis] 入力時、変換後のX, Y, Z軸に割り当てる元の軸（"x,z,-y" と指定すると Z-up のデータを Y-up にする）
+ * @property {boolean} [flip] 入力時、Z軸を反転して右手系と左手系を入れ替える（面の向きも反転する）
+ * @property {number} [scale] 入力時、座標に掛ける倍率（mm単位のデータをm単位にする場合は 0.001）
+ * @property {boolean} [center] 入力時、バウンディングボックスの中心が原点になるように移動する
+ * @property {string} [order] 入力時、シーンに配置するモデルの回転角の回転の順序（S3Angles.ORDER、COLLADA）
+ * @property {boolean} [strict] 入力時、不正なデータ（範囲外の番号を参照する面など）があれば読み込みを失敗させる（OBJ, MQO, S3B, STL, PLY, X）。
+ *     指定しない場合は不正な面を読み飛ばして読み込む
+ * @property {Array<import("./S3MeshLoaderError.js").S3MeshLoaderDiagnostic>} [diagnostics] 入力時、見つかった問題（行番号など）を追加する配列（OBJ, MQO, S3B, STL, PLY, X）
+ * @property {function(S3MeshLoaderError): void} [onerror] 入力時、読み込みに失敗した場合にエラーを受け取るコールバック（inputData, inputObjects）
+ * @property {function(S3MeshLoaderProgress): void} [onprogress] 入力時、テキストを少し解析するたびに進捗を受け取るコールバック（loadMeshStream）
+ */
+
+/**
+ * 登録済みの入出力用関数（registerFormat で追加される）
  * @type {Array<S3MeshLoaderDataIOFunvction>}
  */
-const DATA_IO_FUNCTION = [S3MeshLoaderJSON, S3MeshLoaderMQO, S3MeshLoaderOBJ];
+const DATA_IO_FUNCTION = [
+	S3MeshLoaderJSON,
+	S3MeshLoaderMQO,
+	S3MeshLoaderOBJ,
+	S3MeshLoaderGLTF,
+	S3MeshLoaderGLB,
+	S3MeshLoaderS3B,
+	S3MeshLoaderSTL,
+	S3MeshLoaderPLY,
+	S3MeshLoaderX,
+	S3MeshLoaderPMX,
+	S3MeshLoaderPMD,
+	S3MeshLoaderDAE
+];
+
+/**
+ * 内容から形式を判定する際に調べる先頭部分の文字数
+ * @type {number}
+ */
+const SNIFF_LENGTH = 1024;
+
+/**
+ * ストリームから読み込む際に、一度に解析する最大の文字数
+ * @type {number}
+ */
+const STREAM_CHUNK_LENGTH = 65536;
+
+/**
+ * 入出力用関数が対応する拡張子を取得します。
+ *
+ * @param {S3MeshLoaderDataIOFunvction} io 入出力用関数
+ * @returns {Array<string>} 拡張子（小文字）
+ */
+const getExtensions = function (io) {
+	const extensions = io.extensions ? io.extensions : [io.name];
+	const output = [];
+	for (let i = 0; i < extensions.length; i++) {
+		output[i] = extensions[i].toLowerCase();
+	}
+	return output;
+};
+
+/**
+ * 形式名、拡張子、またはMIMEタイプから入出力用関数を取得します。
+ *
+ * @param {string} type 形式名、拡張子、またはMIMEタイプ（大文字・小文字は区別しない）
+ * @returns {?S3MeshLoaderDataIOFunvction} 入出力用関数（対応していない場合はnull）
+ */
+const getDataIO = function (type) {
+	// MIMEタイプの ";charset=utf-8" などは除く
+	const key = type.split(";")[0].trim().toLowerCase();
+	for (let i = 0; i < DATA_IO_FUNCTION.length; i++) {
+		if (DATA_IO_FUNCTION[i].name.toLowerCase() === key) {
+			return DATA_IO_FUNCTION[i];
+		}
+	}
+	for (let i = 0; i < DATA_IO_FUNCTION.length; i++) {
+		const io = DATA_IO_FUNCTION[i];
+		if (getExtensions(io).indexOf(key) !== -1) {
+			return io;
+		}
+		if (io.mime) {
+			for (let j = 0; j < io.mime.length; j++) {
+				if (io.mime[j].toLowerCase() === key) {
+					return io;
+				}
+			}
+		}
+	}
+	return null;
+};
+
+/**
+ * URLから拡張子を取得します。
+ *
+ * @param {string} url URL
+ * @returns {string} 拡張子（ない場合は空文字列）
+ */
+const getURLExtension = function (url) {
+	// クエリとフラグメントは除く
+	const name = url.split(/[?#]/)[0].split("/").pop();
+	return name.indexOf(".") !== -1 ? name.split(".").pop() : "";
+};
+
+/**
+ * データの先頭部分を文字列として取得します。
+ *
+ * @param {any} data データ本体
+ * @returns {string} 先頭部分（バイナリの場合は1バイトを1文字とした文字列）
+ */
+const getHeadText = function (data) {
+	if (typeof data === "string") {
+		return data.substring(0, SNIFF_LENGTH);
+	} else if (data instanceof ArrayBuffer) {
+		const bytes = new Uint8Array(data, 0, Math.min(data.byteLength, SNIFF_LENGTH));
+		let text = "";
+		for (let i = 0; i < bytes.length; i++) {
+			text += String.fromCharCode(bytes[i]);
+		}
+		return text;
+	}
+	return "";
+};
+
+/**
+ * データの内容から入出力用関数を判定します。
+ *
+ * @param {any} data データ本体
+ * @returns {?S3MeshLoaderDataIOFunvction} 入出力用関数（判定できない場合はnull）
+ */
+const sniffDataIO = function (data) {
+	const head = getHeadText(data);
+	for (let i = 0; i < DATA_IO_FUNCTION.length; i++) {
+		if (DATA_IO_FUNCTION[i].sniff && DATA_IO_FUNCTION[i].sniff(head, data)) {
+			return DATA_IO_FUNCTION[i];
+		}
+	}
+	return null;
+};
+
+/**
+ * データ本体を取得し、形式を判別して load を呼び出します。
+ *
+ * - 拡張子が対応形式のURLの場合は、ダウンロード後に非同期で呼び出します
+ * - 拡張子で判別できないURLは、ダウンロード後にMIMEタイプか内容から形式を判別します
+ * - それ以外は type（未指定の場合は内容から判別）の形式で、すぐに呼び出します
+ *
+ * @param {S3System} s3system S3Systemインスタンス
+ * @param {string|Object|ArrayBuffer} data 3Dデータ本体またはデータ取得用URL
+ * @param {string} type データの形式（形式名、拡張子、またはMIMEタイプ）
+ * @param {function(any, string, ?S3MeshLoaderDataIOFunvction): void} load データ本体、取得元URL（直接データの場合は空文字列）、入出力用関数を受け取る関数
+ * @param {function(string): void} [error_callback] ダウンロードに失敗した場合に、エラーの内容を受け取る関数
+ */
+const requestData = function (s3system, data, type, load, error_callback) {
+	const type_io = type ? getDataIO(type) : null;
+	// 文字列がある場合
+	if (typeof data === "string" && data.indexOf("\n") === -1) {
+		// 拡張子が設定されている場合
+		const ext = getURLExtension(data);
+		const io = ext ? getDataIO(ext) : null;
+		if (io !== null) {
+			/**
+			 * データのダウンロード完了時に呼ばれるコールバック関数。
+			 * @param {string|ArrayBuffer} ldata 取得した3Dデータ本体（テキストデータ、またはバイナリ）
+			 */
+			const downloadCallback = function (ldata) {
+				load(ldata, data, io);
+			};
+			s3system._download(data, downloadCallback, !!io.binary, error_callback);
+			return;
+		}
+		// データ本体とみなせない場合はURLとしてダウンロードする
+		const is_url =
+			type_io !== null ? !!type_io.sniff && !type_io.sniff(data, data) : !type && sniffDataIO(data) === null;
+		if (is_url) {
+			/**
+			 * 形式を判別してから呼び出す
+			 * @param {ArrayBuffer} ldata 取得した3Dデータ本体
+			 * @param {string} [ext] 未使用
+			 * @param {string} [content_type] 応答のMIMEタイプ
+			 */
+			const sniffCallback = function (ldata, ext, content_type) {
+				let io = type_io;
+				if (io === null && content_type) {
+					io = getDataIO(content_type);
+				}
+				if (io === null) {
+					io = sniffDataIO(ldata);
+				}
+				if (io !== null && !io.binary) {
+					load(S3File.decodeUTF8(new Uint8Array(ldata)), data, io);
+				} else {
+					load(ldata, data, io);
+				}
+			};
+			s3system._download(data, sniffCallback, true, error_callback);
+			return;
+		}
+	}
+	load(data, "", type ? type_io : sniffDataIO(data));
+};
+
+/**
+ * 座標軸の変換の指定（"x,z,-y" など）を解析します。
+ *
+ * @param {string} axis 変換後のX, Y, Z軸に割り当てる元の軸
+ * @returns {{index: Array<number>, sign: Array<number>}} 元の軸の番号（0:X, 1:Y, 2:Z）と符号
+ */
+const parseAxis = function (axis) {
+	const words = axis
+		.trim()
+		.toLowerCase()
+		.split(/[\s,]+/);
+	const index = [];
+	const sign = [];
+	for (let i = 0; i < words.length; i++) {
+		const match = words[i].match(/^([+-]?)([xyz])$/);
+		if (match === null) {
+			break;
+		}
+		index.push("xyz".indexOf(match[2]));
+		sign.push(match[1] === "-" ? -1 : 1);
+	}
+	if (words.length !== 3 || index.length !== 3 || index.slice().sort().join() !== "0,1,2") {
+		throw new Error("座標軸の指定が正しくありません [" + axis + "]");
+	}
+	return { index: index, sign: sign };
+};
+
+/**
+ * 読み込み時のオプションに従い、メッシュの座標系と大きさを変換します。
+ *
+ * - 座標軸の入れ替え（axis）、Z軸の反転（flip）、拡大縮小（scale）、中心の移動（center）の順に適用します
+ * - 変換によって鏡像になる場合は、S3TriangleIndex.inverseTriangle で面の向きを反転します
+ * - 複数のメッシュを渡した場合、center はすべてのメッシュを合わせた範囲の中心を原点にします
+ *
+ * @param {S3System} s3system S3Systemインスタンス
+ * @param {Array<S3Mesh>} meshes 変換するメッシュ
+ * @param {S3MeshLoaderOption} [option] 読み込み時のオプション
+ */
+const convertMeshes = function (s3system, meshes, option) {
+	if (!option) {
+		return;
+	}
+	const axis = option.axis ? parseAxis(option.axis) : { index: [0, 1, 2], sign: [1, 1, 1] };
+	const scale = typeof option.scale === "number" ? option.scale : 1.0;
+	if (!option.axis && !option.flip && scale === 1.0 && !option.center) {
+		return;
+	}
+	const index = axis.index;
+	const sign = axis.sign;
+	if (option.flip) {
+		sign[2] = -sign[2];
+	}
+	// 軸の並べ替えが奇置換の場合や、符号の反転が奇数回の場合は鏡像になる
+	let det = sign[0] * sign[1] * sign[2] * (scale < 0 ? -1 : 1);
+	for (let i = 0; i < 3; i++) {
+		for (let j = i + 1; j < 3; j++) {
+			if (index[i] > index[j]) {
+				det = -det;
+			}
+		}
+	}
+	/**
+	 * @param {S3Vector} v
+	 * @param {number} rate
+	 * @returns {S3Vector}
+	 */
+	const transform = function (v, rate) {
+		const a = [v.x, v.y, v.z];
+		return new S3Vector(a[index[0]] * sign[0] * rate, a[index[1]] * sign[1] * rate, a[index[2]] * sign[2] * rate);
+	};
+	// 中心の移動量
+	let offset = new S3Vector(0, 0, 0);
+	if (option.center) {
+		let min = null;
+		let max = null;
+		for (let i = 0; i < meshes.length; i++) {
+			const vertices = meshes[i].getVertexArray();
+			for (let j = 0; j < vertices.length; j++) {
+				const p = transform(vertices[j].position, scale);
+				min = min ? new S3Vector(Math.min(min.x, p.x), Math.min(min.y, p.y), Math.min(min.z, p.z)) : p;
+				max = max ? new S3Vector(Math.max(max.x, p.x), Math.max(max.y, p.y), Math.max(max.z, p.z)) : p;
+			}
+		}
+		if (min !== null) {
+			offset = min.add(max).mul(-0.5);
+		}
+	}
+	// 法線は向きだけを変換する
+	const normal_rate = scale < 0 ? -1 : 1;
+	for (let i = 0; i < meshes.length; i++) {
+		const mesh = meshes[i];
+		const vertices = mesh.getVertexArray();
+		for (let j = 0; j < vertices.length; j++) {
+			const vertex = vertices[j];
+			vertices[j] = s3system.createVertex(
+				transform(vertex.position, scale).add(offset),
+				vertex.normal ? transform(vertex.normal, normal_rate) : null,
+				vertex.color
+			);
+		}
+		if (det < 0) {
+			const triangles = mesh.getTriangleIndexArray();
+			for (let j = 0; j < triangles.length; j++) {
+				triangles[j] = triangles[j].inverseTriangle();
+			}
+		}
+		const bones = mesh.getBones();
+		for (let j = 0; j < bones.length; j++) {
+			bones[j] = {
+				name: bones[j].name,
+				parent: bones[j].parent,
+				position: transform(bones[j].position, scale).add(offset)
+			};
+		}
+		const morphs = mesh.getMorphs();
+		for (let j = 0; j < morphs.length; j++) {
+			const offsets = [];
+			for (let k = 0; k < morphs[j].offsets.length; k++) {
+				offsets[k] = {
+					index: morphs[j].offsets[k].index,
+					position: transform(morphs[j].offsets[k].position, scale)
+				};
+			}
+			morphs[j] = { name: morphs[j].name, offsets: offsets };
+		}
+	}
+};
+
+/**
+ * 読み込み中に発生した例外を S3MeshLoaderError に変換します。
+ *
+ * @param {any} e 発生した例外（ローダーが投げた S3MeshLoaderError はそのまま返す）
+ * @param {string} name エラーの表示用の名前（URLまたは形式名）
+ * @returns {S3MeshLoaderError} エラー
+ */
+const toLoaderError = function (e, name) {
+	if (e instanceof S3MeshLoaderError) {
+		return e;
+	}
+	return new S3MeshLoaderError("メッシュを読み込めませんでした [" + name + "] (" + e + ")");
+};
+
+/**
+ * データ本体を指定形式の入出力用関数でS3Meshに変換し、完了時にコールバックを呼び出します。
+ *
+ * @param {S3System} s3system S3Systemインスタンス
+ * @param {S3Mesh} s3mesh 変換先のメッシュ
+ * @param {S3MeshLoaderDataIOFunvction} io 入出力用関数
+ * @param {any} ldata 3Dデータ本体（テキスト、JSON、ArrayBufferなど）
+ * @param {string} url データ取得元URL（直接データの場合は空文字列）
+ * @param {function(S3Mesh):void} [callback] 変換完了後に呼ばれるコールバック
+ * @param {S3MeshLoaderOption} [option] 読み込み時のオプション
+ * @param {function(S3MeshLoaderError): void} [error_callback] 変換に失敗した場合に、コールバックより先にエラーを受け取る関数
+ */
+const inputMesh = function (s3system, s3mesh, io, ldata, url, callback, option, error_callback) {
+	s3mesh._init();
+	s3mesh.setURL(url ? url : null);
+	// エラーの表示用（URLがない場合は形式名）
+	const name = url ? url : io.name;
+	/**
+	 * 読み込み完了時の処理
+	 * @param {boolean} isLoad 読み込みに成功したか
+	 * @param {any} [error] 失敗した原因（S3MeshLoaderError 以外の例外は S3MeshLoaderError に変換する）
+	 */
+	const complete = function (isLoad, error) {
+		if (isLoad) {
+			try {
+				convertMeshes(s3system, [s3mesh], option);
+			} catch (e) {
+				isLoad = false;
+				error = toLoaderError(e, name);
+			}
+		}
+		s3mesh.setComplete(isLoad);
+		if (!isLoad && error_callback) {
+			error_callback(
+				error
+					? toLoaderError(error, name)
+					: new S3MeshLoaderError("メッシュを読み込めませんでした [" + name + "]")
+			);
+		}
+		if (callback) {
+			callback(s3mesh);
+		}
+	};
+	let isLoad;
+	try {
+		isLoad = io.input(s3system, s3mesh, ldata, url, complete, option);
+	} catch (e) {
+		// strict モードでの不正なデータや、パース中の例外
+		complete(false, toLoaderError(e, name));
+		return;
+	}
+	// null の場合は非同期で読み込み中
+	if (isLoad !== null) {
+		complete(isLoad);
+	}
+};
+
+/**
+ * メッシュのマテリアルが参照するテクスチャの読み込みを待ちます。
+ *
+ * @param {S3Mesh} s3mesh メッシュ
+ * @returns {Promise<any>} すべてのテクスチャの読み込みが完了したらresolveする
+ */
+const whenTexturesLoaded = function (s3mesh) {
+	const materials = s3mesh.getMaterialArray();
+	const textures = [];
+	for (let i = 0; i < materials.length; i++) {
+		textures.push(materials[i].textureColor.whenLoaded());
+		textures.push(materials[i].textureNormal.whenLoaded());
+	}
+	return Promise.all(textures);
+};
+
+/**
+ * 文字列をUTF-8にした場合のバイト数を取得します。
+ *
+ * @param {string} text 文字列
+ * @returns {number} バイト数
+ */
+const getUTF8Length = function (text) {
+	let length = 0;
+	for (let i = 0; i < text.length; i++) {
+		const c = text.charCodeAt(i);
+		if (c < 0x80) {
+			length += 1;
+		} else if (c < 0x800) {
+			length += 2;
+		} else if (c >= 0xd800 && c <= 0xdbff && i + 1 < text.length) {
+			// サロゲートペア
+			length += 4;
+			i++;
+		} else {
+			length += 3;
+		}
+	}
+	return length;
+};
+
+/**
+ * ストリームの読み込み元
+ * @typedef {Object} S3MeshLoaderStreamReader
+ * @property {function(): Promise<{done: boolean, value: any}>} read 次のデータを取得する
+ * @property {function(): void} cancel 読み込みを中断する
+ * @property {?number} total 全体のバイト数（分からない場合はnull）
+ * @property {string} url 取得元URL（分からない場合は空文字列）
+ */
+
+/**
+ * ストリーム、文字列の配列、またはURLから、データを順に取得する読み込み元を作成します。
+ * URLは S3System のリソース読み込み処理で取得します。
+ *
+ * @param {S3System} s3system S3Systemインスタンス
+ * @param {any} source ReadableStream、文字列の配列、またはURL
+ * @returns {Promise<S3MeshLoaderStreamReader>} 読み込み元
+ */
+const openStream = function (s3system, source) {
+	if (source instanceof Array) {
+		let index = 0;
+		let total = 0;
+		for (let i = 0; i < source.length; i++) {
+			total += getUTF8Length(source[i]);
+		}
+		return Promise.resolve({
+			read: function () {
+				if (index >= source.length) {
+					return Promise.resolve({ done: true, value: undefined });
+				}
+				return Promise.resolve({ done: false, value: source[index++] });
+			},
+			cancel: function () {
+				index = source.length;
+			},
+			total: total,
+			url: ""
+		});
+	}
+	if (source && typeof source.getReader === "function") {
+		const reader = source.getReader();
+		return Promise.resolve({
+			read: function () {
+				return reader.read();
+			},
+			cancel: function () {
+				reader.cancel();
+			},
+			total: null,
+			url: ""
+		});
+	}
+	if (typeof source === "string") {
+		const loader = s3system.getResourceLoader();
+		return new Promise(function (resolve, reject) {
+			/**
+			 * @param {string} message
+			 */
+			const errorCallback = function (message) {
+				reject(new S3MeshLoaderError(message));
+			};
+			if (typeof loader.openStream === "function") {
+				loader.openStream(
+					source,
+					function (stream) {
+						resolve({
+							read: function () {
+								return stream.read();
+							},
+							cancel: function () {
+								stream.cancel();
+							},
+							total: stream.total,
+							url: source
+						});
+					},
+					errorCallback
+				);
+				return;
+			}
+			// 少しずつ読み込めない場合はまとめて取得する
+			s3system._download(
+				source,
+				/**
+				 * @param {string} text
+				 */
+				function (text) {
+					openStream(s3system, [text]).then(function (reader) {
+						reader.url = source;
+						resolve(reader);
+					});
+				},
+				false,
+				errorCallback
+			);
+		});
+	}
+	return Promise.reject(new S3MeshLoaderError("ストリームから読み込めないデータです"));
+};
 
 /**
  * 3DCGメッシュデータの入出力を管理するローダー
  *
- * MQO/OBJ/JSONなど、各種3DフォーマットからS3Meshインスタンスへの変換（インポート）、
+ * MQO/OBJ/JSON/glTF/GLB/S3B/STL/PLYなど、各種3DフォーマットからS3Meshインスタンスへの変換（インポート）、
  * およびS3Meshから各形式へのエクスポート（出力）をまとめて扱うユーティリティオブジェクトです。
  *
  * 利用例:
@@ -37,77 +639,508 @@ const S3MeshLoader = {
 	 *
 	 * - 文字列（URL）の場合はダウンロードして自動的にインポート
 	 * - テキスト／データ本体の場合は直接パース
+	 * - ArrayBufferの場合はバイナリ形式（GLB、S3Bなど）としてパース
+	 * - 形式が未指定の場合や、拡張子のないURLの場合は、MIMEタイプやデータの内容から形式を判別
 	 * - コールバックを指定すると非同期処理後に呼ばれます
+	 * - 読み込みに失敗した場合は、コールバックには未完成（isComplete() が false）のメッシュが渡され、
+	 *   option.onerror に S3MeshLoaderError が渡されます
 	 *
 	 * @param {S3System} s3system S3Systemインスタンス（S3Mesh生成等に必要）
-	 * @param {string|Object} data 3Dデータ本体またはデータ取得用URL
-	 * @param {string} [type] データの拡張子（"JSON", "MQO", "OBJ"）, data がURLの場合は自動判別されます。
+	 * @param {string|Object|ArrayBuffer} data 3Dデータ本体またはデータ取得用URL
+	 * @param {string} [type] データの形式（"JSON", "MQO", "OBJ", "GLTF", "GLB", "STL", "PLY" などの形式名、拡張子、MIMEタイプ）, data がURLの場合は自動判別されます。
 	 * @param {function(S3Mesh):void} [callback] データインポート後に呼ばれるコールバック（省略時は即時同期）
+	 * @param {S3MeshLoaderOption} [option] 読み込み時のオプション
 	 * @returns {S3Mesh} 生成されたS3Meshインスタンス（非同期時も仮のインスタンスを返す）
 	 */
-	inputData: function (s3system, data, type, callback) {
+	inputData: function (s3system, data, type, callback, option) {
 		const s3mesh = s3system.createMesh();
-		let this_type = type ? type.toUpperCase() : "";
+		const error_callback = option && option.onerror ? option.onerror : undefined;
+		requestData(
+			s3system,
+			data,
+			type,
+			function (ldata, url, io) {
+				if (io !== null) {
+					inputMesh(s3system, s3mesh, io, ldata, url, callback, option, error_callback);
+				} else if (error_callback) {
+					error_callback(new S3MeshLoaderError("対応していない形式です [" + (url ? url : type) + "]"));
+				}
+			},
+			function (message) {
+				if (error_callback) {
+					error_callback(new S3MeshLoaderError(message));
+				}
+			}
+		);
+		return s3mesh;
+	},
 
+	/**
+	 * 任意の3Dデータを、ファイル内のオブジェクトごとのS3Meshに変換（インポート）します。
+	 *
+	 * - オブジェクトの構造を持つ形式（MQO）では、オブジェクトごとのメッシュと親子関係を取得します
+	 * - それ以外の形式では、inputData と同じメッシュを持つ1つのオブジェクトになります
+	 * - URLの場合は非同期で読み込まれ、完了後に返り値の配列へ追加されます
+	 *
+	 * @param {S3System} s3system S3Systemインスタンス（S3Mesh生成等に必要）
+	 * @param {string|Object|ArrayBuffer} data 3Dデータ本体またはデータ取得用URL
+	 * @param {string} [type] データの拡張子（"MQO" など）, data がURLの場合は自動判別されます。
+	 * @param {function(Array<S3MeshLoaderObject>):void} [callback] データインポート後に呼ばれるコールバック
+	 * @param {S3MeshLoaderOption} [option] 読み込み時のオプション
+	 * @returns {Array<S3MeshLoaderObject>} ファイル内の順序でのオブジェクトの一覧（非同期時は完了後に追加される）
+	 *
+	 * @example
+	 * S3MeshLoader.inputObjects(s3, "model.mqo", null, function (objects) {
+	 * 	for (let i = 0; i < objects.length; i++) {
+	 * 		if (objects[i].visible) {
+	 * 			const model = s3.createModel();
+	 * 			model.setMesh(objects[i].mesh);
+	 * 			scene.addModel(model);
+	 * 		}
+	 * 	}
+	 * });
+	 */
+	inputObjects: function (s3system, data, type, callback, option) {
+		/**
+		 * @type {Array<S3MeshLoaderObject>}
+		 */
+		const objects = [];
+		const error_callback = option && option.onerror ? option.onerror : undefined;
 		/**
-		 * データ本体を指定フォーマットでS3Meshに変換し、必要ならコールバックを呼び出します。
-		 *
-		 * @param {string|any} ldata 3Dデータ本体（テキストまたはJSONなど）
-		 * @param {string} url データ取得元URL（直接データの場合は空文字列）
+		 * ダウンロードや変換に失敗した場合の処理
+		 * @param {S3MeshLoaderError} error
 		 */
-		const load = function (ldata, url) {
-			s3mesh._init();
-			for (let i = 0; i < DATA_IO_FUNCTION.length; i++) {
-				if (DATA_IO_FUNCTION[i].name === this_type) {
-					const isLoad = DATA_IO_FUNCTION[i].input(s3system, s3mesh, ldata, url);
-					s3mesh.setComplete(isLoad);
+		const onError = function (error) {
+			if (error_callback) {
+				error_callback(error);
+			}
+		};
+		requestData(
+			s3system,
+			data,
+			type,
+			function (ldata, url, io) {
+				if (io === null) {
+					onError(new S3MeshLoaderError("対応していない形式です [" + (url ? url : type) + "]"));
+					return;
+				}
+				if (io.inputObjects) {
+					try {
+						const list = io.inputObjects(s3system, ldata, url, option);
+						const meshes = [];
+						for (let i = 0; i < list.length; i++) {
+							meshes.push(list[i].mesh);
+						}
+						convertMeshes(s3system, meshes, option);
+						for (let i = 0; i < list.length; i++) {
+							objects.push(list[i]);
+						}
+					} catch (e) {
+						// 失敗した場合も、空の一覧でコールバックを呼ぶ
+						onError(toLoaderError(e, url ? url : io.name));
+					}
 					if (callback) {
-						callback(s3mesh);
+						callback(objects);
 					}
+					return;
 				}
+				const s3mesh = s3system.createMesh();
+				objects.push({
+					name: "",
+					mesh: s3mesh,
+					visible: true,
+					depth: 0,
+					parent: null,
+					children: []
+				});
+				inputMesh(
+					s3system,
+					s3mesh,
+					io,
+					ldata,
+					url,
+					function () {
+						if (callback) {
+							callback(objects);
+						}
+					},
+					option,
+					onError
+				);
+			},
+			function (message) {
+				onError(new S3MeshLoaderError(message));
 			}
-		};
-		/**
-		 * データのダウンロード完了時に呼ばれるコールバック関数。
-		 * ダウンロードしたテキストデータを `load` 関数へ渡し、メッシュへのインポート処理を行います。
-		 * @param {string} text 取得した3Dデータ本体（テキストデータ）
-		 */
-		const downloadCallback = function (text) {
-			load(text, typeof data === "string" ? data : undefined);
-		};
-		// 文字列がある場合
-		if (typeof data === "string" && data.indexOf("\n") === -1) {
-			// 拡張子が設定されている場合
-			if (data.indexOf(".") !== -1) {
-				const ext = data.split(".").pop();
-				for (let i = 0; i < DATA_IO_FUNCTION.length; i++) {
-					if (DATA_IO_FUNCTION[i].name === ext.toUpperCase()) {
-						this_type = ext.toUpperCase();
-						s3system._download(data, downloadCallback);
+		);
+		return objects;
+	},
+
+	/**
+	 * 任意の3Dデータを指定形式でS3Meshに変換（インポート）し、Promiseで返します。
+	 *
+	 * - inputData と同じ形式のデータを受け付けます
+	 * - メッシュと、マテリアルが参照するすべてのテクスチャの読み込みが完了してからresolveします
+	 * - ダウンロードの失敗、未対応の形式、パースの失敗時は S3MeshLoaderError で、テクスチャの読み込みの失敗時はErrorでrejectします
+	 * - option.strict を指定すると、不正なデータがあった場合に問題の内容（diagnostics）を持つ S3MeshLoaderError でrejectします
+	 *
+	 * @param {S3System} s3system S3Systemインスタンス（S3Mesh生成等に必要）
+	 * @param {string|Object|ArrayBuffer} data 3Dデータ本体またはデータ取得用URL
+	 * @param {string} [type] データの拡張子（"JSON", "MQO", "OBJ" など）, data がURLの場合は自動判別されます。
+	 * @param {S3MeshLoaderOption} [option] 読み込み時のオプション
+	 * @returns {Promise<S3Mesh>} 読み込みが完了したS3Meshインスタンス
+	 *
+	 * @example
+	 * const mesh = await S3MeshLoader.loadMesh(s3, "./model.obj");
+	 */
+	loadMesh: function (s3system, data, type, option) {
+		return new Promise(function (resolve, reject) {
+			// エラーの表示用（URLがない場合は形式名）
+			let name = type ? type : "";
+			/**
+			 * @param {S3Mesh} s3mesh
+			 */
+			const loadCallback = function (s3mesh) {
+				if (!s3mesh.isComplete()) {
+					// エラーは inputMesh から reject 済み
+					return;
+				}
+				whenTexturesLoaded(s3mesh).then(function () {
+					resolve(s3mesh);
+				}, reject);
+			};
+			const s3mesh = s3system.createMesh();
+			requestData(
+				s3system,
+				data,
+				type,
+				function (ldata, url, io) {
+					if (url) {
+						name = url;
 					}
+					if (io === null) {
+						reject(new S3MeshLoaderError("対応していない形式です [" + name + "]"));
+						return;
+					}
+					inputMesh(s3system, s3mesh, io, ldata, url, loadCallback, option, reject);
+				},
+				function (message) {
+					reject(new S3MeshLoaderError(message));
 				}
+			);
+		});
+	},
+
+	/**
+	 * テキスト形式の3Dデータを少しずつ解析してS3Meshに変換（インポート）し、Promiseで返します。
+	 *
+	 * - ReadableStream（fetch の response.body など）、順に届く文字列の配列、またはURLから読み込みます
+	 * - URLは S3System のリソース読み込み処理で取得します（Node.js ではローカルのファイルも少しずつ読み込みます）
+	 * - 一定の大きさごとに解析を中断して処理を返すため、大きなファイルでも画面が固まりません
+	 * - 解析するたびに option.onprogress へ進捗（解析済みのバイト数、面の数）を渡します
+	 * - 対応している形式は createParser を持つ形式（OBJ）のみです
+	 * - 完了時やエラー時の扱いは loadMesh と同じです
+	 *
+	 * @param {S3System} s3system S3Systemインスタンス（S3Mesh生成等に必要）
+	 * @param {ReadableStream|Array<string>|string} source データのストリーム、文字列の配列、またはデータ取得用URL
+	 * @param {string} [type] データの形式（"OBJ" など）, source がURLの場合は拡張子から判別されます。
+	 * @param {S3MeshLoaderOption} [option] 読み込み時のオプション
+	 * @returns {Promise<S3Mesh>} 読み込みが完了したS3Meshインスタンス
+	 *
+	 * @example
+	 * const mesh = await S3MeshLoader.loadMeshStream(s3, "./large.obj", "OBJ", {
+	 * 	onprogress: function (progress) {
+	 * 		bar.value = progress.total ? progress.bytes / progress.total : 0;
+	 * 	}
+	 * });
+	 */
+	loadMeshStream: function (s3system, source, type, option) {
+		return new Promise(function (resolve, reject) {
+			let io = type ? getDataIO(type) : null;
+			if (io === null && !type && typeof source === "string") {
+				const ext = getURLExtension(source);
+				io = ext ? getDataIO(ext) : null;
 			}
-		}
-		load(data, "");
-		return s3mesh;
+			// エラーの表示用（URLがない場合は形式名）
+			const name = typeof source === "string" ? source : type ? type : "";
+			if (io === null || !io.createParser) {
+				reject(new S3MeshLoaderError("ストリームからの読み込みに対応していない形式です [" + name + "]"));
+				return;
+			}
+			const parser = io.createParser(option);
+			const decoder = typeof TextDecoder !== "undefined" ? new TextDecoder("utf-8", { ignoreBOM: true }) : null;
+			const onprogress = option && option.onprogress ? option.onprogress : null;
+			openStream(s3system, source).then(function (reader) {
+				let bytes = 0;
+				let is_first = true;
+				/**
+				 * 届いたが未解析の文字列
+				 * @type {string}
+				 */
+				let pending = "";
+
+				/**
+				 * 解析を終えてメッシュを作成する
+				 */
+				const finish = function () {
+					if (decoder) {
+						parser.push(decoder.decode());
+					}
+					/**
+					 * @type {S3MeshLoaderDataIOFunvction}
+					 */
+					const stream_io = {
+						name: io.name,
+						input: function (sys, mesh, ldata, url, complete) {
+							return parser.end(sys, mesh, url, complete);
+						}
+					};
+					/**
+					 * @param {S3Mesh} s3mesh
+					 */
+					const loadCallback = function (s3mesh) {
+						if (!s3mesh.isComplete()) {
+							// エラーは inputMesh から reject 済み
+							return;
+						}
+						whenTexturesLoaded(s3mesh).then(function () {
+							resolve(s3mesh);
+						}, reject);
+					};
+					inputMesh(
+						s3system,
+						s3system.createMesh(),
+						stream_io,
+						null,
+						reader.url,
+						loadCallback,
+						option,
+						reject
+					);
+				};
+
+				/**
+				 * 未解析の文字列を少し解析し、処理を返してから続きを解析する
+				 */
+				const next = function () {
+					if (pending.length === 0) {
+						reader
+							.read()
+							.then(function (result) {
+								if (result.done) {
+									finish();
+									return;
+								}
+								let text = result.value;
+								if (typeof text !== "string") {
+									// バイト列の場合は、文字の途中で区切られていても続きと合わせて変換する
+									const data = new Uint8Array(text);
+									text = decoder ? decoder.decode(data, { stream: true }) : S3File.decodeUTF8(data);
+								}
+								if (is_first) {
+									// BOMは除く（進捗のバイト数には含める）
+									if (text.charCodeAt(0) === 0xfeff) {
+										text = text.substring(1);
+										bytes += 3;
+									}
+									is_first = false;
+								}
+								pending = text;
+								next();
+							})
+							.catch(function (e) {
+								reject(toLoaderError(e, name));
+							});
+						return;
+					}
+					let length = Math.min(pending.length, STREAM_CHUNK_LENGTH);
+					const c = pending.charCodeAt(length - 1);
+					if (length < pending.length && c >= 0xd800 && c <= 0xdbff) {
+						// サロゲートペアの途中で区切らない
+						length--;
+					}
+					const text = pending.substring(0, length);
+					pending = pending.substring(length);
+					try {
+						parser.push(text);
+					} catch (e) {
+						// strict モードでの不正なデータ
+						reader.cancel();
+						reject(toLoaderError(e, name));
+						return;
+					}
+					bytes += getUTF8Length(text);
+					if (onprogress) {
+						onprogress({ bytes: bytes, total: reader.total, faces: parser.getFaceCount() });
+					}
+					setTimeout(next, 0);
+				};
+				next();
+			}, reject);
+		});
+	},
+
+	/**
+	 * 任意の3Dデータを、モデルを配置したS3Sceneに変換（インポート）し、Promiseで返します。
+	 *
+	 * - シーンの構造を持つ形式（COLLADA）では、ノードごとに配置したモデルを持つシーンになります
+	 * - それ以外の形式では、loadMesh と同じメッシュを持つ1つのモデルを原点に配置したシーンになります
+	 * - 読み込み時のオプションの axis, flip, scale, center は、シーンの構造を持たない形式の場合のみ使用します
+	 * - すべてのモデルのマテリアルが参照するテクスチャの読み込みが完了してからresolveします
+	 * - ダウンロードの失敗、未対応の形式、パースの失敗時は S3MeshLoaderError で、テクスチャの読み込みの失敗時はErrorでrejectします
+	 *
+	 * @param {S3System} s3system S3Systemインスタンス（S3Scene生成等に必要）
+	 * @param {string|Object|ArrayBuffer} data 3Dデータ本体またはデータ取得用URL
+	 * @param {string} [type] データの拡張子（"DAE", "OBJ" など）, data がURLの場合は自動判別されます。
+	 * @param {S3MeshLoaderOption} [option] 読み込み時のオプション
+	 * @returns {Promise<S3Scene>} 読み込みが完了したS3Sceneインスタンス
+	 *
+	 * @example
+	 * const scene = await S3MeshLoader.loadScene(s3, "./room.dae");
+	 */
+	loadScene: function (s3system, data, type, option) {
+		return new Promise(function (resolve, reject) {
+			// エラーの表示用（URLがない場合は形式名）
+			let name = type ? type : "";
+			/**
+			 * @param {S3Scene} scene
+			 */
+			const loadCallback = function (scene) {
+				// マテリアルが参照するテクスチャの読み込みを待つ
+				const models = scene.getModels();
+				const textures = [];
+				for (let i = 0; i < models.length; i++) {
+					const materials = models[i].getMesh().getMaterialArray();
+					for (let j = 0; j < materials.length; j++) {
+						textures.push(materials[j].textureColor.whenLoaded());
+						textures.push(materials[j].textureNormal.whenLoaded());
+					}
+				}
+				Promise.all(textures).then(function () {
+					resolve(scene);
+				}, reject);
+			};
+			requestData(
+				s3system,
+				data,
+				type,
+				function (ldata, url, io) {
+					if (url) {
+						name = url;
+					}
+					if (io === null) {
+						reject(new S3MeshLoaderError("対応していない形式です [" + name + "]"));
+						return;
+					}
+					if (io.inputScene) {
+						let scene;
+						try {
+							scene = io.inputScene(s3system, ldata, url, option);
+						} catch (e) {
+							reject(new S3MeshLoaderError("シーンを読み込めませんでした [" + name + "] (" + e + ")"));
+							return;
+						}
+						if (scene === null) {
+							reject(new S3MeshLoaderError("シーンを読み込めませんでした [" + name + "]"));
+							return;
+						}
+						loadCallback(scene);
+						return;
+					}
+					inputMesh(
+						s3system,
+						s3system.createMesh(),
+						io,
+						ldata,
+						url,
+						function (s3mesh) {
+							if (!s3mesh.isComplete()) {
+								// エラーは inputMesh から reject 済み
+								return;
+							}
+							const scene = s3system.createScene();
+							const model = s3system.createModel();
+							model.setMesh(s3mesh);
+							scene.addModel(model);
+							loadCallback(scene);
+						},
+						option,
+						reject
+					);
+				},
+				function (message) {
+					reject(new S3MeshLoaderError(message));
+				}
+			);
+		});
 	},
 
 	/**
 	 * S3Meshインスタンスを指定フォーマットでエクスポート（テキスト化）します。
+	 * GLTF, GLB 形式では S3Scene を渡すとモデルの配置・カメラ・ライトも含めて出力します。
+	 *
+	 * @param {S3Mesh|S3Scene} s3mesh 出力対象のメッシュ（またはシーン）
+	 * @param {string} type 出力の形式（"JSON"、"MQO"、"OBJ"、"GLTF"、"GLB"、"S3B"、"STL" など）
+	 * @param {S3MeshLoaderOption} [option] 出力時のオプション
+	 * @returns {string|ArrayBuffer} 指定フォーマットのテキストデータ（GLB、S3B、バイナリSTLの場合はArrayBuffer）
+	 */
+	outputData: function (s3mesh, type, option) {
+		const io = getDataIO(type);
+		if (io !== null && io.output) {
+			return io.output(s3mesh, option);
+		}
+		return null;
+	},
+
+	/**
+	 * 入出力形式を登録します。
+	 *
+	 * - 同じ名前の形式が登録済みの場合は置き換えます（標準の形式も置き換えられます）
+	 * - extensions の拡張子のURL、mime のMIMEタイプで応答したURL、sniff で判定できるデータを読み込めるようになります
+	 *
+	 * @param {S3MeshLoaderDataIOFunvction} format 入出力用関数（name と input は必須）
 	 *
-	 * @param {S3Mesh} s3mesh 出力対象のメッシュ
-	 * @param {string} type 出力の形式（"JSON"、"MQO"、"OBJ" など）
-	 * @returns {string} 指定フォーマットのテキストデータ
+	 * @example
+	 * S3MeshLoader.registerFormat({
+	 * 	name: "XYZ",
+	 * 	extensions: ["xyz"],
+	 * 	input: function (sys, mesh, text) {
+	 * 		// text を解析して mesh に頂点や面を追加する
+	 * 		return true;
+	 * 	}
+	 * });
 	 */
-	outputData: function (s3mesh, type) {
+	registerFormat: function (format) {
+		if (!format || typeof format.name !== "string" || typeof format.input !== "function") {
+			throw new Error("形式の名前（name）と入力用の関数（input）が必要です。");
+		}
 		for (let i = 0; i < DATA_IO_FUNCTION.length; i++) {
-			if (DATA_IO_FUNCTION[i].name === type.toUpperCase()) {
-				if (DATA_IO_FUNCTION[i].output) {
-					return DATA_IO_FUNCTION[i].output(s3mesh);
-				}
+			if (DATA_IO_FUNCTION[i].name.toUpperCase() === format.name.toUpperCase()) {
+				DATA_IO_FUNCTION[i] = format;
+				return;
 			}
 		}
-		return null;
+		DATA_IO_FUNCTION.push(format);
+	},
+
+	/**
+	 * 対応している入出力形式の一覧を取得します。
+	 *
+	 * @returns {Array<S3MeshLoaderFormatInfo>} 登録順の形式の情報
+	 */
+	getSupportedFormats: function () {
+		const output = [];
+		for (let i = 0; i < DATA_IO_FUNCTION.length; i++) {
+			const io = DATA_IO_FUNCTION[i];
+			output.push({
+				name: io.name,
+				extensions: getExtensions(io),
+				mime: io.mime ? io.mime.slice() : [],
+				binary: !!io.binary,
+				can_input: typeof io.input === "function",
+				can_output: typeof io.output === "function"
+			});
+		}
+		return output;
 	}
 };
 
@@ -0,0 +1,71 @@
+﻿import fs from "fs";
+import os from "os";
+import path from "path";
+import S3System from "../basic/S3System.js";
+import S3MeshLoader from "./S3MeshLoader.js";
+import S3MeshLoaderError from "./S3MeshLoaderError.js";
+
+const OBJ_TEXT = ["v 0 0 0", "v 1 0 0", "v 1 1 0", "v 0 1 0", "f 1 2 3", "f 1 3 4", ""].join("\n");
+
+describe("S3MeshLoader.loadMeshStream", function () {
+	let dir;
+	beforeAll(function () {
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), "s3js-stream-"));
+		// BOM付きのファイル
+		fs.writeFileSync(path.join(dir, "model.obj"), "\ufeff" + OBJ_TEXT);
+	});
+	afterAll(function () {
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+
+	test("行の途中で分割された文字列から、まとめて読み込んだ場合と同じメッシュを作成する", function () {
+		const sys = new S3System();
+		const chunks = [OBJ_TEXT.substring(0, 10), OBJ_TEXT.substring(10, 31), OBJ_TEXT.substring(31)];
+		return S3MeshLoader.loadMeshStream(sys, chunks, "OBJ").then(function (mesh) {
+			const expected = S3MeshLoader.inputData(sys, OBJ_TEXT, "OBJ");
+			expect(mesh.getVertexArray().length).toBe(expected.getVertexArray().length);
+			expect(mesh.getTriangleIndexArray().length).toBe(2);
+		});
+	});
+
+	test("ファイルから読み込み、最後の進捗が全体のバイト数と面の数になる", function () {
+		const sys = new S3System();
+		const file = path.join(dir, "model.obj");
+		let last = null;
+		const option = {
+			onprogress: function (progress) {
+				last = progress;
+			}
+		};
+		return S3MeshLoader.loadMeshStream(sys, file, undefined, option).then(function (mesh) {
+			expect(mesh.getTriangleIndexArray().length).toBe(2);
+			expect(last.total).toBe(fs.statSync(file).size);
+			expect(last.bytes).toBe(last.total);
+			expect(last.faces).toBe(2);
+		});
+	});
+
+	test("ファイルがない場合は S3MeshLoaderError でrejectする", function () {
+		const sys = new S3System();
+		const promise = S3MeshLoader.loadMeshStream(sys, path.join(dir, "none.obj"));
+		return expect(promise).rejects.toBeInstanceOf(S3MeshLoaderError);
+	});
+
+	test("openStream のないリソース読み込み処理では loadFile でまとめて取得する", function () {
+		const sys = new S3System();
+		const urls = [];
+		sys.setResourceLoader({
+			loadImage: function (url, callback, error_callback) {
+				error_callback("not found [" + url + "]");
+			},
+			loadFile: function (url, callback) {
+				urls.push(url);
+				callback(OBJ_TEXT, null);
+			}
+		});
+		return S3MeshLoader.loadMeshStream(sys, "memory/model.obj").then(function (mesh) {
+			expect(urls).toEqual(["memory/model.obj"]);
+			expect(mesh.getTriangleIndexArray().length).toBe(2);
+		});
+	});
+});
@@ -0,0 +1,793 @@
+﻿import S3System from "../basic/S3System.js";
+import S3Mesh from "../basic/S3Mesh.js";
+import S3Material from "../basic/S3Material.js";
+import S3Scene from "../basic/S3Scene.js";
+import S3Math from "../math/S3Math.js";
+import S3Vector from "../math/S3Vector.js";
+import S3Polygon from "../math/S3Polygon.js";
+import S3Matrix from "../math/S3Matrix.js";
+import S3File from "./S3File.js";
+
+/**
+ * XMLの要素
+ * @typedef {Object} S3XMLElement
+ * @property {string} name 要素名
+ * @property {Object<string, string>} attributes 属性
+ * @property {Array<S3XMLElement>} children 子要素
+ * @property {string} text 要素内のテキスト（子要素のテキストは含まない）
+ */
+
+/**
+ * 文字参照と実体参照を文字へ変換します。
+ *
+ * @param {string} text テキスト
+ * @returns {string} 変換後のテキスト
+ */
+const decodeEntity = function (text) {
+	return text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|lt|gt|amp|quot|apos);/g, function (all, name) {
+		if (name.charAt(0) === "#") {
+			const code = name.charAt(1) === "x" ? parseInt(name.substring(2), 16) : parseInt(name.substring(1), 10);
+			return String.fromCharCode(code);
+		}
+		return { lt: "<", gt: ">", amp: "&", quot: '"', apos: "'" }[
+			/** @type {"lt"|"gt"|"amp"|"quot"|"apos"} */ (name)
+		];
+	});
+};
+
+/**
+ * XMLのテキストを要素の木へ変換します。
+ * DOMParser を使用しないため、ブラウザ以外（Node.js など）でも動作します。
+ * 名前空間は解釈せず、要素名はそのまま（接頭辞付き）で扱います。
+ *
+ * @param {string} text XMLのテキスト
+ * @returns {S3XMLElement|null} ルート要素（解析できない場合はnull）
+ */
+const parseXML = function (text) {
+	/**
+	 * @type {S3XMLElement}
+	 */
+	const root = { name: "", attributes: {}, children: [], text: "" };
+	const stack = [root];
+	const tag =
+		/<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<![^>]*>|<\?[\s\S]*?\?>|<\/\s*([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+	const attribute = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+	let offset = 0;
+	let match;
+	while ((match = tag.exec(text)) !== null) {
+		const current = stack[stack.length - 1];
+		current.text += decodeEntity(text.substring(offset, match.index));
+		offset = tag.lastIndex;
+		if (match[1] !== undefined) {
+			// CDATA
+			current.text += match[1];
+		} else if (match[2] !== undefined) {
+			// 終了タグ
+			if (stack.length > 1) {
+				stack.pop();
+			}
+		} else if (match[3] !== undefined) {
+			// 開始タグ
+			/**
+			 * @type {S3XMLElement}
+			 */
+			const element = { name: match[3], attributes: {}, children: [], text: "" };
+			let attr;
+			attribute.lastIndex = 0;
+			while ((attr = attribute.exec(match[4])) !== null) {
+				element.attributes[attr[1]] = decodeEntity(attr[2] !== undefined ? attr[2] : attr[3]);
+			}
+			current.children.push(element);
+			if (match[5] !== "/") {
+				stack.push(element);
+			}
+		}
+		// コメント、宣言、処理命令は読み飛ばす
+	}
+	return root.children.length > 0 ? root.children[0] : null;
+};
+
+/**
+ * 指定した名前の子要素を取得します。
+ *
+ * @param {S3XMLElement} element 親要素
+ * @param {string} name 要素名
+ * @returns {Array<S3XMLElement>} 子要素の配列
+ */
+const getChildren = function (element, name) {
+	const output = [];
+	for (let i = 0; i < element.children.length; i++) {
+		if (element.children[i].name === name) {
+			output.push(element.children[i]);
+		}
+	}
+	return output;
+};
+
+/**
+ * 指定した名前の最初の子要素を取得します。
+ *
+ * @param {S3XMLElement|null} element 親要素
+ * @param {string} name 要素名
+ * @returns {S3XMLElement|null} 子要素（ない場合はnull）
+ */
+const getChild = function (element, name) {
+	if (element === null) {
+		return null;
+	}
+	for (let i = 0; i < element.children.length; i++) {
+		if (element.children[i].name === name) {
+			return element.children[i];
+		}
+	}
+	return null;
+};
+
+/**
+ * 要素のテキストを数値の配列へ変換します。
+ *
+ * @param {S3XMLElement|null} element 要素
+ * @returns {Array<number>} 数値の配列
+ */
+const toNumberArray = function (element) {
+	if (element === null) {
+		return [];
+	}
+	const text = element.text.trim();
+	if (text === "") {
+		return [];
+	}
+	const words = text.split(/\s+/);
+	const output = [];
+	for (let i = 0; i < words.length; i++) {
+		output[i] = parseFloat(words[i]);
+	}
+	return output;
+};
+
+/**
+ * "#id" 形式の参照から id を取得します。
+ *
+ * @param {string} url 参照
+ * @returns {string} id
+ */
+const toID = function (url) {
+	return url ? url.replace(/^#/, "") : "";
+};
+
+/**
+ * 単位行列
+ * @type {S3Matrix}
+ */
+const IDENTITY = new S3Matrix(1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1);
+
+/**
+ * node 要素の変換（matrix, translate, rotate, scale）を合成した行列を作成します（縦ベクトル用）。
+ *
+ * @param {S3XMLElement} node node 要素
+ * @returns {S3Matrix} ローカル変換行列
+ */
+const getNodeMatrix = function (node) {
+	let matrix = IDENTITY;
+	for (let i = 0; i < node.children.length; i++) {
+		const element = node.children[i];
+		const v = toNumberArray(element);
+		let m = null;
+		if (element.name === "matrix" && v.length >= 16) {
+			// 行優先で格納されている
+			m = new S3Matrix(
+				v[0],
+				v[1],
+				v[2],
+				v[3],
+				v[4],
+				v[5],
+				v[6],
+				v[7],
+				v[8],
+				v[9],
+				v[10],
+				v[11],
+				v[12],
+				v[13],
+				v[14],
+				v[15]
+			);
+		} else if (element.name === "translate" && v.length >= 3) {
+			m = new S3Matrix(1, 0, 0, v[0], 0, 1, 0, v[1], 0, 0, 1, v[2], 0, 0, 0, 1);
+		} else if (element.name === "scale" && v.length >= 3) {
+			m = new S3Matrix(v[0], 0, 0, 0, 0, v[1], 0, 0, 0, 0, v[2], 0, 0, 0, 0, 1);
+		} else if (element.name === "rotate" && v.length >= 4) {
+			const axis = new S3Vector(v[0], v[1], v[2]);
+			if (axis.normFast() === 0.0) {
+				continue;
+			}
+			const n = axis.normalize();
+			const arc = S3Math.radius(v[3]);
+			const c = Math.cos(arc);
+			const s = Math.sin(arc);
+			const t = 1.0 - c;
+			m = new S3Matrix(
+				t * n.x * n.x + c,
+				t * n.x * n.y - s * n.z,
+				t * n.x * n.z + s * n.y,
+				0,
+				t * n.x * n.y + s * n.z,
+				t * n.y * n.y + c,
+				t * n.y * n.z - s * n.x,
+				0,
+				t * n.x * n.z - s * n.y,
+				t * n.y * n.z + s * n.x,
+				t * n.z * n.z + c,
+				0,
+				0,
+				0,
+				0,
+				1
+			);
+		}
+		if (m !== null) {
+			// 記述された順に右から掛ける
+			matrix = matrix.mulMatrix(m);
+		}
+	}
+	return matrix;
+};
+
+/**
+ * 解析したCOLLADAのライブラリ
+ * @typedef {Object} S3DAELibrary
+ * @property {Object<string, S3XMLElement>} ids id を持つ要素
+ * @property {Object<string, S3XMLElement>} sids sid を持つ要素（effect 内の newparam 用）
+ * @property {string} parent_dir テクスチャの参照に使うディレクトリ
+ * @property {S3Matrix} up_matrix 上方向をY軸へ合わせる行列
+ */
+
+/**
+ * id, sid を持つ要素を集めます。
+ *
+ * @param {S3XMLElement} element 要素
+ * @param {S3DAELibrary} library 格納先
+ */
+const collectID = function (element, library) {
+	if (element.attributes.id !== undefined) {
+		library.ids[element.attributes.id] = element;
+	}
+	if (element.attributes.sid !== undefined) {
+		library.sids[element.attributes.sid] = element;
+	}
+	for (let i = 0; i < element.children.length; i++) {
+		collectID(element.children[i], library);
+	}
+};
+
+/**
+ * COLLADAのテキストを解析します。
+ *
+ * @param {string} text COLLADAのテキスト
+ * @param {string} [url] ファイルのURL
+ * @returns {{root: S3XMLElement, library: S3DAELibrary}|null} ルート要素とライブラリ（COLLADAでない場合はnull）
+ */
+const parseDAE = function (text, url) {
+	if (typeof text !== "string") {
+		return null;
+	}
+	const root = parseXML(text);
+	if (root === null || root.name !== "COLLADA") {
+		return null;
+	}
+	// 上方向（Y_UP 以外はY軸が上になるように回転させる）
+	const up_axis = getChild(getChild(root, "asset"), "up_axis");
+	const up = up_axis ? up_axis.text.trim() : "Y_UP";
+	let up_matrix = IDENTITY;
+	if (up === "Z_UP") {
+		up_matrix = new S3Matrix(1, 0, 0, 0, 0, 0, 1, 0, 0, -1, 0, 0, 0, 0, 0, 1);
+	} else if (up === "X_UP") {
+		up_matrix = new S3Matrix(0, -1, 0, 0, 1, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1);
+	}
+	/**
+	 * @type {S3DAELibrary}
+	 */
+	const library = {
+		ids: {},
+		sids: {},
+		parent_dir: url ? new S3File(url).getParent() + "/" : "",
+		up_matrix: up_matrix
+	};
+	collectID(root, library);
+	return { root: root, library: library };
+};
+
+/**
+ * effect 内のテクスチャから画像のURLを取得します。
+ *
+ * @param {S3DAELibrary} library ライブラリ
+ * @param {S3XMLElement} texture texture 要素
+ * @returns {string|null} 画像のURL
+ */
+const getTextureURL = function (library, texture) {
+	let image = library.ids[texture.attributes.texture];
+	if (!image) {
+		// sampler2D の newparam -> surface の newparam -> image の順にたどる
+		const sampler = library.sids[texture.attributes.texture];
+		const sampler2d = getChild(sampler, "sampler2D");
+		const instance_image = getChild(sampler2d, "instance_image");
+		if (instance_image) {
+			image = library.ids[toID(instance_image.attributes.url)];
+		} else {
+			const source = getChild(sampler2d, "source");
+			const surface = source ? getChild(library.sids[source.text.trim()], "surface") : null;
+			const init_from = getChild(surface, "init_from");
+			image = init_from ? library.ids[init_from.text.trim()] : undefined;
+		}
+	}
+	if (!image) {
+		return null;
+	}
+	const init_from = getChild(image, "init_from");
+	if (init_from === null) {
+		return null;
+	}
+	// COLLADA 1.5 は init_from の中の ref にファイル名がある
+	const ref = getChild(init_from, "ref");
+	const path = decodeURIComponent((ref ? ref.text : init_from.text).trim()).replace(/\\/g, "/");
+	if (path === "") {
+		return null;
+	}
+	return /^([a-z][a-z0-9+.-]*:|\/)/i.test(path) ? path.replace(/^file:\/\/(?=\/)/, "") : library.parent_dir + path;
+};
+
+/**
+ * material 要素から S3Material を作成します。
+ *
+ * @param {S3System} sys S3Systemインスタンス
+ * @param {S3DAELibrary} library ライブラリ
+ * @param {string} material_id material 要素の id
+ * @returns {S3Material} マテリアル
+ */
+const createMaterial = function (sys, library, material_id) {
+	const material_element = library.ids[material_id];
+	const name = material_element && material_element.attributes.name ? material_element.attributes.name : material_id;
+	const material = sys.createMaterial(name !== "" ? name : "default");
+	const instance_effect = getChild(material_element ? material_element : null, "instance_effect");
+	const effect = instance_effect ? library.ids[toID(instance_effect.attributes.url)] : null;
+	const technique = getChild(getChild(effect ? effect : null, "profile_COMMON"), "technique");
+	if (technique === null) {
+		return material;
+	}
+	let shader = null;
+	const shader_names = ["phong", "blinn", "lambert", "constant"];
+	for (let i = 0; i < shader_names.length && shader === null; i++) {
+		shader = getChild(technique, shader_names[i]);
+	}
+	if (shader === null) {
+		return material;
+	}
+	/**
+	 * @param {string} name
+	 * @returns {Array<number>|null}
+	 */
+	const getColor = function (name) {
+		const color = toNumberArray(getChild(getChild(shader, name), "color"));
+		return color.length >= 3 ? color : null;
+	};
+	const diffuse = getColor("diffuse");
+	if (diffuse) {
+		material.setColor(new S3Vector(diffuse[0], diffuse[1], diffuse[2], diffuse.length > 3 ? diffuse[3] : 1.0));
+	}
+	const texture = getChild(getChild(shader, "diffuse"), "texture");
+	if (texture) {
+		const texture_url = getTextureURL(library, texture);
+		if (texture_url) {
+			material.setTextureColor(texture_url);
+		}
+	}
+	const specular = getColor("specular");
+	if (specular) {
+		material.setSpecular(new S3Vector(specular[0], specular[1], specular[2]));
+	}
+	const emission = getColor("emission");
+	if (emission) {
+		material.setEmission(new S3Vector(emission[0], emission[1], emission[2]));
+	}
+	const ambient = getColor("ambient");
+	if (ambient) {
+		material.setAmbient(new S3Vector(ambient[0], ambient[1], ambient[2]));
+	}
+	const shininess = toNumberArray(getChild(getChild(shader, "shininess"), "float"));
+	if (shininess.length > 0) {
+		material.setPower(shininess[0]);
+	}
+	return material;
+};
+
+/**
+ * source 要素の値を、要素ごとの配列として取得します。
+ *
+ * @param {S3DAELibrary} library ライブラリ
+ * @param {string} source_id source 要素の id
+ * @returns {Array<Array<number>>} 値の配列
+ */
+const readSource = function (library, source_id) {
+	const source = library.ids[source_id];
+	if (!source) {
+		return [];
+	}
+	const array = toNumberArray(getChild(source, "float_array"));
+	const accessor = getChild(getChild(source, "technique_common"), "accessor");
+	const stride = accessor && accessor.attributes.stride ? parseInt(accessor.attributes.stride, 10) : 3;
+	const count =
+		accessor && accessor.attributes.count ? parseInt(accessor.attributes.count, 10) : array.length / stride;
+	const offset = accessor && accessor.attributes.offset ? parseInt(accessor.attributes.offset, 10) : 0;
+	const output = [];
+	for (let i = 0; i < count; i++) {
+		output.push(array.slice(offset + i * stride, offset + (i + 1) * stride));
+	}
+	return output;
+};
+
+/**
+ * geometry 要素をメッシュへ追加します。
+ *
+ * @param {S3System} sys S3Systemインスタンス
+ * @param {S3Mesh} mesh 追加先のメッシュ
+ * @param {S3DAELibrary} library ライブラリ
+ * @param {S3XMLElement} geometry geometry 要素
+ * @param {Object<string, string>} binding マテリアルのシンボルから material の id への対応
+ * @param {S3Matrix} matrix 頂点に適用する変換行列
+ * @param {Object<string, number>} material_map material の id からメッシュ内のマテリアル番号への対応
+ */
+const addGeometry = function (sys, mesh, library, geometry, binding, matrix, material_map) {
+	const dae_mesh = getChild(geometry, "mesh");
+	if (dae_mesh === null) {
+		return;
+	}
+	const normal_matrix = matrix.inverse3() ? matrix.inverse3().transposed() : matrix;
+	// vertices 要素は POSITION などの入力をまとめたもの
+	const vertices = getChild(dae_mesh, "vertices");
+	/**
+	 * @type {Object<string, string>}
+	 */
+	const vertices_input = {};
+	if (vertices) {
+		const inputs = getChildren(vertices, "input");
+		for (let i = 0; i < inputs.length; i++) {
+			vertices_input[inputs[i].attributes.semantic] = toID(inputs[i].attributes.source);
+		}
+	}
+
+	const primitive_names = ["triangles", "polylist", "polygons"];
+	for (let p = 0; p < dae_mesh.children.length; p++) {
+		const primitive = dae_mesh.children[p];
+		if (primitive_names.indexOf(primitive.name) === -1) {
+			continue;
+		}
+		// 入力の種類ごとのオフセットとデータ
+		let stride = 0;
+		let position_offset = -1;
+		let normal_offset = -1;
+		let uv_offset = -1;
+		let positions = null;
+		let normals = null;
+		let uvs = null;
+		const inputs = getChildren(primitive, "input");
+		for (let i = 0; i < inputs.length; i++) {
+			const input = inputs[i];
+			const offset = parseInt(input.attributes.offset, 10);
+			const source = toID(input.attributes.source);
+			stride = Math.max(stride, offset + 1);
+			if (input.attributes.semantic === "VERTEX") {
+				position_offset = offset;
+				positions = readSource(library, vertices_input.POSITION ? vertices_input.POSITION : source);
+				if (vertices_input.NORMAL && normals === null) {
+					normal_offset = offset;
+					normals = readSource(library, vertices_input.NORMAL);
+				}
+				if (vertices_input.TEXCOORD && uvs === null) {
+					uv_offset = offset;
+					uvs = readSource(library, vertices_input.TEXCOORD);
+				}
+			} else if (input.attributes.semantic === "NORMAL") {
+				normal_offset = offset;
+				normals = readSource(library, source);
+			} else if (
+				input.attributes.semantic === "TEXCOORD" &&
+				(uv_offset === -1 || !input.attributes.set || input.attributes.set === "0")
+			) {
+				uv_offset = offset;
+				uvs = readSource(library, source);
+			}
+		}
+		if (positions === null || stride === 0) {
+			continue;
+		}
+
+		// 多角形ごとの頂点数
+		/**
+		 * @type {Array<Array<number>>}
+		 */
+		const polygons = [];
+		if (primitive.name === "triangles") {
+			const index = toNumberArray(getChild(primitive, "p"));
+			for (let i = 0; i + stride * 3 <= index.length; i += stride * 3) {
+				polygons.push(index.slice(i, i + stride * 3));
+			}
+		} else if (primitive.name === "polylist") {
+			const index = toNumberArray(getChild(primitive, "p"));
+			const vcount = toNumberArray(getChild(primitive, "vcount"));
+			let offset = 0;
+			for (let i = 0; i < vcount.length; i++) {
+				polygons.push(index.slice(offset, offset + vcount[i] * stride));
+				offset += vcount[i] * stride;
+			}
+		} else {
+			const p_list = getChildren(primitive, "p");
+			for (let i = 0; i < p_list.length; i++) {
+				polygons.push(toNumberArray(p_list[i]));
+			}
+		}
+
+		// マテリアル
+		const symbol = primitive.attributes.material ? primitive.attributes.material : "";
+		const material_id = binding[symbol] !== undefined ? binding[symbol] : symbol;
+		if (material_map[material_id] === undefined) {
+			material_map[material_id] = mesh.getMaterialArray().length;
+			mesh.addMaterial(createMaterial(sys, library, material_id));
+		}
+		const material_index = material_map[material_id];
+
+		// 頂点（位置と法線の組み合わせごとに1つの頂点とする）
+		/**
+		 * @type {Object<string, number>}
+		 */
+		const vertex_map = {};
+		/**
+		 * @param {Array<number>} polygon
+		 * @param {number} corner
+		 * @returns {number}
+		 */
+		const getVertex = function (polygon, corner) {
+			const v = polygon[corner * stride + position_offset];
+			const n = normal_offset >= 0 ? polygon[corner * stride + normal_offset] : -1;
+			const key = v + "/" + n;
+			if (vertex_map[key] === undefined) {
+				const p = positions[v];
+				const position = matrix.mulVector(new S3Vector(p[0], p[1], p[2], 1));
+				let normal = undefined;
+				if (n >= 0 && normals[n]) {
+					const vn = normal_matrix.mulVector(new S3Vector(normals[n][0], normals[n][1], normals[n][2], 0));
+					if (vn.normFast() !== 0.0) {
+						normal = vn.normalize();
+					}
+				}
+				vertex_map[key] = mesh.getVertexArray().length;
+				mesh.addVertex(sys.createVertex(new S3Vector(position.x, position.y, position.z), normal));
+			}
+			return vertex_map[key];
+		};
+
+		// 面の保存（多角形は三角形に分割し、OBJと同様に面の向きを反転させる）
+		for (let i = 0; i < polygons.length; i++) {
+			const polygon = polygons[i];
+			const count = Math.floor(polygon.length / stride);
+			const polygon_positions = [];
+			for (let j = 0; j < count; j++) {
+				const p = positions[polygon[j * stride + position_offset]];
+				polygon_positions[j] = p ? new S3Vector(p[0], p[1], p[2]) : null;
+			}
+			const triangles = S3Polygon.triangulate(polygon_positions);
+			for (let j = 0; j < triangles.length; j += 3) {
+				const corner = [triangles[j + 2], triangles[j + 1], triangles[j]];
+				const index = [];
+				let uv = undefined;
+				for (let k = 0; k < 3; k++) {
+					index[k] = getVertex(polygon, corner[k]);
+				}
+				if (uv_offset >= 0 && uvs) {
+					uv = [];
+					for (let k = 0; k < 3; k++) {
+						const t = uvs[polygon[corner[k] * stride + uv_offset]];
+						// Vは反転させる
+						uv[k] = t ? new S3Vector(t[0], 1.0 - t[1]) : new S3Vector(0, 0);
+					}
+				}
+				mesh.addTriangleIndex(sys.createTriangleIndex(0, 1, 2, index, material_index, uv));
+			}
+		}
+	}
+};
+
+/**
+ * instance_geometry 要素のマテリアルの対応を取得します。
+ *
+ * @param {S3XMLElement} instance instance_geometry 要素
+ * @returns {Object<string, string>} シンボルから material の id への対応
+ */
+const getBinding = function (instance) {
+	/**
+	 * @type {Object<string, string>}
+	 */
+	const binding = {};
+	const technique = getChild(getChild(instance, "bind_material"), "technique_common");
+	if (technique) {
+		const list = getChildren(technique, "instance_material");
+		for (let i = 0; i < list.length; i++) {
+			binding[list[i].attributes.symbol] = toID(list[i].attributes.target);
+		}
+	}
+	return binding;
+};
+
+/**
+ * 表示するシーンの node をたどり、instance_geometry ごとにコールバックを呼びます。
+ *
+ * @param {S3XMLElement} root ルート要素
+ * @param {S3DAELibrary} library ライブラリ
+ * @param {function(S3XMLElement, S3XMLElement, S3Matrix): void} callback instance_geometry、geometry、ワールド行列を受け取る
+ * @returns {boolean} シーンが見つかった場合はtrue
+ */
+const forEachInstance = function (root, library, callback) {
+	const instance_scene = getChild(getChild(root, "scene"), "instance_visual_scene");
+	let visual_scene = instance_scene ? library.ids[toID(instance_scene.attributes.url)] : null;
+	if (!visual_scene) {
+		visual_scene = getChild(getChild(root, "library_visual_scenes"), "visual_scene");
+	}
+	if (!visual_scene) {
+		return false;
+	}
+	/**
+	 * @param {S3XMLElement} node
+	 * @param {S3Matrix} parent_matrix
+	 * @param {number} depth 循環参照を防ぐための深さ
+	 */
+	const addNode = function (node, parent_matrix, depth) {
+		if (depth > 64) {
+			return;
+		}
+		const matrix = parent_matrix.mulMatrix(getNodeMatrix(node));
+		for (let i = 0; i < node.children.length; i++) {
+			const child = node.children[i];
+			if (child.name === "instance_geometry") {
+				const geometry = library.ids[toID(child.attributes.url)];
+				if (geometry) {
+					callback(child, geometry, matrix);
+				}
+			} else if (child.name === "node") {
+				addNode(child, matrix, depth + 1);
+			} else if (child.name === "instance_node") {
+				const instance_node = library.ids[toID(child.attributes.url)];
+				if (instance_node) {
+					addNode(instance_node, matrix, depth + 1);
+				}
+			}
+		}
+	};
+	const nodes = getChildren(visual_scene, "node");
+	for (let i = 0; i < nodes.length; i++) {
+		addNode(nodes[i], library.up_matrix, 0);
+	}
+	return true;
+};
+
+/**
+ * COLLADA形式による3DCGメッシュデータの入力ユーティリティ
+ *
+ * - S3MeshLoader から拡張子 "dae" で利用されます。
+ * - library_geometries の triangles / polylist / polygons、library_materials / library_effects のマテリアル、
+ *   library_visual_scenes のノードの変換に対応します。
+ * - XMLは独自の簡易パーサで解析するため、DOMParser のない環境（Node.js など）でも動作します。
+ * - input ではノードの変換を頂点へ適用して1つのメッシュにまとめ、
+ *   inputScene ではノードごとに S3Model を配置した S3Scene を作成します。
+ * - up_axis が Z_UP / X_UP の場合は、Y軸が上になるように回転させます。
+ */
+const S3MeshLoaderDAE = {
+	/**
+	 * メッシュデータの入出力形式名
+	 * @type {string}
+	 */
+	name: "COLLADA",
+
+	/**
+	 * 対応する拡張子
+	 * @type {Array<string>}
+	 */
+	extensions: ["dae"],
+
+	/**
+	 * 対応するMIMEタイプ
+	 * @type {Array<string>}
+	 */
+	mime: ["model/vnd.collada+xml"],
+
+	/**
+	 * データの内容がこの形式か判定します。
+	 * COLLADA 要素で判定します。
+	 *
+	 * @param {string} head データの先頭部分（バイナリの場合は1バイトを1文字とした文字列）
+	 * @returns {boolean} この形式であればtrue
+	 */
+	sniff: function (head) {
+		return /^\s*(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*<COLLADA[\s>]/.test(head);
+	},
+
+	/**
+	 * COLLADA形式のデータをS3Meshインスタンスへ変換します（インポート）。
+	 * シーン内のすべてのジオメトリを、ノードの変換を適用して1つのメッシュにまとめます。
+	 *
+	 * @param {S3System} sys S3Systemインスタンス
+	 * @param {S3Mesh} mesh メッシュインスタンス（空の状態で渡される）
+	 * @param {string} text COLLADAのテキスト
+	 * @param {string} [url] ファイルのURL（テクスチャの参照に使用）
+	 * @returns {boolean} パース成功時はtrue
+	 *
+	 * @example
+	 * S3MeshLoaderDAE.input(sys, mesh, text, "./model/part.dae");
+	 */
+	input: function (sys, mesh, text, url) {
+		const dae = parseDAE(text, url);
+		if (dae === null) {
+			return false;
+		}
+		/**
+		 * @type {Object<string, number>}
+		 */
+		const material_map = {};
+		const has_scene = forEachInstance(dae.root, dae.library, function (instance, geometry, matrix) {
+			addGeometry(sys, mesh, dae.library, geometry, getBinding(instance), matrix, material_map);
+		});
+		if (!has_scene) {
+			// シーンがない場合はジオメトリをそのまま追加する
+			const geometries = getChildren(getChild(dae.root, "library_geometries") || dae.root, "geometry");
+			for (let i = 0; i < geometries.length; i++) {
+				addGeometry(sys, mesh, dae.library, geometries[i], {}, dae.library.up_matrix, material_map);
+			}
+		}
+		return mesh.getVertexArray().length > 0;
+	},
+
+	/**
+	 * COLLADA形式のデータを、ノードごとに S3Model を配置した S3Scene へ変換します（インポート）。
+	 *
+	 * - ジオメトリとマテリアルの組み合わせごとに S3Mesh を作成し、同じ組み合わせのノードでは共有します
+	 * - ノードの変換（親ノードを含む）は S3Model の位置・拡大縮小率・回転角に分解（S3Matrix#decompose）して設定します
+	 * - 回転角の回転の順序は option.order で指定できます（省略時は "ZXY"）
+	 *
+	 * @param {S3System} sys S3Systemインスタンス
+	 * @param {string} text COLLADAのテキスト
+	 * @param {string} [url] ファイルのURL（テクスチャの参照に使用）
+	 * @param {import("./S3MeshLoader.js").S3MeshLoaderOption} [option] オプション（order: 回転角の回転の順序）
+	 * @returns {S3Scene|null} 作成したシーン（解析できない場合はnull）
+	 */
+	inputScene: function (sys, text, url, option) {
+		const dae = parseDAE(text, url);
+		if (dae === null) {
+			return null;
+		}
+		const scene = sys.createScene();
+		/**
+		 * 作成済みのメッシュ（ジオメトリとマテリアルの組み合わせごと）
+		 * @type {Object<string, S3Mesh>}
+		 */
+		const mesh_map = {};
+		forEachInstance(dae.root, dae.library, function (instance, geometry, matrix) {
+			const binding = getBinding(instance);
+			const key = geometry.attributes.id + "?" + JSON.stringify(binding);
+			if (mesh_map[key] === undefined) {
+				const mesh = sys.createMesh();
+				addGeometry(sys, mesh, dae.library, geometry, binding, IDENTITY, {});
+				mesh.setComplete(true);
+				mesh_map[key] = mesh;
+			}
+			const placement = matrix.decompose(option && option.order ? option.order : undefined);
+			const model = sys.createModel();
+			model.setMesh(mesh_map[key]);
+			model.setPosition(placement.position);
+			model.setScale(placement.scale);
+			model.setAngle(placement.angles);
+			scene.addModel(model);
+		});
+		return scene;
+	}
+};
+
+export default S3MeshLoaderDAE;
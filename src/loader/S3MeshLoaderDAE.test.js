@@ -0,0 +1,71 @@
+﻿import S3System from "../basic/S3System.js";
+import S3MeshLoader from "./S3MeshLoader.js";
+
+/**
+ * 四角形1枚のジオメトリを2つのノードで配置したCOLLADAのテキストを作成する
+ * @param {string} up_axis 上方向の軸
+ */
+const createDAE = function (up_axis) {
+	return [
+		'<?xml version="1.0" encoding="utf-8"?>',
+		'<COLLADA xmlns="http://www.collada.org/2005/11/COLLADASchema" version="1.4.1">',
+		"<asset><up_axis>" + up_axis + "</up_axis></asset>",
+		"<library_geometries>",
+		'<geometry id="quad"><mesh>',
+		'<source id="quad-pos">',
+		'<float_array id="quad-pos-array" count="12">0 0 0 1 0 0 1 1 0 0 1 0</float_array>',
+		'<technique_common><accessor source="#quad-pos-array" count="4" stride="3">',
+		'<param name="X" type="float"/><param name="Y" type="float"/><param name="Z" type="float"/>',
+		"</accessor></technique_common>",
+		"</source>",
+		'<vertices id="quad-vtx"><input semantic="POSITION" source="#quad-pos"/></vertices>',
+		'<polylist count="1"><input semantic="VERTEX" source="#quad-vtx" offset="0"/>',
+		"<vcount>4</vcount><p>0 1 2 3</p></polylist>",
+		"</mesh></geometry>",
+		"</library_geometries>",
+		"<library_visual_scenes>",
+		'<visual_scene id="scene">',
+		'<node id="a"><instance_geometry url="#quad"/></node>',
+		'<node id="b"><translate>10 0 0</translate><instance_geometry url="#quad"/></node>',
+		"</visual_scene>",
+		"</library_visual_scenes>",
+		'<scene><instance_visual_scene url="#scene"/></scene>',
+		"</COLLADA>",
+		""
+	].join("\n");
+};
+
+describe("S3MeshLoaderDAE", function () {
+	test("ノードの変換を適用して1つのメッシュにまとめる", function () {
+		const sys = new S3System();
+		const mesh = S3MeshLoader.inputData(sys, createDAE("Y_UP"), "COLLADA");
+		expect(mesh.isComplete()).toBe(true);
+		expect(mesh.getTriangleIndexArray().length).toBe(4);
+		const max_x = Math.max.apply(
+			null,
+			mesh.getVertexArray().map(function (v) {
+				return v.position.x;
+			})
+		);
+		expect(max_x).toBeCloseTo(11);
+	});
+
+	test("Z_UP のデータはY軸が上になるように回転させる", function () {
+		const sys = new S3System();
+		const mesh = S3MeshLoader.inputData(sys, createDAE("Z_UP"), "COLLADA");
+		const ys = mesh.getVertexArray().map(function (v) {
+			return Math.abs(v.position.y);
+		});
+		// 元のY軸方向の広がりが、回転後はZ軸方向になる
+		expect(Math.max.apply(null, ys)).toBeCloseTo(0);
+	});
+
+	test("シーンとして読み込むとノードごとにモデルを配置する", function () {
+		const sys = new S3System();
+		return S3MeshLoader.loadScene(sys, createDAE("Y_UP"), "COLLADA").then(function (scene) {
+			const models = scene.getModels();
+			expect(models.length).toBe(2);
+			expect(models[1].getPosition().x).toBeCloseTo(10);
+		});
+	});
+});
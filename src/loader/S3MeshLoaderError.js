@@ -0,0 +1,99 @@
+﻿/**
+ * 読み込み時に見つかったデータの問題
+ * @typedef {Object} S3MeshLoaderDiagnostic
+ * @property {string} level 重要度（"error": 不正なデータ、"warning": 対応していないデータ）
+ * @property {string} message 内容
+ * @property {?number} line 行番号（1から。行を持たない形式の場合はnull）
+ * @property {?string} token 問題のある文字列（ない場合はnull）
+ * @property {?number} index 範囲外の番号（ファイル内の表記のまま。ない場合はnull）
+ */
+
+/**
+ * 問題の報告先となる読み込み時のオプション
+ * @typedef {Object} S3MeshLoaderDiagnosticOption
+ * @property {boolean} [strict] 不正なデータがあった場合に読み込みを失敗させる
+ * @property {Array<S3MeshLoaderDiagnostic>} [diagnostics] 見つかった問題を追加する配列
+ */
+
+/**
+ * メッシュの読み込みに失敗したことを表すエラー
+ *
+ * - S3MeshLoader.loadMesh の reject や、読み込み時のオプションの onerror に渡されます
+ * - 不正なデータが原因の場合は、diagnostics に問題の内容（行番号など）が入ります
+ *
+ * @class
+ * @module S3
+ */
+export default class S3MeshLoaderError extends Error {
+	/**
+	 * エラーを作成します。
+	 * @param {string} message エラーメッセージ
+	 * @param {Array<S3MeshLoaderDiagnostic>} [diagnostics] 原因となった問題
+	 */
+	constructor(message, diagnostics) {
+		super(message);
+
+		/**
+		 * エラー名
+		 * @type {string}
+		 */
+		this.name = "S3MeshLoaderError";
+
+		/**
+		 * 原因となった問題（ない場合は空配列）
+		 * @type {Array<S3MeshLoaderDiagnostic>}
+		 */
+		this.diagnostics = diagnostics ? diagnostics : [];
+	}
+
+	/**
+	 * 問題を表す文字列を作成します。
+	 * @param {S3MeshLoaderDiagnostic} diagnostic 問題
+	 * @returns {string} "12行目: 頂点番号が範囲外です [9]" のような文字列
+	 */
+	static toText(diagnostic) {
+		let text = diagnostic.line !== null ? diagnostic.line + "行目: " : "";
+		text += diagnostic.message;
+		if (diagnostic.index !== null) {
+			text += " [" + diagnostic.index + "]";
+		} else if (diagnostic.token !== null) {
+			text += " [" + diagnostic.token + "]";
+		}
+		return text;
+	}
+
+	/**
+	 * ローダーが見つけた問題を報告します。
+	 *
+	 * - option.diagnostics が配列の場合は、問題を追加します
+	 * - option.strict が true で重要度が "error" の場合は、S3MeshLoaderError を投げて読み込みを中断します
+	 * - それ以外の場合、ローダーは問題のある面などを読み飛ばして処理を続けます
+	 *
+	 * @param {S3MeshLoaderDiagnosticOption|undefined} option 読み込み時のオプション（undefined の場合は記録も中断もしない）
+	 * @param {string} level 重要度（"error" / "warning"）
+	 * @param {string} message 内容
+	 * @param {?number} [line] 行番号（1から）
+	 * @param {?string} [token] 問題のある文字列
+	 * @param {?number} [index] 範囲外の番号
+	 * @returns {S3MeshLoaderDiagnostic} 報告した問題
+	 */
+	static report(option, level, message, line, token, index) {
+		/**
+		 * @type {S3MeshLoaderDiagnostic}
+		 */
+		const diagnostic = {
+			level: level,
+			message: message,
+			line: typeof line === "number" ? line : null,
+			token: typeof token === "string" ? token : null,
+			index: typeof index === "number" ? index : null
+		};
+		if (option && option.diagnostics instanceof Array) {
+			option.diagnostics.push(diagnostic);
+		}
+		if (option && option.strict && level === "error") {
+			throw new S3MeshLoaderError(S3MeshLoaderError.toText(diagnostic), [diagnostic]);
+		}
+		return diagnostic;
+	}
+}
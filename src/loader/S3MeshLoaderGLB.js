@@ -0,0 +1,166 @@
+﻿import S3System from "../basic/S3System.js";
+import S3Mesh from "../basic/S3Mesh.js";
+import S3Scene from "../basic/S3Scene.js";
+import S3MeshLoaderGLTF from "./S3MeshLoaderGLTF.js";
+import S3File from "./S3File.js";
+
+/**
+ * GLBのマジックナンバー（"glTF"）
+ * @type {number}
+ */
+const GLB_MAGIC = 0x46546c67;
+
+/**
+ * JSONチャンクの種類（"JSON"）
+ * @type {number}
+ */
+const GLB_CHUNK_JSON = 0x4e4f534a;
+
+/**
+ * BINチャンクの種類（"BIN\0"）
+ * @type {number}
+ */
+const GLB_CHUNK_BIN = 0x004e4942;
+
+/**
+ * glTF 2.0 バイナリ（GLB）形式による3DCGメッシュデータの入出力ユーティリティ
+ *
+ * - S3MeshLoader から拡張子 "glb"、またはArrayBufferの入力で利用されます。
+ * - ヘッダとJSON/BINチャンクを解析し、内容は S3MeshLoaderGLTF で展開します。
+ * - BINチャンクに埋め込まれた画像は S3Texture として読み込まれます。
+ * - S3Mesh または S3Scene を ArrayBuffer として出力できます（内容は S3MeshLoaderGLTF と同じ）。
+ */
+const S3MeshLoaderGLB = {
+	/**
+	 * メッシュデータの入出力形式名
+	 * @type {string}
+	 */
+	name: "GLB",
+
+	/**
+	 * 対応する拡張子
+	 * @type {Array<string>}
+	 */
+	extensions: ["glb"],
+
+	/**
+	 * 対応するMIMEタイプ
+	 * @type {Array<string>}
+	 */
+	mime: ["model/gltf-binary"],
+
+	/**
+	 * データの内容がこの形式か判定します。
+	 * マジックナンバーで判定します。
+	 *
+	 * @param {string} head データの先頭部分（バイナリの場合は1バイトを1文字とした文字列）
+	 * @param {any} data データ本体
+	 * @returns {boolean} この形式であればtrue
+	 */
+	sniff: function (head, data) {
+		return S3MeshLoaderGLB.isGLB(data);
+	},
+
+	/**
+	 * バイナリデータとして読み込む形式か
+	 * @type {boolean}
+	 */
+	binary: true,
+
+	/**
+	 * データがGLB形式か判定します。
+	 *
+	 * @param {any} data 判定するデータ
+	 * @returns {boolean} GLBであればtrue
+	 */
+	isGLB: function (data) {
+		if (!(data instanceof ArrayBuffer) || data.byteLength < 12) {
+			return false;
+		}
+		return new DataView(data).getUint32(0, true) === GLB_MAGIC;
+	},
+
+	/**
+	 * GLB形式のデータをS3Meshインスタンスへ変換します（インポート）。
+	 *
+	 * @param {S3System} sys S3Systemインスタンス
+	 * @param {S3Mesh} mesh メッシュインスタンス（空の状態で渡される）
+	 * @param {ArrayBuffer} data GLBファイルの内容
+	 * @param {string} [url] ファイルのURL（外部ファイルの参照に使用）
+	 * @param {function(boolean, any=): void} [complete] 非同期で読み込んだ場合の完了時に呼ばれるコールバック（失敗時は原因の例外も渡す）
+	 * @returns {boolean|null} 成功時はtrue、非同期で読み込み中の場合はnull
+	 *
+	 * @example
+	 * S3MeshLoaderGLB.input(sys, mesh, arraybuffer);
+	 */
+	input: function (sys, mesh, data, url, complete) {
+		if (!S3MeshLoaderGLB.isGLB(data)) {
+			return false;
+		}
+		const dataview = new DataView(data);
+		const version = dataview.getUint32(4, true);
+		const length = Math.min(dataview.getUint32(8, true), data.byteLength);
+		if (version !== 2) {
+			return false;
+		}
+		let gltf = null;
+		let binary = undefined;
+		let offset = 12;
+		while (offset + 8 <= length) {
+			const chunk_length = dataview.getUint32(offset, true);
+			const chunk_type = dataview.getUint32(offset + 4, true);
+			const chunk_offset = offset + 8;
+			if (chunk_type === GLB_CHUNK_JSON) {
+				gltf = JSON.parse(S3File.decodeUTF8(new Uint8Array(data, chunk_offset, chunk_length)));
+			} else if (chunk_type === GLB_CHUNK_BIN && binary === undefined) {
+				binary = data.slice(chunk_offset, chunk_offset + chunk_length);
+			}
+			// 未知のチャンクは読み飛ばす
+			offset = chunk_offset + chunk_length;
+		}
+		if (gltf === null) {
+			return false;
+		}
+		return S3MeshLoaderGLTF.parse(sys, mesh, gltf, url, complete, binary);
+	},
+
+	/**
+	 * S3Mesh または S3Scene を GLB 形式のバイナリへ変換します（エクスポート）。
+	 *
+	 * @param {S3Mesh|S3Scene} data 出力対象のメッシュまたはシーン
+	 * @returns {ArrayBuffer} GLBファイルの内容
+	 *
+	 * @example
+	 * const arraybuffer = S3MeshLoaderGLB.output(scene);
+	 */
+	output: function (data) {
+		const gltf = S3MeshLoaderGLTF.build(data);
+		const json = S3File.encodeUTF8(JSON.stringify(gltf.json));
+		const binary = gltf.binary;
+		// チャンクは4バイト境界に揃える（JSONは空白、BINは0で埋める）
+		const json_length = Math.ceil(json.length / 4) * 4;
+		const bin_length = Math.ceil(binary.length / 4) * 4;
+		const length = 12 + 8 + json_length + (bin_length > 0 ? 8 + bin_length : 0);
+		const output = new ArrayBuffer(length);
+		const dataview = new DataView(output);
+		const bytes = new Uint8Array(output);
+		dataview.setUint32(0, GLB_MAGIC, true);
+		dataview.setUint32(4, 2, true);
+		dataview.setUint32(8, length, true);
+		dataview.setUint32(12, json_length, true);
+		dataview.setUint32(16, GLB_CHUNK_JSON, true);
+		bytes.set(json, 20);
+		for (let i = 20 + json.length; i < 20 + json_length; i++) {
+			bytes[i] = 0x20;
+		}
+		if (bin_length > 0) {
+			const offset = 20 + json_length;
+			dataview.setUint32(offset, bin_length, true);
+			dataview.setUint32(offset + 4, GLB_CHUNK_BIN, true);
+			bytes.set(binary, offset + 8);
+		}
+		return output;
+	}
+};
+
+export default S3MeshLoaderGLB;
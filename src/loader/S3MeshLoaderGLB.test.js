@@ -0,0 +1,48 @@
+﻿import S3System from "../basic/S3System.js";
+import S3Vector from "../math/S3Vector.js";
+import S3MeshLoader from "./S3MeshLoader.js";
+
+/**
+ * 2枚の三角形からなる四角形のメッシュを作成する
+ * @param {S3System} sys
+ */
+const createMesh = function (sys) {
+	const mesh = sys.createMesh();
+	mesh.addVertex(sys.createVertex(new S3Vector(0, 0, 0)));
+	mesh.addVertex(sys.createVertex(new S3Vector(1, 0, 0)));
+	mesh.addVertex(sys.createVertex(new S3Vector(1, 1, 0)));
+	mesh.addVertex(sys.createVertex(new S3Vector(0, 1, 0)));
+	mesh.addTriangleIndex(sys.createTriangleIndex(0, 1, 2, [0, 1, 2, 3], 0));
+	mesh.addTriangleIndex(sys.createTriangleIndex(0, 2, 3, [0, 1, 2, 3], 0));
+	mesh.addMaterial(sys.createMaterial("green"));
+	return mesh;
+};
+
+describe("S3MeshLoaderGLB", function () {
+	test("出力したGLBを読み込むと同じ形状になる", function () {
+		const sys = new S3System();
+		const mesh = createMesh(sys);
+		const binary = S3MeshLoader.outputData(mesh, "GLB");
+		expect(binary).toBeInstanceOf(ArrayBuffer);
+		return S3MeshLoader.loadMesh(sys, binary).then(function (loaded) {
+			expect(loaded.getTriangleIndexArray().length).toBe(2);
+			const positions = loaded.getVertexArray().map(function (v) {
+				return [v.position.x, v.position.y, v.position.z];
+			});
+			expect(positions).toEqual(
+				expect.arrayContaining([
+					[0, 0, 0],
+					[1, 0, 0],
+					[1, 1, 0],
+					[0, 1, 0]
+				])
+			);
+		});
+	});
+
+	test("途中で終わっているGLBはrejectする", function () {
+		const sys = new S3System();
+		const binary = /** @type {ArrayBuffer} */ (S3MeshLoader.outputData(createMesh(sys), "GLB"));
+		return expect(S3MeshLoader.loadMesh(sys, binary.slice(0, 40), "GLB")).rejects.toThrow();
+	});
+});
@@ -0,0 +1,1093 @@
+﻿import S3System from "../basic/S3System.js";
+import S3Mesh from "../basic/S3Mesh.js";
+import S3Scene from "../basic/S3Scene.js";
+import S3Light from "../basic/S3Light.js";
+import S3Material from "../basic/S3Material.js";
+import S3Texture from "../basic/S3Texture.js";
+import S3Math from "../math/S3Math.js";
+import S3Vector from "../math/S3Vector.js";
+import S3Matrix from "../math/S3Matrix.js";
+import S3File from "./S3File.js";
+import S3MeshLoaderError from "./S3MeshLoaderError.js";
+
+/**
+ * glTFのcomponentTypeごとのバイト数
+ * @type {Object<number, number>}
+ */
+const GLTF_COMPONENT_SIZE = {
+	5120: 1, // BYTE
+	5121: 1, // UNSIGNED_BYTE
+	5122: 2, // SHORT
+	5123: 2, // UNSIGNED_SHORT
+	5125: 4, // UNSIGNED_INT
+	5126: 4 // FLOAT
+};
+
+/**
+ * glTFのaccessor.typeごとの要素数
+ * @type {Object<string, number>}
+ */
+const GLTF_TYPE_SIZE = {
+	SCALAR: 1,
+	VEC2: 2,
+	VEC3: 3,
+	VEC4: 4,
+	MAT2: 4,
+	MAT3: 9,
+	MAT4: 16
+};
+
+/**
+ * データURIをArrayBufferへ変換します。
+ *
+ * @param {string} uri "data:～" 形式の文字列
+ * @returns {ArrayBuffer} デコードしたバイナリ
+ */
+const decodeDataURI = function (uri) {
+	const comma = uri.indexOf(",");
+	const header = uri.substring(0, comma);
+	const body = uri.substring(comma + 1);
+	const text = /;base64$/i.test(header) ? atob(body) : decodeURIComponent(body);
+	const bytes = new Uint8Array(text.length);
+	for (let i = 0; i < text.length; i++) {
+		bytes[i] = text.charCodeAt(i) & 0xff;
+	}
+	return bytes.buffer;
+};
+
+/**
+ * バイト列をBase64文字列へ変換します。
+ *
+ * @param {Uint8Array} bytes 変換するバイト列
+ * @returns {string} Base64文字列
+ */
+const encodeBase64 = function (bytes) {
+	let text = "";
+	for (let i = 0; i < bytes.length; i++) {
+		text += String.fromCharCode(bytes[i]);
+	}
+	return btoa(text);
+};
+
+/**
+ * bufferViewが指すバイト範囲を取得します。
+ *
+ * @param {any} gltf glTFのJSONオブジェクト
+ * @param {Array<ArrayBuffer>} buffers 読み込み済みのバッファ
+ * @param {number} index bufferViewの番号
+ * @returns {{buffer: ArrayBuffer, byteOffset: number, byteLength: number, byteStride: number}}
+ */
+const getBufferView = function (gltf, buffers, index) {
+	const view = gltf.bufferViews[index];
+	return {
+		buffer: buffers[view.buffer],
+		byteOffset: view.byteOffset ? view.byteOffset : 0,
+		byteLength: view.byteLength,
+		byteStride: view.byteStride ? view.byteStride : 0
+	};
+};
+
+/**
+ * バッファの指定位置から1成分を読み込みます。
+ *
+ * @param {DataView} dataview 読み込み対象
+ * @param {number} offset バイト位置
+ * @param {number} componentType glTFのcomponentType
+ * @param {boolean} normalized 正規化された整数として0～1（-1～1）へ変換するか
+ * @returns {number} 読み込んだ値
+ */
+const readComponent = function (dataview, offset, componentType, normalized) {
+	switch (componentType) {
+		case 5120: {
+			const x = dataview.getInt8(offset);
+			return normalized ? Math.max(x / 127, -1.0) : x;
+		}
+		case 5121: {
+			const x = dataview.getUint8(offset);
+			return normalized ? x / 255 : x;
+		}
+		case 5122: {
+			const x = dataview.getInt16(offset, true);
+			return normalized ? Math.max(x / 32767, -1.0) : x;
+		}
+		case 5123: {
+			const x = dataview.getUint16(offset, true);
+			return normalized ? x / 65535 : x;
+		}
+		case 5125:
+			return dataview.getUint32(offset, true);
+		case 5126:
+			return dataview.getFloat32(offset, true);
+		default:
+			throw "IllegalArgumentException";
+	}
+};
+
+/**
+ * accessorの内容を要素ごとの数値配列として読み込みます。
+ * sparse による部分的な上書きにも対応しています。
+ *
+ * @param {any} gltf glTFのJSONオブジェクト
+ * @param {Array<ArrayBuffer>} buffers 読み込み済みのバッファ
+ * @param {number} index accessorの番号
+ * @returns {Array<Array<number>>} 要素ごとの数値配列
+ */
+const readAccessor = function (gltf, buffers, index) {
+	const accessor = gltf.accessors[index];
+	const count = accessor.count;
+	const size = GLTF_TYPE_SIZE[accessor.type];
+	const component_size = GLTF_COMPONENT_SIZE[accessor.componentType];
+	const normalized = !!accessor.normalized;
+	/**
+	 * @type {Array<Array<number>>}
+	 */
+	const output = [];
+	if (accessor.bufferView !== undefined) {
+		const view = getBufferView(gltf, buffers, accessor.bufferView);
+		const dataview = new DataView(view.buffer, view.byteOffset, view.byteLength);
+		const stride = view.byteStride ? view.byteStride : size * component_size;
+		const offset = accessor.byteOffset ? accessor.byteOffset : 0;
+		for (let i = 0; i < count; i++) {
+			const element = [];
+			for (let j = 0; j < size; j++) {
+				element[j] = readComponent(
+					dataview,
+					offset + i * stride + j * component_size,
+					accessor.componentType,
+					normalized
+				);
+			}
+			output[i] = element;
+		}
+	} else {
+		// bufferView がない場合は0で初期化する
+		for (let i = 0; i < count; i++) {
+			const element = [];
+			for (let j = 0; j < size; j++) {
+				element[j] = 0;
+			}
+			output[i] = element;
+		}
+	}
+	if (accessor.sparse) {
+		const sparse = accessor.sparse;
+		const index_view = getBufferView(gltf, buffers, sparse.indices.bufferView);
+		const index_data = new DataView(index_view.buffer, index_view.byteOffset, index_view.byteLength);
+		const index_offset = sparse.indices.byteOffset ? sparse.indices.byteOffset : 0;
+		const index_size = GLTF_COMPONENT_SIZE[sparse.indices.componentType];
+		const value_view = getBufferView(gltf, buffers, sparse.values.bufferView);
+		const value_data = new DataView(value_view.buffer, value_view.byteOffset, value_view.byteLength);
+		const value_offset = sparse.values.byteOffset ? sparse.values.byteOffset : 0;
+		for (let i = 0; i < sparse.count; i++) {
+			const target = readComponent(
+				index_data,
+				index_offset + i * index_size,
+				sparse.indices.componentType,
+				false
+			);
+			for (let j = 0; j < size; j++) {
+				output[target][j] = readComponent(
+					value_data,
+					value_offset + (i * size + j) * component_size,
+					accessor.componentType,
+					normalized
+				);
+			}
+		}
+	}
+	return output;
+};
+
+/**
+ * ノードのローカル変換行列を作成します（縦ベクトル用）。
+ *
+ * @param {any} node glTFのノード
+ * @returns {S3Matrix} ローカル変換行列
+ */
+const getNodeMatrix = function (node) {
+	if (node.matrix) {
+		// 列優先で格納されている
+		const m = node.matrix;
+		return new S3Matrix(
+			m[0],
+			m[4],
+			m[8],
+			m[12],
+			m[1],
+			m[5],
+			m[9],
+			m[13],
+			m[2],
+			m[6],
+			m[10],
+			m[14],
+			m[3],
+			m[7],
+			m[11],
+			m[15]
+		);
+	}
+	const t = node.translation ? node.translation : [0, 0, 0];
+	const r = node.rotation ? node.rotation : [0, 0, 0, 1];
+	const s = node.scale ? node.scale : [1, 1, 1];
+	const x = r[0];
+	const y = r[1];
+	const z = r[2];
+	const w = r[3];
+	// T * R * S
+	return new S3Matrix(
+		(1 - 2 * (y * y + z * z)) * s[0],
+		2 * (x * y - z * w) * s[1],
+		2 * (x * z + y * w) * s[2],
+		t[0],
+		2 * (x * y + z * w) * s[0],
+		(1 - 2 * (x * x + z * z)) * s[1],
+		2 * (y * z - x * w) * s[2],
+		t[1],
+		2 * (x * z - y * w) * s[0],
+		2 * (y * z + x * w) * s[1],
+		(1 - 2 * (x * x + y * y)) * s[2],
+		t[2],
+		0,
+		0,
+		0,
+		1
+	);
+};
+
+/**
+ * glTF内のURIから、ファイルの参照先を取得します。
+ * 絶対パスやスキーム付きのURLはそのまま使い、相対パスはモデルの親ディレクトリからのパスにします。
+ *
+ * @param {string} parent_dir モデルの親ディレクトリ
+ * @param {string} uri glTF内のURI
+ * @returns {string} ファイルのURL
+ */
+const toURL = function (parent_dir, uri) {
+	const file = new S3File(decodeURIComponent(uri));
+	return file.isAbsolute() ? file.pathname : parent_dir + file.pathname;
+};
+
+/**
+ * 画像の参照先（URLまたはデータURI）を取得します。
+ *
+ * @param {any} gltf glTFのJSONオブジェクト
+ * @param {Array<ArrayBuffer>} buffers 読み込み済みのバッファ
+ * @param {string} parent_dir モデルの親ディレクトリ
+ * @param {any} textureinfo マテリアル内のテクスチャ情報
+ * @returns {string|null} 画像のURL（見つからなければnull）
+ */
+const getImageURL = function (gltf, buffers, parent_dir, textureinfo) {
+	if (!textureinfo || !gltf.textures) {
+		return null;
+	}
+	const texture = gltf.textures[textureinfo.index];
+	if (!texture || texture.source === undefined || !gltf.images) {
+		return null;
+	}
+	const image = gltf.images[texture.source];
+	if (image.uri) {
+		return /^data:/.test(image.uri) ? image.uri : toURL(parent_dir, image.uri);
+	}
+	if (image.bufferView !== undefined) {
+		// バッファ内の画像はデータURIにする
+		const view = getBufferView(gltf, buffers, image.bufferView);
+		const bytes = new Uint8Array(view.buffer, view.byteOffset, view.byteLength);
+		return "data:" + image.mimeType + ";base64," + encodeBase64(bytes);
+	}
+	return null;
+};
+
+/**
+ * バッファを読み込み済みのglTFをS3Meshへ展開します。
+ *
+ * @param {S3System} sys S3Systemインスタンス
+ * @param {S3Mesh} mesh メッシュインスタンス
+ * @param {any} gltf glTFのJSONオブジェクト
+ * @param {Array<ArrayBuffer>} buffers 読み込み済みのバッファ
+ * @param {string} parent_dir モデルの親ディレクトリ
+ * @returns {boolean} 成功時はtrue
+ */
+const parseGLTF = function (sys, mesh, gltf, buffers, parent_dir) {
+	// マテリアル
+	const materials = gltf.materials ? gltf.materials : [];
+	for (let i = 0; i < materials.length; i++) {
+		const gltf_material = materials[i];
+		const material = sys.createMaterial(gltf_material.name ? gltf_material.name : "" + i);
+		const pbr = gltf_material.pbrMetallicRoughness ? gltf_material.pbrMetallicRoughness : {};
+		if (pbr.baseColorFactor) {
+			const c = pbr.baseColorFactor;
+			material.setColor(new S3Vector(c[0], c[1], c[2], c[3]));
+		}
+		if (gltf_material.emissiveFactor) {
+			material.setEmission(gltf_material.emissiveFactor);
+		}
+		const color_url = getImageURL(gltf, buffers, parent_dir, pbr.baseColorTexture);
+		if (color_url) {
+			material.setTextureColor(color_url);
+		}
+		const normal_url = getImageURL(gltf, buffers, parent_dir, gltf_material.normalTexture);
+		if (normal_url) {
+			material.setTextureNormal(normal_url);
+		}
+		mesh.addMaterial(material);
+	}
+	// マテリアル未指定のプリミティブ用
+	let default_material = -1;
+
+	/**
+	 * メッシュをワールド行列で変換しながら追加します。
+	 * @param {any} gltf_mesh glTFのメッシュ
+	 * @param {S3Matrix} matrix ワールド行列
+	 */
+	const addMesh = function (gltf_mesh, matrix) {
+		const normal_matrix = matrix.inverse3() ? matrix.inverse3().transposed() : matrix;
+		for (let i = 0; i < gltf_mesh.primitives.length; i++) {
+			const primitive = gltf_mesh.primitives[i];
+			const attributes = primitive.attributes;
+			const mode = primitive.mode !== undefined ? primitive.mode : 4;
+			if (attributes.POSITION === undefined || mode < 4) {
+				// 点と線は対象外
+				continue;
+			}
+			const position_list = readAccessor(gltf, buffers, attributes.POSITION);
+			const normal_list = attributes.NORMAL !== undefined ? readAccessor(gltf, buffers, attributes.NORMAL) : null;
+			const uv_list =
+				attributes.TEXCOORD_0 !== undefined ? readAccessor(gltf, buffers, attributes.TEXCOORD_0) : null;
+
+			// 頂点の保存
+			const vertex_offset = mesh.getVertexArray().length;
+			for (let j = 0; j < position_list.length; j++) {
+				const p = position_list[j];
+				const position = matrix.mulVector(new S3Vector(p[0], p[1], p[2], 1));
+				let normal = undefined;
+				if (normal_list) {
+					const n = normal_list[j];
+					normal = normal_matrix.mulVector(new S3Vector(n[0], n[1], n[2], 0)).normalize();
+				}
+				mesh.addVertex(sys.createVertex(new S3Vector(position.x, position.y, position.z), normal));
+			}
+
+			// マテリアルの決定
+			let material_index;
+			if (primitive.material !== undefined) {
+				material_index = primitive.material;
+			} else {
+				if (default_material === -1) {
+					default_material = mesh.getMaterialArray().length;
+					mesh.addMaterial(sys.createMaterial("default"));
+				}
+				material_index = default_material;
+			}
+
+			// インデックスの取得
+			/**
+			 * @type {Array<number>}
+			 */
+			const indices = [];
+			if (primitive.indices !== undefined) {
+				const index_list = readAccessor(gltf, buffers, primitive.indices);
+				for (let j = 0; j < index_list.length; j++) {
+					indices[j] = index_list[j][0];
+				}
+			} else {
+				for (let j = 0; j < position_list.length; j++) {
+					indices[j] = j;
+				}
+			}
+
+			// 三角形へ分解
+			/**
+			 * @type {Array<Array<number>>}
+			 */
+			const triangles = [];
+			if (mode === 4) {
+				for (let j = 0; j + 2 < indices.length; j += 3) {
+					triangles.push([indices[j], indices[j + 1], indices[j + 2]]);
+				}
+			} else if (mode === 5) {
+				// TRIANGLE_STRIP
+				for (let j = 0; j + 2 < indices.length; j++) {
+					if (j % 2 === 0) {
+						triangles.push([indices[j], indices[j + 1], indices[j + 2]]);
+					} else {
+						triangles.push([indices[j + 1], indices[j], indices[j + 2]]);
+					}
+				}
+			} else if (mode === 6) {
+				// TRIANGLE_FAN
+				for (let j = 1; j + 1 < indices.length; j++) {
+					triangles.push([indices[0], indices[j], indices[j + 1]]);
+				}
+			}
+
+			// 面の保存（OBJと同様に面の向きを反転させる）
+			for (let j = 0; j < triangles.length; j++) {
+				const t = triangles[j];
+				const face = [t[2] + vertex_offset, t[1] + vertex_offset, t[0] + vertex_offset];
+				let uv = undefined;
+				if (uv_list) {
+					uv = [
+						new S3Vector(uv_list[t[2]][0], uv_list[t[2]][1]),
+						new S3Vector(uv_list[t[1]][0], uv_list[t[1]][1]),
+						new S3Vector(uv_list[t[0]][0], uv_list[t[0]][1])
+					];
+				}
+				mesh.addTriangleIndex(sys.createTriangleIndex(0, 1, 2, face, material_index, uv));
+			}
+		}
+	};
+
+	/**
+	 * ノードを再帰的にたどってメッシュを追加します。
+	 * @param {number} node_index ノード番号
+	 * @param {S3Matrix} parent_matrix 親のワールド行列
+	 */
+	const addNode = function (node_index, parent_matrix) {
+		const node = gltf.nodes[node_index];
+		const matrix = parent_matrix.mulMatrix(getNodeMatrix(node));
+		if (node.mesh !== undefined) {
+			addMesh(gltf.meshes[node.mesh], matrix);
+		}
+		if (node.children) {
+			for (let i = 0; i < node.children.length; i++) {
+				addNode(node.children[i], matrix);
+			}
+		}
+	};
+
+	const identity = new S3Matrix(1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1);
+	if (gltf.scenes && gltf.scenes.length > 0 && gltf.nodes) {
+		const scene = gltf.scenes[gltf.scene !== undefined ? gltf.scene : 0];
+		const nodes = scene.nodes ? scene.nodes : [];
+		for (let i = 0; i < nodes.length; i++) {
+			addNode(nodes[i], identity);
+		}
+	} else if (gltf.meshes) {
+		// シーンがない場合はメッシュをそのまま追加する
+		for (let i = 0; i < gltf.meshes.length; i++) {
+			addMesh(gltf.meshes[i], identity);
+		}
+	}
+	return true;
+};
+
+/**
+ * 指定位置から指定方向を向くノードの変換行列を作成します（列優先）。
+ * glTFのカメラやライトは -Z 方向を向くため、その向きに合わせます。
+ *
+ * @param {S3Vector} position 位置
+ * @param {S3Vector} direction 向き
+ * @returns {Array<number>} 列優先の4x4行列
+ */
+const getLookMatrix = function (position, direction) {
+	const z = direction.negate().normalize();
+	let up = new S3Vector(0, 1, 0);
+	if (Math.abs(z.dot(up)) > 0.999) {
+		up = new S3Vector(0, 0, 1);
+	}
+	const x = up.cross(z).normalize();
+	const y = z.cross(x);
+	return [x.x, x.y, x.z, 0, y.x, y.y, y.z, 0, z.x, z.y, z.z, 0, position.x, position.y, position.z, 1];
+};
+
+/**
+ * テクスチャの参照先を取得します。
+ *
+ * @param {S3Texture} texture テクスチャ
+ * @returns {string|null} 画像のURL（出力できない場合はnull）
+ */
+const getTextureURI = function (texture) {
+	if (texture === null || texture.url === null) {
+		return null;
+	}
+	const url = texture.getFileURL();
+	if (url !== null) {
+		return url;
+	}
+	// 画像を直接設定した場合は内部IDになっているため、可能ならデータURIにする
+	if (typeof HTMLCanvasElement !== "undefined" && texture.image instanceof HTMLCanvasElement) {
+		return texture.image.toDataURL("image/png");
+	}
+	return null;
+};
+
+/**
+ * S3Mesh または S3Scene から glTF のJSONオブジェクトとバッファを作成します。
+ *
+ * - 頂点は (頂点, UV) の組み合わせごとに分割し、マテリアルごとにプリミティブを作成します。
+ * - S3Scene の場合はモデルの変換、カメラ、ライト（KHR_lights_punctual）も出力します。環境光は出力しません。
+ * - S3Material は近い PBR パラメータ（金属度0、鏡面反射から粗さを推定）へ変換します。
+ *
+ * @param {S3Mesh|S3Scene} data 出力対象
+ * @returns {{json: any, binary: Uint8Array}} glTFのJSONオブジェクトとバッファの内容
+ */
+const createGLTF = function (data) {
+	/**
+	 * @type {any}
+	 */
+	const gltf = {
+		asset: { version: "2.0", generator: "S3" },
+		scene: 0,
+		scenes: [{ nodes: [] }],
+		nodes: [],
+		meshes: [],
+		materials: [],
+		textures: [],
+		images: [],
+		cameras: [],
+		accessors: [],
+		bufferViews: [],
+		buffers: []
+	};
+
+	/**
+	 * @type {Array<Uint8Array>}
+	 */
+	const chunks = [];
+	let byte_length = 0;
+
+	/**
+	 * バッファビューとアクセサを追加します。
+	 * @param {Float32Array|Uint16Array|Uint32Array} array 書き込むデータ
+	 * @param {number} componentType glTFのcomponentType
+	 * @param {string} type glTFのaccessor.type
+	 * @param {number} target バッファの用途（34962: 頂点, 34963: インデックス）
+	 * @returns {number} アクセサの番号
+	 */
+	const addAccessor = function (array, componentType, type, target) {
+		const bytes = new Uint8Array(array.buffer, array.byteOffset, array.byteLength);
+		gltf.bufferViews.push({ buffer: 0, byteOffset: byte_length, byteLength: bytes.length, target: target });
+		chunks.push(bytes);
+		byte_length += bytes.length;
+		// 4バイト境界に揃える
+		const padding = (4 - (byte_length % 4)) % 4;
+		if (padding !== 0) {
+			chunks.push(new Uint8Array(padding));
+			byte_length += padding;
+		}
+		gltf.accessors.push({
+			bufferView: gltf.bufferViews.length - 1,
+			componentType: componentType,
+			count: array.length / GLTF_TYPE_SIZE[type],
+			type: type
+		});
+		return gltf.accessors.length - 1;
+	};
+
+	/**
+	 * @type {Array<string>}
+	 */
+	const image_list = [];
+
+	/**
+	 * テクスチャを追加します。
+	 * @param {S3Texture} texture テクスチャ
+	 * @returns {number} テクスチャの番号（出力できない場合は-1）
+	 */
+	const addTexture = function (texture) {
+		const uri = getTextureURI(texture);
+		if (uri === null) {
+			return -1;
+		}
+		let index = image_list.indexOf(uri);
+		if (index === -1) {
+			image_list.push(uri);
+			gltf.images.push({ uri: uri });
+			gltf.textures.push({ source: gltf.images.length - 1 });
+			index = image_list.length - 1;
+		}
+		return index;
+	};
+
+	/**
+	 * @type {Array<S3Material>}
+	 */
+	const material_list = [];
+
+	/**
+	 * マテリアルを追加します。
+	 * @param {S3Material} material マテリアル
+	 * @returns {number} マテリアルの番号
+	 */
+	const addMaterial = function (material) {
+		let index = material_list.indexOf(material);
+		if (index !== -1) {
+			return index;
+		}
+		const clamp = function (/** @type {number} */ x) {
+			return Math.max(0.0, Math.min(1.0, x));
+		};
+		const color = material.color;
+		const specular = Math.max(material.specular.x, material.specular.y, material.specular.z);
+		// Blinn-Phong の指数から粗さを求め、鏡面反射がない場合は最も粗くする
+		const roughness = specular > 0.0 ? Math.sqrt(2.0 / (Math.max(material.power, 0.0) + 2.0)) : 1.0;
+		/**
+		 * @type {any}
+		 */
+		const gltf_material = {
+			name: material.name,
+			pbrMetallicRoughness: {
+				baseColorFactor: [clamp(color.x), clamp(color.y), clamp(color.z), clamp(color.w)],
+				metallicFactor: 0.0,
+				roughnessFactor: clamp(roughness)
+			},
+			emissiveFactor: [clamp(material.emission.x), clamp(material.emission.y), clamp(material.emission.z)]
+		};
+		if (color.w < 1.0) {
+			gltf_material.alphaMode = "BLEND";
+		}
+		const color_texture = addTexture(material.textureColor);
+		if (color_texture !== -1) {
+			gltf_material.pbrMetallicRoughness.baseColorTexture = { index: color_texture };
+		}
+		const normal_texture = addTexture(material.textureNormal);
+		if (normal_texture !== -1) {
+			gltf_material.normalTexture = { index: normal_texture };
+		}
+		material_list.push(material);
+		gltf.materials.push(gltf_material);
+		index = material_list.length - 1;
+		return index;
+	};
+
+	/**
+	 * @type {Array<S3Mesh>}
+	 */
+	const mesh_list = [];
+
+	/**
+	 * @type {Array<number>}
+	 */
+	const mesh_index_list = [];
+
+	/**
+	 * メッシュを追加します。
+	 * @param {S3Mesh} mesh メッシュ
+	 * @returns {number} メッシュの番号（面がない場合は-1）
+	 */
+	const addMesh = function (mesh) {
+		const cache = mesh_list.indexOf(mesh);
+		if (cache !== -1) {
+			return mesh_index_list[cache];
+		}
+		const vertex_list = mesh.getVertexArray();
+		const triangle_list = mesh.getTriangleIndexArray();
+		const mesh_material_list = mesh.getMaterialArray();
+		/**
+		 * @type {Array<number>}
+		 */
+		const positions = [];
+		/**
+		 * @type {Array<number>}
+		 */
+		const normals = [];
+		/**
+		 * @type {Array<number>}
+		 */
+		const uvs = [];
+		/**
+		 * @type {Object<string, number>}
+		 */
+		const keymap = {};
+		/**
+		 * @type {Array<Array<number>>}
+		 */
+		const group_list = [];
+		let has_uv = false;
+		let has_normal = vertex_list.length > 0;
+		for (let i = 0; i < vertex_list.length; i++) {
+			if (!vertex_list[i].normal) {
+				has_normal = false;
+			}
+		}
+		for (let i = 0; i < triangle_list.length; i++) {
+			const ti = triangle_list[i];
+			if (!group_list[ti.materialIndex]) {
+				group_list[ti.materialIndex] = [];
+			}
+			const group = group_list[ti.materialIndex];
+			// 読み込み時と同様に面の向きを反転させる
+			for (let j = 2; j >= 0; j--) {
+				const vertex_index = ti.index[j];
+				const uv = ti.uv[j];
+				const key = uv ? vertex_index + "/" + uv.x + "/" + uv.y : "" + vertex_index;
+				if (keymap[key] === undefined) {
+					const vertex = vertex_list[vertex_index];
+					keymap[key] = positions.length / 3;
+					positions.push(vertex.position.x, vertex.position.y, vertex.position.z);
+					if (has_normal) {
+						normals.push(vertex.normal.x, vertex.normal.y, vertex.normal.z);
+					}
+					if (uv) {
+						uvs.push(uv.x, uv.y);
+						has_uv = true;
+					} else {
+						uvs.push(0, 0);
+					}
+				}
+				group.push(keymap[key]);
+			}
+		}
+		let index = -1;
+		if (positions.length > 0) {
+			/**
+			 * @type {any}
+			 */
+			const attributes = {};
+			const position_accessor = addAccessor(new Float32Array(positions), 5126, "VEC3", 34962);
+			// POSITION には範囲の指定が必須
+			const min = [Infinity, Infinity, Infinity];
+			const max = [-Infinity, -Infinity, -Infinity];
+			for (let i = 0; i < positions.length; i++) {
+				min[i % 3] = Math.min(min[i % 3], positions[i]);
+				max[i % 3] = Math.max(max[i % 3], positions[i]);
+			}
+			gltf.accessors[position_accessor].min = min;
+			gltf.accessors[position_accessor].max = max;
+			attributes.POSITION = position_accessor;
+			if (has_normal) {
+				attributes.NORMAL = addAccessor(new Float32Array(normals), 5126, "VEC3", 34962);
+			}
+			if (has_uv) {
+				attributes.TEXCOORD_0 = addAccessor(new Float32Array(uvs), 5126, "VEC2", 34962);
+			}
+			const primitives = [];
+			const is_uint32 = positions.length / 3 > 65535;
+			for (let i = 0; i < group_list.length; i++) {
+				if (!group_list[i]) {
+					continue;
+				}
+				const indices = is_uint32 ? new Uint32Array(group_list[i]) : new Uint16Array(group_list[i]);
+				/**
+				 * @type {any}
+				 */
+				const primitive = {
+					attributes: attributes,
+					indices: addAccessor(indices, is_uint32 ? 5125 : 5123, "SCALAR", 34963),
+					mode: 4
+				};
+				if (mesh_material_list[i]) {
+					primitive.material = addMaterial(mesh_material_list[i]);
+				}
+				primitives.push(primitive);
+			}
+			gltf.meshes.push({ primitives: primitives });
+			index = gltf.meshes.length - 1;
+		}
+		mesh_list.push(mesh);
+		mesh_index_list.push(index);
+		return index;
+	};
+
+	/**
+	 * ノードを追加します。
+	 * @param {any} node ノード
+	 */
+	const addNode = function (node) {
+		gltf.nodes.push(node);
+		gltf.scenes[0].nodes.push(gltf.nodes.length - 1);
+	};
+
+	if (data instanceof S3Scene) {
+		// モデル
+		const models = data.getModels();
+		for (let i = 0; i < models.length; i++) {
+			const model = models[i];
+			const mesh = model.getMesh();
+			if (mesh === null) {
+				continue;
+			}
+			const sys = mesh.sys;
+			let M = sys.getMatrixWorldTransform(model);
+			if (sys.vectormode === S3System.VECTOR_MODE.VECTOR1x4) {
+				M = M.transposed();
+			}
+			/**
+			 * @type {any}
+			 */
+			const node = {
+				matrix: [
+					M.m00,
+					M.m10,
+					M.m20,
+					M.m30,
+					M.m01,
+					M.m11,
+					M.m21,
+					M.m31,
+					M.m02,
+					M.m12,
+					M.m22,
+					M.m32,
+					M.m03,
+					M.m13,
+					M.m23,
+					M.m33
+				]
+			};
+			const mesh_index = addMesh(mesh);
+			if (mesh_index !== -1) {
+				node.mesh = mesh_index;
+			}
+			addNode(node);
+		}
+		// カメラ
+		const camera = data.getCamera();
+		if (camera !== null) {
+			gltf.cameras.push({
+				type: "perspective",
+				perspective: {
+					yfov: S3Math.radius(camera.fovY),
+					znear: camera.near,
+					zfar: camera.far
+				}
+			});
+			addNode({
+				camera: gltf.cameras.length - 1,
+				matrix: getLookMatrix(camera.eye, camera.at.sub(camera.eye))
+			});
+		}
+		// ライト
+		const lights = data.getLights();
+		const gltf_lights = [];
+		for (let i = 0; i < lights.length; i++) {
+			const light = lights[i];
+			/**
+			 * @type {any}
+			 */
+			const gltf_light = {
+				color: [light.color.x, light.color.y, light.color.z],
+				intensity: light.power
+			};
+			/**
+			 * @type {any}
+			 */
+			const node = {};
+			if (light.mode === S3Light.MODE.DIRECTIONAL_LIGHT) {
+				gltf_light.type = "directional";
+				node.matrix = getLookMatrix(light.position, light.direction);
+			} else if (light.mode === S3Light.MODE.POINT_LIGHT) {
+				gltf_light.type = "point";
+				gltf_light.range = light.range;
+				node.translation = [light.position.x, light.position.y, light.position.z];
+			} else {
+				// 環境光などは対応する表現がない
+				continue;
+			}
+			gltf_lights.push(gltf_light);
+			node.extensions = { KHR_lights_punctual: { light: gltf_lights.length - 1 } };
+			addNode(node);
+		}
+		if (gltf_lights.length > 0) {
+			gltf.extensionsUsed = ["KHR_lights_punctual"];
+			gltf.extensions = { KHR_lights_punctual: { lights: gltf_lights } };
+		}
+	} else {
+		const mesh_index = addMesh(data);
+		addNode(mesh_index !== -1 ? { mesh: mesh_index } : {});
+	}
+
+	// バッファをまとめる
+	const binary = new Uint8Array(byte_length);
+	let offset = 0;
+	for (let i = 0; i < chunks.length; i++) {
+		binary.set(chunks[i], offset);
+		offset += chunks[i].length;
+	}
+	if (byte_length > 0) {
+		gltf.buffers.push({ byteLength: byte_length });
+	}
+
+	// 空の配列は出力しない
+	const keys = ["meshes", "materials", "textures", "images", "cameras", "accessors", "bufferViews", "buffers"];
+	for (let i = 0; i < keys.length; i++) {
+		if (gltf[keys[i]].length === 0) {
+			delete gltf[keys[i]];
+		}
+	}
+	return { json: gltf, binary: binary };
+};
+
+/**
+ * glTF 2.0 形式による3DCGメッシュデータの入出力ユーティリティ
+ *
+ * - S3MeshLoader から拡張子 "gltf" で利用されます。
+ * - メッシュ・アクセサ・バッファビュー・UV・法線・マテリアルを読み込み、ノードの変換を適用して1つのS3Meshにまとめます。
+ * - バッファはデータURI、またはモデルのURLからの相対パスで指定された外部の .bin ファイルに対応しています。
+ * - 外部ファイルを参照する場合は非同期で読み込み、完了後に complete を呼び出します。
+ * - S3Mesh または S3Scene を、バッファをBase64で埋め込んだ .gltf のJSONテキストとして出力できます。
+ */
+const S3MeshLoaderGLTF = {
+	/**
+	 * メッシュデータの入出力形式名
+	 * @type {string}
+	 */
+	name: "GLTF",
+
+	/**
+	 * 対応する拡張子
+	 * @type {Array<string>}
+	 */
+	extensions: ["gltf"],
+
+	/**
+	 * 対応するMIMEタイプ
+	 * @type {Array<string>}
+	 */
+	mime: ["model/gltf+json"],
+
+	/**
+	 * データの内容がこの形式か判定します。
+	 * asset を持つJSONで判定します。
+	 *
+	 * @param {string} head データの先頭部分（バイナリの場合は1バイトを1文字とした文字列）
+	 * @param {any} data データ本体
+	 * @returns {boolean} この形式であればtrue
+	 */
+	sniff: function (head, data) {
+		if (typeof data === "object" && data !== null && !(data instanceof ArrayBuffer)) {
+			return data.asset !== undefined;
+		}
+		return /^\s*\{/.test(head) && /"asset"\s*:/.test(head);
+	},
+
+	/**
+	 * glTF 2.0 形式のデータをS3Meshインスタンスへ変換します（インポート）。
+	 *
+	 * - 外部バッファがある場合は読み込み完了まで null を返し、完了後に complete を呼び出します。
+	 * - 点（POINTS）や線（LINES）のプリミティブは読み込みません。
+	 *
+	 * @param {S3System} sys S3Systemインスタンス
+	 * @param {S3Mesh} mesh メッシュインスタンス（空の状態で渡される）
+	 * @param {string|Object} json glTFのJSON文字列またはそのオブジェクト
+	 * @param {string} [url] ファイルのURL（外部ファイルの参照に使用）
+	 * @param {function(boolean, any=): void} [complete] 非同期で読み込んだ場合の完了時に呼ばれるコールバック（失敗時は原因の例外も渡す）
+	 * @returns {boolean|null} 成功時はtrue、非同期で読み込み中の場合はnull
+	 *
+	 * @example
+	 * S3MeshLoaderGLTF.input(sys, mesh, gltftext, "./resource/model.gltf");
+	 */
+	input: function (sys, mesh, json, url, complete) {
+		const gltf = typeof json === "string" ? JSON.parse(json) : json;
+		return S3MeshLoaderGLTF.parse(sys, mesh, gltf, url, complete);
+	},
+
+	/**
+	 * 解析済みのglTFオブジェクトをS3Meshインスタンスへ変換します。
+	 * GLBから読み込む場合は、BINチャンクを binary として渡します。
+	 *
+	 * @param {S3System} sys S3Systemインスタンス
+	 * @param {S3Mesh} mesh メッシュインスタンス（空の状態で渡される）
+	 * @param {any} gltf glTFのJSONオブジェクト
+	 * @param {string} [url] ファイルのURL（外部ファイルの参照に使用）
+	 * @param {function(boolean, any=): void} [complete] 非同期で読み込んだ場合の完了時に呼ばれるコールバック（失敗時は原因の例外も渡す）
+	 * @param {ArrayBuffer} [binary] uri を持たないバッファの内容（GLBのBINチャンク）
+	 * @returns {boolean|null} 成功時はtrue、非同期で読み込み中の場合はnull
+	 */
+	parse: function (sys, mesh, gltf, url, complete, binary) {
+		if (!gltf.asset || !/^2\./.test(gltf.asset.version)) {
+			return false;
+		}
+		const parent_dir = url ? new S3File(url).getParent() + "/" : "./";
+		const gltf_buffers = gltf.buffers ? gltf.buffers : [];
+
+		/**
+		 * @type {Array<ArrayBuffer>}
+		 */
+		const buffers = [];
+		let wait_count = 0;
+		for (let i = 0; i < gltf_buffers.length; i++) {
+			const uri = gltf_buffers[i].uri;
+			if (uri === undefined) {
+				buffers[i] = binary ? binary : null;
+			} else if (/^data:/.test(uri)) {
+				buffers[i] = decodeDataURI(uri);
+			} else {
+				wait_count++;
+			}
+		}
+		if (wait_count === 0) {
+			return parseGLTF(sys, mesh, gltf, buffers, parent_dir);
+		}
+
+		// 外部ファイルのバッファを読み込む
+		for (let i = 0; i < gltf_buffers.length; i++) {
+			const uri = gltf_buffers[i].uri;
+			if (uri === undefined || /^data:/.test(uri)) {
+				continue;
+			}
+			/**
+			 * @param {ArrayBuffer} data
+			 */
+			const downloadCallback = function (data) {
+				if (wait_count === 0) {
+					// 他のバッファの取得に失敗している
+					return;
+				}
+				buffers[i] = data;
+				wait_count--;
+				if (wait_count === 0) {
+					// 非同期のため、パース中の例外は呼び出し元で捕まえられない
+					let isLoad;
+					try {
+						isLoad = parseGLTF(sys, mesh, gltf, buffers, parent_dir);
+					} catch (e) {
+						if (complete) {
+							complete(false, e);
+						}
+						return;
+					}
+					if (complete) {
+						complete(isLoad);
+					}
+				}
+			};
+			/**
+			 * バッファを取得できない場合は、取得できなかった理由とともに読み込み失敗とする
+			 * @param {string} message
+			 */
+			const errorCallback = function (message) {
+				if (wait_count > 0) {
+					wait_count = 0;
+					if (complete) {
+						complete(false, new S3MeshLoaderError(message));
+					}
+				}
+			};
+			sys._download(toURL(parent_dir, uri), downloadCallback, true, errorCallback);
+		}
+		return null;
+	},
+
+	/**
+	 * S3Mesh または S3Scene を glTF 2.0 形式のJSONテキストへ変換します（エクスポート）。
+	 * バッファはデータURIとして埋め込みます。
+	 *
+	 * @param {S3Mesh|S3Scene} data 出力対象のメッシュまたはシーン
+	 * @returns {string} glTFのJSONテキスト
+	 *
+	 * @example
+	 * const text = S3MeshLoaderGLTF.output(scene);
+	 */
+	output: function (data) {
+		const output = S3MeshLoaderGLTF.build(data);
+		if (output.json.buffers) {
+			output.json.buffers[0].uri = "data:application/octet-stream;base64," + encodeBase64(output.binary);
+		}
+		return JSON.stringify(output.json);
+	},
+
+	/**
+	 * S3Mesh または S3Scene から glTF のJSONオブジェクトとバッファの内容を作成します。
+	 * JSON内の buffers[0] には uri を設定しないため、GLB ではそのままBINチャンクとして利用できます。
+	 *
+	 * @param {S3Mesh|S3Scene} data 出力対象のメッシュまたはシーン
+	 * @returns {{json: any, binary: Uint8Array}} glTFのJSONオブジェクトとバッファの内容
+	 */
+	build: function (data) {
+		return createGLTF(data);
+	}
+};
+
+export default S3MeshLoaderGLTF;
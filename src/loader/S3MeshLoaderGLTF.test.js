@@ -0,0 +1,112 @@
+﻿import fs from "fs";
+import os from "os";
+import path from "path";
+import S3System from "../basic/S3System.js";
+import S3Vector from "../math/S3Vector.js";
+import S3MeshLoader from "./S3MeshLoader.js";
+import S3MeshLoaderError from "./S3MeshLoaderError.js";
+
+/**
+ * 三角形1枚のテクスチャ付きメッシュを作成する
+ * @param {S3System} sys
+ * @param {string} [texture_url]
+ */
+const createMesh = function (sys, texture_url) {
+	const mesh = sys.createMesh();
+	mesh.addVertex(sys.createVertex(new S3Vector(0, 0, 0)));
+	mesh.addVertex(sys.createVertex(new S3Vector(1, 0, 0)));
+	mesh.addVertex(sys.createVertex(new S3Vector(0, 2, 0)));
+	const uv = [new S3Vector(0, 0), new S3Vector(1, 0), new S3Vector(0, 1)];
+	mesh.addTriangleIndex(sys.createTriangleIndex(0, 1, 2, [0, 1, 2], 0, uv));
+	const material = sys.createMaterial("red");
+	material.setColor(new S3Vector(1, 0, 0, 1));
+	if (texture_url) {
+		material.setTextureColor(texture_url);
+	}
+	mesh.addMaterial(material);
+	return mesh;
+};
+
+/**
+ * 三角形ごとの頂点の座標を、順序によらず比較できる文字列にする
+ * @param {any} mesh
+ */
+const getTriangles = function (mesh) {
+	const vertex = mesh.getVertexArray();
+	return mesh
+		.getTriangleIndexArray()
+		.map(function (ti) {
+			return ti.index
+				.map(function (i) {
+					const p = vertex[i].position;
+					return [p.x, p.y, p.z].join(",");
+				})
+				.sort()
+				.join(" ");
+		})
+		.sort();
+};
+
+describe("S3MeshLoaderGLTF", function () {
+	let dir;
+	beforeAll(function () {
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), "s3js-gltf-"));
+		fs.mkdirSync(path.join(dir, "tex"));
+		fs.mkdirSync(path.join(dir, "out"));
+		fs.writeFileSync(path.join(dir, "tex", "a.png"), "png");
+	});
+	afterAll(function () {
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+
+	test("出力したglTFを読み込むと同じ形状とマテリアルになる", function () {
+		const sys = new S3System();
+		const mesh = createMesh(sys);
+		const text = S3MeshLoader.outputData(mesh, "GLTF");
+		return S3MeshLoader.loadMesh(sys, text, "GLTF").then(function (loaded) {
+			expect(getTriangles(loaded)).toEqual(getTriangles(mesh));
+			const material = loaded.getMaterialArray()[loaded.getTriangleIndexArray()[0].materialIndex];
+			expect(material.color.x).toBeCloseTo(1);
+			expect(material.color.y).toBeCloseTo(0);
+		});
+	});
+
+	test("絶対パスのテクスチャは出力先が異なっても同じファイルを参照する", function () {
+		const sys = new S3System();
+		const texture_url = path.join(dir, "tex", "a.png");
+		const mesh = createMesh(sys, texture_url);
+		const file = path.join(dir, "out", "model.gltf");
+		fs.writeFileSync(file, S3MeshLoader.outputData(mesh, "GLTF"));
+		return S3MeshLoader.loadMesh(sys, file).then(function (loaded) {
+			expect(loaded.getMaterialArray()[0].textureColor.url).toBe(texture_url);
+		});
+	});
+
+	test("外部のバッファを取得できない場合は取得先を含むエラーでrejectする", function () {
+		const sys = new S3System();
+		const file = path.join(dir, "missing.gltf");
+		const gltf = { asset: { version: "2.0" }, buffers: [{ uri: "missing.bin", byteLength: 36 }], meshes: [] };
+		fs.writeFileSync(file, JSON.stringify(gltf));
+		return S3MeshLoader.loadMesh(sys, file).then(
+			function () {
+				throw new Error("resolved");
+			},
+			function (error) {
+				expect(error).toBeInstanceOf(S3MeshLoaderError);
+				expect(error.message).toContain("missing.bin");
+			}
+		);
+	});
+
+	test("外部のバッファが途中で終わっている場合はrejectする", function () {
+		const sys = new S3System();
+		const gltf = JSON.parse(S3MeshLoader.outputData(createMesh(sys), "GLTF"));
+		const uri = gltf.buffers[0].uri;
+		const bytes = Buffer.from(uri.substring(uri.indexOf(",") + 1), "base64");
+		fs.writeFileSync(path.join(dir, "short.bin"), bytes.subarray(0, 8));
+		gltf.buffers[0].uri = "short.bin";
+		const file = path.join(dir, "short.gltf");
+		fs.writeFileSync(file, JSON.stringify(gltf));
+		return expect(S3MeshLoader.loadMesh(sys, file)).rejects.toBeInstanceOf(S3MeshLoaderError);
+	});
+});
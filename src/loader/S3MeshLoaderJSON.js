@@ -2,6 +2,8 @@
 import S3Mesh from "../basic/S3Mesh.js";
 import S3Material from "../basic/S3Material.js";
 import S3Vector from "../math/S3Vector.js";
+import S3Polygon from "../math/S3Polygon.js";
+import S3File from "./S3File.js";
 
 /*
 	次のようなデータを入出力できます。
@@ -21,8 +23,97 @@ import S3Vector from "../math/S3Vector.js";
 			[  0,  0, -20]
 		]
 	};
+
+	Version 2 では、次の項目を追加で入出力できます（いずれも省略可能です）。
+	Indexes のキーは Materials / UV と共通のマテリアルのキーで、UV は Indexes の各面と同じ順に並びます。
+	const sample2 = {
+		Version: 2,
+		Materials:{
+			body:{
+				name: "body",
+				color: [1, 1, 1, 1],
+				diffuse: 0.8,
+				emission: [0, 0, 0],
+				specular: [0, 0, 0],
+				power: 5,
+				ambient: [0.6, 0.6, 0.6],
+				reflect: 0,
+				textureColor: "./body.png",
+				textureNormal: null
+			}
+		},
+		Indexes:{ body:[ [ 0, 1, 2] ] },
+		UV:{ body:[ [ [0, 0], [0, 1], [1, 0] ] ] },
+		Vertices:[ [ 0, 0, -5], [ 0, 20, -5], [ 10, 0, -5] ],
+		Normals:[ [ 0, 0, -1], [ 0, 0, -1], [ 0, 0, -1] ],
+		Colors:[ [ 1, 1, 1, 1], [ 1, 1, 1, 1], [ 1, 1, 1, 1] ]
+	};
 */
 
+/**
+ * 出力する形式のバージョン
+ * @type {number}
+ */
+const JSON_VERSION = 2;
+
+/**
+ * 数値の配列をベクトルへ変換します。
+ *
+ * @param {any} x 配列
+ * @returns {S3Vector|null} ベクトル（配列でない場合はnull）
+ */
+const toVector = function (x) {
+	if (!(x instanceof Array)) {
+		return null;
+	}
+	return new S3Vector(x[0], x[1], x.length > 2 ? x[2] : 0.0, x.length > 3 ? x[3] : 1.0);
+};
+
+/**
+ * JSONデータのマテリアル情報を S3Material へ設定します。
+ *
+ * @param {S3Material} material 設定先のマテリアル
+ * @param {any} data マテリアル情報
+ * @param {string} parent_dir テクスチャの参照に使うディレクトリ
+ */
+const applyMaterial = function (material, data, parent_dir) {
+	/**
+	 * @param {string} path
+	 * @returns {string}
+	 */
+	const toURL = function (path) {
+		// 絶対パスやスキーム付きのURLはそのまま使う
+		return /^([a-z][a-z0-9+.-]*:|\/)/i.test(path) ? path : parent_dir + path;
+	};
+	if (data.color instanceof Array) {
+		material.setColor(toVector(data.color));
+	}
+	if (typeof data.diffuse === "number") {
+		material.setDiffuse(data.diffuse);
+	}
+	if (data.emission instanceof Array) {
+		material.setEmission(toVector(data.emission));
+	}
+	if (data.specular instanceof Array) {
+		material.setSpecular(toVector(data.specular));
+	}
+	if (typeof data.power === "number") {
+		material.setPower(data.power);
+	}
+	if (data.ambient instanceof Array) {
+		material.setAmbient(toVector(data.ambient));
+	}
+	if (typeof data.reflect === "number") {
+		material.setReflect(data.reflect);
+	}
+	if (typeof data.textureColor === "string" && data.textureColor !== "") {
+		material.setTextureColor(toURL(data.textureColor));
+	}
+	if (typeof data.textureNormal === "string" && data.textureNormal !== "") {
+		material.setTextureNormal(toURL(data.textureNormal));
+	}
+};
+
 /**
  * JSON形式による3DCGメッシュデータの入出力ユーティリティ
  *
@@ -30,11 +121,12 @@ import S3Vector from "../math/S3Vector.js";
  *   S3Meshインスタンスへ変換（インポート）、またはS3MeshからJSON形式で出力（エクスポート）します。
  * - 三角形・四角形など複数頂点数の面、マテリアル名ごとの管理に対応。
  * - テキスト文字列またはオブジェクト形式の両方をサポート。
+ * - Version 2 ではマテリアルの各値、UV、頂点の法線と色も扱えます（Version のないデータもそのまま読み込めます）。
  * - メッシュローダ本体（S3MeshLoader）経由でも利用されます。
  *
  * @namespace S3MeshLoaderJSON
  * @property {string} name - メッシュデータの入出力形式名（"JSON"）
- * @property {function(S3System, S3Mesh, string|Object):boolean} input - JSONデータからS3Meshへ変換（インポート）
+ * @property {function(S3System, S3Mesh, string|Object, string=):boolean} input - JSONデータからS3Meshへ変換（インポート）
  * @property {function(S3Mesh):string} output - S3MeshからJSON形式へ変換（エクスポート）
  *
  * @example
@@ -50,51 +142,107 @@ const S3MeshLoaderJSON = {
 	 */
 	name: "JSON",
 
+	/**
+	 * 対応する拡張子
+	 * @type {Array<string>}
+	 */
+	extensions: ["json"],
+
+	/**
+	 * データの内容がこの形式か判定します。
+	 * Vertices を持つオブジェクト、またはそれらしいJSONテキストを判定します。
+	 *
+	 * @param {string} head データの先頭部分（バイナリの場合は1バイトを1文字とした文字列）
+	 * @param {any} data データ本体
+	 * @returns {boolean} この形式であればtrue
+	 */
+	sniff: function (head, data) {
+		if (typeof data === "object" && data !== null && !(data instanceof ArrayBuffer)) {
+			return data.Vertices !== undefined;
+		}
+		return /^\s*\{/.test(head) && /"?(Vertices|Indexes|Materials)"?\s*:/.test(head) && !/"asset"\s*:/.test(head);
+	},
+
 	/**
 	 * JSONデータをS3Meshへ変換（インポート）します。
 	 *
 	 * - 頂点配列（Vertices）、面インデックス配列（Indexes）を含むJSONデータを解析し
 	 *   S3Meshオブジェクトへ詰め替えます。
 	 * - 文字列型なら自動的にJSON.parseします。
+	 * - Version 2 の Materials / UV / Normals / Colors があれば、マテリアルの各値、UV、頂点の法線と色も設定します。
 	 *
 	 * @param {S3System} sys S3Systemインスタンス
 	 * @param {S3Mesh} mesh メッシュインスタンス（初期化済み/空状態で渡される）
 	 * @param {string|Object} json JSON文字列またはそのオブジェクト
+	 * @param {string} [url] ファイルのURL（テクスチャの参照に使用）
 	 * @returns {boolean} パースが成功した場合はtrue
 	 *
 	 * @example
 	 * // 文字列からの直接インポート
 	 * S3MeshLoaderJSON.input(sys, mesh, '{"Vertices":[[0,0,0]],"Indexes":{"mat1":[[0,0,0]]}}');
 	 */
-	input: function (sys, mesh, json) {
+	input: function (sys, mesh, json, url) {
 		let meshdata;
 		if (typeof json === "string") {
 			meshdata = JSON.parse(json);
 		} else {
 			meshdata = json;
 		}
+		const materials = meshdata.Materials ? meshdata.Materials : {};
+		const uvs = meshdata.UV ? meshdata.UV : {};
+		const parent_dir = url ? new S3File(url).getParent() + "/" : "";
+		const vertices = meshdata.Vertices instanceof Array ? meshdata.Vertices : [];
 		let material = 0;
 		// 材質名とインデックスを取得
 		for (const materialname in meshdata.Indexes) {
-			mesh.addMaterial(sys.createMaterial(materialname));
+			const materialdata = materials[materialname];
+			const s3material = sys.createMaterial(
+				materialdata && typeof materialdata.name === "string" ? materialdata.name : materialname
+			);
+			if (materialdata) {
+				applyMaterial(s3material, materialdata, parent_dir);
+			}
+			mesh.addMaterial(s3material);
 			const materialindexlist = meshdata.Indexes[materialname];
+			const materialuvlist = uvs[materialname] instanceof Array ? uvs[materialname] : [];
 			for (let i = 0; i < materialindexlist.length; i++) {
 				const list = materialindexlist[i];
-				for (let j = 0; j < list.length - 2; j++) {
-					// 3角形と4角形に対応
-					const ti =
-						j % 2 === 0
-							? sys.createTriangleIndex(j, j + 1, j + 2, list, material)
-							: sys.createTriangleIndex(j - 1, j + 1, j + 2, list, material);
+				/**
+				 * 面の頂点ごとのUV（ない場合は空配列）
+				 * @type {Array<S3Vector>}
+				 */
+				const uvlist = [];
+				if (materialuvlist[i] instanceof Array && materialuvlist[i].length === list.length) {
+					for (let j = 0; j < list.length; j++) {
+						uvlist[j] = toVector(materialuvlist[i][j]);
+					}
+				}
+				// 5角形以上や凹多角形も三角形に分割する
+				const positions = [];
+				for (let j = 0; j < list.length; j++) {
+					positions[j] = toVector(vertices[list[j]]);
+				}
+				const triangles = S3Polygon.triangulate(positions);
+				for (let j = 0; j < triangles.length; j += 3) {
+					const ti = sys.createTriangleIndex(
+						triangles[j],
+						triangles[j + 1],
+						triangles[j + 2],
+						list,
+						material,
+						uvlist
+					);
 					mesh.addTriangleIndex(ti);
 				}
 			}
 			material++;
 		}
 		// 頂点座標を取得
-		for (let i = 0; i < meshdata.Vertices.length; i++) {
-			const vector = new S3Vector(meshdata.Vertices[i][0], meshdata.Vertices[i][1], meshdata.Vertices[i][2]);
-			const vertex = sys.createVertex(vector);
+		const normals = meshdata.Normals instanceof Array ? meshdata.Normals : [];
+		const colors = meshdata.Colors instanceof Array ? meshdata.Colors : [];
+		for (let i = 0; i < vertices.length; i++) {
+			const vector = new S3Vector(vertices[i][0], vertices[i][1], vertices[i][2]);
+			const vertex = sys.createVertex(vector, toVector(normals[i]), toVector(colors[i]));
 			mesh.addVertex(vertex);
 		}
 		return true;
@@ -105,6 +253,8 @@ const S3MeshLoaderJSON = {
 	 *
 	 * - 頂点配列・面インデックス配列・マテリアル名などを全てJSONオブジェクト形式で返します。
 	 * - マテリアルごとのインデックスリストも整理されます。
+	 * - Version 2 の形式で、マテリアルの各値、UV、頂点の法線と色も出力します。
+	 * - 画像を直接設定したテクスチャはURLがないため null になります。
 	 *
 	 * @param {S3Mesh} mesh 出力対象のメッシュ
 	 * @returns {string} JSON形式のテキストデータ
@@ -138,6 +288,8 @@ const S3MeshLoaderJSON = {
 		 * @typedef {Object} S3MeshLoaderMaterialListEntry
 		 * @property {S3MeshLoaderMaterial|S3Material} material マテリアル情報（S3Material型またはDefaultMaterialオブジェクト）
 		 * @property {Array<Array<number>>} list そのマテリアルに属する三角形インデックス配列
+		 * @property {Array<Array<S3Vector>>} uv そのマテリアルに属する三角形のUV配列
+		 * @property {string} key 出力時のキー（マテリアル名が重複する場合は番号を付ける）
 		 */
 
 		/**
@@ -166,37 +318,171 @@ const S3MeshLoaderJSON = {
 		for (let i = 0; i < material_length; i++) {
 			material_vertexlist[i] = {
 				material: material[i] ? material[i] : default_material,
-				list: []
+				list: [],
+				uv: [],
+				key: ""
 			};
 		}
 		// 材質名に合わせて、インデックスリストを取得
 		for (let i = 0; i < triangleindex.length; i++) {
 			const ti = triangleindex[i];
 			material_vertexlist[ti.materialIndex].list.push(ti.index);
+			material_vertexlist[ti.materialIndex].uv.push(ti.uv);
+		}
+		// 同じ名前のマテリアルがある場合はキーが重複しないように番号を付ける
+		/**
+		 * @type {Object<string, boolean>}
+		 */
+		const used_key = {};
+		for (let i = 0; i < material_vertexlist.length; i++) {
+			const name = material_vertexlist[i].material.name;
+			let key = name;
+			for (let j = 2; used_key[key]; j++) {
+				key = name + "_" + j;
+			}
+			used_key[key] = true;
+			material_vertexlist[i].key = key;
 		}
+		/**
+		 * @param {S3Vector} v
+		 * @returns {string}
+		 */
+		const toText3 = function (v) {
+			return "[" + v.x + "," + v.y + "," + v.z + "]";
+		};
+		/**
+		 * @param {S3Vector} v
+		 * @returns {string}
+		 */
+		const toText4 = function (v) {
+			return "[" + v.x + "," + v.y + "," + v.z + "," + v.w + "]";
+		};
 		const output = [];
 		output.push("{");
-		output.push("\tIndexes:{");
+		output.push('\t"Version":' + JSON_VERSION + ",");
+		output.push('\t"Materials":{');
+		for (let i = 0; i < material_vertexlist.length; i++) {
+			const mv = material_vertexlist[i];
+			const m = mv.material;
+			const texture_color = m.textureColor ? m.textureColor.getFileURL() : null;
+			const texture_normal = m.textureNormal ? m.textureNormal.getFileURL() : null;
+			output.push("\t\t" + JSON.stringify(mv.key) + ":{");
+			output.push('\t\t\t"name":' + JSON.stringify(m.name) + ",");
+			output.push('\t\t\t"color":' + toText4(m.color) + ",");
+			output.push('\t\t\t"diffuse":' + m.diffuse + ",");
+			output.push('\t\t\t"emission":' + toText3(m.emission) + ",");
+			output.push('\t\t\t"specular":' + toText3(m.specular) + ",");
+			output.push('\t\t\t"power":' + m.power + ",");
+			output.push('\t\t\t"ambient":' + toText3(m.ambient) + ",");
+			output.push('\t\t\t"reflect":' + m.reflect + ",");
+			output.push('\t\t\t"textureColor":' + JSON.stringify(texture_color) + ",");
+			output.push('\t\t\t"textureNormal":' + JSON.stringify(texture_normal));
+			output.push("\t\t}" + (i === material_vertexlist.length - 1 ? "" : ","));
+		}
+		output.push("\t},");
+		output.push('\t"Indexes":{');
 		for (let i = 0; i < material_vertexlist.length; i++) {
 			const mv = material_vertexlist[i];
-			output.push("\t\t" + mv.material.name + ":[");
+			output.push("\t\t" + JSON.stringify(mv.key) + ":[");
 			for (let j = 0; j < mv.list.length; j++) {
 				const vi = mv.list[j];
 				output.push(
-					"\t\t\t[" + vi[0] + " " + vi[1] + " " + vi[2] + "]" + (j === mv.list.length - 1 ? "" : ",")
+					"\t\t\t[" + vi[0] + "," + vi[1] + "," + vi[2] + "]" + (j === mv.list.length - 1 ? "" : ",")
 				);
 			}
 			output.push("\t\t]" + (i === material_vertexlist.length - 1 ? "" : ","));
 		}
 		output.push("\t},");
-		output.push("\tVertices:[");
+		// UVは面ごとに出力する（UVを持たない面はnull）
+		output.push('\t"UV":{');
+		for (let i = 0; i < material_vertexlist.length; i++) {
+			const mv = material_vertexlist[i];
+			output.push("\t\t" + JSON.stringify(mv.key) + ":[");
+			for (let j = 0; j < mv.uv.length; j++) {
+				const uv = mv.uv[j];
+				const text =
+					uv && uv[0] && uv[1] && uv[2]
+						? "[[" +
+							uv[0].x +
+							"," +
+							uv[0].y +
+							"],[" +
+							uv[1].x +
+							"," +
+							uv[1].y +
+							"],[" +
+							uv[2].x +
+							"," +
+							uv[2].y +
+							"]]"
+						: "null";
+				output.push("\t\t\t" + text + (j === mv.uv.length - 1 ? "" : ","));
+			}
+			output.push("\t\t]" + (i === material_vertexlist.length - 1 ? "" : ","));
+		}
+		output.push("\t},");
+		// 法線と色は、すべての頂点が持っている場合のみ出力する
+		let has_normal = vertex.length > 0;
+		let has_color = vertex.length > 0;
+		for (let i = 0; i < vertex.length; i++) {
+			has_normal = has_normal && vertex[i].normal !== null;
+			has_color = has_color && vertex[i].color !== null;
+		}
+		if (has_normal) {
+			output.push('\t"Normals":[');
+			for (let i = 0; i < vertex.length; i++) {
+				output.push("\t\t" + toText3(vertex[i].normal) + (i === vertex.length - 1 ? "" : ","));
+			}
+			output.push("\t],");
+		}
+		if (has_color) {
+			output.push('\t"Colors":[');
+			for (let i = 0; i < vertex.length; i++) {
+				output.push("\t\t" + toText4(vertex[i].color) + (i === vertex.length - 1 ? "" : ","));
+			}
+			output.push("\t],");
+		}
+		output.push('\t"Vertices":[');
 		for (let i = 0; i < vertex.length; i++) {
-			const vp = vertex[i].position;
-			output.push("\t\t[" + vp.x + " " + vp.y + " " + vp.z + "]" + (i === vertex.length - 1 ? "" : ","));
+			output.push("\t\t" + toText3(vertex[i].position) + (i === vertex.length - 1 ? "" : ","));
 		}
 		output.push("\t]");
 		output.push("}");
 		return output.join("\n");
+	},
+
+	/**
+	 * Version 2 の Materials の1要素と同じ形式のマテリアル情報を、S3Material へ設定します。
+	 * マテリアルをJSONで保持する他の形式（S3B）からも使用します。
+	 *
+	 * @param {S3Material} material 設定先のマテリアル
+	 * @param {any} data マテリアル情報
+	 * @param {string} [url] ファイルのURL（テクスチャの相対パスの基準）
+	 */
+	inputMaterial: function (material, data, url) {
+		applyMaterial(material, data, url ? new S3File(url).getParent() + "/" : "");
+	},
+
+	/**
+	 * S3Material を、Version 2 の Materials の1要素と同じ形式のオブジェクトへ変換します。
+	 * 画像を直接設定したテクスチャはURLがないため null になります。
+	 *
+	 * @param {S3Material} material 変換するマテリアル
+	 * @returns {Object<string, any>} マテリアル情報
+	 */
+	outputMaterial: function (material) {
+		return {
+			name: material.name,
+			color: [material.color.x, material.color.y, material.color.z, material.color.w],
+			diffuse: material.diffuse,
+			emission: [material.emission.x, material.emission.y, material.emission.z],
+			specular: [material.specular.x, material.specular.y, material.specular.z],
+			power: material.power,
+			ambient: [material.ambient.x, material.ambient.y, material.ambient.z],
+			reflect: material.reflect,
+			textureColor: material.textureColor ? material.textureColor.getFileURL() : null,
+			textureNormal: material.textureNormal ? material.textureNormal.getFileURL() : null
+		};
 	}
 };
 
@@ -0,0 +1,77 @@
+﻿import fs from "fs";
+import os from "os";
+import path from "path";
+import S3System from "../basic/S3System.js";
+import S3Vector from "../math/S3Vector.js";
+import S3MeshLoader from "./S3MeshLoader.js";
+
+/**
+ * 三角形1枚の法線、UV、マテリアル付きメッシュを作成する
+ * @param {S3System} sys
+ */
+const createMesh = function (sys) {
+	const mesh = sys.createMesh();
+	const normal = new S3Vector(0, 0, 1);
+	mesh.addVertex(sys.createVertex(new S3Vector(0, 0, 0), normal));
+	mesh.addVertex(sys.createVertex(new S3Vector(1, 0, 0), normal));
+	mesh.addVertex(sys.createVertex(new S3Vector(0, 1, 0), normal));
+	const uv = [new S3Vector(0, 0), new S3Vector(1, 0), new S3Vector(0, 1)];
+	mesh.addTriangleIndex(sys.createTriangleIndex(0, 1, 2, [0, 1, 2], 0, uv));
+	const material = sys.createMaterial("metal");
+	material.setColor(new S3Vector(0.2, 0.4, 0.6, 0.5));
+	material.setDiffuse(0.7);
+	material.setEmission(new S3Vector(0.1, 0, 0));
+	material.setSpecular(new S3Vector(0.9, 0.9, 0.9));
+	material.setPower(20);
+	material.setAmbient(new S3Vector(0.3, 0.3, 0.3));
+	material.setReflect(0.25);
+	mesh.addMaterial(material);
+	return mesh;
+};
+
+describe("S3MeshLoaderJSON", function () {
+	let dir;
+	beforeAll(function () {
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), "s3js-json-"));
+		fs.writeFileSync(path.join(dir, "a.png"), "png");
+	});
+	afterAll(function () {
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+
+	test("出力したデータを読み込むと法線、UV、マテリアルの値が同じになる", function () {
+		const sys = new S3System();
+		const text = S3MeshLoader.outputData(createMesh(sys), "JSON");
+		const mesh = S3MeshLoader.inputData(sys, text, "JSON");
+		const vertex = mesh.getVertexArray();
+		expect(vertex.length).toBe(3);
+		expect([vertex[0].normal.x, vertex[0].normal.y, vertex[0].normal.z]).toEqual([0, 0, 1]);
+		const ti = mesh.getTriangleIndexArray()[0];
+		expect([ti.uv[1].x, ti.uv[1].y, ti.uv[2].x, ti.uv[2].y]).toEqual([1, 0, 0, 1]);
+		const material = mesh.getMaterialArray()[ti.materialIndex];
+		expect(material.name).toBe("metal");
+		expect([material.color.x, material.color.y, material.color.z, material.color.w]).toEqual([0.2, 0.4, 0.6, 0.5]);
+		expect(material.diffuse).toBe(0.7);
+		expect(material.emission.x).toBe(0.1);
+		expect(material.specular.y).toBe(0.9);
+		expect(material.power).toBe(20);
+		expect(material.ambient.z).toBe(0.3);
+		expect(material.reflect).toBe(0.25);
+	});
+
+	test("テクスチャの絶対パスはそのまま参照し、直接設定した画像は出力しない", function () {
+		const sys = new S3System();
+		const mesh = createMesh(sys);
+		const texture_url = path.join(dir, "a.png");
+		mesh.getMaterialArray()[0].setTextureColor(texture_url);
+		mesh.getMaterialArray()[0].setTextureNormal(new ArrayBuffer(4));
+		const data = JSON.parse(S3MeshLoader.outputData(mesh, "JSON"));
+		const key = Object.keys(data.Materials)[0];
+		expect(data.Materials[key].textureColor).toBe(texture_url);
+		expect(data.Materials[key].textureNormal).toBeFalsy();
+		fs.writeFileSync(path.join(dir, "model.json"), JSON.stringify(data));
+		return S3MeshLoader.loadMesh(sys, path.join(dir, "model.json")).then(function (loaded) {
+			expect(loaded.getMaterialArray()[0].textureColor.url).toBe(texture_url);
+		});
+	});
+});
@@ -1,68 +1,419 @@
 ﻿import S3System from "../basic/S3System.js";
 import S3Mesh from "../basic/S3Mesh.js";
+import S3Material from "../basic/S3Material.js";
 import S3Vector from "../math/S3Vector.js";
+import S3Polygon from "../math/S3Polygon.js";
+import S3File from "./S3File.js";
+import S3MeshLoaderError from "./S3MeshLoaderError.js";
 
 /**
- * パス名操作・ファイルパスの解決用ヘルパークラス
+ * MQOの面
+ * @typedef {Object} S3MQOFace
+ * @property {Array<number>} v オブジェクト内の頂点番号
+ * @property {Array<S3Vector>} uv 各頂点のUV（ない場合は空配列）
+ * @property {number} material マテリアル番号
+ */
+
+/**
+ * MQOのオブジェクト（Objectチャンク）
+ * @typedef {Object} S3MQOObject
+ * @property {string} name オブジェクト名
+ * @property {number} depth 階層の深さ（0が最上位）
+ * @property {boolean} visible 表示するか
+ * @property {number} shading シェーディング（0: フラット, 1: グロー）
+ * @property {?number} facet スムージング角度（度、指定がない場合はnull）
+ * @property {number} mirror ミラーの種類（0: なし, 1: 左右を分離, 2: 左右を接続）
+ * @property {number} mirror_axis ミラーの軸（1: X, 2: Y, 4: Z の組み合わせ）
+ * @property {number} mirror_dis 左右を接続する場合の接続距離
+ * @property {Array<S3Vector>} vertices 頂点座標
+ * @property {Array<S3MQOFace>} faces 面
+ */
+
+/**
+ * 半角スペース区切りの文字列数値を数値型配列に変換します。
  *
- * - MQOファイル内や外部ファイルへの参照（テクスチャパス等）を絶対パスに変換するために利用されます。
- * - `getAbsolutePath()` でファイルの絶対パスを計算し、`getParent()` で親ディレクトリのパスも取得できます。
- * - 内部的にパスの区切りを正規化（バックスラッシュ→スラッシュ）します。
+ * @param {string} text 変換対象の文字列（例："1.0 2.5 3.14"）
+ * @returns {Array<number>} 数値型の配列
  */
-class File {
-	/**
-	 * ファイルインスタンスを生成します。
-	 * @param {string} pathname ファイルパスやURL
-	 */
-	constructor(pathname) {
-		/**
-		 * 正規化済みパス
-		 * @type {string}
-		 */
-		this.pathname = pathname.replace(/\\/g, "/");
+const toNumberArray = function (text) {
+	const x = text.split(" "),
+		out = [];
+	for (let i = 0; i < x.length; i++) {
+		out[i] = parseFloat(x[i]);
+	}
+	return out;
+};
+
+/**
+ * "func(XXX)" の形式から、指定パラメータ名 parameter の括弧内の値を抜き出します。
+ *
+ * @param {string} text 対象となる1行分のテキスト
+ * @param {string} parameter 抜き出したいパラメータ名
+ * @returns {string} パラメータの中身
+ */
+const getValueFromPrm = function (text, parameter) {
+	const x = text.split(" " + parameter + "(");
+	if (x.length === 1) {
+		return null; // パラメータが見つからない場合はnullを返す
+	}
+	return x[1].split(")")[0];
+};
+
+/**
+ * "func(XXX)" の形式から、数値パラメータを配列として取得します。
+ *
+ * @param {string} text 対象となる1行分のテキスト
+ * @param {string} parameter 抜き出したいパラメータ名
+ * @returns {Array<number>} 数値型配列（見つからなければ空配列）
+ */
+const getNumberFromPrm = function (text, parameter) {
+	const value = getValueFromPrm(text, parameter);
+	if (value === null) {
+		return [];
+	}
+	return toNumberArray(value);
+};
+
+/**
+ * "func(XXX)" の形式から、ダブルクォート囲みのURLやファイル名を抽出します。
+ *
+ * @param {string} text 対象となる1行分のテキスト
+ * @param {string} parameter 抜き出したいパラメータ名
+ * @returns {string|null} 抜き出したURL文字列、またはnull（見つからなければ）
+ */
+const getURLFromPrm = function (text, parameter) {
+	const value = getValueFromPrm(text, parameter);
+	if (value === null) {
+		return null;
+	}
+	const x = value.split('"');
+	if (x.length !== 3) {
+		return null;
+	}
+	return x[1];
+};
+
+/**
+ * Materialチャンクの1行からマテリアルを作成します。
+ *
+ * @param {S3System} sys S3Systemインスタンス
+ * @param {string} trim_line 前後の空白を除いた1行分のテキスト
+ * @param {string} parent_dir テクスチャの参照に使うディレクトリ
+ * @returns {S3Material} 作成したマテリアル
+ */
+const createMaterial = function (sys, trim_line, parent_dir) {
+	const material_name = trim_line.split(" ")[0].replace(/"/g, "");
+	const material = sys.createMaterial();
+	material.setName(material_name);
+	let val;
+	val = getNumberFromPrm(trim_line, "col");
+	if (val.length !== 0) {
+		material.setColor(new S3Vector(val[0], val[1], val[2], val[3]));
+	}
+	val = getNumberFromPrm(trim_line, "dif");
+	if (val.length !== 0) {
+		material.setDiffuse(val[0]);
+	}
+	val = getNumberFromPrm(trim_line, "amb");
+	if (val.length !== 0) {
+		material.setAmbient(new S3Vector(val[0], val[0], val[0]));
+	}
+	val = getNumberFromPrm(trim_line, "amb_col");
+	if (val.length !== 0) {
+		material.setAmbient(new S3Vector(val[0], val[1], val[2]));
+	}
+	val = getNumberFromPrm(trim_line, "emi");
+	if (val.length !== 0) {
+		material.setEmission(new S3Vector(val[0], val[0], val[0]));
+	}
+	val = getNumberFromPrm(trim_line, "emi_col");
+	if (val.length !== 0) {
+		material.setEmission(new S3Vector(val[0], val[1], val[2]));
+	}
+	val = getNumberFromPrm(trim_line, "spc");
+	if (val.length !== 0) {
+		material.setSpecular(new S3Vector(val[0], val[0], val[0]));
 	}
+	val = getNumberFromPrm(trim_line, "spc_col");
+	if (val.length !== 0) {
+		material.setSpecular(new S3Vector(val[0], val[1], val[2]));
+	}
+	val = getNumberFromPrm(trim_line, "power");
+	if (val.length !== 0) {
+		material.setPower(val[0]);
+	}
+	val = getNumberFromPrm(trim_line, "reflect");
+	if (val.length !== 0) {
+		material.setReflect(val[0]);
+	}
+	val = getURLFromPrm(trim_line, "tex");
+	if (val) {
+		material.setTextureColor(parent_dir + val);
+	}
+	val = getURLFromPrm(trim_line, "bump");
+	if (val) {
+		material.setTextureNormal(parent_dir + val);
+	}
+	return material;
+};
 
+/**
+ * MQO形式のテキストを解析し、マテリアルの定義とオブジェクトの一覧を取得します。
+ * 不正な行や対応していないチャンクは S3MeshLoaderError.report で報告し、不正な面は読み飛ばします。
+ *
+ * @param {string} text MQOファイル内容（テキスト）
+ * @param {import("./S3MeshLoader.js").S3MeshLoaderOption} [option] 読み込み時のオプション
+ * @returns {{materials: Array<string>, objects: Array<S3MQOObject>}} Materialチャンクの各行とオブジェクトの一覧
+ */
+const parseMQO = function (text, option) {
+	const lines = text.split("\n");
+	const block_stack = [];
+	let block_type = "none";
 	/**
-	 * ファイルの絶対パスを取得します。
-	 * - http(s)の場合はそのまま
-	 * - 相対パスの場合は現在のURLから解決
-	 *
-	 * @returns {string} 絶対パス（URL形式）
+	 * @type {Array<string>}
 	 */
-	getAbsolutePath() {
-		if (/$http/.test(this.pathname)) {
-			return this.pathname;
-		}
-		let name = window.location.toString();
-		if (!/\/$/.test(name)) {
-			name = name.match(/.*\//)[0];
+	const materials = [];
+	/**
+	 * @type {Array<S3MQOObject>}
+	 */
+	const objects = [];
+	/**
+	 * @type {S3MQOObject}
+	 */
+	let object = null;
+	for (let i = 0; i < lines.length; i++) {
+		const trim_line = lines[i].replace(/^\s+|\s+$/g, "");
+		const first = trim_line.split(" ")[0];
+		if (trim_line.indexOf("{") !== -1) {
+			// 最上位と Object 内の、読み込まないチャンク（BackImage, vertexattr など）
+			const is_unsupported =
+				(block_type === "none" && first !== "Scene" && first !== "Material" && first !== "Object") ||
+				(block_type === "Object" && first !== "vertex" && first !== "face");
+			if (is_unsupported) {
+				S3MeshLoaderError.report(option, "warning", "対応していないチャンクです", i + 1, first);
+			}
+			if (first === "Object") {
+				const name = trim_line.split('"');
+				object = {
+					name: name.length >= 3 ? name[1] : "",
+					depth: 0,
+					visible: true,
+					shading: 1,
+					facet: null,
+					mirror: 0,
+					mirror_axis: 1,
+					mirror_dis: 0,
+					vertices: [],
+					faces: []
+				};
+				objects.push(object);
+			}
+			// 階層に入る前の位置を保存
+			block_stack.push(block_type);
+			block_type = first;
+			continue;
+		} else if (trim_line.indexOf("}") !== -1) {
+			if (block_stack.length === 0) {
+				S3MeshLoaderError.report(option, "error", "対応するチャンクの始まりがありません", i + 1, trim_line);
+				continue;
+			}
+			block_type = block_stack.pop();
+			continue;
 		}
-		const namelist = this.pathname.split("/");
-		for (let i = 0; i < namelist.length; i++) {
-			if (namelist[i] === "" || namelist[i] === ".") {
+		if (block_type === "Material") {
+			materials.push(trim_line);
+		} else if (block_type === "Object") {
+			const value = parseFloat(trim_line.split(" ")[1]);
+			if (first === "depth") {
+				object.depth = value;
+			} else if (first === "visible") {
+				object.visible = value !== 0;
+			} else if (first === "shading") {
+				object.shading = value;
+			} else if (first === "facet") {
+				object.facet = value;
+			} else if (first === "mirror") {
+				object.mirror = value;
+			} else if (first === "mirror_axis") {
+				object.mirror_axis = value;
+			} else if (first === "mirror_dis") {
+				object.mirror_dis = value;
+			}
+		} else if (block_type === "vertex" && object !== null) {
+			const words = toNumberArray(trim_line);
+			if (words.length < 3 || !isFinite(words[0]) || !isFinite(words[1]) || !isFinite(words[2])) {
+				// 頂点番号がずれないように、原点の頂点として追加する
+				S3MeshLoaderError.report(option, "error", "頂点の座標が数値ではありません", i + 1, trim_line);
+				object.vertices.push(new S3Vector(0, 0, 0));
 				continue;
 			}
-			if (namelist[i] === "..") {
-				name = name.substring(0, name.length - 1).match(/.*\//)[0];
+			object.vertices.push(new S3Vector(words[0], words[1], words[2]));
+		} else if (block_type === "face" && object !== null) {
+			const facenum = parseInt(first);
+			const v = getNumberFromPrm(trim_line, "V");
+			const uv_a = getNumberFromPrm(trim_line, "UV");
+			const uv = [];
+			const material_array = getNumberFromPrm(trim_line, "M");
+			const material = material_array.length === 0 ? 0 : material_array[0];
+			if (!(facenum > 0) || v.length !== facenum) {
+				S3MeshLoaderError.report(option, "error", "面の頂点数が正しくありません", i + 1, trim_line);
 				continue;
 			}
-			name += namelist[i];
-			if (i !== namelist.length - 1) {
-				name += "/";
+			let is_valid = true;
+			for (let j = 0; j < facenum && is_valid; j++) {
+				if (!(v[j] >= 0 && v[j] < object.vertices.length && v[j] % 1 === 0)) {
+					S3MeshLoaderError.report(option, "error", "頂点の番号が範囲外です", i + 1, trim_line, v[j]);
+					is_valid = false;
+				}
 			}
+			// Materialチャンクがない場合は、マテリアル番号を確認しない
+			if (is_valid && materials.length > 0 && material >= materials.length) {
+				S3MeshLoaderError.report(option, "error", "マテリアルの番号が範囲外です", i + 1, trim_line, material);
+				is_valid = false;
+			}
+			if (is_valid && uv_a.length !== 0 && uv_a.length !== facenum * 2) {
+				S3MeshLoaderError.report(option, "error", "UVの数が頂点数と一致しません", i + 1, trim_line);
+				is_valid = false;
+			}
+			if (!is_valid) {
+				continue;
+			}
+			if (uv_a.length !== 0) {
+				for (let j = 0; j < facenum; j++) {
+					uv[j] = new S3Vector(uv_a[j * 2], uv_a[j * 2 + 1], 0);
+				}
+			}
+			object.faces.push({
+				v: v,
+				uv: uv,
+				material: material
+			});
 		}
-		return name;
 	}
+	if (block_stack.length > 0) {
+		S3MeshLoaderError.report(option, "error", "チャンクが閉じられていません", lines.length, block_type);
+	}
+	return {
+		materials: materials,
+		objects: objects
+	};
+};
 
-	/**
-	 * 親ディレクトリのパスを取得します。
-	 * @returns {string} 親ディレクトリの絶対パス
-	 */
-	getParent() {
-		const x = this.getAbsolutePath().match(/.*\//)[0];
-		return x.substring(0, x.length - 1);
+/**
+ * オブジェクトのミラー設定を反映した頂点と面を取得します。
+ * ミラーは軸ごとに原点を中心として反転した形状を追加します。
+ * 左右を接続する場合、反転の面から接続距離以内にある頂点は共有します。
+ *
+ * @param {S3MQOObject} object オブジェクト
+ * @returns {{vertices: Array<S3Vector>, faces: Array<S3MQOFace>}} ミラーを反映した頂点と面
+ */
+const getMirrorGeometry = function (object) {
+	const vertices = object.vertices.slice();
+	const faces = object.faces.slice();
+	if (object.mirror === 0) {
+		return {
+			vertices: vertices,
+			faces: faces
+		};
+	}
+	const axis_list = [1, 2, 4];
+	for (let i = 0; i < axis_list.length; i++) {
+		const axis = axis_list[i];
+		if ((object.mirror_axis & axis) === 0) {
+			continue;
+		}
+		const vertex_count = vertices.length;
+		const face_count = faces.length;
+		/**
+		 * 反転前の頂点番号から反転後の頂点番号への対応
+		 * @type {Array<number>}
+		 */
+		const index_map = [];
+		for (let j = 0; j < vertex_count; j++) {
+			const p = vertices[j];
+			const value = axis === 1 ? p.x : axis === 2 ? p.y : p.z;
+			if (object.mirror === 2 && Math.abs(value) <= object.mirror_dis) {
+				index_map[j] = j;
+			} else {
+				index_map[j] = vertices.length;
+				vertices.push(new S3Vector(axis === 1 ? -p.x : p.x, axis === 2 ? -p.y : p.y, axis === 4 ? -p.z : p.z));
+			}
+		}
+		// 反転すると面の向きが逆になるため、頂点の順序も逆にする
+		for (let j = 0; j < face_count; j++) {
+			const face = faces[j];
+			const v = [];
+			const uv = [];
+			for (let k = face.v.length - 1; k >= 0; k--) {
+				v.push(index_map[face.v[k]]);
+				if (face.uv.length !== 0) {
+					uv.push(face.uv[k]);
+				}
+			}
+			faces.push({
+				v: v,
+				uv: uv,
+				material: face.material
+			});
+		}
 	}
-}
+	return {
+		vertices: vertices,
+		faces: faces
+	};
+};
+
+/**
+ * オブジェクトの頂点と面をメッシュへ追加します。
+ * 面の頂点番号は、メッシュに追加済みの頂点数だけずらして追加します。
+ *
+ * @param {S3System} sys S3Systemインスタンス
+ * @param {S3Mesh} mesh 追加先のメッシュ
+ * @param {S3MQOObject} object 追加するオブジェクト
+ */
+const addObject = function (sys, mesh, object) {
+	const geometry = getMirrorGeometry(object);
+	const vertex_offset = mesh.getVertexArray().length;
+	for (let i = 0; i < geometry.vertices.length; i++) {
+		mesh.addVertex(sys.createVertex(geometry.vertices[i]));
+	}
+	for (let i = 0; i < geometry.faces.length; i++) {
+		const face = geometry.faces[i];
+		const facenum = face.v.length;
+		const v = [];
+		const positions = [];
+		for (let j = 0; j < facenum; j++) {
+			v[j] = face.v[j] + vertex_offset;
+			positions[j] = geometry.vertices[face.v[j]];
+		}
+		// 5角形以上や凹多角形も三角形に分割する
+		const triangles = S3Polygon.triangulate(positions);
+		for (let j = 0; j < triangles.length; j += 3) {
+			const ti = sys.createTriangleIndex(
+				triangles[j],
+				triangles[j + 1],
+				triangles[j + 2],
+				v,
+				face.material,
+				face.uv
+			);
+			mesh.addTriangleIndex(ti);
+		}
+	}
+};
+
+/**
+ * オブジェクトのシェーディング設定から、法線を滑らかにする角度を取得します。
+ *
+ * @param {S3MQOObject} object オブジェクト
+ * @returns {?number} 角度（度）、指定がない場合はnull
+ */
+const getSmoothAngle = function (object) {
+	if (object.shading === 0) {
+		return 0;
+	}
+	return object.facet;
+};
 
 /**
  * Metasequoia（MQO）形式による3DCGメッシュデータの入出力ユーティリティ
@@ -70,6 +421,9 @@ class File {
  * - S3MeshLoader.TYPE.MQO として S3MeshLoader から利用されます。
  * - メタセコイア（*.mqo）フォーマットのテキストをS3Meshに変換（インポート）、またはS3Meshからテキスト出力（エクスポート）します。
  * - 標準的なMQOの構文に加え、一部簡易パース（手動修正を要する場合もあり）。
+ * - S3MeshLoader.inputObjects から、オブジェクトごとのメッシュと親子関係を取得できます。
+ * - オブジェクトのミラー（mirror, mirror_axis, mirror_dis）とスムージング角度（shading, facet）を反映します。
+ * - 不正な面は読み飛ばし、対応していないチャンクとあわせて S3MeshLoaderError.report で報告します。
  *
  * ※ テクスチャやUV、マテリアルの色・強度なども一部対応しています。
  */
@@ -80,6 +434,23 @@ const S3MeshLoaderMQO = {
 	 */
 	name: "MQO",
 
+	/**
+	 * 対応する拡張子
+	 * @type {Array<string>}
+	 */
+	extensions: ["mqo"],
+
+	/**
+	 * データの内容がこの形式か判定します。
+	 * ヘッダ "Metasequoia Document" で判定します。
+	 *
+	 * @param {string} head データの先頭部分（バイナリの場合は1バイトを1文字とした文字列）
+	 * @returns {boolean} この形式であればtrue
+	 */
+	sniff: function (head) {
+		return /^\s*Metasequoia Document/.test(head);
+	},
+
 	/**
 	 * Metasequoia（MQO）形式のテキストをS3Meshインスタンスに変換します（インポート）。
 	 * ただしある程度手動で修正しないといけません。
@@ -87,203 +458,96 @@ const S3MeshLoaderMQO = {
 	 * - MQO形式のテキスト（またはURL経由でダウンロード済みのテキスト）を解析し、
 	 *   頂点・三角形面・マテリアル等をS3Meshに格納します。
 	 * - テクスチャ名・UV座標・マテリアル強度・色・発光・反射等にも部分的に対応しています。
-	 * - ファイル内の階層（オブジェクトブロック）・面（face）・材質（Material）を検出してパースします。
+	 * - ファイル内のすべてのオブジェクト（非表示のものも含む）を1つのメッシュにまとめます。
+	 * - スムージング角度は最初のオブジェクトの設定を使用します。
 	 *
 	 * @param {S3System} sys S3Systemインスタンス
 	 * @param {S3Mesh} mesh メッシュインスタンス（空の状態で渡される）
 	 * @param {string} text MQOファイル内容（テキスト）
 	 * @param {string} [url] オプション: ファイルURLやパス
+	 * @param {function(boolean): void} [complete] 未使用（同期で読み込みます）
+	 * @param {import("./S3MeshLoader.js").S3MeshLoaderOption} [option] 読み込み時のオプション（strict, diagnostics: 不正なデータの扱い）
 	 * @returns {boolean} パース成功時はtrue
 	 *
 	 * @example
 	 * S3MeshLoaderMQO.input(sys, mesh, mqotext);
 	 */
-	input: function (sys, mesh, text, url) {
-		let mqofile = null;
+	input: function (sys, mesh, text, url, complete, option) {
 		let parent_dir = "./";
 		if (url) {
-			mqofile = new File(url);
-			parent_dir = mqofile.getParent() + "/";
+			parent_dir = new S3File(url).getParent() + "/";
 		}
+		const mqo = parseMQO(text, option);
+		for (let i = 0; i < mqo.materials.length; i++) {
+			mesh.addMaterial(createMaterial(sys, mqo.materials[i], parent_dir));
+		}
+		for (let i = 0; i < mqo.objects.length; i++) {
+			addObject(sys, mesh, mqo.objects[i]);
+		}
+		if (mqo.objects.length > 0 && getSmoothAngle(mqo.objects[0]) !== null) {
+			mesh.setSmoothAngle(getSmoothAngle(mqo.objects[0]));
+		}
+		return true;
+	},
 
-		const lines = text.split("\n");
-		const block_stack = [];
-		let block_type = "none";
-		let block_level = 0;
-		let vertex_offset = 0;
-		let vertex_point = 0;
-		let face_offset = 0;
-		let face_point = 0;
-		/**
-		 * 半角スペース区切りの文字列数値を数値型配列に変換します。
-		 *
-		 * @param {string} text 変換対象の文字列（例："1.0 2.5 3.14"）
-		 * @returns {Array<number>} 数値型の配列
-		 */
-		const toNumberArray = function (text) {
-			const x = text.split(" "),
-				out = [];
-			for (let i = 0; i < x.length; i++) {
-				out[i] = parseFloat(x[i]);
-			}
-			return out;
-		};
-
-		/**
-		 * "func(XXX)" の形式から、指定パラメータ名 parameter の括弧内の値を抜き出します。
-		 *
-		 * @param {string} text 対象となる1行分のテキスト
-		 * @param {string} parameter 抜き出したいパラメータ名
-		 * @returns {string} パラメータの中身
-		 */
-		const getValueFromPrm = function (text, parameter) {
-			const x = text.split(" " + parameter + "(");
-			if (x.length === 1) {
-				return null; // パラメータが見つからない場合はnullを返す
-			}
-			return x[1].split(")")[0];
-		};
-
-		/**
-		 * "func(XXX)" の形式から、数値パラメータを配列として取得します。
-		 *
-		 * @param {string} text 対象となる1行分のテキスト
-		 * @param {string} parameter 抜き出したいパラメータ名
-		 * @returns {Array<number>} 数値型配列（見つからなければ空配列）
-		 */
-		const getNumberFromPrm = function (text, parameter) {
-			const value = getValueFromPrm(text, parameter);
-			if (value === null) {
-				return [];
-			}
-			return toNumberArray(value);
-		};
-
+	/**
+	 * Metasequoia（MQO）形式のテキストを、オブジェクトごとのS3Meshインスタンスに変換します（インポート）。
+	 *
+	 * - オブジェクトごとに1つのメッシュを作成し、マテリアルはメッシュごとに作成します。
+	 * - depth による階層構造から、親子関係（parent, children）を設定します。
+	 * - 非表示のオブジェクトも含め、visible に表示状態を設定します。
+	 *
+	 * @param {S3System} sys S3Systemインスタンス
+	 * @param {string} text MQOファイル内容（テキスト）
+	 * @param {string} [url] オプション: ファイルURLやパス
+	 * @param {import("./S3MeshLoader.js").S3MeshLoaderOption} [option] 読み込み時のオプション（strict, diagnostics: 不正なデータの扱い）
+	 * @returns {Array<{name: string, mesh: S3Mesh, visible: boolean, depth: number, parent: any, children: Array<any>}>} ファイル内の順序でのオブジェクトの一覧
+	 *
+	 * @example
+	 * const objects = S3MeshLoaderMQO.inputObjects(sys, mqotext);
+	 */
+	inputObjects: function (sys, text, url, option) {
+		let parent_dir = "./";
+		if (url) {
+			parent_dir = new S3File(url).getParent() + "/";
+		}
+		const mqo = parseMQO(text, option);
+		const output = [];
 		/**
-		 * "func(XXX)" の形式から、ダブルクォート囲みのURLやファイル名を抽出します。
-		 *
-		 * @param {string} text 対象となる1行分のテキスト
-		 * @param {string} parameter 抜き出したいパラメータ名
-		 * @returns {string|null} 抜き出したURL文字列、またはnull（見つからなければ）
+		 * 階層ごとの直近のオブジェクト
+		 * @type {Array<any>}
 		 */
-		const getURLFromPrm = function (text, parameter) {
-			const value = getValueFromPrm(text, parameter);
-			if (value === null) {
-				return null;
+		const parent_stack = [];
+		for (let i = 0; i < mqo.objects.length; i++) {
+			const object = mqo.objects[i];
+			const mesh = sys.createMesh();
+			for (let j = 0; j < mqo.materials.length; j++) {
+				mesh.addMaterial(createMaterial(sys, mqo.materials[j], parent_dir));
 			}
-			const x = value.split('"');
-			if (x.length !== 3) {
-				return null;
+			addObject(sys, mesh, object);
+			if (getSmoothAngle(object) !== null) {
+				mesh.setSmoothAngle(getSmoothAngle(object));
 			}
-			return x[1];
-		};
-		// メインのパース処理
-		for (let i = 0; i < lines.length; i++) {
-			const trim_line = lines[i].replace(/^\s+|\s+$/g, "");
-			const first = trim_line.split(" ")[0];
-			if (trim_line.indexOf("{") !== -1) {
-				if (first === "Object") {
-					vertex_offset += vertex_point;
-					face_offset += face_point;
-					vertex_point = 0;
-					face_point = 0;
-				}
-				// 階層に入る前の位置を保存
-				block_stack.push(block_type);
-				block_type = first;
-				block_level++;
-				continue;
-			} else if (trim_line.indexOf("}") !== -1) {
-				block_type = block_stack.pop();
-				block_level--;
-				continue;
-			}
-			if (block_type === "Thumbnail" || block_type === "none") {
-				continue;
+			mesh.setComplete(true);
+			while (parent_stack.length > 0 && parent_stack[parent_stack.length - 1].depth >= object.depth) {
+				parent_stack.pop();
 			}
-			if (block_type === "Material") {
-				const material_name = first.replace(/"/g, "");
-				const material = sys.createMaterial();
-				material.setName(material_name);
-				let val;
-				val = getNumberFromPrm(trim_line, "col");
-				if (val.length !== 0) {
-					material.setColor(new S3Vector(val[0], val[1], val[2], val[3]));
-				}
-				val = getNumberFromPrm(trim_line, "dif");
-				if (val.length !== 0) {
-					material.setDiffuse(val[0]);
-				}
-				val = getNumberFromPrm(trim_line, "amb");
-				if (val.length !== 0) {
-					material.setAmbient(new S3Vector(val[0], val[0], val[0]));
-				}
-				val = getNumberFromPrm(trim_line, "amb_col");
-				if (val.length !== 0) {
-					material.setAmbient(new S3Vector(val[0], val[1], val[2]));
-				}
-				val = getNumberFromPrm(trim_line, "emi");
-				if (val.length !== 0) {
-					material.setEmission(new S3Vector(val[0], val[0], val[0]));
-				}
-				val = getNumberFromPrm(trim_line, "emi_col");
-				if (val.length !== 0) {
-					material.setEmission(new S3Vector(val[0], val[1], val[2]));
-				}
-				val = getNumberFromPrm(trim_line, "spc");
-				if (val.length !== 0) {
-					material.setSpecular(new S3Vector(val[0], val[0], val[0]));
-				}
-				val = getNumberFromPrm(trim_line, "spc_col");
-				if (val.length !== 0) {
-					material.setSpecular(new S3Vector(val[0], val[1], val[2]));
-				}
-				val = getNumberFromPrm(trim_line, "power");
-				if (val.length !== 0) {
-					material.setPower(val[0]);
-				}
-				val = getNumberFromPrm(trim_line, "reflect");
-				if (val.length !== 0) {
-					material.setReflect(val[0]);
-				}
-				val = getURLFromPrm(trim_line, "tex");
-				if (val) {
-					material.setTextureColor(parent_dir + val);
-				}
-				val = getURLFromPrm(trim_line, "bump");
-				if (val) {
-					material.setTextureNormal(parent_dir + val);
-				}
-				mesh.addMaterial(material);
-			} else if (block_type === "vertex") {
-				const words = toNumberArray(trim_line);
-				const vector = new S3Vector(words[0], words[1], words[2]);
-				const vertex = sys.createVertex(vector);
-				mesh.addVertex(vertex);
-				vertex_point++;
-			} else if (block_type === "face") {
-				const facenum = parseInt(first);
-				const v = getNumberFromPrm(trim_line, "V");
-				const uv_a = getNumberFromPrm(trim_line, "UV");
-				const uv = [];
-				const material_array = getNumberFromPrm(trim_line, "M");
-				const material = material_array.length === 0 ? 0 : material_array[0];
-				if (uv_a.length !== 0) {
-					for (let j = 0; j < facenum; j++) {
-						uv[j] = new S3Vector(uv_a[j * 2], uv_a[j * 2 + 1], 0);
-					}
-				}
-				for (let j = 0; j < facenum - 2; j++) {
-					const ti =
-						j % 2 === 0
-							? sys.createTriangleIndex(j, j + 1, j + 2, v, material, uv)
-							: sys.createTriangleIndex(j - 1, j + 1, j + 2, v, material, uv);
-					mesh.addTriangleIndex(ti);
-					face_point++;
-				}
+			const parent = parent_stack.length > 0 ? parent_stack[parent_stack.length - 1] : null;
+			const item = {
+				name: object.name,
+				mesh: mesh,
+				visible: object.visible,
+				depth: object.depth,
+				parent: parent,
+				children: /** @type {Array<any>} */ ([])
+			};
+			if (parent !== null) {
+				parent.children.push(item);
 			}
+			parent_stack.push(item);
+			output.push(item);
 		}
-		return true;
+		return output;
 	},
 
 	/**
@@ -1,6 +1,507 @@
 ﻿import S3System from "../basic/S3System.js";
 import S3Mesh from "../basic/S3Mesh.js";
+import S3Material from "../basic/S3Material.js";
+import S3Texture from "../basic/S3Texture.js";
 import S3Vector from "../math/S3Vector.js";
+import S3Polygon from "../math/S3Polygon.js";
+import S3File from "./S3File.js";
+import S3MeshLoaderError from "./S3MeshLoaderError.js";
+
+/**
+ * MTLファイルのテキストを解析し、マテリアル名ごとのパラメータを取得します。
+ *
+ * @param {string} text MTLファイルの内容
+ * @returns {Object<string, Object<string, Array<string>>>} マテリアル名 → 命令名 → 引数
+ */
+const parseMTL = function (text) {
+	/**
+	 * @type {Object<string, Object<string, Array<string>>>}
+	 */
+	const mtl = {};
+	/**
+	 * @type {Object<string, Array<string>>}
+	 */
+	let current = null;
+	const lines = text.split("\n");
+	for (let i = 0; i < lines.length; i++) {
+		const line = lines[i].split("#")[0].trim();
+		if (line.length === 0) {
+			continue;
+		}
+		const data = line.split(/\s+/);
+		if (data[0] === "newmtl") {
+			current = {};
+			mtl[line.substring(data[0].length).trim()] = current;
+		} else if (current !== null) {
+			current[data[0]] = data.slice(1);
+		}
+	}
+	return mtl;
+};
+
+/**
+ * MTLのパラメータをマテリアルへ設定します。
+ *
+ * @param {S3Material} material 設定先のマテリアル
+ * @param {Object<string, Array<string>>} param MTLのパラメータ
+ * @param {string} parent_dir テクスチャの参照先の親ディレクトリ
+ */
+const applyMTL = function (material, param, parent_dir) {
+	/**
+	 * @param {Array<string>} x
+	 * @returns {S3Vector}
+	 */
+	const toVector = function (x) {
+		const r = parseFloat(x[0]);
+		// 1つだけの場合は灰色
+		return x.length >= 3 ? new S3Vector(r, parseFloat(x[1]), parseFloat(x[2])) : new S3Vector(r, r, r);
+	};
+	/**
+	 * テクスチャ指定の最後の引数をファイル名とする（-bm 1.0 などのオプションは読み飛ばす）
+	 * @param {Array<string>} x
+	 * @returns {string}
+	 */
+	const toURL = function (x) {
+		const file = new S3File(x[x.length - 1]);
+		// 絶対パスやスキーム付きのURLはそのまま使う
+		return file.isAbsolute() ? file.pathname : parent_dir + file.pathname;
+	};
+	let alpha = 1.0;
+	if (param.d) {
+		alpha = parseFloat(param.d[0]);
+	} else if (param.Tr) {
+		alpha = 1.0 - parseFloat(param.Tr[0]);
+	}
+	if (param.Kd) {
+		const kd = toVector(param.Kd);
+		material.setColor(new S3Vector(kd.x, kd.y, kd.z, alpha));
+	} else if (alpha !== 1.0) {
+		const color = material.color;
+		material.setColor(new S3Vector(color.x, color.y, color.z, alpha));
+	}
+	if (param.Ka) {
+		material.setAmbient(toVector(param.Ka));
+	}
+	if (param.Ks) {
+		material.setSpecular(toVector(param.Ks));
+	}
+	if (param.Ke) {
+		material.setEmission(toVector(param.Ke));
+	}
+	if (param.Ns) {
+		material.setPower(parseFloat(param.Ns[0]));
+	}
+	if (param.map_Kd) {
+		material.setTextureColor(toURL(param.map_Kd));
+	}
+	const bump = param.map_Bump || param.map_bump || param.bump;
+	if (bump) {
+		material.setTextureNormal(toURL(bump));
+	}
+};
+
+/**
+ * OBJの面
+ * @typedef {Object} S3OBJFace
+ * @property {Array<string>} words 面の頂点の指定（"1/2/3" など）
+ * @property {Array<number>} v 頂点番号（0から）
+ * @property {Array<?number>} vt テクスチャ座標の番号（0から、指定がない場合はnull）
+ * @property {Array<?number>} vn 法線の番号（0から、指定がない場合はnull）
+ * @property {number} material usemtl で指定されたマテリアル番号（指定前は-1）
+ * @property {number} line 行番号（1から）
+ */
+
+/**
+ * 行の引数を数値として取得します。
+ * 数値でない引数は問題として報告し、0とします。
+ *
+ * @param {Array<string>} data 行を空白で区切った文字列（先頭は命令名）
+ * @param {number} count 取得する引数の数
+ * @param {number} line 行番号（1から）
+ * @param {import("./S3MeshLoader.js").S3MeshLoaderOption} [option] 読み込み時のオプション
+ * @returns {Array<number>} 数値
+ */
+const readNumbers = function (data, count, line, option) {
+	const output = [];
+	for (let i = 0; i < count; i++) {
+		const word = data[i + 1];
+		if (word === undefined || !/^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/.test(word)) {
+			S3MeshLoaderError.report(
+				option,
+				"error",
+				data[0] + " の値が数値ではありません",
+				line,
+				word === undefined ? data.join(" ") : word
+			);
+			output[i] = 0;
+		} else {
+			output[i] = parseFloat(word);
+		}
+	}
+	return output;
+};
+
+/**
+ * 面の頂点の指定（"1", "1/2", "1//3", "1/2/3"）を解析します。
+ * 負の番号は、それまでに定義された要素の末尾からの位置として扱います。
+ *
+ * @param {string} word 面の頂点の指定
+ * @param {Array<number>} count その時点での v, vt, vn の数
+ * @returns {?Array<?number>} v, vt, vn の番号（0から、指定がない場合はnull）。解析できない場合はnull
+ */
+const parseFaceCorner = function (word, count) {
+	const indexdata = word.split("/");
+	if (indexdata.length > 3) {
+		return null;
+	}
+	const output = [];
+	for (let k = 0; k < 3; k++) {
+		const text = k < indexdata.length ? indexdata[k] : "";
+		if (text === "") {
+			if (k === 0) {
+				return null;
+			}
+			output[k] = null;
+		} else if (!/^[+-]?\d+$/.test(text)) {
+			return null;
+		} else {
+			// 数字は1から始まるので、1を引く
+			const index = parseInt(text, 10);
+			output[k] = index < 0 ? count[k] + index : index - 1;
+		}
+	}
+	return output;
+};
+
+/**
+ * 面が参照する番号が範囲内か確認し、範囲外の場合は問題として報告します。
+ *
+ * @param {S3OBJFace} face 面
+ * @param {Array<number>} count v, vt, vn の数
+ * @param {import("./S3MeshLoader.js").S3MeshLoaderOption} [option] 読み込み時のオプション
+ * @returns {boolean} 面を追加できる場合はtrue
+ */
+const checkFace = function (face, count, option) {
+	const names = ["頂点", "テクスチャ座標", "法線"];
+	const lists = [face.v, face.vt, face.vn];
+	for (let k = 0; k < 3; k++) {
+		let specified = 0;
+		for (let j = 0; j < lists[k].length; j++) {
+			const index = lists[k][j];
+			if (index === null) {
+				continue;
+			}
+			specified++;
+			if (index < 0 || index >= count[k]) {
+				S3MeshLoaderError.report(
+					option,
+					"error",
+					names[k] + "の番号が範囲外です",
+					face.line,
+					face.words[j],
+					index + 1
+				);
+				return false;
+			}
+		}
+		// テクスチャ座標は面のすべての頂点で指定されている必要がある
+		if (k === 1 && specified !== 0 && specified !== lists[k].length) {
+			S3MeshLoaderError.report(
+				option,
+				"error",
+				"テクスチャ座標の指定がない頂点があります",
+				face.line,
+				face.words.join(" ")
+			);
+			return false;
+		}
+	}
+	return true;
+};
+
+/**
+ * 解析中のOBJの状態
+ * @typedef {Object} S3OBJState
+ * @property {Array<S3Vector>} v_list 頂点のリスト
+ * @property {Array<[S3Vector, number, S3Vector]>} vt_list テクスチャ座標のリスト（Vの整数部を除いた座標、Vの整数部、そのままの座標）
+ * @property {Array<S3Vector>} vn_list 法線のリスト
+ * @property {Array<S3OBJFace>} face_list 面のリスト
+ * @property {number} material_count UVのVの整数部から求めたマテリアルの数
+ * @property {Array<string>} usemtl_list usemtl で指定されたマテリアル名
+ * @property {number} usemtl 現在のマテリアル番号（指定前は-1）
+ * @property {Array<string>} mtllib_list mtllib で指定されたファイル名
+ * @property {number} line 解析済みの行数
+ * @property {string} rest 改行が来ていない末尾の文字列
+ */
+
+/**
+ * 解析前の状態を作成します。
+ *
+ * @returns {S3OBJState} 状態
+ */
+const createState = function () {
+	return {
+		v_list: [],
+		vt_list: [],
+		vn_list: [],
+		face_list: [],
+		material_count: 1,
+		usemtl_list: [],
+		usemtl: -1,
+		mtllib_list: [],
+		line: 0,
+		rest: ""
+	};
+};
+
+/**
+ * 1行を解析して状態へ追加します。
+ * 行番号は state.line を使用します。
+ *
+ * @param {S3OBJState} state 状態
+ * @param {string} text 行の文字列
+ * @param {import("./S3MeshLoader.js").S3MeshLoaderOption} [option] 読み込み時のオプション
+ */
+const parseLine = function (state, text, option) {
+	// コメントより前の文字を取得
+	const line = text.split("#")[0].trim();
+
+	if (line.length === 0) {
+		// 空白なら何もしない
+		return;
+	}
+
+	/**
+	 * @type {Array<string>}
+	 */
+	const data = line.split(/\s+/);
+	if (data[0] === "mtllib") {
+		const files = line.substring(data[0].length).trim().split(/\s+/);
+		for (let j = 0; j < files.length; j++) {
+			state.mtllib_list.push(files[j]);
+		}
+	} else if (data[0] === "usemtl") {
+		const name = line.substring(data[0].length).trim();
+		state.usemtl = state.usemtl_list.indexOf(name);
+		if (state.usemtl === -1) {
+			state.usemtl_list.push(name);
+			state.usemtl = state.usemtl_list.length - 1;
+		}
+	} else if (data[0] === "v") {
+		// vertex
+		const p = readNumbers(data, 3, state.line, option);
+		state.v_list.push(new S3Vector(p[0], p[1], p[2]));
+	} else if (data[0] === "vt") {
+		// texture（Vは省略できる）
+		const t = readNumbers(data, data.length > 2 ? 2 : 1, state.line, option);
+		const u = t[0];
+		const v = t.length > 1 ? t[1] : 0.0;
+		// 1より大きい場合は素材が違う
+		const mat = Math.floor(v);
+		const vt = new S3Vector(u, 1.0 - (v - mat)); // Vは反転させる
+		state.vt_list.push([vt, mat, new S3Vector(u, 1.0 - v)]);
+		if (state.material_count <= mat + 1) {
+			state.material_count = mat + 1;
+		}
+	} else if (data[0] === "vn") {
+		// normal
+		const n = readNumbers(data, 3, state.line, option);
+		state.vn_list.push(new S3Vector(n[0], n[1], n[2]));
+	} else if (data[0] === "f") {
+		// face
+		const words = data.slice(1);
+		if (words.length < 3) {
+			S3MeshLoaderError.report(option, "error", "面の頂点が3つ未満です", state.line, line);
+			return;
+		}
+		/**
+		 * @type {S3OBJFace}
+		 */
+		const face = { words: words, v: [], vt: [], vn: [], material: state.usemtl, line: state.line };
+		const count = [state.v_list.length, state.vt_list.length, state.vn_list.length];
+		let is_valid = true;
+		for (let j = 0; j < words.length; j++) {
+			const corner = parseFaceCorner(words[j], count);
+			if (corner === null) {
+				S3MeshLoaderError.report(option, "error", "面の頂点の指定が正しくありません", state.line, words[j]);
+				is_valid = false;
+				break;
+			}
+			face.v[j] = corner[0];
+			face.vt[j] = corner[1];
+			face.vn[j] = corner[2];
+		}
+		if (is_valid) {
+			state.face_list.push(face);
+		}
+	} else if (data[0] !== "g" && data[0] !== "o" && data[0] !== "s") {
+		// グループ名とスムージンググループは使用しない
+		S3MeshLoaderError.report(option, "warning", "対応していない命令です", state.line, data[0]);
+	}
+};
+
+/**
+ * 解析した状態からメッシュを作成し、MTLファイルを読み込みます。
+ *
+ * @param {S3System} sys S3Systemインスタンス
+ * @param {S3Mesh} mesh メッシュインスタンス（空の状態で渡される）
+ * @param {S3OBJState} state すべての行を解析した状態
+ * @param {string} [url] ファイルのURL（MTLファイルやテクスチャの参照に使用）
+ * @param {function(boolean, any=): void} [complete] 非同期で読み込んだ場合の完了時に呼ばれるコールバック（失敗時は原因の例外も渡す）
+ * @param {import("./S3MeshLoader.js").S3MeshLoaderOption} [option] 読み込み時のオプション
+ * @returns {boolean|null} 作成できた場合はtrue、MTLファイルを読み込み中の場合はnull
+ */
+const createMesh = function (sys, mesh, state, url, complete, option) {
+	// 変換
+	// マテリアルの保存
+	const use_usemtl = state.usemtl_list.length > 0;
+	if (use_usemtl) {
+		for (let i = 0; i < state.usemtl_list.length; i++) {
+			mesh.addMaterial(sys.createMaterial(state.usemtl_list[i]));
+		}
+	} else {
+		for (let i = 0; i < state.material_count; i++) {
+			const material = sys.createMaterial("" + i);
+			mesh.addMaterial(material);
+		}
+	}
+
+	// 頂点の保存
+	for (let i = 0; i < state.v_list.length; i++) {
+		const vertex = sys.createVertex(state.v_list[i]);
+		mesh.addVertex(vertex);
+	}
+
+	// インデックスの保存（範囲外の番号を参照する面は追加しない）
+	const count = [state.v_list.length, state.vt_list.length, state.vn_list.length];
+	for (let i = 0; i < state.face_list.length; i++) {
+		const face = state.face_list[i];
+		if (!checkFace(face, count, option)) {
+			continue;
+		}
+		// 5角形以上や凹多角形も三角形に分割する
+		const positions = [];
+		for (let j = 0; j < face.v.length; j++) {
+			positions[j] = state.v_list[face.v[j]];
+		}
+		const triangles = S3Polygon.triangulate(positions);
+		for (let j = 0; j < triangles.length; j += 3) {
+			// 面の向きを反転させる
+			const corner = [triangles[j + 2], triangles[j + 1], triangles[j]];
+			const index = [face.v[corner[0]], face.v[corner[1]], face.v[corner[2]]];
+			// UV情報から材質などを作成
+			let mat = 0;
+			let uv = undefined;
+			// テクスチャ座標の指定がない面もある
+			if (face.vt[0] !== null) {
+				const uvm0 = state.vt_list[face.vt[corner[0]]];
+				const uvm1 = state.vt_list[face.vt[corner[1]]];
+				const uvm2 = state.vt_list[face.vt[corner[2]]];
+				mat = uvm0[1];
+				uv = [uvm0[0], uvm1[0], uvm2[0]];
+				if (use_usemtl) {
+					// usemtl で指定する場合は、Vの整数部をマテリアル番号として扱わない
+					uv = [uvm0[2], uvm1[2], uvm2[2]];
+				}
+			}
+			if (use_usemtl) {
+				// usemtl より前の面は最初のマテリアルとする
+				mat = face.material >= 0 ? face.material : 0;
+			}
+			// 追加
+			const triangle = sys.createTriangleIndex(0, 1, 2, index, mat, uv);
+			mesh.addTriangleIndex(triangle);
+		}
+	}
+
+	// MTLファイルの読み込み
+	/**
+	 * MTLファイルの内容をマテリアルへ反映します。
+	 * @param {string} mtltext MTLファイルの内容
+	 * @param {string} parent_dir テクスチャの参照先の親ディレクトリ
+	 */
+	const loadMTL = function (mtltext, parent_dir) {
+		const mtl = parseMTL(mtltext);
+		const material_list = mesh.getMaterialArray();
+		for (let i = 0; i < material_list.length; i++) {
+			if (mtl[material_list[i].name]) {
+				applyMTL(material_list[i], mtl[material_list[i].name], parent_dir);
+			}
+		}
+	};
+	if (state.mtllib_list.length === 0 || !use_usemtl) {
+		return true;
+	}
+	if (option && typeof option.mtl === "string") {
+		loadMTL(option.mtl, url ? new S3File(url).getParent() + "/" : "");
+		return true;
+	}
+	if (!url) {
+		// 参照先が分からないため読み込まない
+		return true;
+	}
+	const parent_dir = new S3File(url).getParent() + "/";
+	let wait_count = state.mtllib_list.length;
+	for (let i = 0; i < state.mtllib_list.length; i++) {
+		const mtllib = new S3File(state.mtllib_list[i]);
+		const mtl_url = mtllib.isAbsolute() ? mtllib.pathname : parent_dir + mtllib.pathname;
+		/**
+		 * @param {string} mtltext
+		 */
+		const downloadCallback = function (mtltext) {
+			if (wait_count === 0) {
+				// 他のMTLファイルの解析に失敗している
+				return;
+			}
+			try {
+				// テクスチャはMTLファイルからの相対パス
+				loadMTL(mtltext, new S3File(mtl_url).getParent() + "/");
+			} catch (e) {
+				// 非同期のため、解析中の例外は呼び出し元で捕まえられない
+				wait_count = 0;
+				if (complete) {
+					complete(false, e);
+				}
+				return;
+			}
+			wait_count--;
+			if (wait_count === 0 && complete) {
+				complete(true);
+			}
+		};
+		/**
+		 * MTLファイルを取得できない場合は問題として報告し、マテリアルなしで読み込む
+		 * @param {string} message
+		 */
+		const errorCallback = function (message) {
+			if (wait_count === 0) {
+				return;
+			}
+			try {
+				S3MeshLoaderError.report(
+					option,
+					"error",
+					"MTLファイルを読み込めませんでした (" + message + ")",
+					null,
+					mtl_url
+				);
+			} catch (e) {
+				// strict の場合は読み込み失敗とする
+				wait_count = 0;
+				if (complete) {
+					complete(false, e);
+				}
+				return;
+			}
+			wait_count--;
+			if (wait_count === 0 && complete) {
+				complete(true);
+			}
+		};
+		sys._download(mtl_url, downloadCallback, false, errorCallback);
+	}
+	return null;
+};
 
 /**
  * Wavefront OBJ形式による3DCGメッシュデータの入出力ユーティリティ
@@ -9,6 +510,7 @@ import S3Vector from "../math/S3Vector.js";
  * - OBJ形式のテキストをS3Meshに変換（インポート）、またはS3Meshからテキスト出力（エクスポート）する機能を提供します。
  * - 頂点（v）、テクスチャ座標（vt）、法線（vn）、面（f）などの基本要素をサポート。
  * - 複数マテリアルやUV座標にも対応しています。
+ * - mtllib で指定されたMTLファイルをOBJのURLからの相対パスで読み込み、usemtl で面のマテリアルを切り替えます。
  */
 const S3MeshLoaderOBJ = {
 	/**
@@ -17,6 +519,29 @@ const S3MeshLoaderOBJ = {
 	 */
 	name: "OBJ",
 
+	/**
+	 * 対応する拡張子
+	 * @type {Array<string>}
+	 */
+	extensions: ["obj"],
+
+	/**
+	 * 対応するMIMEタイプ
+	 * @type {Array<string>}
+	 */
+	mime: ["model/obj"],
+
+	/**
+	 * データの内容がこの形式か判定します。
+	 * 頂点（v）や面（f）などの行があるかで判定します。
+	 *
+	 * @param {string} head データの先頭部分（バイナリの場合は1バイトを1文字とした文字列）
+	 * @returns {boolean} この形式であればtrue
+	 */
+	sniff: function (head) {
+		return /^\s*(v|vt|vn|f|o|g|mtllib|usemtl)\s/m.test(head);
+	},
+
 	/**
 	 * Wavefront OBJ形式のテキストをS3Meshインスタンスへ変換します（インポート）。
 	 * v 頂点
@@ -28,162 +553,188 @@ const S3MeshLoaderOBJ = {
 	 * - "v"（頂点）・"vt"（テクスチャ座標）・"vn"（法線）・"f"（面）などの行に対応します。
 	 * - 複数マテリアル、テクスチャ座標付き面、法線情報付き面にも対応。
 	 * - 頂点番号・UVインデックス・マテリアルインデックス等の自動変換を行います。
+	 * - usemtl がない場合は、従来どおりUVのVの整数部をマテリアル番号として扱います。
+	 * - mtllib がある場合はMTLファイルを非同期で読み込み、完了時に complete を呼び出します。
+	 *   MTLファイルを取得できない場合は S3MeshLoaderError.report で報告し、マテリアルの設定なしで読み込みます。
+	 *   URLがない場合は option.mtl にMTLファイルの内容を指定できます。
+	 * - 不正な行（数値でない座標、範囲外の番号を参照する面など）は S3MeshLoaderError.report で報告します。
+	 *   通常は問題のある面を読み飛ばし、option.strict が true の場合は読み込みを失敗させます。
 	 *
 	 * @param {S3System} sys S3Systemインスタンス
 	 * @param {S3Mesh} mesh メッシュインスタンス（空の状態で渡される）
 	 * @param {string} text OBJファイル内容（テキスト）
-	 * @returns {boolean} パース成功時はtrue
+	 * @param {string} [url] ファイルのURL（MTLファイルやテクスチャの参照に使用）
+	 * @param {function(boolean, any=): void} [complete] 非同期で読み込んだ場合の完了時に呼ばれるコールバック（失敗時は原因の例外も渡す）
+	 * @param {import("./S3MeshLoader.js").S3MeshLoaderOption} [option] オプション（mtl: MTLファイルの内容、strict, diagnostics: 不正なデータの扱い）
+	 * @returns {boolean|null} パース成功時はtrue、MTLファイルを読み込み中の場合はnull
 	 *
 	 * @example
 	 * S3MeshLoaderOBJ.input(sys, mesh, objtext);
 	 */
-	input: function (sys, mesh, text) {
-		// 文字列解析
-		const lines = text.split("\n");
+	input: function (sys, mesh, text, url, complete, option) {
+		const parser = S3MeshLoaderOBJ.createParser(option);
+		parser.push(text);
+		return parser.end(sys, mesh, url, complete);
+	},
 
-		/**
-		 * 頂点のリスト
-		 * @type {Array<S3Vector>}
-		 */
-		const v_list = [];
+	/**
+	 * 少しずつ届くOBJ形式のテキストを解析するパーサーを作成します。
+	 *
+	 * - push で渡した文字列は、改行までの行をその場で解析し、残りは次の push と連結します
+	 * - すべての文字列を渡した後に end を呼ぶと、input と同じ手順でメッシュを作成します
+	 * - 大きなファイルを分割して解析することで、途中で描画やプログレスバーの更新を行えます
+	 *
+	 * @param {import("./S3MeshLoader.js").S3MeshLoaderOption} [option] オプション（input と同じ）
+	 * @returns {import("./S3MeshLoader.js").S3MeshLoaderStreamParser} パーサー
+	 *
+	 * @example
+	 * const parser = S3MeshLoaderOBJ.createParser();
+	 * parser.push("v 0 0 0\nv 1 0 0\n");
+	 * parser.push("v 0 1 0\nf 1 2 3\n");
+	 * parser.end(sys, mesh);
+	 */
+	createParser: function (option) {
+		const state = createState();
+		return {
+			push: function (text) {
+				const lines = (state.rest + text).split("\n");
+				state.rest = lines.pop();
+				for (let i = 0; i < lines.length; i++) {
+					state.line++;
+					parseLine(state, lines[i], option);
+				}
+			},
+			end: function (sys, mesh, url, complete) {
+				state.line++;
+				parseLine(state, state.rest, option);
+				state.rest = "";
+				return createMesh(sys, mesh, state, url, complete, option);
+			},
+			getFaceCount: function () {
+				return state.face_list.length;
+			}
+		};
+	},
 
-		/**
-		 * テクスチャ座標のリスト
-		 * @type {Array<[S3Vector, number]>}
-		 */
-		const vt_list = [];
+	/**
+	 * S3MeshインスタンスをWavefront OBJ形式のテキストへ変換します（エクスポート）。
+	 *
+	 * - 頂点（v）、テクスチャ座標（vt）、面（f）と、マテリアルごとの usemtl を出力します。
+	 * - 対応するMTLファイルの内容は option.onmtl に渡されます（mtllib のファイル名は option.mtllib、省略時は "material.mtl"）。
+	 * - option.onmtl がない場合はMTLファイルを作成しないため、mtllib は出力しません。
+	 * - option.url に出力先のURLを指定すると、テクスチャの参照先をMTLファイルからの相対パスで書き込みます。
+	 *   指定がない場合は、テクスチャのURLをそのまま書き込みます。
+	 *
+	 * @param {S3Mesh} mesh 出力対象のメッシュ
+	 * @param {import("./S3MeshLoader.js").S3MeshLoaderOption} [option] オプション（mtllib, onmtl: MTLファイルの出力、url: 出力先のURL）
+	 * @returns {string} OBJ形式のテキストデータ
+	 *
+	 * @example
+	 * let mtltext;
+	 * const objtext = S3MeshLoaderOBJ.output(mesh, {
+	 * 	mtllib: "model.mtl",
+	 * 	url: "./data/model.obj",
+	 * 	onmtl: function (text) {
+	 * 		mtltext = text;
+	 * 	}
+	 * });
+	 */
+	output: function (mesh, option) {
+		const vertex = mesh.getVertexArray();
+		const triangleindex = mesh.getTriangleIndexArray();
+		const material = mesh.getMaterialArray();
+		const mtllib = option && option.mtllib ? option.mtllib : "material.mtl";
 
-		/**
-		 * 法線のリスト
-		 * @type {Array<S3Vector>}
-		 */
-		const vn_list = [];
-		const face_v_list = [];
-		const face_vt_list = [];
-		const face_vn_list = [];
-		let material_count = 1;
-		for (let i = 0; i < lines.length; i++) {
-			// コメントより前の文字を取得
-			const line = lines[i].split("#")[0].trim();
-
-			if (line.length === 0) {
-				// 空白なら何もしない
-				continue;
-			}
+		const output = [];
+		if (option && option.onmtl) {
+			output.push("mtllib " + mtllib);
+		}
 
-			/**
-			 * @type {Array<string>}
-			 */
-			const data = line.split(" ");
-			if (data[0] === "v") {
-				// vertex
-				const x = parseFloat(data[1]);
-				const y = parseFloat(data[2]);
-				const z = parseFloat(data[3]);
-				const v = new S3Vector(x, y, z);
-				v_list.push(v);
-			} else if (data[0] === "vt") {
-				// texture
-				const u = parseFloat(data[1]);
-				const v = parseFloat(data[2]);
-				// 1より大きい場合は素材が違う
-				const mat = Math.floor(v);
-				const vt = new S3Vector(u, 1.0 - (v - mat)); // Vは反転させる
-				vt_list.push([vt, mat]);
-				if (material_count <= mat + 1) {
-					material_count = mat + 1;
+		// 頂点の出力
+		for (let i = 0; i < vertex.length; i++) {
+			const vp = vertex[i].position;
+			output.push("v " + vp.x + " " + vp.y + " " + vp.z);
+		}
+
+		// 面の出力（マテリアルごとにまとめる）
+		let vt_count = 0;
+		for (let i = 0; i < Math.max(material.length, 1); i++) {
+			const face_list = [];
+			for (let j = 0; j < triangleindex.length; j++) {
+				const ti = triangleindex[j];
+				if (ti.materialIndex !== i && !(i === 0 && ti.materialIndex >= material.length)) {
+					continue;
 				}
-			} else if (data[0] === "vn") {
-				// normal
-				const vn = new S3Vector(parseFloat(data[1]), parseFloat(data[2]), parseFloat(data[3]));
-				vn_list.push(vn);
-			} else if (data[0] === "f") {
-				// face
-				const vcount = data.length - 3; // 繰り返す回数
-				const f1 = data[1];
-				const f2 = data[2];
-				const f3 = data[3];
-				const f4 = vcount === 2 ? data[4] : "0";
-				for (let j = 0; j < vcount; j++) {
-					/**
-					 * @type {Array<string>}
-					 */
-					const fdata = [];
-					if (j % 2 === 0) {
-						fdata[2] = f1;
-						fdata[1] = f2;
-						fdata[0] = f3;
+				// 読み込み時と同様に面の向きを反転させる
+				const face = [];
+				for (let k = 2; k >= 0; k--) {
+					if (ti.uv[k] !== null) {
+						// Vは反転させる
+						output.push("vt " + ti.uv[k].x + " " + (1.0 - ti.uv[k].y));
+						vt_count++;
+						face.push(ti.index[k] + 1 + "/" + vt_count);
 					} else {
-						fdata[2] = f1;
-						fdata[1] = f3;
-						fdata[0] = f4;
-					}
-					const face_v = [];
-					const face_vt = [];
-					const face_vn = [];
-					// 数字は1から始まるので、1を引く
-					for (let k = 0; k < 3; k++) {
-						const indexdata = fdata[k].split("/");
-						if (indexdata.length === 1) {
-							// 頂点インデックス
-							face_v[k] = parseInt(indexdata[0], 10) - 1;
-						} else if (indexdata.length === 2) {
-							// 頂点テクスチャ座標インデックス
-							face_v[k] = parseInt(indexdata[0], 10) - 1;
-							face_vt[k] = parseInt(indexdata[1], 10) - 1;
-						} else if (indexdata.length === 3) {
-							if (indexdata[1].length !== 0) {
-								// 頂点法線インデックス
-								face_v[k] = parseInt(indexdata[0], 10) - 1;
-								face_vt[k] = parseInt(indexdata[1], 10) - 1;
-								face_vn[k] = parseInt(indexdata[2], 10) - 1;
-							} else {
-								// テクスチャ座標インデックス無しの頂点法線インデックス
-								face_v[k] = parseInt(indexdata[0], 10) - 1;
-								face_vt[k] = null;
-								face_vn[k] = parseInt(indexdata[2], 10) - 1;
-							}
-						}
+						face.push("" + (ti.index[k] + 1));
 					}
-					face_v_list.push(face_v);
-					face_vt_list.push(face_vt);
-					face_vn_list.push(face_vn);
 				}
+				face_list.push("f " + face.join(" "));
+			}
+			if (face_list.length === 0) {
+				continue;
+			}
+			output.push("usemtl " + (material[i] ? material[i].name : "s3default"));
+			for (let j = 0; j < face_list.length; j++) {
+				output.push(face_list[j]);
 			}
 		}
 
-		// 変換
-		// マテリアルの保存
-		for (let i = 0; i < material_count; i++) {
-			const material = sys.createMaterial("" + i);
-			mesh.addMaterial(material);
-		}
-
-		// 頂点の保存
-		for (let i = 0; i < v_list.length; i++) {
-			const vertex = sys.createVertex(v_list[i]);
-			mesh.addVertex(vertex);
-		}
-
-		// インデックスの保存
-		for (let i = 0; i < face_v_list.length; i++) {
-			// UV情報から材質などを作成
-			const vt_num = face_vt_list[i];
-			let mat = 0;
-			let uv = undefined;
-			if (vt_num) {
-				const uvm0 = vt_list[vt_num[0]];
-				const uvm1 = vt_list[vt_num[1]];
-				const uvm2 = vt_list[vt_num[2]];
-				mat = uvm0[1];
-				uv = [uvm0[0], uvm1[0], uvm2[0]];
+		// MTLの出力
+		if (option && option.onmtl) {
+			/**
+			 * @param {S3Vector} v
+			 * @returns {string}
+			 */
+			const toText = function (v) {
+				return v.x + " " + v.y + " " + v.z;
+			};
+			// テクスチャは読み込み時と同じくMTLファイルからの相対パスにする
+			const mtl_dir = option.url
+				? new S3File(new S3File(option.url).getParent() + "/" + mtllib).getParent()
+				: null;
+			/**
+			 * @param {S3Texture} texture
+			 * @returns {string|null}
+			 */
+			const toPath = function (texture) {
+				const url = texture ? texture.getFileURL() : null;
+				if (url === null || mtl_dir === null) {
+					return url;
+				}
+				return new S3File(url).getRelativePath(mtl_dir);
+			};
+			const mtl = [];
+			for (let i = 0; i < material.length; i++) {
+				const m = material[i];
+				mtl.push("newmtl " + m.name);
+				mtl.push("Ka " + toText(m.ambient));
+				mtl.push("Kd " + toText(m.color));
+				mtl.push("Ks " + toText(m.specular));
+				mtl.push("Ke " + toText(m.emission));
+				mtl.push("Ns " + m.power);
+				mtl.push("d " + m.color.w);
+				const color_url = toPath(m.textureColor);
+				if (color_url !== null) {
+					mtl.push("map_Kd " + color_url);
+				}
+				const normal_url = toPath(m.textureNormal);
+				if (normal_url !== null) {
+					mtl.push("map_Bump " + normal_url);
+				}
+				mtl.push("");
 			}
-			// 追加
-			const triangle = sys.createTriangleIndex(0, 1, 2, face_v_list[i], mat, uv);
-			mesh.addTriangleIndex(triangle);
+			option.onmtl(mtl.join("\n"));
 		}
-
-		return true;
+		return output.join("\n");
 	}
 };
 
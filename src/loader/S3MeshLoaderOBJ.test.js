@@ -0,0 +1,117 @@
+﻿import fs from "fs";
+import os from "os";
+import path from "path";
+import S3System from "../basic/S3System.js";
+import S3MeshLoader from "./S3MeshLoader.js";
+import S3MeshLoaderError from "./S3MeshLoaderError.js";
+
+const OBJ_TEXT = [
+	"mtllib model.mtl",
+	"v 0 0 0",
+	"v 1 0 0",
+	"v 0 1 0",
+	"vt 0 0",
+	"vt 1 0",
+	"vt 0 1",
+	"usemtl red",
+	"f 1/1 2/2 3/3",
+	""
+].join("\n");
+
+describe("S3MeshLoaderOBJ", function () {
+	let dir;
+	beforeAll(function () {
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), "s3js-obj-"));
+		fs.mkdirSync(path.join(dir, "tex"));
+		fs.mkdirSync(path.join(dir, "out"));
+		fs.writeFileSync(path.join(dir, "tex", "a.png"), "png");
+		fs.writeFileSync(path.join(dir, "model.obj"), OBJ_TEXT);
+		fs.writeFileSync(path.join(dir, "model.mtl"), "newmtl red\nKd 1 0 0\nmap_Kd tex/a.png\n");
+	});
+	afterAll(function () {
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+
+	test("MTLファイルのマテリアルとテクスチャを読み込む", function () {
+		const sys = new S3System();
+		return S3MeshLoader.loadMesh(sys, path.join(dir, "model.obj")).then(function (mesh) {
+			expect(mesh.getTriangleIndexArray().length).toBe(1);
+			const material = mesh.getMaterialArray()[0];
+			expect(material.name).toBe("red");
+			expect([material.color.x, material.color.y, material.color.z]).toEqual([1, 0, 0]);
+			expect(material.textureColor.url).toBe(path.join(dir, "tex", "a.png"));
+		});
+	});
+
+	test("出力先を指定すると、MTLファイルからの相対パスでテクスチャを書き込み、読み込み直せる", function () {
+		const sys = new S3System();
+		return S3MeshLoader.loadMesh(sys, path.join(dir, "model.obj"))
+			.then(function (mesh) {
+				let mtl = "";
+				const obj = S3MeshLoader.outputData(mesh, "OBJ", {
+					mtllib: "copy.mtl",
+					url: path.join(dir, "out", "copy.obj"),
+					onmtl: function (text) {
+						mtl = text;
+					}
+				});
+				expect(obj).toContain("mtllib copy.mtl");
+				expect(mtl).toContain("map_Kd ../tex/a.png");
+				fs.writeFileSync(path.join(dir, "out", "copy.obj"), obj);
+				fs.writeFileSync(path.join(dir, "out", "copy.mtl"), mtl);
+				return S3MeshLoader.loadMesh(sys, path.join(dir, "out", "copy.obj"));
+			})
+			.then(function (mesh) {
+				expect(mesh.getTriangleIndexArray().length).toBe(1);
+				expect(mesh.getMaterialArray()[0].textureColor.url).toBe(path.join(dir, "out") + "/../tex/a.png");
+			});
+	});
+
+	test("MTLファイル内の絶対パスのテクスチャはそのまま参照する", function () {
+		const sys = new S3System();
+		const texture_url = path.join(dir, "tex", "a.png");
+		fs.writeFileSync(path.join(dir, "out", "abs.obj"), OBJ_TEXT.replace("model.mtl", "abs.mtl"));
+		fs.writeFileSync(path.join(dir, "out", "abs.mtl"), "newmtl red\nmap_Kd " + texture_url + "\n");
+		return S3MeshLoader.loadMesh(sys, path.join(dir, "out", "abs.obj")).then(function (mesh) {
+			expect(mesh.getMaterialArray()[0].textureColor.url).toBe(texture_url);
+		});
+	});
+
+	test("onmtl がない場合は mtllib を出力しない", function () {
+		const sys = new S3System();
+		const mesh = S3MeshLoader.inputData(sys, OBJ_TEXT, "OBJ");
+		expect(S3MeshLoader.outputData(mesh, "OBJ")).not.toContain("mtllib");
+	});
+
+	test("MTLファイルを取得できない場合は取得先を報告し、strict の場合はrejectする", function () {
+		const sys = new S3System();
+		const file = path.join(dir, "nomtl.obj");
+		fs.writeFileSync(file, OBJ_TEXT.replace("model.mtl", "none.mtl"));
+		const diagnostics = [];
+		return S3MeshLoader.loadMesh(sys, file, undefined, { diagnostics: diagnostics }).then(function (mesh) {
+			expect(mesh.getTriangleIndexArray().length).toBe(1);
+			expect(diagnostics.length).toBe(1);
+			expect(diagnostics[0].token).toBe(path.join(dir, "none.mtl"));
+			return S3MeshLoader.loadMesh(sys, file, undefined, { strict: true }).then(
+				function () {
+					throw new Error("resolved");
+				},
+				function (error) {
+					expect(error).toBeInstanceOf(S3MeshLoaderError);
+					expect(error.message).toContain("none.mtl");
+				}
+			);
+		});
+	});
+
+	test("範囲外の頂点番号を参照する面は行番号とともに報告する", function () {
+		const sys = new S3System();
+		const diagnostics = [];
+		const mesh = S3MeshLoader.inputData(sys, "v 0 0 0\nv 1 0 0\nv 0 1 0\nf 1 2 9\n", "OBJ", undefined, {
+			diagnostics: diagnostics
+		});
+		expect(mesh.getTriangleIndexArray().length).toBe(0);
+		expect(diagnostics.length).toBe(1);
+		expect(diagnostics[0].line).toBe(4);
+	});
+});
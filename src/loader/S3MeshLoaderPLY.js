@@ -0,0 +1,414 @@
+﻿import S3System from "../basic/S3System.js";
+import S3Mesh from "../basic/S3Mesh.js";
+import S3Vector from "../math/S3Vector.js";
+import S3MeshLoaderError from "./S3MeshLoaderError.js";
+
+/**
+ * PLYのプロパティ型ごとのバイト数（別名も含む）
+ * @type {Object<string, number>}
+ */
+const PLY_TYPE_SIZE = {
+	char: 1,
+	int8: 1,
+	uchar: 1,
+	uint8: 1,
+	short: 2,
+	int16: 2,
+	ushort: 2,
+	uint16: 2,
+	int: 4,
+	int32: 4,
+	uint: 4,
+	uint32: 4,
+	float: 4,
+	float32: 4,
+	double: 8,
+	float64: 8
+};
+
+/**
+ * PLYのプロパティ定義
+ * @typedef {Object} S3PLYProperty
+ * @property {string} name プロパティ名
+ * @property {string} type 値の型（リストの場合は要素の型）
+ * @property {?string} count_type リストの場合の要素数の型（リストでない場合はnull）
+ */
+
+/**
+ * PLYの要素定義と読み込んだ値
+ * @typedef {Object} S3PLYElement
+ * @property {string} name 要素名（"vertex", "face" など）
+ * @property {number} count 要素数
+ * @property {Array<S3PLYProperty>} properties プロパティの定義
+ * @property {Array<Object<string, (number|Array<number>)>>} data 読み込んだ値
+ */
+
+/**
+ * バイナリから指定した型の値を1つ読み込みます。
+ *
+ * @param {DataView} dataview 読み込み対象
+ * @param {number} offset バイト位置
+ * @param {string} type PLYの型名
+ * @param {boolean} little_endian リトルエンディアンか
+ * @returns {number} 読み込んだ値
+ */
+const readBinaryValue = function (dataview, offset, type, little_endian) {
+	switch (type) {
+		case "char":
+		case "int8":
+			return dataview.getInt8(offset);
+		case "uchar":
+		case "uint8":
+			return dataview.getUint8(offset);
+		case "short":
+		case "int16":
+			return dataview.getInt16(offset, little_endian);
+		case "ushort":
+		case "uint16":
+			return dataview.getUint16(offset, little_endian);
+		case "int":
+		case "int32":
+			return dataview.getInt32(offset, little_endian);
+		case "uint":
+		case "uint32":
+			return dataview.getUint32(offset, little_endian);
+		case "float":
+		case "float32":
+			return dataview.getFloat32(offset, little_endian);
+		case "double":
+		case "float64":
+			return dataview.getFloat64(offset, little_endian);
+		default:
+			throw "IllegalArgumentException";
+	}
+};
+
+/**
+ * 色の値を0～1へ正規化します。
+ *
+ * @param {number} value 値
+ * @param {string} type PLYの型名
+ * @returns {number} 0～1の値
+ */
+const toColorValue = function (value, type) {
+	if (type === "uchar" || type === "uint8") {
+		return value / 255;
+	} else if (type === "ushort" || type === "uint16") {
+		return value / 65535;
+	}
+	return value;
+};
+
+/**
+ * PLY形式による3DCGメッシュデータの入力ユーティリティ
+ *
+ * - S3MeshLoader から拡張子 "ply" で利用されます。
+ * - ASCII形式、バイナリ形式（リトルエンディアン／ビッグエンディアン）に対応しています。
+ * - ヘッダで定義された任意の要素・プロパティ（リスト型を含む）を読み込み、
+ *   vertex 要素の x,y,z / nx,ny,nz / red,green,blue,alpha / s,t（u,v）と、face 要素の vertex_indices を利用します。
+ * - 頂点カラーは S3Vertex の color に格納されます。
+ * - 多角形の面は三角形に分割します。面がない場合は点群として頂点のみを読み込みます。
+ */
+const S3MeshLoaderPLY = {
+	/**
+	 * メッシュデータの入出力形式名
+	 * @type {string}
+	 */
+	name: "PLY",
+
+	/**
+	 * 対応する拡張子
+	 * @type {Array<string>}
+	 */
+	extensions: ["ply"],
+
+	/**
+	 * データの内容がこの形式か判定します。
+	 * ヘッダ "ply" で判定します。
+	 *
+	 * @param {string} head データの先頭部分（バイナリの場合は1バイトを1文字とした文字列）
+	 * @returns {boolean} この形式であればtrue
+	 */
+	sniff: function (head) {
+		return /^ply\r?\n/.test(head);
+	},
+
+	/**
+	 * バイナリデータとして読み込む形式か
+	 * @type {boolean}
+	 */
+	binary: true,
+
+	/**
+	 * PLY形式のデータをS3Meshインスタンスへ変換します（インポート）。
+	 *
+	 * - 範囲外の頂点の番号を参照する面は読み飛ばし、S3MeshLoaderError.report で報告します。
+	 *
+	 * @param {S3System} sys S3Systemインスタンス
+	 * @param {S3Mesh} mesh メッシュインスタンス（空の状態で渡される）
+	 * @param {string|ArrayBuffer} data PLYファイルの内容（ASCII形式のテキスト、またはバイナリ）
+	 * @param {string} [url] 未使用
+	 * @param {function(boolean): void} [complete] 未使用（同期で読み込みます）
+	 * @param {import("./S3MeshLoader.js").S3MeshLoaderOption} [option] 読み込み時のオプション（strict, diagnostics: 不正なデータの扱い）
+	 * @returns {boolean} パース成功時はtrue
+	 *
+	 * @example
+	 * S3MeshLoaderPLY.input(sys, mesh, arraybuffer);
+	 */
+	input: function (sys, mesh, data, url, complete, option) {
+		// ヘッダの取得
+		let header = "";
+		let body_offset = 0;
+		/**
+		 * @type {?Uint8Array}
+		 */
+		let bytes = null;
+		if (typeof data === "string") {
+			const end = data.search(/end_header\r?\n/);
+			if (end === -1) {
+				return false;
+			}
+			body_offset = data.indexOf("\n", end) + 1;
+			header = data.substring(0, body_offset);
+		} else if (data instanceof ArrayBuffer) {
+			bytes = new Uint8Array(data);
+			// ヘッダはASCIIのため1バイトずつ調べる
+			for (let i = 0; i < bytes.length; i++) {
+				header += String.fromCharCode(bytes[i]);
+				if (bytes[i] === 0x0a && /end_header\r?\n$/.test(header)) {
+					body_offset = i + 1;
+					break;
+				}
+			}
+			if (body_offset === 0) {
+				return false;
+			}
+		} else {
+			return false;
+		}
+
+		const header_lines = header.split(/\r?\n/);
+		if (header_lines[0].trim() !== "ply") {
+			return false;
+		}
+		let format = "";
+		/**
+		 * @type {Array<S3PLYElement>}
+		 */
+		const elements = [];
+		for (let i = 1; i < header_lines.length; i++) {
+			const words = header_lines[i].trim().split(/\s+/);
+			if (words[0] === "format") {
+				format = words[1];
+			} else if (words[0] === "element") {
+				elements.push({ name: words[1], count: parseInt(words[2], 10), properties: [], data: [] });
+			} else if (words[0] === "property" && elements.length > 0) {
+				const properties = elements[elements.length - 1].properties;
+				if (words[1] === "list") {
+					properties.push({ name: words[4], type: words[3], count_type: words[2] });
+				} else {
+					properties.push({ name: words[2], type: words[1], count_type: null });
+				}
+			}
+		}
+
+		// 本体の読み込み
+		if (format === "ascii") {
+			let body = "";
+			if (typeof data === "string") {
+				body = data.substring(body_offset);
+			} else {
+				for (let i = body_offset; i < bytes.length; i++) {
+					body += String.fromCharCode(bytes[i]);
+				}
+			}
+			const lines = body.split("\n");
+			let line = 0;
+			for (let i = 0; i < elements.length; i++) {
+				const element = elements[i];
+				for (let j = 0; j < element.count; j++) {
+					// 1要素は1行
+					while (line < lines.length && lines[line].trim().length === 0) {
+						line++;
+					}
+					if (line >= lines.length) {
+						return false;
+					}
+					const words = lines[line++].trim().split(/\s+/);
+					let w = 0;
+					/**
+					 * @type {Object<string, (number|Array<number>)>}
+					 */
+					const item = {};
+					for (let k = 0; k < element.properties.length; k++) {
+						const property = element.properties[k];
+						if (property.count_type !== null) {
+							const count = parseInt(words[w++], 10);
+							const list = [];
+							for (let l = 0; l < count; l++) {
+								list[l] = parseFloat(words[w++]);
+							}
+							item[property.name] = list;
+						} else {
+							item[property.name] = parseFloat(words[w++]);
+						}
+					}
+					element.data.push(item);
+				}
+			}
+		} else if (format === "binary_little_endian" || format === "binary_big_endian") {
+			if (bytes === null) {
+				// バイナリ形式はテキストからは読み込めない
+				return false;
+			}
+			const little_endian = format === "binary_little_endian";
+			const dataview = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+			let offset = body_offset;
+			for (let i = 0; i < elements.length; i++) {
+				const element = elements[i];
+				for (let j = 0; j < element.count; j++) {
+					/**
+					 * @type {Object<string, (number|Array<number>)>}
+					 */
+					const item = {};
+					for (let k = 0; k < element.properties.length; k++) {
+						const property = element.properties[k];
+						if (property.count_type !== null) {
+							const count = readBinaryValue(dataview, offset, property.count_type, little_endian);
+							offset += PLY_TYPE_SIZE[property.count_type];
+							const list = [];
+							for (let l = 0; l < count; l++) {
+								list[l] = readBinaryValue(dataview, offset, property.type, little_endian);
+								offset += PLY_TYPE_SIZE[property.type];
+							}
+							item[property.name] = list;
+						} else {
+							item[property.name] = readBinaryValue(dataview, offset, property.type, little_endian);
+							offset += PLY_TYPE_SIZE[property.type];
+						}
+					}
+					element.data.push(item);
+				}
+			}
+		} else {
+			return false;
+		}
+
+		// 変換
+		mesh.addMaterial(sys.createMaterial("ply"));
+
+		/**
+		 * @param {string} name
+		 * @returns {?S3PLYElement}
+		 */
+		const getElement = function (name) {
+			for (let i = 0; i < elements.length; i++) {
+				if (elements[i].name === name) {
+					return elements[i];
+				}
+			}
+			return null;
+		};
+
+		/**
+		 * プロパティの型を取得します。
+		 * @param {S3PLYElement} element
+		 * @param {Array<string>} names 候補となるプロパティ名
+		 * @returns {?S3PLYProperty} 最初に見つかったプロパティ
+		 */
+		const findProperty = function (element, names) {
+			for (let i = 0; i < names.length; i++) {
+				for (let j = 0; j < element.properties.length; j++) {
+					if (element.properties[j].name === names[i]) {
+						return element.properties[j];
+					}
+				}
+			}
+			return null;
+		};
+
+		/**
+		 * UV座標のリスト
+		 * @type {Array<S3Vector>}
+		 */
+		const uv_list = [];
+		const vertex_element = getElement("vertex");
+		if (vertex_element !== null) {
+			const p_nx = findProperty(vertex_element, ["nx"]);
+			const p_red = findProperty(vertex_element, ["red", "r", "diffuse_red"]);
+			const p_green = findProperty(vertex_element, ["green", "g", "diffuse_green"]);
+			const p_blue = findProperty(vertex_element, ["blue", "b", "diffuse_blue"]);
+			const p_alpha = findProperty(vertex_element, ["alpha", "a", "diffuse_alpha"]);
+			const p_u = findProperty(vertex_element, ["s", "u", "texture_u", "texture_s"]);
+			const p_v = findProperty(vertex_element, ["t", "v", "texture_v", "texture_t"]);
+			for (let i = 0; i < vertex_element.data.length; i++) {
+				const item = vertex_element.data[i];
+				const position = new S3Vector(
+					/** @type {number} */ (item.x),
+					/** @type {number} */ (item.y),
+					/** @type {number} */ (item.z)
+				);
+				let normal = undefined;
+				if (p_nx !== null) {
+					normal = new S3Vector(
+						/** @type {number} */ (item.nx),
+						/** @type {number} */ (item.ny),
+						/** @type {number} */ (item.nz)
+					);
+				}
+				let color = undefined;
+				if (p_red !== null && p_green !== null && p_blue !== null) {
+					color = new S3Vector(
+						toColorValue(/** @type {number} */ (item[p_red.name]), p_red.type),
+						toColorValue(/** @type {number} */ (item[p_green.name]), p_green.type),
+						toColorValue(/** @type {number} */ (item[p_blue.name]), p_blue.type),
+						p_alpha !== null ? toColorValue(/** @type {number} */ (item[p_alpha.name]), p_alpha.type) : 1.0
+					);
+				}
+				if (p_u !== null && p_v !== null) {
+					// OBJと同様にVは反転させる
+					uv_list[i] = new S3Vector(
+						/** @type {number} */ (item[p_u.name]),
+						1.0 - /** @type {number} */ (item[p_v.name])
+					);
+				}
+				mesh.addVertex(sys.createVertex(position, normal, color));
+			}
+		}
+
+		const face_element = getElement("face");
+		if (face_element !== null) {
+			const p_index = findProperty(face_element, ["vertex_indices", "vertex_index"]);
+			if (p_index === null) {
+				return false;
+			}
+			const vertex_count = mesh.getVertexArray().length;
+			for (let i = 0; i < face_element.data.length; i++) {
+				const polygon = /** @type {Array<number>} */ (face_element.data[i][p_index.name]);
+				let is_valid = true;
+				for (let j = 0; j < polygon.length; j++) {
+					const index = polygon[j];
+					if (!(index >= 0 && index < vertex_count && Math.floor(index) === index)) {
+						S3MeshLoaderError.report(option, "error", "頂点の番号が範囲外です", null, null, index);
+						is_valid = false;
+					}
+				}
+				if (!is_valid) {
+					continue;
+				}
+				// 多角形を扇状に分割し、OBJと同様に面の向きを反転させる
+				for (let j = 1; j + 1 < polygon.length; j++) {
+					const face = [polygon[0], polygon[j], polygon[j + 1]];
+					let uv = undefined;
+					if (uv_list.length > 0) {
+						uv = [uv_list[face[0]], uv_list[face[1]], uv_list[face[2]]];
+					}
+					mesh.addTriangleIndex(sys.createTriangleIndex(2, 1, 0, face, 0, uv));
+				}
+			}
+		}
+		return true;
+	}
+};
+
+export default S3MeshLoaderPLY;
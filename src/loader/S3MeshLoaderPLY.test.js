@@ -0,0 +1,89 @@
+﻿import S3System from "../basic/S3System.js";
+import S3MeshLoader from "./S3MeshLoader.js";
+import S3MeshLoaderError from "./S3MeshLoaderError.js";
+
+const HEADER = [
+	"ply",
+	"format ascii 1.0",
+	"element vertex 4",
+	"property float x",
+	"property float y",
+	"property float z",
+	"property uchar red",
+	"property uchar green",
+	"property uchar blue",
+	"element face 1",
+	"property list uchar int vertex_indices",
+	"end_header"
+];
+
+/**
+ * 四角形1枚のASCII形式のPLYを作成する
+ * @param {string} face 面の行
+ */
+const createASCII = function (face) {
+	return HEADER.concat(["0 0 0 255 0 0", "1 0 0 0 255 0", "1 1 0 0 0 255", "0 1 0 255 255 255", face, ""]).join("\n");
+};
+
+describe("S3MeshLoaderPLY", function () {
+	test("ASCII形式の四角形を三角形に分割し、頂点カラーを読み込む", function () {
+		const sys = new S3System();
+		const mesh = S3MeshLoader.inputData(sys, createASCII("4 0 1 2 3"), "PLY");
+		expect(mesh.isComplete()).toBe(true);
+		expect(mesh.getVertexArray().length).toBe(4);
+		expect(mesh.getTriangleIndexArray().length).toBe(2);
+		const color = mesh.getVertexArray()[1].color;
+		expect([color.x, color.y, color.z]).toEqual([0, 1, 0]);
+	});
+
+	test("バイナリ形式（リトルエンディアン）を読み込む", function () {
+		const header = [
+			"ply",
+			"format binary_little_endian 1.0",
+			"element vertex 3",
+			"property float x",
+			"property float y",
+			"property float z",
+			"element face 1",
+			"property list uchar int vertex_indices",
+			"end_header",
+			""
+		].join("\n");
+		const body_size = 3 * 12 + 1 + 3 * 4;
+		const buffer = new ArrayBuffer(header.length + body_size);
+		const bytes = new Uint8Array(buffer);
+		for (let i = 0; i < header.length; i++) {
+			bytes[i] = header.charCodeAt(i);
+		}
+		const view = new DataView(buffer, header.length);
+		const positions = [0, 0, 0, 2, 0, 0, 0, 3, 0];
+		for (let i = 0; i < positions.length; i++) {
+			view.setFloat32(i * 4, positions[i], true);
+		}
+		view.setUint8(36, 3);
+		for (let i = 0; i < 3; i++) {
+			view.setInt32(37 + i * 4, i, true);
+		}
+		const mesh = S3MeshLoader.inputData(new S3System(), buffer, "PLY");
+		expect(mesh.getTriangleIndexArray().length).toBe(1);
+		const p = mesh.getVertexArray()[2].position;
+		expect([p.x, p.y, p.z]).toEqual([0, 3, 0]);
+	});
+
+	test("範囲外の頂点番号を参照する面は報告して読み飛ばす", function () {
+		const sys = new S3System();
+		const diagnostics = [];
+		const mesh = S3MeshLoader.inputData(sys, createASCII("3 0 1 9"), "PLY", undefined, {
+			diagnostics: diagnostics
+		});
+		expect(mesh.getTriangleIndexArray().length).toBe(0);
+		expect(diagnostics.length).toBe(1);
+		expect(diagnostics[0].index).toBe(9);
+	});
+
+	test("strict を指定すると範囲外の頂点番号でrejectする", function () {
+		const sys = new S3System();
+		const promise = S3MeshLoader.loadMesh(sys, createASCII("3 0 1 9"), "PLY", { strict: true });
+		return expect(promise).rejects.toBeInstanceOf(S3MeshLoaderError);
+	});
+});
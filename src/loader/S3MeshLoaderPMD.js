@@ -0,0 +1,239 @@
+﻿import S3System from "../basic/S3System.js";
+import S3Mesh from "../basic/S3Mesh.js";
+import S3MeshLoaderPMX from "./S3MeshLoaderPMX.js";
+import S3File from "./S3File.js";
+
+/**
+ * PMDのヘッダのバイト数（"Pmd"、バージョン、モデル名、コメント）
+ * @type {number}
+ */
+const PMD_HEADER_SIZE = 283;
+
+/**
+ * PMDの頂点1つあたりのバイト数
+ * @type {number}
+ */
+const PMD_VERTEX_SIZE = 38;
+
+/**
+ * PMDのマテリアル1つあたりのバイト数
+ * @type {number}
+ */
+const PMD_MATERIAL_SIZE = 70;
+
+/**
+ * PMDのボーン1つあたりのバイト数
+ * @type {number}
+ */
+const PMD_BONE_SIZE = 39;
+
+/**
+ * 固定長の Shift_JIS の文字列を読み込みます（0以降は無視します）。
+ *
+ * @param {ArrayBuffer} data バイナリ
+ * @param {number} offset 位置
+ * @param {number} length バイト数
+ * @returns {string} 文字列
+ */
+const getText = function (data, offset, length) {
+	const bytes = new Uint8Array(data, offset, length);
+	let end = 0;
+	while (end < bytes.length && bytes[end] !== 0) {
+		end++;
+	}
+	return S3File.decodeText(bytes.subarray(0, end), "shift_jis");
+};
+
+/**
+ * PMD形式のバイナリを解析します。
+ *
+ * @param {ArrayBuffer} data PMDファイルの内容
+ * @returns {import("./S3MeshLoaderPMX.js").S3MMDModel} 解析したモデル
+ */
+const parsePMD = function (data) {
+	const dataview = new DataView(data);
+	/**
+	 * @param {number} offset
+	 * @param {number} n
+	 * @returns {Array<number>}
+	 */
+	const getFloatArray = function (offset, n) {
+		const output = [];
+		for (let i = 0; i < n; i++) {
+			output[i] = dataview.getFloat32(offset + i * 4, true);
+		}
+		return output;
+	};
+
+	/**
+	 * @type {import("./S3MeshLoaderPMX.js").S3MMDModel}
+	 */
+	const model = { name: getText(data, 7, 20), vertices: [], indices: [], materials: [], bones: [], morphs: [] };
+	let offset = PMD_HEADER_SIZE;
+
+	// 頂点
+	const vertex_count = dataview.getUint32(offset, true);
+	offset += 4;
+	for (let i = 0; i < vertex_count; i++) {
+		const weight = dataview.getUint8(offset + 36) / 100;
+		model.vertices.push({
+			position: getFloatArray(offset, 3),
+			normal: getFloatArray(offset + 12, 3),
+			uv: getFloatArray(offset + 24, 2),
+			bones: [dataview.getUint16(offset + 32, true), dataview.getUint16(offset + 34, true)],
+			weights: [weight, 1.0 - weight]
+		});
+		offset += PMD_VERTEX_SIZE;
+	}
+
+	// 面
+	const index_count = dataview.getUint32(offset, true);
+	offset += 4;
+	for (let i = 0; i < index_count; i++) {
+		model.indices.push(dataview.getUint16(offset, true));
+		offset += 2;
+	}
+
+	// マテリアル
+	const material_count = dataview.getUint32(offset, true);
+	offset += 4;
+	for (let i = 0; i < material_count; i++) {
+		// "テクスチャ*スフィアマップ" の形式の場合があるため、スフィアマップは除く
+		const files = getText(data, offset + 50, 20).split("*");
+		let texture = null;
+		for (let j = 0; j < files.length; j++) {
+			if (files[j] !== "" && !/\.(sph|spa)$/i.test(files[j])) {
+				texture = files[j];
+				break;
+			}
+		}
+		model.materials.push({
+			name: "" + i,
+			diffuse: getFloatArray(offset, 4),
+			power: dataview.getFloat32(offset + 16, true),
+			specular: getFloatArray(offset + 20, 3),
+			ambient: getFloatArray(offset + 32, 3),
+			texture: texture,
+			count: dataview.getUint32(offset + 46, true)
+		});
+		offset += PMD_MATERIAL_SIZE;
+	}
+
+	// ボーン
+	const bone_count = dataview.getUint16(offset, true);
+	offset += 2;
+	for (let i = 0; i < bone_count; i++) {
+		const parent = dataview.getUint16(offset + 20, true);
+		model.bones.push({
+			name: getText(data, offset, 20),
+			parent: parent === 0xffff ? -1 : parent,
+			position: getFloatArray(offset + 27, 3)
+		});
+		offset += PMD_BONE_SIZE;
+	}
+
+	// IK（読み飛ばす）
+	const ik_count = dataview.getUint16(offset, true);
+	offset += 2;
+	for (let i = 0; i < ik_count; i++) {
+		const chain_length = dataview.getUint8(offset + 4);
+		offset += 11 + chain_length * 2;
+	}
+
+	// 表情（base 以外は base の頂点の番号で指定されている）
+	const morph_count = dataview.getUint16(offset, true);
+	offset += 2;
+	/**
+	 * @type {Array<number>}
+	 */
+	const base_index = [];
+	for (let i = 0; i < morph_count; i++) {
+		const name = getText(data, offset, 20);
+		const count = dataview.getUint32(offset + 20, true);
+		const type = dataview.getUint8(offset + 24);
+		offset += 25;
+		const offsets = [];
+		for (let j = 0; j < count; j++) {
+			const index = dataview.getUint32(offset, true);
+			const position = getFloatArray(offset + 4, 3);
+			offset += 16;
+			if (type === 0) {
+				base_index[j] = index;
+			} else if (base_index[index] !== undefined) {
+				offsets.push({ index: base_index[index], position: position });
+			}
+		}
+		// base は位置そのものなので、モーフとしては扱わない
+		if (type !== 0) {
+			model.morphs.push({ name: name, offsets: offsets });
+		}
+	}
+	return model;
+};
+
+/**
+ * PMD形式（MikuMikuDance）による3DCGメッシュデータの入力ユーティリティ
+ *
+ * - S3MeshLoader から拡張子 "pmd" で利用されます。
+ * - 解析した内容は S3MeshLoaderPMX と同じ方法でメッシュへ変換します（座標系の変換やボーンの扱いも同じです）。
+ * - マテリアルは名前を持たないため、番号を名前とします。
+ * - 文字列（Shift_JIS）の変換に TextDecoder を使用します。
+ */
+const S3MeshLoaderPMD = {
+	/**
+	 * メッシュデータの入出力形式名
+	 * @type {string}
+	 */
+	name: "PMD",
+
+	/**
+	 * 対応する拡張子
+	 * @type {Array<string>}
+	 */
+	extensions: ["pmd"],
+
+	/**
+	 * データの内容がこの形式か判定します。
+	 * 先頭の "Pmd" で判定します。
+	 *
+	 * @param {string} head データの先頭部分（バイナリの場合は1バイトを1文字とした文字列）
+	 * @param {any} data データ本体
+	 * @returns {boolean} この形式であればtrue
+	 */
+	sniff: function (head, data) {
+		return data instanceof ArrayBuffer && /^Pmd/.test(head);
+	},
+
+	/**
+	 * バイナリデータとして読み込む形式か
+	 * @type {boolean}
+	 */
+	binary: true,
+
+	/**
+	 * PMD形式のデータをS3Meshインスタンスへ変換します（インポート）。
+	 *
+	 * @param {S3System} sys S3Systemインスタンス
+	 * @param {S3Mesh} mesh メッシュインスタンス（空の状態で渡される）
+	 * @param {ArrayBuffer} data PMDファイルの内容
+	 * @param {string} [url] ファイルのURL（テクスチャの参照に使用）
+	 * @returns {boolean} パース成功時はtrue
+	 * @throws {Error} データが途中で終わっているなど、解析できない場合
+	 *
+	 * @example
+	 * S3MeshLoaderPMD.input(sys, mesh, arraybuffer, "./model/miku.pmd");
+	 */
+	input: function (sys, mesh, data, url) {
+		if (!(data instanceof ArrayBuffer) || data.byteLength < PMD_HEADER_SIZE + 4) {
+			return false;
+		}
+		if (getText(data, 0, 3) !== "Pmd") {
+			return false;
+		}
+		// データが途中で終わっている場合などは例外を投げる（原因は S3MeshLoaderError のメッセージになる）
+		const model = parsePMD(data);
+		return S3MeshLoaderPMX.parse(sys, mesh, model, url);
+	}
+};
+
+export default S3MeshLoaderPMD;
@@ -0,0 +1,68 @@
+﻿import S3System from "../basic/S3System.js";
+import S3MeshLoader from "./S3MeshLoader.js";
+import S3MeshLoaderError from "./S3MeshLoaderError.js";
+
+/**
+ * 三角形1枚のPMDを作成する
+ */
+const createPMD = function () {
+	const data = new ArrayBuffer(283 + 4 + 38 * 3 + 4 + 2 * 3 + 4 + 70 + 2 + 2 + 2);
+	const view = new DataView(data);
+	"Pmd".split("").forEach(function (c, i) {
+		view.setUint8(i, c.charCodeAt(0));
+	});
+	view.setFloat32(3, 1.0, true);
+	"tri".split("").forEach(function (c, i) {
+		view.setUint8(7 + i, c.charCodeAt(0));
+	});
+	let offset = 283;
+	// 頂点
+	view.setUint32(offset, 3, true);
+	offset += 4;
+	const positions = [
+		[0, 0, 0],
+		[1, 0, 0],
+		[0, 1, 0]
+	];
+	positions.forEach(function (p) {
+		[p[0], p[1], p[2], 0, 0, -1, 0, 0].forEach(function (x, i) {
+			view.setFloat32(offset + i * 4, x, true);
+		});
+		view.setUint8(offset + 36, 100);
+		offset += 38;
+	});
+	// 面
+	view.setUint32(offset, 3, true);
+	offset += 4;
+	[0, 1, 2].forEach(function (x) {
+		view.setUint16(offset, x, true);
+		offset += 2;
+	});
+	// マテリアル
+	view.setUint32(offset, 1, true);
+	offset += 4;
+	[0, 0, 1, 1, 5, 0, 0, 0, 0, 0, 0.5].forEach(function (x, i) {
+		view.setFloat32(offset + i * 4, x, true);
+	});
+	view.setUint32(offset + 46, 3, true);
+	// ボーン、IK、表情は0個
+	return data;
+};
+
+describe("S3MeshLoaderPMD", function () {
+	test("頂点、面、マテリアルを読み込む", function () {
+		const sys = new S3System();
+		return S3MeshLoader.loadMesh(sys, createPMD(), "PMD").then(function (mesh) {
+			expect(mesh.getVertexArray().length).toBe(3);
+			expect(mesh.getTriangleIndexArray().length).toBe(1);
+			const color = mesh.getMaterialArray()[0].color;
+			expect([color.x, color.y, color.z]).toEqual([0, 0, 1]);
+		});
+	});
+
+	test("途中で終わっているデータはrejectする", function () {
+		const sys = new S3System();
+		const promise = S3MeshLoader.loadMesh(sys, createPMD().slice(0, 300), "PMD");
+		return expect(promise).rejects.toBeInstanceOf(S3MeshLoaderError);
+	});
+});
@@ -0,0 +1,489 @@
+﻿import S3System from "../basic/S3System.js";
+import S3Mesh from "../basic/S3Mesh.js";
+import S3Vector from "../math/S3Vector.js";
+import S3File from "./S3File.js";
+
+/**
+ * MMDモデルの頂点
+ * @typedef {Object} S3MMDVertex
+ * @property {Array<number>} position 位置
+ * @property {Array<number>} normal 法線
+ * @property {Array<number>} uv テクスチャ座標
+ * @property {Array<number>} bones 影響するボーン番号
+ * @property {Array<number>} weights ボーンの影響度
+ */
+
+/**
+ * MMDモデルのマテリアル
+ * @typedef {Object} S3MMDMaterial
+ * @property {string} name 名前
+ * @property {Array<number>} diffuse 拡散色（RGBA）
+ * @property {Array<number>} specular 鏡面反射色
+ * @property {number} power 鏡面反射強度
+ * @property {Array<number>} ambient 環境色
+ * @property {?string} texture テクスチャのファイル名（モデルからの相対パス）
+ * @property {number} count このマテリアルを使う面インデックスの数
+ */
+
+/**
+ * PMX / PMD を解析したMMDモデル
+ * @typedef {Object} S3MMDModel
+ * @property {string} name モデル名
+ * @property {Array<S3MMDVertex>} vertices 頂点
+ * @property {Array<number>} indices 面インデックス（3つで1面）
+ * @property {Array<S3MMDMaterial>} materials マテリアル（面インデックスの先頭から順に割り当てる）
+ * @property {Array<{name: string, parent: number, position: Array<number>}>} bones ボーン
+ * @property {Array<{name: string, offsets: Array<{index: number, position: Array<number>}>}>} morphs モーフ
+ */
+
+/**
+ * PMX の頂点モーフの種類
+ * @type {number}
+ */
+const PMX_MORPH_VERTEX = 1;
+
+/**
+ * PMX の各モーフのオフセット1つあたりのバイト数（番号のサイズを除く）
+ * 種類: 0 グループ, 1 頂点, 2 ボーン, 3 UV, 4-7 追加UV, 8 材質, 9 フリップ, 10 インパルス
+ * @type {Array<number>}
+ */
+const PMX_MORPH_OFFSET_SIZE = [4, 12, 28, 16, 16, 16, 16, 16, 113, 4, 25];
+
+/**
+ * バイナリを先頭から順に読み込む関数を作成します。
+ *
+ * @param {ArrayBuffer} data バイナリ
+ */
+const createReader = function (data) {
+	const dataview = new DataView(data);
+	let offset = 0;
+	const reader = {
+		/**
+		 * @param {number} size
+		 */
+		skip: function (size) {
+			offset += size;
+		},
+		/**
+		 * @returns {number}
+		 */
+		getUint8: function () {
+			return dataview.getUint8(offset++);
+		},
+		/**
+		 * @returns {number}
+		 */
+		getUint16: function () {
+			offset += 2;
+			return dataview.getUint16(offset - 2, true);
+		},
+		/**
+		 * @returns {number}
+		 */
+		getInt32: function () {
+			offset += 4;
+			return dataview.getInt32(offset - 4, true);
+		},
+		/**
+		 * @returns {number}
+		 */
+		getFloat: function () {
+			offset += 4;
+			return dataview.getFloat32(offset - 4, true);
+		},
+		/**
+		 * @param {number} n 要素数
+		 * @returns {Array<number>}
+		 */
+		getFloatArray: function (n) {
+			const output = [];
+			for (let i = 0; i < n; i++) {
+				output[i] = reader.getFloat();
+			}
+			return output;
+		},
+		/**
+		 * 番号を読み込みます（頂点番号は符号なし、それ以外は符号付きで-1がなし）。
+		 * @param {number} size バイト数（1, 2, 4）
+		 * @param {boolean} [is_unsigned] 符号なしで読み込むか
+		 * @returns {number}
+		 */
+		getIndex: function (size, is_unsigned) {
+			offset += size;
+			if (size === 1) {
+				return is_unsigned ? dataview.getUint8(offset - 1) : dataview.getInt8(offset - 1);
+			} else if (size === 2) {
+				return is_unsigned ? dataview.getUint16(offset - 2, true) : dataview.getInt16(offset - 2, true);
+			}
+			return dataview.getInt32(offset - 4, true);
+		},
+		/**
+		 * 長さ付きの文字列を読み込みます。
+		 * @param {string} encoding 文字コード
+		 * @returns {string}
+		 */
+		getText: function (encoding) {
+			const length = reader.getInt32();
+			offset += length;
+			return S3File.decodeText(new Uint8Array(data, offset - length, length), encoding);
+		}
+	};
+	return reader;
+};
+
+/**
+ * PMX形式のバイナリを解析します。
+ *
+ * @param {ArrayBuffer} data PMXファイルの内容
+ * @returns {S3MMDModel} 解析したモデル
+ */
+const parsePMX = function (data) {
+	const reader = createReader(data);
+	// "PMX "、バージョン
+	reader.skip(8);
+	const globals = [];
+	const globals_count = reader.getUint8();
+	for (let i = 0; i < globals_count; i++) {
+		globals[i] = reader.getUint8();
+	}
+	const encoding = globals[0] === 0 ? "utf-16le" : "utf-8";
+	const additional_uv = globals[1];
+	const vertex_size = globals[2];
+	const texture_size = globals[3];
+	const material_size = globals[4];
+	const bone_size = globals[5];
+	const morph_size = globals[6];
+	const rigid_size = globals[7];
+
+	/**
+	 * @type {S3MMDModel}
+	 */
+	const model = { name: "", vertices: [], indices: [], materials: [], bones: [], morphs: [] };
+	model.name = reader.getText(encoding);
+	reader.getText(encoding);
+	reader.getText(encoding);
+	reader.getText(encoding);
+
+	// 頂点
+	const vertex_count = reader.getInt32();
+	for (let i = 0; i < vertex_count; i++) {
+		/**
+		 * @type {S3MMDVertex}
+		 */
+		const vertex = {
+			position: reader.getFloatArray(3),
+			normal: reader.getFloatArray(3),
+			uv: reader.getFloatArray(2),
+			bones: [],
+			weights: []
+		};
+		reader.skip(16 * additional_uv);
+		const deform = reader.getUint8();
+		if (deform === 0) {
+			// BDEF1
+			vertex.bones = [reader.getIndex(bone_size)];
+			vertex.weights = [1.0];
+		} else if (deform === 1 || deform === 3) {
+			// BDEF2、SDEF（SDEFの補正値は読み飛ばす）
+			vertex.bones = [reader.getIndex(bone_size), reader.getIndex(bone_size)];
+			const weight = reader.getFloat();
+			vertex.weights = [weight, 1.0 - weight];
+			if (deform === 3) {
+				reader.skip(36);
+			}
+		} else {
+			// BDEF4、QDEF
+			vertex.bones = [
+				reader.getIndex(bone_size),
+				reader.getIndex(bone_size),
+				reader.getIndex(bone_size),
+				reader.getIndex(bone_size)
+			];
+			vertex.weights = reader.getFloatArray(4);
+		}
+		// エッジ倍率
+		reader.skip(4);
+		model.vertices.push(vertex);
+	}
+
+	// 面
+	const index_count = reader.getInt32();
+	for (let i = 0; i < index_count; i++) {
+		model.indices.push(reader.getIndex(vertex_size, true));
+	}
+
+	// テクスチャ
+	const textures = [];
+	const texture_count = reader.getInt32();
+	for (let i = 0; i < texture_count; i++) {
+		textures.push(reader.getText(encoding));
+	}
+
+	// マテリアル
+	const material_count = reader.getInt32();
+	for (let i = 0; i < material_count; i++) {
+		const name = reader.getText(encoding);
+		reader.getText(encoding);
+		const diffuse = reader.getFloatArray(4);
+		const specular = reader.getFloatArray(3);
+		const power = reader.getFloat();
+		const ambient = reader.getFloatArray(3);
+		// 描画フラグ、エッジ色、エッジサイズ
+		reader.skip(1 + 16 + 4);
+		const texture = reader.getIndex(texture_size);
+		// スフィアテクスチャ、スフィアモード
+		reader.skip(texture_size + 1);
+		const toon_mode = reader.getUint8();
+		reader.skip(toon_mode === 0 ? texture_size : 1);
+		// メモ
+		reader.getText(encoding);
+		model.materials.push({
+			name: name,
+			diffuse: diffuse,
+			specular: specular,
+			power: power,
+			ambient: ambient,
+			texture: texture >= 0 && texture < textures.length ? textures[texture] : null,
+			count: reader.getInt32()
+		});
+	}
+
+	// ボーン
+	const bone_count = reader.getInt32();
+	for (let i = 0; i < bone_count; i++) {
+		const name = reader.getText(encoding);
+		reader.getText(encoding);
+		const position = reader.getFloatArray(3);
+		const parent = reader.getIndex(bone_size);
+		// 変形階層
+		reader.skip(4);
+		const flag = reader.getUint16();
+		// 接続先（ボーン番号または位置）
+		reader.skip(flag & 0x0001 ? bone_size : 12);
+		if (flag & 0x0300) {
+			// 回転付与、移動付与
+			reader.skip(bone_size + 4);
+		}
+		if (flag & 0x0400) {
+			// 軸固定
+			reader.skip(12);
+		}
+		if (flag & 0x0800) {
+			// ローカル軸
+			reader.skip(24);
+		}
+		if (flag & 0x2000) {
+			// 外部親
+			reader.skip(4);
+		}
+		if (flag & 0x0020) {
+			// IK
+			reader.skip(bone_size + 8);
+			const link_count = reader.getInt32();
+			for (let j = 0; j < link_count; j++) {
+				reader.skip(bone_size);
+				if (reader.getUint8() === 1) {
+					reader.skip(24);
+				}
+			}
+		}
+		model.bones.push({ name: name, parent: parent, position: position });
+	}
+
+	// モーフ（頂点モーフ以外は移動量を保持しない）
+	const morph_count = reader.getInt32();
+	for (let i = 0; i < morph_count; i++) {
+		const name = reader.getText(encoding);
+		reader.getText(encoding);
+		// パネル
+		reader.skip(1);
+		const type = reader.getUint8();
+		const offset_count = reader.getInt32();
+		const offsets = [];
+		for (let j = 0; j < offset_count; j++) {
+			if (type === PMX_MORPH_VERTEX) {
+				const index = reader.getIndex(vertex_size, true);
+				offsets.push({ index: index, position: reader.getFloatArray(3) });
+			} else {
+				const index_size = [
+					morph_size,
+					vertex_size,
+					bone_size,
+					vertex_size,
+					vertex_size,
+					vertex_size,
+					vertex_size,
+					vertex_size,
+					material_size,
+					morph_size,
+					rigid_size
+				][type];
+				reader.skip(index_size + PMX_MORPH_OFFSET_SIZE[type]);
+			}
+		}
+		model.morphs.push({ name: name, offsets: offsets });
+	}
+	return model;
+};
+
+/**
+ * PMX形式（MikuMikuDance）による3DCGメッシュデータの入力ユーティリティ
+ *
+ * - S3MeshLoader から拡張子 "pmx" で利用されます。
+ * - マテリアルごとのテクスチャは、モデルのファイルからの相対パスで読み込みます。
+ * - ボーン、頂点モーフ、頂点ごとのボーンの影響度は S3Mesh の getBones / getMorphs / getSkinWeights で参照できます。
+ * - MMDのモデルは左手系のため、S3System の座標系モードが右手系（RIGHT_HAND）の場合は
+ *   Z軸を反転し、面の向きも合わせて反転させます（ボーンとモーフも同様に変換します）。
+ * - 文字列の変換に TextDecoder を使用します。
+ */
+const S3MeshLoaderPMX = {
+	/**
+	 * メッシュデータの入出力形式名
+	 * @type {string}
+	 */
+	name: "PMX",
+
+	/**
+	 * 対応する拡張子
+	 * @type {Array<string>}
+	 */
+	extensions: ["pmx"],
+
+	/**
+	 * データの内容がこの形式か判定します。
+	 * 先頭の "PMX " で判定します。
+	 *
+	 * @param {string} head データの先頭部分（バイナリの場合は1バイトを1文字とした文字列）
+	 * @param {any} data データ本体
+	 * @returns {boolean} この形式であればtrue
+	 */
+	sniff: function (head, data) {
+		return data instanceof ArrayBuffer && /^PMX /.test(head);
+	},
+
+	/**
+	 * バイナリデータとして読み込む形式か
+	 * @type {boolean}
+	 */
+	binary: true,
+
+	/**
+	 * PMX形式のデータをS3Meshインスタンスへ変換します（インポート）。
+	 *
+	 * @param {S3System} sys S3Systemインスタンス
+	 * @param {S3Mesh} mesh メッシュインスタンス（空の状態で渡される）
+	 * @param {ArrayBuffer} data PMXファイルの内容
+	 * @param {string} [url] ファイルのURL（テクスチャの参照に使用）
+	 * @returns {boolean} パース成功時はtrue
+	 * @throws {Error} データが途中で終わっているなど、解析できない場合
+	 *
+	 * @example
+	 * S3MeshLoaderPMX.input(sys, mesh, arraybuffer, "./model/miku.pmx");
+	 */
+	input: function (sys, mesh, data, url) {
+		if (!(data instanceof ArrayBuffer) || data.byteLength < 9) {
+			return false;
+		}
+		if (new DataView(data).getUint32(0, true) !== 0x20584d50) {
+			return false;
+		}
+		// データが途中で終わっている場合などは例外を投げる（原因は S3MeshLoaderError のメッセージになる）
+		const model = parsePMX(data);
+		return S3MeshLoaderPMX.parse(sys, mesh, model, url);
+	},
+
+	/**
+	 * 解析済みのMMDモデルをS3Meshインスタンスへ変換します。
+	 * PMD形式からも利用されます。
+	 *
+	 * @param {S3System} sys S3Systemインスタンス
+	 * @param {S3Mesh} mesh メッシュインスタンス（空の状態で渡される）
+	 * @param {S3MMDModel} model 解析したモデル
+	 * @param {string} [url] ファイルのURL（テクスチャの参照に使用）
+	 * @returns {boolean} 成功時はtrue
+	 */
+	parse: function (sys, mesh, model, url) {
+		const parent_dir = url ? new S3File(url).getParent() + "/" : "";
+		// 左手系のデータを右手系へ変換する場合はZ軸を反転させる
+		const z = sys.dimensionmode === S3System.DIMENSION_MODE.RIGHT_HAND ? -1 : 1;
+		/**
+		 * @param {Array<number>} v
+		 * @returns {S3Vector}
+		 */
+		const toVector = function (v) {
+			return new S3Vector(v[0], v[1], v[2] * z);
+		};
+
+		// 頂点
+		const skin_weights = [];
+		for (let i = 0; i < model.vertices.length; i++) {
+			const vertex = model.vertices[i];
+			const normal = toVector(vertex.normal);
+			mesh.addVertex(
+				sys.createVertex(toVector(vertex.position), normal.normFast() !== 0.0 ? normal.normalize() : null)
+			);
+			const bones = [];
+			const weights = [];
+			for (let j = 0; j < vertex.bones.length; j++) {
+				if (vertex.bones[j] >= 0 && vertex.weights[j] > 0.0) {
+					bones.push(vertex.bones[j]);
+					weights.push(vertex.weights[j]);
+				}
+			}
+			skin_weights.push({ bones: bones, weights: weights });
+		}
+		mesh.setSkinWeights(skin_weights);
+
+		// マテリアルと面
+		let offset = 0;
+		for (let i = 0; i < model.materials.length; i++) {
+			const data = model.materials[i];
+			const material = sys.createMaterial(data.name !== "" ? data.name : "" + i);
+			material.setColor(new S3Vector(data.diffuse[0], data.diffuse[1], data.diffuse[2], data.diffuse[3]));
+			material.setSpecular(data.specular);
+			material.setPower(data.power);
+			material.setAmbient(data.ambient);
+			if (data.texture) {
+				material.setTextureColor(parent_dir + data.texture.replace(/\\/g, "/"));
+			}
+			mesh.addMaterial(material);
+			const end = Math.min(offset + data.count, model.indices.length);
+			for (; offset + 2 < end; offset += 3) {
+				const index = [model.indices[offset], model.indices[offset + 1], model.indices[offset + 2]];
+				const uv = [];
+				for (let j = 0; j < 3; j++) {
+					const vertex = model.vertices[index[j]];
+					uv[j] = new S3Vector(vertex.uv[0], vertex.uv[1]);
+				}
+				// Z軸の反転で表裏が入れ替わるため、面の向きを反転させる
+				const ti =
+					z < 0
+						? sys.createTriangleIndex(2, 1, 0, index, i, uv)
+						: sys.createTriangleIndex(0, 1, 2, index, i, uv);
+				mesh.addTriangleIndex(ti);
+			}
+			offset = end;
+		}
+
+		// ボーンとモーフ
+		const bones = [];
+		for (let i = 0; i < model.bones.length; i++) {
+			const bone = model.bones[i];
+			bones.push({ name: bone.name, parent: bone.parent, position: toVector(bone.position) });
+		}
+		mesh.setBones(bones);
+		const morphs = [];
+		for (let i = 0; i < model.morphs.length; i++) {
+			const morph = model.morphs[i];
+			const offsets = [];
+			for (let j = 0; j < morph.offsets.length; j++) {
+				offsets.push({ index: morph.offsets[j].index, position: toVector(morph.offsets[j].position) });
+			}
+			morphs.push({ name: morph.name, offsets: offsets });
+		}
+		mesh.setMorphs(morphs);
+		return mesh.getVertexArray().length > 0;
+	}
+};
+
+export default S3MeshLoaderPMX;
@@ -0,0 +1,111 @@
+﻿import S3System from "../basic/S3System.js";
+import S3MeshLoader from "./S3MeshLoader.js";
+import S3MeshLoaderError from "./S3MeshLoaderError.js";
+
+/**
+ * リトルエンディアンのバイト列を書き込む
+ */
+const createWriter = function () {
+	const bytes = [];
+	const view = new DataView(new ArrayBuffer(4));
+	const writer = {
+		uint8: function (x) {
+			bytes.push(x & 0xff);
+		},
+		int32: function (x) {
+			view.setInt32(0, x, true);
+			writer.copy();
+		},
+		float: function (x) {
+			view.setFloat32(0, x, true);
+			writer.copy();
+		},
+		copy: function () {
+			for (let i = 0; i < 4; i++) {
+				bytes.push(view.getUint8(i));
+			}
+		},
+		text: function (x) {
+			const data = new TextEncoder().encode(x);
+			writer.int32(data.length);
+			for (let i = 0; i < data.length; i++) {
+				bytes.push(data[i]);
+			}
+		},
+		toArrayBuffer: function () {
+			return new Uint8Array(bytes).buffer;
+		}
+	};
+	return writer;
+};
+
+/**
+ * 三角形1枚のPMX（UTF-8、番号は1バイト）を作成する
+ */
+const createPMX = function () {
+	const w = createWriter();
+	"PMX ".split("").forEach(function (c) {
+		w.uint8(c.charCodeAt(0));
+	});
+	w.float(2.0);
+	[8, 1, 0, 1, 1, 1, 1, 1, 1].forEach(w.uint8);
+	w.text("三角形");
+	w.text("triangle");
+	w.text("");
+	w.text("");
+	// 頂点（BDEF1）
+	const positions = [
+		[0, 0, 0],
+		[1, 0, 0],
+		[0, 1, 0]
+	];
+	w.int32(3);
+	positions.forEach(function (p) {
+		[p[0], p[1], p[2], 0, 0, -1, 0, 0].forEach(w.float);
+		w.uint8(0);
+		w.uint8(0xff);
+		w.float(1);
+	});
+	// 面
+	w.int32(3);
+	[0, 1, 2].forEach(w.uint8);
+	// テクスチャ
+	w.int32(0);
+	// マテリアル
+	w.int32(1);
+	w.text("赤");
+	w.text("red");
+	[1, 0, 0, 1, 0, 0, 0, 5, 0.5, 0, 0].forEach(w.float);
+	w.uint8(0);
+	[0, 0, 0, 1, 1].forEach(w.float);
+	w.uint8(0xff);
+	w.uint8(0xff);
+	w.uint8(0);
+	w.uint8(1);
+	w.uint8(0);
+	w.text("");
+	w.int32(3);
+	// ボーン、モーフ
+	w.int32(0);
+	w.int32(0);
+	return w.toArrayBuffer();
+};
+
+describe("S3MeshLoaderPMX", function () {
+	test("頂点、面、マテリアルを読み込む", function () {
+		const sys = new S3System();
+		return S3MeshLoader.loadMesh(sys, createPMX()).then(function (mesh) {
+			expect(mesh.getVertexArray().length).toBe(3);
+			expect(mesh.getTriangleIndexArray().length).toBe(1);
+			const material = mesh.getMaterialArray()[0];
+			expect(material.name).toBe("赤");
+			expect([material.color.x, material.color.y, material.color.z]).toEqual([1, 0, 0]);
+		});
+	});
+
+	test("途中で終わっているデータはrejectする", function () {
+		const sys = new S3System();
+		const promise = S3MeshLoader.loadMesh(sys, createPMX().slice(0, 80), "PMX");
+		return expect(promise).rejects.toBeInstanceOf(S3MeshLoaderError);
+	});
+});
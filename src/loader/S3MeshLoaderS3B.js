@@ -0,0 +1,421 @@
+﻿import S3System from "../basic/S3System.js";
+import S3Mesh from "../basic/S3Mesh.js";
+import S3Vector from "../math/S3Vector.js";
+import S3MeshLoaderJSON from "./S3MeshLoaderJSON.js";
+import S3File from "./S3File.js";
+import S3MeshLoaderError from "./S3MeshLoaderError.js";
+
+/*
+	S3B形式（リトルエンディアン）
+
+	ヘッダ（24バイト）
+		"S3B\0"          識別子
+		uint32           バージョン（1）
+		uint32           フラグ（1: 法線あり, 2: UVあり）
+		uint32           頂点数 V
+		uint32           三角形の数 T
+		uint32           マテリアル情報のバイト数 M
+	データ（各ブロックの先頭は4バイト境界）
+		float32[V * 3]   頂点座標
+		float32[V * 3]   頂点の法線（フラグ 1 の場合のみ）
+		uint32[T * 3]    三角形の頂点番号
+		uint16[T]        三角形のマテリアル番号（4バイト境界まで0で埋める）
+		float32[T * 6]   三角形の頂点ごとのUV（フラグ 2 の場合のみ、UVのない三角形はNaN）
+		uint8[M]         マテリアル情報（JSON形式の Materials の要素を並べた配列、UTF-8）
+*/
+
+/**
+ * S3B形式の識別子（"S3B\0"）
+ * @type {number}
+ */
+const S3B_MAGIC = 0x00423353;
+
+/**
+ * S3B形式のバージョン
+ * @type {number}
+ */
+const S3B_VERSION = 1;
+
+/**
+ * S3B形式のヘッダのバイト数
+ * @type {number}
+ */
+const S3B_HEADER_SIZE = 24;
+
+/**
+ * 法線を持つことを表すフラグ
+ * @type {number}
+ */
+const S3B_FLAG_NORMAL = 1;
+
+/**
+ * UVを持つことを表すフラグ
+ * @type {number}
+ */
+const S3B_FLAG_UV = 2;
+
+/**
+ * 実行環境がリトルエンディアンか（型付き配列でそのまま読み書きできるか）
+ * @type {boolean}
+ */
+const IS_LITTLE_ENDIAN = new Uint8Array(new Uint16Array([1]).buffer)[0] === 1;
+
+/**
+ * 4バイト境界に切り上げます。
+ *
+ * @param {number} x バイト数
+ * @returns {number} 4の倍数
+ */
+const align4 = function (x) {
+	return (x + 3) & ~3;
+};
+
+/**
+ * S3B形式の各ブロックの位置を計算します。
+ *
+ * @param {number} flags フラグ
+ * @param {number} vertex_count 頂点数
+ * @param {number} triangle_count 三角形の数
+ * @param {number} material_size マテリアル情報のバイト数
+ * @returns {{normal: number, index: number, material: number, uv: number, material_data: number, size: number}} 各ブロックの先頭位置と全体のバイト数
+ */
+const getLayout = function (flags, vertex_count, triangle_count, material_size) {
+	let offset = S3B_HEADER_SIZE + vertex_count * 12;
+	const normal = offset;
+	if (flags & S3B_FLAG_NORMAL) {
+		offset += vertex_count * 12;
+	}
+	const index = offset;
+	offset += triangle_count * 12;
+	const material = offset;
+	offset += align4(triangle_count * 2);
+	const uv = offset;
+	if (flags & S3B_FLAG_UV) {
+		offset += triangle_count * 24;
+	}
+	return {
+		normal: normal,
+		index: index,
+		material: material,
+		uv: uv,
+		material_data: offset,
+		size: offset + material_size
+	};
+};
+
+/**
+ * リトルエンディアンの float32 の配列を読み込みます。
+ *
+ * @param {ArrayBuffer} data バイナリ
+ * @param {number} offset 位置（4バイト境界）
+ * @param {number} count 要素数
+ * @returns {Float32Array} 配列（リトルエンディアンの環境ではコピーせずに参照する）
+ */
+const getFloat32Array = function (data, offset, count) {
+	if (IS_LITTLE_ENDIAN) {
+		return new Float32Array(data, offset, count);
+	}
+	const dataview = new DataView(data);
+	const output = new Float32Array(count);
+	for (let i = 0; i < count; i++) {
+		output[i] = dataview.getFloat32(offset + i * 4, true);
+	}
+	return output;
+};
+
+/**
+ * リトルエンディアンの uint32 の配列を読み込みます。
+ *
+ * @param {ArrayBuffer} data バイナリ
+ * @param {number} offset 位置（4バイト境界）
+ * @param {number} count 要素数
+ * @returns {Uint32Array} 配列（リトルエンディアンの環境ではコピーせずに参照する）
+ */
+const getUint32Array = function (data, offset, count) {
+	if (IS_LITTLE_ENDIAN) {
+		return new Uint32Array(data, offset, count);
+	}
+	const dataview = new DataView(data);
+	const output = new Uint32Array(count);
+	for (let i = 0; i < count; i++) {
+		output[i] = dataview.getUint32(offset + i * 4, true);
+	}
+	return output;
+};
+
+/**
+ * リトルエンディアンの uint16 の配列を読み込みます。
+ *
+ * @param {ArrayBuffer} data バイナリ
+ * @param {number} offset 位置（2バイト境界）
+ * @param {number} count 要素数
+ * @returns {Uint16Array} 配列（リトルエンディアンの環境ではコピーせずに参照する）
+ */
+const getUint16Array = function (data, offset, count) {
+	if (IS_LITTLE_ENDIAN) {
+		return new Uint16Array(data, offset, count);
+	}
+	const dataview = new DataView(data);
+	const output = new Uint16Array(count);
+	for (let i = 0; i < count; i++) {
+		output[i] = dataview.getUint16(offset + i * 2, true);
+	}
+	return output;
+};
+
+/**
+ * 型付き配列の内容を、リトルエンディアンでバイナリへ書き込みます。
+ *
+ * @param {ArrayBuffer} output 書き込み先
+ * @param {number} offset 位置
+ * @param {Float32Array|Uint32Array|Uint16Array} array 書き込む配列
+ */
+const setArray = function (output, offset, array) {
+	if (IS_LITTLE_ENDIAN) {
+		new Uint8Array(output, offset, array.byteLength).set(
+			new Uint8Array(array.buffer, array.byteOffset, array.byteLength)
+		);
+		return;
+	}
+	const dataview = new DataView(output);
+	for (let i = 0; i < array.length; i++) {
+		if (array instanceof Float32Array) {
+			dataview.setFloat32(offset + i * 4, array[i], true);
+		} else if (array instanceof Uint32Array) {
+			dataview.setUint32(offset + i * 4, array[i], true);
+		} else {
+			dataview.setUint16(offset + i * 2, array[i], true);
+		}
+	}
+};
+
+/**
+ * S3B形式（S3独自のバイナリ形式）による3DCGメッシュデータの入出力ユーティリティ
+ *
+ * - S3MeshLoader から拡張子 "s3b" で利用されます。
+ * - 頂点座標・法線・三角形・UVを型付き配列でそのまま読める配置で保存するため、
+ *   テキスト形式（OBJ, MQO など）より高速に読み込めます。
+ * - マテリアルは JSON 形式の Materials と同じ内容を JSON テキストとして保持します。
+ * - 法線はすべての頂点が持つ場合のみ、UVはいずれかの三角形が持つ場合のみ保存します。
+ */
+const S3MeshLoaderS3B = {
+	/**
+	 * メッシュデータの入出力形式名
+	 * @type {string}
+	 */
+	name: "S3B",
+
+	/**
+	 * 対応する拡張子
+	 * @type {Array<string>}
+	 */
+	extensions: ["s3b"],
+
+	/**
+	 * データの内容がこの形式か判定します。
+	 * 先頭の "S3B\0" で判定します。
+	 *
+	 * @param {string} head データの先頭部分（バイナリの場合は1バイトを1文字とした文字列）
+	 * @param {any} data データ本体
+	 * @returns {boolean} この形式であればtrue
+	 */
+	sniff: function (head, data) {
+		return data instanceof ArrayBuffer && /^S3B\0/.test(head);
+	},
+
+	/**
+	 * バイナリデータとして読み込む形式か
+	 * @type {boolean}
+	 */
+	binary: true,
+
+	/**
+	 * S3B形式のデータをS3Meshインスタンスへ変換します（インポート）。
+	 *
+	 * - 範囲外の頂点やマテリアルの番号を参照する三角形は読み飛ばし、S3MeshLoaderError.report で報告します。
+	 *
+	 * @param {S3System} sys S3Systemインスタンス
+	 * @param {S3Mesh} mesh メッシュインスタンス（空の状態で渡される）
+	 * @param {ArrayBuffer} data S3Bファイルの内容
+	 * @param {string} [url] ファイルのURL（テクスチャの参照に使用）
+	 * @param {function(boolean): void} [complete] 未使用（同期で読み込みます）
+	 * @param {import("./S3MeshLoader.js").S3MeshLoaderOption} [option] 読み込み時のオプション（strict, diagnostics: 不正なデータの扱い）
+	 * @returns {boolean} パース成功時はtrue
+	 *
+	 * @example
+	 * S3MeshLoaderS3B.input(sys, mesh, arraybuffer, "./parts/bolt.s3b");
+	 */
+	input: function (sys, mesh, data, url, complete, option) {
+		if (!(data instanceof ArrayBuffer) || data.byteLength < S3B_HEADER_SIZE) {
+			return false;
+		}
+		const dataview = new DataView(data);
+		if (dataview.getUint32(0, true) !== S3B_MAGIC || dataview.getUint32(4, true) > S3B_VERSION) {
+			return false;
+		}
+		const flags = dataview.getUint32(8, true);
+		const vertex_count = dataview.getUint32(12, true);
+		const triangle_count = dataview.getUint32(16, true);
+		const material_size = dataview.getUint32(20, true);
+		const layout = getLayout(flags, vertex_count, triangle_count, material_size);
+		if (data.byteLength < layout.size) {
+			return false;
+		}
+
+		// マテリアル
+		const materials = JSON.parse(S3File.decodeUTF8(new Uint8Array(data, layout.material_data, material_size)));
+		for (let i = 0; i < materials.length; i++) {
+			const material = sys.createMaterial(typeof materials[i].name === "string" ? materials[i].name : "" + i);
+			S3MeshLoaderJSON.inputMaterial(material, materials[i], url);
+			mesh.addMaterial(material);
+		}
+
+		// 頂点
+		const positions = getFloat32Array(data, S3B_HEADER_SIZE, vertex_count * 3);
+		const normals = flags & S3B_FLAG_NORMAL ? getFloat32Array(data, layout.normal, vertex_count * 3) : null;
+		const vertices = [];
+		for (let i = 0; i < vertex_count; i++) {
+			const j = i * 3;
+			const position = new S3Vector(positions[j], positions[j + 1], positions[j + 2]);
+			const normal = normals ? new S3Vector(normals[j], normals[j + 1], normals[j + 2]) : null;
+			vertices[i] = sys.createVertex(position, normal);
+		}
+		mesh.addVertex(vertices);
+
+		// 三角形
+		const indices = getUint32Array(data, layout.index, triangle_count * 3);
+		const material_indices = getUint16Array(data, layout.material, triangle_count);
+		const uvs = flags & S3B_FLAG_UV ? getFloat32Array(data, layout.uv, triangle_count * 6) : null;
+		const triangles = [];
+		for (let i = 0; i < triangle_count; i++) {
+			const j = i * 3;
+			const index = [indices[j], indices[j + 1], indices[j + 2]];
+			let is_valid = true;
+			for (let k = 0; k < 3; k++) {
+				if (index[k] >= vertex_count) {
+					S3MeshLoaderError.report(option, "error", "頂点の番号が範囲外です", null, null, index[k]);
+					is_valid = false;
+				}
+			}
+			if (material_indices[i] >= materials.length) {
+				S3MeshLoaderError.report(
+					option,
+					"error",
+					"マテリアルの番号が範囲外です",
+					null,
+					null,
+					material_indices[i]
+				);
+				is_valid = false;
+			}
+			if (!is_valid) {
+				continue;
+			}
+			let uv = undefined;
+			if (uvs && !isNaN(uvs[i * 6])) {
+				const k = i * 6;
+				uv = [
+					new S3Vector(uvs[k], uvs[k + 1]),
+					new S3Vector(uvs[k + 2], uvs[k + 3]),
+					new S3Vector(uvs[k + 4], uvs[k + 5])
+				];
+			}
+			triangles.push(sys.createTriangleIndex(0, 1, 2, index, material_indices[i], uv));
+		}
+		mesh.addTriangleIndex(triangles);
+		return true;
+	},
+
+	/**
+	 * S3MeshインスタンスをS3B形式のバイナリへ変換します（エクスポート）。
+	 *
+	 * @param {S3Mesh} mesh 出力対象のメッシュ
+	 * @returns {ArrayBuffer} S3B形式のバイナリ
+	 *
+	 * @example
+	 * const arraybuffer = S3MeshLoaderS3B.output(mesh);
+	 */
+	output: function (mesh) {
+		const vertex_list = mesh.getVertexArray();
+		const triangle_list = mesh.getTriangleIndexArray();
+		const material_list = mesh.getMaterialArray();
+
+		// マテリアル（ない場合は既定のマテリアルを1つ出力する）
+		const materials = [];
+		for (let i = 0; i < material_list.length; i++) {
+			materials.push(S3MeshLoaderJSON.outputMaterial(material_list[i]));
+		}
+		if (materials.length === 0) {
+			materials.push({ name: "s3default" });
+		}
+		const material_data = S3File.encodeUTF8(JSON.stringify(materials));
+
+		let flags = 0;
+		let has_normal = vertex_list.length > 0;
+		for (let i = 0; i < vertex_list.length && has_normal; i++) {
+			has_normal = vertex_list[i].normal !== null;
+		}
+		if (has_normal) {
+			flags |= S3B_FLAG_NORMAL;
+		}
+		for (let i = 0; i < triangle_list.length; i++) {
+			if (triangle_list[i].uv[0] !== null) {
+				flags |= S3B_FLAG_UV;
+				break;
+			}
+		}
+
+		const vertex_count = vertex_list.length;
+		const triangle_count = triangle_list.length;
+		const positions = new Float32Array(vertex_count * 3);
+		const normals = new Float32Array(has_normal ? vertex_count * 3 : 0);
+		for (let i = 0; i < vertex_count; i++) {
+			const p = vertex_list[i].position;
+			positions[i * 3] = p.x;
+			positions[i * 3 + 1] = p.y;
+			positions[i * 3 + 2] = p.z;
+			if (has_normal) {
+				const n = vertex_list[i].normal;
+				normals[i * 3] = n.x;
+				normals[i * 3 + 1] = n.y;
+				normals[i * 3 + 2] = n.z;
+			}
+		}
+		const indices = new Uint32Array(triangle_count * 3);
+		const material_indices = new Uint16Array(triangle_count);
+		const uvs = new Float32Array(flags & S3B_FLAG_UV ? triangle_count * 6 : 0);
+		for (let i = 0; i < triangle_count; i++) {
+			const ti = triangle_list[i];
+			indices[i * 3] = ti.index[0];
+			indices[i * 3 + 1] = ti.index[1];
+			indices[i * 3 + 2] = ti.index[2];
+			material_indices[i] = ti.materialIndex;
+			if (flags & S3B_FLAG_UV) {
+				for (let j = 0; j < 3; j++) {
+					const uv = ti.uv[j];
+					uvs[i * 6 + j * 2] = uv ? uv.x : NaN;
+					uvs[i * 6 + j * 2 + 1] = uv ? uv.y : NaN;
+				}
+			}
+		}
+
+		const layout = getLayout(flags, vertex_count, triangle_count, material_data.length);
+		const output = new ArrayBuffer(layout.size);
+		const dataview = new DataView(output);
+		dataview.setUint32(0, S3B_MAGIC, true);
+		dataview.setUint32(4, S3B_VERSION, true);
+		dataview.setUint32(8, flags, true);
+		dataview.setUint32(12, vertex_count, true);
+		dataview.setUint32(16, triangle_count, true);
+		dataview.setUint32(20, material_data.length, true);
+		setArray(output, S3B_HEADER_SIZE, positions);
+		setArray(output, layout.normal, normals);
+		setArray(output, layout.index, indices);
+		setArray(output, layout.material, material_indices);
+		setArray(output, layout.uv, uvs);
+		new Uint8Array(output, layout.material_data, material_data.length).set(material_data);
+		return output;
+	}
+};
+
+export default S3MeshLoaderS3B;
@@ -0,0 +1,75 @@
+﻿import S3System from "../basic/S3System.js";
+import S3Vector from "../math/S3Vector.js";
+import S3MeshLoader from "./S3MeshLoader.js";
+import S3MeshLoaderError from "./S3MeshLoaderError.js";
+
+/**
+ * 三角形1枚のUV付きメッシュを作成する
+ * @param {S3System} sys
+ */
+const createMesh = function (sys) {
+	const mesh = sys.createMesh();
+	mesh.addVertex(sys.createVertex(new S3Vector(0, 0, 0)));
+	mesh.addVertex(sys.createVertex(new S3Vector(1, 0, 0)));
+	mesh.addVertex(sys.createVertex(new S3Vector(0, 1, 0)));
+	const uv = [new S3Vector(0, 0), new S3Vector(0.5, 0), new S3Vector(0, 0.25)];
+	mesh.addTriangleIndex(sys.createTriangleIndex(0, 1, 2, [0, 1, 2], 0, uv));
+	const material = sys.createMaterial("blue");
+	material.setColor(new S3Vector(0, 0, 1, 1));
+	material.setPower(12);
+	mesh.addMaterial(material);
+	return mesh;
+};
+
+/**
+ * 頂点番号の位置（ヘッダ24バイト、頂点座標3個の後）
+ * @type {number}
+ */
+const INDEX_OFFSET = 24 + 3 * 12;
+
+describe("S3MeshLoaderS3B", function () {
+	test("出力したデータを読み込むと同じ頂点、UV、マテリアルになる", function () {
+		const sys = new S3System();
+		const binary = S3MeshLoader.outputData(createMesh(sys), "S3B");
+		const mesh = S3MeshLoader.inputData(sys, binary, "S3B");
+		expect(mesh.isComplete()).toBe(true);
+		const positions = mesh.getVertexArray().map(function (v) {
+			return [v.position.x, v.position.y, v.position.z];
+		});
+		expect(positions).toEqual([
+			[0, 0, 0],
+			[1, 0, 0],
+			[0, 1, 0]
+		]);
+		const ti = mesh.getTriangleIndexArray()[0];
+		expect(ti.index).toEqual([0, 1, 2]);
+		expect([ti.uv[1].x, ti.uv[2].y]).toEqual([0.5, 0.25]);
+		const material = mesh.getMaterialArray()[0];
+		expect(material.name).toBe("blue");
+		expect(material.power).toBe(12);
+	});
+
+	test("範囲外の頂点番号とマテリアル番号を報告して三角形を読み飛ばす", function () {
+		const sys = new S3System();
+		const binary = /** @type {ArrayBuffer} */ (S3MeshLoader.outputData(createMesh(sys), "S3B"));
+		const view = new DataView(binary);
+		view.setUint32(INDEX_OFFSET + 8, 9, true);
+		view.setUint16(INDEX_OFFSET + 12, 5, true);
+		const diagnostics = [];
+		const mesh = S3MeshLoader.inputData(sys, binary, "S3B", undefined, { diagnostics: diagnostics });
+		expect(mesh.getTriangleIndexArray().length).toBe(0);
+		expect(
+			diagnostics.map(function (d) {
+				return d.index;
+			})
+		).toEqual(expect.arrayContaining([9, 5]));
+	});
+
+	test("strict を指定すると範囲外の頂点番号でrejectする", function () {
+		const sys = new S3System();
+		const binary = /** @type {ArrayBuffer} */ (S3MeshLoader.outputData(createMesh(sys), "S3B"));
+		new DataView(binary).setUint32(INDEX_OFFSET, 3, true);
+		const promise = S3MeshLoader.loadMesh(sys, binary, "S3B", { strict: true });
+		return expect(promise).rejects.toBeInstanceOf(S3MeshLoaderError);
+	});
+});
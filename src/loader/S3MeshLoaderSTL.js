@@ -0,0 +1,276 @@
+﻿import S3System from "../basic/S3System.js";
+import S3Mesh from "../basic/S3Mesh.js";
+import S3Vector from "../math/S3Vector.js";
+import S3MeshLoaderError from "./S3MeshLoaderError.js";
+
+/**
+ * バイナリSTLのヘッダのバイト数
+ * @type {number}
+ */
+const STL_HEADER_SIZE = 80;
+
+/**
+ * バイナリSTLの1面あたりのバイト数
+ * @type {number}
+ */
+const STL_FACE_SIZE = 50;
+
+/**
+ * 3頂点から面の法線を計算します。
+ * 面積がない場合は0ベクトルを返します。
+ *
+ * @param {S3Vector} a 頂点1
+ * @param {S3Vector} b 頂点2
+ * @param {S3Vector} c 頂点3
+ * @returns {S3Vector} 面の法線
+ */
+const getFaceNormal = function (a, b, c) {
+	const n = b.sub(a).cross(c.sub(a));
+	if (n.normFast() === 0.0) {
+		return new S3Vector(0, 0, 0);
+	}
+	return n.normalize();
+};
+
+/**
+ * STL形式による3DCGメッシュデータの入出力ユーティリティ
+ *
+ * - S3MeshLoader から拡張子 "stl" で利用されます。
+ * - ASCII形式とバイナリ形式の両方を、データの内容から判別して読み込みます。
+ * - STLは面ごとに頂点を持つため、オプション weld を指定すると同じ位置の頂点を1つにまとめます。
+ * - 出力はASCII形式で、オプション binary を指定するとバイナリ形式（ArrayBuffer）になります。
+ * - 色やマテリアルの情報は持たないため、マテリアルは1つだけ作成されます。
+ */
+const S3MeshLoaderSTL = {
+	/**
+	 * メッシュデータの入出力形式名
+	 * @type {string}
+	 */
+	name: "STL",
+
+	/**
+	 * 対応する拡張子
+	 * @type {Array<string>}
+	 */
+	extensions: ["stl"],
+
+	/**
+	 * 対応するMIMEタイプ
+	 * @type {Array<string>}
+	 */
+	mime: ["model/stl", "application/sla"],
+
+	/**
+	 * データの内容がこの形式か判定します。
+	 * ASCII形式は先頭の "solid"、バイナリ形式はデータのサイズで判定します。
+	 *
+	 * @param {string} head データの先頭部分（バイナリの場合は1バイトを1文字とした文字列）
+	 * @param {any} data データ本体
+	 * @returns {boolean} この形式であればtrue
+	 */
+	sniff: function (head, data) {
+		if (/^\s*solid\s/.test(head)) {
+			return true;
+		}
+		if (data instanceof ArrayBuffer && data.byteLength >= STL_HEADER_SIZE + 4) {
+			const count = new DataView(data).getUint32(STL_HEADER_SIZE, true);
+			return data.byteLength === STL_HEADER_SIZE + 4 + count * STL_FACE_SIZE;
+		}
+		return false;
+	},
+
+	/**
+	 * バイナリデータとして読み込む形式か
+	 * @type {boolean}
+	 */
+	binary: true,
+
+	/**
+	 * STL形式のデータをS3Meshインスタンスへ変換します（インポート）。
+	 *
+	 * - 座標が数値でない頂点を含む面は読み飛ばし、S3MeshLoaderError.report で報告します。
+	 *
+	 * @param {S3System} sys S3Systemインスタンス
+	 * @param {S3Mesh} mesh メッシュインスタンス（空の状態で渡される）
+	 * @param {string|ArrayBuffer} data STLファイルの内容（ASCIIのテキスト、またはバイナリ）
+	 * @param {string} [url] ファイルのURL
+	 * @param {function(boolean): void} [complete] 非同期で読み込んだ場合の完了時に呼ばれるコールバック（未使用）
+	 * @param {import("./S3MeshLoader.js").S3MeshLoaderOption} [option] オプション（weld: trueで同じ位置の頂点をまとめる、strict, diagnostics: 不正なデータの扱い）
+	 * @returns {boolean} パース成功時はtrue
+	 *
+	 * @example
+	 * S3MeshLoaderSTL.input(sys, mesh, arraybuffer, "", null, { weld: true });
+	 */
+	input: function (sys, mesh, data, url, complete, option) {
+		const is_weld = !!(option && option.weld);
+
+		/**
+		 * 各面の頂点座標（3つずつ）
+		 * @type {Array<S3Vector>}
+		 */
+		const position_list = [];
+
+		/**
+		 * 各頂点の行番号（1から。バイナリ形式の場合は空）
+		 * @type {Array<number>}
+		 */
+		const line_list = [];
+
+		let text = null;
+		if (typeof data === "string") {
+			text = data;
+		} else if (data instanceof ArrayBuffer) {
+			const dataview = new DataView(data);
+			const count = data.byteLength >= STL_HEADER_SIZE + 4 ? dataview.getUint32(STL_HEADER_SIZE, true) : -1;
+			if (count >= 0 && data.byteLength === STL_HEADER_SIZE + 4 + count * STL_FACE_SIZE) {
+				// バイナリ形式（法線は読み込み時に再計算されるため使用しない）
+				for (let i = 0; i < count; i++) {
+					const offset = STL_HEADER_SIZE + 4 + i * STL_FACE_SIZE + 12;
+					for (let j = 0; j < 3; j++) {
+						const x = dataview.getFloat32(offset + j * 12, true);
+						const y = dataview.getFloat32(offset + j * 12 + 4, true);
+						const z = dataview.getFloat32(offset + j * 12 + 8, true);
+						position_list.push(new S3Vector(x, y, z));
+					}
+				}
+			} else {
+				// サイズが合わない場合はASCII形式とみなす
+				const bytes = new Uint8Array(data);
+				text = "";
+				for (let i = 0; i < bytes.length; i++) {
+					text += String.fromCharCode(bytes[i]);
+				}
+			}
+		} else {
+			return false;
+		}
+
+		if (text !== null) {
+			if (!/^\s*solid/.test(text)) {
+				return false;
+			}
+			const lines = text.split("\n");
+			for (let i = 0; i < lines.length; i++) {
+				const words = lines[i].trim().split(/\s+/);
+				if (words[0] === "vertex") {
+					position_list.push(new S3Vector(parseFloat(words[1]), parseFloat(words[2]), parseFloat(words[3])));
+					line_list.push(i + 1);
+				}
+			}
+			if (position_list.length % 3 !== 0) {
+				return false;
+			}
+		}
+
+		// 変換
+		mesh.addMaterial(sys.createMaterial("stl"));
+
+		/**
+		 * 位置ごとの頂点番号（weld用）
+		 * @type {Object<string, number>}
+		 */
+		const vertex_map = {};
+		let vertex_count = 0;
+		for (let i = 0; i < position_list.length; i += 3) {
+			let is_valid = true;
+			for (let j = 0; j < 3; j++) {
+				if (!position_list[i + j].isFinite()) {
+					const line = line_list.length > 0 ? line_list[i + j] : null;
+					S3MeshLoaderError.report(option, "error", "頂点の座標が数値ではありません", line);
+					is_valid = false;
+				}
+			}
+			if (!is_valid) {
+				continue;
+			}
+			const face = [];
+			for (let j = 0; j < 3; j++) {
+				const position = position_list[i + j];
+				if (is_weld) {
+					const key = position.x + "/" + position.y + "/" + position.z;
+					if (vertex_map[key] === undefined) {
+						vertex_map[key] = vertex_count++;
+						mesh.addVertex(sys.createVertex(position));
+					}
+					face[j] = vertex_map[key];
+				} else {
+					face[j] = vertex_count++;
+					mesh.addVertex(sys.createVertex(position));
+				}
+			}
+			// OBJと同様に面の向きを反転させる
+			mesh.addTriangleIndex(sys.createTriangleIndex(2, 1, 0, face, 0));
+		}
+		return true;
+	},
+
+	/**
+	 * S3MeshインスタンスをSTL形式へ変換します（エクスポート）。
+	 *
+	 * @param {S3Mesh} mesh 出力対象のメッシュ
+	 * @param {import("./S3MeshLoader.js").S3MeshLoaderOption} [option] オプション（binary: trueでバイナリ形式）
+	 * @returns {string|ArrayBuffer} ASCII形式のテキスト、またはバイナリ形式のArrayBuffer
+	 *
+	 * @example
+	 * const text = S3MeshLoaderSTL.output(mesh);
+	 * const arraybuffer = S3MeshLoaderSTL.output(mesh, { binary: true });
+	 */
+	output: function (mesh, option) {
+		const vertex_list = mesh.getVertexArray();
+		const triangle_list = mesh.getTriangleIndexArray();
+
+		/**
+		 * 面ごとの法線と頂点（読み込み時と同様に面の向きを反転させる）
+		 * @type {Array<Array<S3Vector>>}
+		 */
+		const face_list = [];
+		for (let i = 0; i < triangle_list.length; i++) {
+			const index = triangle_list[i].index;
+			const a = vertex_list[index[2]].position;
+			const b = vertex_list[index[1]].position;
+			const c = vertex_list[index[0]].position;
+			face_list.push([getFaceNormal(a, b, c), a, b, c]);
+		}
+
+		if (option && option.binary) {
+			const output = new ArrayBuffer(STL_HEADER_SIZE + 4 + face_list.length * STL_FACE_SIZE);
+			const dataview = new DataView(output);
+			dataview.setUint32(STL_HEADER_SIZE, face_list.length, true);
+			for (let i = 0; i < face_list.length; i++) {
+				const offset = STL_HEADER_SIZE + 4 + i * STL_FACE_SIZE;
+				for (let j = 0; j < 4; j++) {
+					dataview.setFloat32(offset + j * 12, face_list[i][j].x, true);
+					dataview.setFloat32(offset + j * 12 + 4, face_list[i][j].y, true);
+					dataview.setFloat32(offset + j * 12 + 8, face_list[i][j].z, true);
+				}
+				// 属性バイト数は0
+				dataview.setUint16(offset + 48, 0, true);
+			}
+			return output;
+		}
+
+		/**
+		 * @param {S3Vector} v
+		 * @returns {string}
+		 */
+		const toText = function (v) {
+			return v.x + " " + v.y + " " + v.z;
+		};
+		const output = [];
+		output.push("solid s3");
+		for (let i = 0; i < face_list.length; i++) {
+			const face = face_list[i];
+			output.push("  facet normal " + toText(face[0]));
+			output.push("    outer loop");
+			output.push("      vertex " + toText(face[1]));
+			output.push("      vertex " + toText(face[2]));
+			output.push("      vertex " + toText(face[3]));
+			output.push("    endloop");
+			output.push("  endfacet");
+		}
+		output.push("endsolid s3");
+		return output.join("\n");
+	}
+};
+
+export default S3MeshLoaderSTL;
@@ -0,0 +1,95 @@
+﻿import S3System from "../basic/S3System.js";
+import S3Vector from "../math/S3Vector.js";
+import S3MeshLoader from "./S3MeshLoader.js";
+
+/**
+ * 2枚の三角形からなる四角形のメッシュを作成する
+ * @param {S3System} sys
+ */
+const createMesh = function (sys) {
+	const mesh = sys.createMesh();
+	mesh.addVertex(sys.createVertex(new S3Vector(0, 0, 0)));
+	mesh.addVertex(sys.createVertex(new S3Vector(1, 0, 0)));
+	mesh.addVertex(sys.createVertex(new S3Vector(1, 1, 0)));
+	mesh.addVertex(sys.createVertex(new S3Vector(0, 1, 0)));
+	mesh.addTriangleIndex(sys.createTriangleIndex(0, 1, 2, [0, 1, 2, 3], 0));
+	mesh.addTriangleIndex(sys.createTriangleIndex(0, 2, 3, [0, 1, 2, 3], 0));
+	return mesh;
+};
+
+/**
+ * 三角形ごとの頂点の座標を、順序によらず比較できる文字列にする
+ * @param {any} mesh
+ */
+const getTriangles = function (mesh) {
+	const vertex = mesh.getVertexArray();
+	return mesh
+		.getTriangleIndexArray()
+		.map(function (ti) {
+			return ti.index
+				.map(function (i) {
+					const p = vertex[i].position;
+					return [p.x, p.y, p.z].join(",");
+				})
+				.sort()
+				.join(" ");
+		})
+		.sort();
+};
+
+describe("S3MeshLoaderSTL", function () {
+	test("ASCII形式で出力したデータを読み込むと同じ形状になる", function () {
+		const sys = new S3System();
+		const mesh = createMesh(sys);
+		const text = S3MeshLoader.outputData(mesh, "STL");
+		expect(typeof text).toBe("string");
+		const loaded = S3MeshLoader.inputData(sys, text, "STL");
+		expect(loaded.isComplete()).toBe(true);
+		expect(getTriangles(loaded)).toEqual(getTriangles(mesh));
+		// 面ごとに頂点を持つ
+		expect(loaded.getVertexArray().length).toBe(6);
+	});
+
+	test("バイナリ形式で出力したデータを読み込むと同じ形状になる", function () {
+		const sys = new S3System();
+		const mesh = createMesh(sys);
+		const binary = S3MeshLoader.outputData(mesh, "STL", { binary: true });
+		expect(binary).toBeInstanceOf(ArrayBuffer);
+		const loaded = S3MeshLoader.inputData(sys, binary, "STL");
+		expect(getTriangles(loaded)).toEqual(getTriangles(mesh));
+	});
+
+	test("weld を指定すると同じ位置の頂点をまとめる", function () {
+		const sys = new S3System();
+		const text = S3MeshLoader.outputData(createMesh(sys), "STL");
+		const loaded = S3MeshLoader.inputData(sys, text, "STL", undefined, { weld: true });
+		expect(loaded.getVertexArray().length).toBe(4);
+	});
+
+	test("数値でない座標の面は行番号とともに報告して読み飛ばす", function () {
+		const sys = new S3System();
+		const text = [
+			"solid test",
+			"facet normal 0 0 1",
+			"outer loop",
+			"vertex 0 0 0",
+			"vertex 1 0 0",
+			"vertex 0 1 0",
+			"endloop",
+			"endfacet",
+			"facet normal 0 0 1",
+			"outer loop",
+			"vertex 0 0 0",
+			"vertex 1 0 0",
+			"vertex NaN 1 0",
+			"endloop",
+			"endfacet",
+			"endsolid test"
+		].join("\n");
+		const diagnostics = [];
+		const loaded = S3MeshLoader.inputData(sys, text, "STL", undefined, { diagnostics: diagnostics });
+		expect(loaded.getTriangleIndexArray().length).toBe(1);
+		expect(diagnostics.length).toBe(1);
+		expect(diagnostics[0].line).toBe(13);
+	});
+});
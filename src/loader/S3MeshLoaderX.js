@@ -0,0 +1,513 @@
+﻿import S3System from "../basic/S3System.js";
+import S3Mesh from "../basic/S3Mesh.js";
+import S3Material from "../basic/S3Material.js";
+import S3Vector from "../math/S3Vector.js";
+import S3Polygon from "../math/S3Polygon.js";
+import S3Matrix from "../math/S3Matrix.js";
+import S3File from "./S3File.js";
+import S3MeshLoaderError from "./S3MeshLoaderError.js";
+
+/**
+ * DirectX形式のデータオブジェクト
+ * @typedef {Object} S3XObject
+ * @property {string} type テンプレート名（参照の場合は空文字）
+ * @property {string} name オブジェクト名（参照の場合は参照先の名前）
+ * @property {Array<string>} values 数値や文字列の値
+ * @property {Array<S3XObject>} children 子のデータオブジェクト
+ */
+
+/**
+ * テキストを字句に分割します。
+ * 区切り文字（; と ,）は、要素数がデータ内に記載されているため読み捨てます。
+ *
+ * @param {string} text DirectX形式のテキスト
+ * @returns {Array<string>} 字句の配列
+ */
+const tokenize = function (text) {
+	const tokens = text.match(/"[^"]*"|(\/\/|#)[^\n]*|<[^>]*>|[{}]|[^\s;,{}"<#]+/g);
+	if (!tokens) {
+		return [];
+	}
+	// コメントを削除（文字列内の // などはそのまま残す）
+	const output = [];
+	for (let i = 0; i < tokens.length; i++) {
+		if (!/^(\/\/|#)/.test(tokens[i])) {
+			output.push(tokens[i]);
+		}
+	}
+	return output;
+};
+
+/**
+ * 字句が数値か判定します。
+ *
+ * @param {string} token 字句
+ * @returns {boolean} 数値であればtrue
+ */
+const isNumber = function (token) {
+	return /^[-+]?(\d|\.\d)/.test(token);
+};
+
+/**
+ * 字句が識別子（テンプレート名や名前）か判定します。
+ *
+ * @param {string} token 字句
+ * @returns {boolean} 識別子であればtrue
+ */
+const isIdentifier = function (token) {
+	return token !== undefined && token !== "{" && token !== "}" && !isNumber(token) && !/^["<[]/.test(token);
+};
+
+/**
+ * 字句の配列をデータオブジェクトの木へ変換します。
+ *
+ * @param {Array<string>} tokens 字句の配列
+ * @returns {Array<S3XObject>} 最上位のデータオブジェクト
+ */
+const parseTokens = function (tokens) {
+	let pos = 0;
+
+	/**
+	 * "{" の次から対応する "}" までを読み込みます。
+	 * @param {S3XObject} object 読み込み先
+	 */
+	const parseBody = function (object) {
+		while (pos < tokens.length) {
+			const token = tokens[pos];
+			if (token === "}") {
+				pos++;
+				return;
+			}
+			if (token === "{") {
+				// 別のデータオブジェクトへの参照 { name }
+				pos++;
+				let name = "";
+				while (pos < tokens.length && tokens[pos] !== "}") {
+					if (name === "" && !/^</.test(tokens[pos])) {
+						name = tokens[pos];
+					}
+					pos++;
+				}
+				pos++;
+				object.children.push({ type: "", name: name, values: [], children: [] });
+				continue;
+			}
+			if (isIdentifier(token)) {
+				const has_name = isIdentifier(tokens[pos + 1]) && tokens[pos + 2] === "{";
+				if (tokens[pos + 1] === "{" || has_name) {
+					// 入れ子のデータオブジェクト Type [name] { ... }
+					/**
+					 * @type {S3XObject}
+					 */
+					const child = { type: token, name: has_name ? tokens[pos + 1] : "", values: [], children: [] };
+					pos += has_name ? 3 : 2;
+					parseBody(child);
+					object.children.push(child);
+					continue;
+				}
+			}
+			if (!/^</.test(token)) {
+				object.values.push(token);
+			}
+			pos++;
+		}
+	};
+
+	/**
+	 * @type {S3XObject}
+	 */
+	const root = { type: "", name: "", values: [], children: [] };
+	parseBody(root);
+	return root.children;
+};
+
+/**
+ * 文字列の値から引用符を外します。
+ *
+ * @param {string} value 値
+ * @returns {string} 文字列
+ */
+const toText = function (value) {
+	return value.replace(/^"|"$/g, "");
+};
+
+/**
+ * 子のデータオブジェクトを種類で探します。
+ *
+ * @param {S3XObject} object 親のデータオブジェクト
+ * @param {string} type テンプレート名
+ * @returns {S3XObject|null} 最初に見つかったデータオブジェクト
+ */
+const findChild = function (object, type) {
+	for (let i = 0; i < object.children.length; i++) {
+		if (object.children[i].type === type) {
+			return object.children[i];
+		}
+	}
+	return null;
+};
+
+/**
+ * 面の並び（面の数、各面の頂点数と頂点番号）を読み込みます。
+ *
+ * @param {Array<string>} values 値の配列
+ * @param {number} offset 面の数の位置
+ * @returns {{faces: Array<Array<number>>, offset: number}} 面ごとの頂点番号と、読み終わった位置
+ */
+const readFaces = function (values, offset) {
+	const count = parseInt(values[offset++], 10);
+	const faces = [];
+	for (let i = 0; i < count; i++) {
+		const n = parseInt(values[offset++], 10);
+		const face = [];
+		for (let j = 0; j < n; j++) {
+			face[j] = parseInt(values[offset++], 10);
+		}
+		faces.push(face);
+	}
+	return { faces: faces, offset: offset };
+};
+
+/**
+ * ベクトルの並び（要素数と各要素）を読み込みます。
+ *
+ * @param {Array<string>} values 値の配列
+ * @param {number} offset 要素数の位置
+ * @param {number} dimension ベクトルの次元
+ * @returns {{vectors: Array<Array<number>>, offset: number}} ベクトルの配列と、読み終わった位置
+ */
+const readVectors = function (values, offset, dimension) {
+	const count = parseInt(values[offset++], 10);
+	const vectors = [];
+	for (let i = 0; i < count; i++) {
+		const v = [];
+		for (let j = 0; j < dimension; j++) {
+			v[j] = parseFloat(values[offset++]);
+		}
+		vectors.push(v);
+	}
+	return { vectors: vectors, offset: offset };
+};
+
+/**
+ * Material データオブジェクトから S3Material を作成します。
+ *
+ * @param {S3System} sys S3Systemインスタンス
+ * @param {S3XObject} object Material データオブジェクト
+ * @param {string} name マテリアル名
+ * @param {string} parent_dir テクスチャの参照に使うディレクトリ
+ * @returns {S3Material} マテリアル
+ */
+const createMaterial = function (sys, object, name, parent_dir) {
+	const material = sys.createMaterial(name);
+	const v = object.values.map(parseFloat);
+	// faceColor(RGBA), power, specularColor(RGB), emissiveColor(RGB)
+	if (v.length >= 11) {
+		material.setColor(new S3Vector(v[0], v[1], v[2], v[3]));
+		material.setPower(v[4]);
+		material.setSpecular(new S3Vector(v[5], v[6], v[7]));
+		material.setEmission(new S3Vector(v[8], v[9], v[10]));
+	}
+	const texture = findChild(object, "TextureFilename") || findChild(object, "TextureFileName");
+	if (texture && texture.values.length > 0) {
+		const filename = toText(texture.values[0]).replace(/\\\\/g, "/").replace(/\\/g, "/");
+		if (filename !== "") {
+			material.setTextureColor(parent_dir + filename);
+		}
+	}
+	return material;
+};
+
+/**
+ * FrameTransformMatrix データオブジェクトから変換行列を作成します（縦ベクトル用）。
+ *
+ * @param {S3XObject} object FrameTransformMatrix データオブジェクト
+ * @returns {S3Matrix} 変換行列
+ */
+const getFrameMatrix = function (object) {
+	// 横ベクトル用の行列が行ごとに並んでいるため、転置して読み込む
+	const m = object.values.map(parseFloat);
+	return new S3Matrix(
+		m[0],
+		m[4],
+		m[8],
+		m[12],
+		m[1],
+		m[5],
+		m[9],
+		m[13],
+		m[2],
+		m[6],
+		m[10],
+		m[14],
+		m[3],
+		m[7],
+		m[11],
+		m[15]
+	);
+};
+
+/**
+ * DirectX形式（テキスト）による3DCGメッシュデータの入力ユーティリティ
+ *
+ * - S3MeshLoader から拡張子 "x" で利用されます。
+ * - Mesh、MeshNormals、MeshTextureCoords、MeshMaterialList、Frame（FrameTransformMatrix）に対応します。
+ * - Frame の変換行列は頂点へ適用し、1つのメッシュにまとめます。
+ * - DirectX形式は左手系のため、S3System の座標系モードが右手系（RIGHT_HAND）の場合は
+ *   Z軸を反転し、面の向きも合わせて反転させます。
+ * - バイナリ形式や圧縮形式、アニメーションやスキンの情報には対応していません。
+ */
+const S3MeshLoaderX = {
+	/**
+	 * メッシュデータの入出力形式名
+	 * @type {string}
+	 */
+	name: "X",
+
+	/**
+	 * 対応する拡張子
+	 * @type {Array<string>}
+	 */
+	extensions: ["x"],
+
+	/**
+	 * データの内容がこの形式か判定します。
+	 * テキスト形式のヘッダ（"xof 0302txt 0032" など）で判定します。
+	 *
+	 * @param {string} head データの先頭部分（バイナリの場合は1バイトを1文字とした文字列）
+	 * @returns {boolean} この形式であればtrue
+	 */
+	sniff: function (head) {
+		return /^xof \d{4}txt /.test(head);
+	},
+
+	/**
+	 * DirectX形式のデータをS3Meshインスタンスへ変換します（インポート）。
+	 *
+	 * - 範囲外の頂点の番号を参照する面は読み飛ばし、S3MeshLoaderError.report で報告します。
+	 *
+	 * @param {S3System} sys S3Systemインスタンス
+	 * @param {S3Mesh} mesh メッシュインスタンス（空の状態で渡される）
+	 * @param {string} text DirectX形式（テキスト）のファイルの内容
+	 * @param {string} [url] ファイルのURL（テクスチャの参照に使用）
+	 * @param {function(boolean): void} [complete] 未使用（同期で読み込みます）
+	 * @param {import("./S3MeshLoader.js").S3MeshLoaderOption} [option] 読み込み時のオプション（strict, diagnostics: 不正なデータの扱い）
+	 * @returns {boolean} パース成功時はtrue
+	 *
+	 * @example
+	 * S3MeshLoaderX.input(sys, mesh, text, "./model/robot.x");
+	 */
+	input: function (sys, mesh, text, url, complete, option) {
+		if (typeof text !== "string" || !/^xof \d{4}txt /.test(text)) {
+			return false;
+		}
+		const objects = parseTokens(tokenize(text.substring(16)));
+		const parent_dir = url ? new S3File(url).getParent() + "/" : "";
+		// 左手系のデータを右手系へ変換する場合はZ軸を反転させる
+		const is_flip = sys.dimensionmode === S3System.DIMENSION_MODE.RIGHT_HAND;
+
+		/**
+		 * 名前付きのデータオブジェクト（参照用）
+		 * @type {Object<string, S3XObject>}
+		 */
+		const named_object = {};
+		/**
+		 * @param {Array<S3XObject>} list
+		 */
+		const collectName = function (list) {
+			for (let i = 0; i < list.length; i++) {
+				if (list[i].type !== "" && list[i].name !== "") {
+					named_object[list[i].name] = list[i];
+				}
+				collectName(list[i].children);
+			}
+		};
+		collectName(objects);
+
+		/**
+		 * 作成済みのマテリアル（同じ Material は1つにまとめる）
+		 * @type {Array<S3XObject>}
+		 */
+		const material_object_list = [];
+		/**
+		 * @param {S3XObject} object
+		 * @returns {number}
+		 */
+		const getMaterialIndex = function (object) {
+			let index = material_object_list.indexOf(object);
+			if (index === -1) {
+				index = material_object_list.length;
+				material_object_list.push(object);
+				const name = object.name !== "" ? object.name : "material" + index;
+				mesh.addMaterial(createMaterial(sys, object, name, parent_dir));
+			}
+			return index;
+		};
+		// マテリアル未指定のメッシュ用
+		let default_material = -1;
+
+		/**
+		 * Mesh をワールド行列で変換しながら追加します。
+		 * @param {S3XObject} object Mesh データオブジェクト
+		 * @param {S3Matrix} matrix ワールド行列
+		 */
+		const addMesh = function (object, matrix) {
+			const normal_matrix = matrix.inverse3() ? matrix.inverse3().transposed() : matrix;
+			const position_data = readVectors(object.values, 0, 3);
+			const positions = position_data.vectors;
+			const faces = readFaces(object.values, position_data.offset).faces;
+
+			// 法線（面ごとに法線の番号を持つ）
+			const normal_object = findChild(object, "MeshNormals");
+			let normals = null;
+			let normal_faces = null;
+			if (normal_object) {
+				const normal_data = readVectors(normal_object.values, 0, 3);
+				normals = normal_data.vectors;
+				normal_faces = readFaces(normal_object.values, normal_data.offset).faces;
+			}
+
+			// テクスチャ座標（頂点ごと）
+			const uv_object = findChild(object, "MeshTextureCoords");
+			const uvs = uv_object ? readVectors(uv_object.values, 0, 2).vectors : null;
+
+			// マテリアル
+			/**
+			 * 面ごとのマテリアル番号
+			 * @type {Array<number>}
+			 */
+			const face_material = [];
+			const material_list = findChild(object, "MeshMaterialList");
+			if (material_list) {
+				const values = material_list.values;
+				const material_count = parseInt(values[0], 10);
+				const index_count = parseInt(values[1], 10);
+				/**
+				 * @type {Array<number>}
+				 */
+				const mesh_material = [];
+				for (let i = 0; i < material_list.children.length; i++) {
+					const child = material_list.children[i];
+					const material_object = child.type === "" ? named_object[child.name] : child;
+					if (material_object && material_object.type === "Material") {
+						mesh_material.push(getMaterialIndex(material_object));
+					}
+				}
+				if (mesh_material.length >= material_count && material_count > 0) {
+					for (let i = 0; i < faces.length; i++) {
+						// 番号が足りない場合は最後の番号を使う
+						const index = parseInt(values[2 + Math.min(i, index_count - 1)], 10);
+						face_material[i] = mesh_material[index] !== undefined ? mesh_material[index] : mesh_material[0];
+					}
+				}
+			}
+			if (face_material.length === 0) {
+				if (default_material === -1) {
+					default_material = mesh.getMaterialArray().length;
+					mesh.addMaterial(sys.createMaterial("default"));
+				}
+				for (let i = 0; i < faces.length; i++) {
+					face_material[i] = default_material;
+				}
+			}
+
+			// 頂点の保存（頂点と法線の組み合わせごとに1つの頂点とする）
+			/**
+			 * @type {Object<string, number>}
+			 */
+			const vertex_map = {};
+			const vertex_offset = mesh.getVertexArray().length;
+			let vertex_count = 0;
+			/**
+			 * @param {number} v 頂点番号
+			 * @param {number} n 法線番号（ない場合は-1）
+			 * @returns {number} メッシュ内の頂点番号
+			 */
+			const getVertex = function (v, n) {
+				const key = v + "/" + n;
+				if (vertex_map[key] === undefined) {
+					const p = positions[v];
+					let position = matrix.mulVector(new S3Vector(p[0], p[1], p[2], 1));
+					position = new S3Vector(position.x, position.y, is_flip ? -position.z : position.z);
+					let normal = undefined;
+					if (n >= 0 && normals[n]) {
+						const vn = normals[n];
+						const tn = normal_matrix.mulVector(new S3Vector(vn[0], vn[1], vn[2], 0));
+						if (tn.normFast() !== 0.0) {
+							normal = new S3Vector(tn.x, tn.y, is_flip ? -tn.z : tn.z).normalize();
+						}
+					}
+					mesh.addVertex(sys.createVertex(position, normal));
+					vertex_map[key] = vertex_offset + vertex_count++;
+				}
+				return vertex_map[key];
+			};
+
+			// 面の保存（多角形は三角形に分割する）
+			for (let i = 0; i < faces.length; i++) {
+				const face = faces[i];
+				let is_valid = true;
+				for (let j = 0; j < face.length; j++) {
+					if (!(face[j] >= 0 && face[j] < positions.length)) {
+						S3MeshLoaderError.report(option, "error", "頂点の番号が範囲外です", null, null, face[j]);
+						is_valid = false;
+					}
+				}
+				if (!is_valid) {
+					continue;
+				}
+				const normal_face =
+					normal_faces && normal_faces[i] && normal_faces[i].length === face.length ? normal_faces[i] : null;
+				const face_positions = [];
+				for (let j = 0; j < face.length; j++) {
+					const p = positions[face[j]];
+					face_positions[j] = p ? new S3Vector(p[0], p[1], p[2]) : null;
+				}
+				const triangles = S3Polygon.triangulate(face_positions);
+				for (let j = 0; j < triangles.length; j += 3) {
+					const corner = [triangles[j], triangles[j + 1], triangles[j + 2]];
+					if (is_flip) {
+						// Z軸の反転で表裏が入れ替わるため、面の向きを反転させる
+						corner.reverse();
+					}
+					const index = [];
+					const uv = [];
+					for (let k = 0; k < 3; k++) {
+						const v = face[corner[k]];
+						index[k] = getVertex(v, normal_face ? normal_face[corner[k]] : -1);
+						if (uvs && uvs[v]) {
+							uv[k] = new S3Vector(uvs[v][0], uvs[v][1]);
+						}
+					}
+					mesh.addTriangleIndex(
+						sys.createTriangleIndex(0, 1, 2, index, face_material[i], uvs ? uv : undefined)
+					);
+				}
+			}
+		};
+
+		/**
+		 * データオブジェクトを再帰的にたどってメッシュを追加します。
+		 * @param {Array<S3XObject>} list データオブジェクトの配列
+		 * @param {S3Matrix} parent_matrix 親のワールド行列
+		 */
+		const addObjects = function (list, parent_matrix) {
+			for (let i = 0; i < list.length; i++) {
+				const object = list[i];
+				if (object.type === "Mesh") {
+					addMesh(object, parent_matrix);
+				} else if (object.type === "Frame") {
+					const transform = findChild(object, "FrameTransformMatrix");
+					const matrix = transform ? parent_matrix.mulMatrix(getFrameMatrix(transform)) : parent_matrix;
+					addObjects(object.children, matrix);
+				}
+			}
+		};
+
+		const identity = new S3Matrix(1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1);
+		addObjects(objects, identity);
+		return mesh.getVertexArray().length > 0;
+	}
+};
+
+export default S3MeshLoaderX;
@@ -0,0 +1,64 @@
+﻿import S3System from "../basic/S3System.js";
+import S3MeshLoader from "./S3MeshLoader.js";
+import S3MeshLoaderError from "./S3MeshLoaderError.js";
+
+/**
+ * 四角形1枚と三角形1枚の面を持つDirectX形式のテキストを作成する
+ * @param {string} triangle 2つ目の面の頂点番号
+ */
+const createX = function (triangle) {
+	return [
+		"xof 0302txt 0032",
+		"Material red {",
+		" 1.0;0.0;0.0;1.0;;",
+		" 5.0;",
+		" 0.0;0.0;0.0;;",
+		" 0.0;0.0;0.0;;",
+		"}",
+		"Mesh {",
+		" 4;",
+		" 0.0;0.0;0.0;,",
+		" 1.0;0.0;0.0;,",
+		" 1.0;1.0;0.0;,",
+		" 0.0;1.0;0.0;;",
+		" 2;",
+		" 4;0,1,2,3;,",
+		" 3;" + triangle + ";;",
+		" MeshMaterialList {",
+		"  1;",
+		"  2;",
+		"  0,",
+		"  0;;",
+		"  {red}",
+		" }",
+		"}",
+		""
+	].join("\n");
+};
+
+describe("S3MeshLoaderX", function () {
+	test("多角形を三角形に分割し、参照しているマテリアルを設定する", function () {
+		const sys = new S3System();
+		const mesh = S3MeshLoader.inputData(sys, createX("0,1,2"), "X");
+		expect(mesh.isComplete()).toBe(true);
+		expect(mesh.getTriangleIndexArray().length).toBe(3);
+		const ti = mesh.getTriangleIndexArray()[0];
+		const material = mesh.getMaterialArray()[ti.materialIndex];
+		expect([material.color.x, material.color.y, material.color.z]).toEqual([1, 0, 0]);
+	});
+
+	test("範囲外の頂点番号を参照する面は報告して読み飛ばす", function () {
+		const sys = new S3System();
+		const diagnostics = [];
+		const mesh = S3MeshLoader.inputData(sys, createX("0,9,2"), "X", undefined, { diagnostics: diagnostics });
+		expect(mesh.getTriangleIndexArray().length).toBe(2);
+		expect(diagnostics.length).toBe(1);
+		expect(diagnostics[0].index).toBe(9);
+	});
+
+	test("strict を指定すると範囲外の頂点番号でrejectする", function () {
+		const sys = new S3System();
+		const promise = S3MeshLoader.loadMesh(sys, createX("0,9,2"), "X", { strict: true });
+		return expect(promise).rejects.toBeInstanceOf(S3MeshLoaderError);
+	});
+});
@@ -0,0 +1,110 @@
+﻿/**
+ * ブラウザ用のリソース読み込み処理
+ *
+ * - S3System の標準のリソース読み込み処理です（XMLHttpRequest が使える環境で使用されます）。
+ * - 画像は Image 要素、それ以外は XMLHttpRequest で取得します。
+ */
+const S3ResourceLoaderBrowser = {
+	/**
+	 * 画像を読み込みます。
+	 *
+	 * @param {string} url 画像のURL（データURIも可）
+	 * @param {function(any): void} callback 読み込んだ画像（HTMLImageElement）を受け取るコールバック
+	 * @param {function(string): void} error_callback 失敗時にエラーの内容を受け取るコールバック
+	 */
+	loadImage: function (url, callback, error_callback) {
+		const image = new Image();
+		image.onload = function () {
+			callback(image);
+		};
+		image.onerror = function () {
+			error_callback("画像を読み込めませんでした [" + url + "]");
+		};
+		image.src = url;
+	},
+
+	/**
+	 * テキストまたはバイナリのファイルを読み込みます。
+	 *
+	 * @param {string} url ファイルのURL
+	 * @param {function(any, ?string): void} callback 読み込んだデータとMIMEタイプを受け取るコールバック
+	 * @param {boolean} is_binary trueならArrayBufferとして取得する
+	 * @param {function(string): void} error_callback 失敗時にエラーの内容を受け取るコールバック
+	 */
+	loadFile: function (url, callback, is_binary, error_callback) {
+		const http = new XMLHttpRequest();
+		/**
+		 * @returns {void}
+		 */
+		const handleHttpResponse = function () {
+			if (http.readyState === 4) {
+				// DONE
+				if (http.status !== 200) {
+					error_callback("ダウンロードに失敗しました [" + url + "] (HTTP " + http.status + ")");
+					return null;
+				}
+				callback(is_binary ? http.response : http.responseText, http.getResponseHeader("Content-Type"));
+			}
+		};
+		http.onreadystatechange = handleHttpResponse;
+		http.open("GET", url, true);
+		if (is_binary) {
+			http.responseType = "arraybuffer";
+		}
+		http.send(null);
+	},
+
+	/**
+	 * ファイルを少しずつ読み込むストリームを開きます（fetch を使用します）。
+	 *
+	 * @param {string} url ファイルのURL（データURIも可）
+	 * @param {function(any): void} callback 開いたストリーム（S3ResourceStream）を受け取るコールバック
+	 * @param {function(string): void} error_callback 失敗時にエラーの内容を受け取るコールバック
+	 */
+	openStream: function (url, callback, error_callback) {
+		if (typeof fetch === "undefined") {
+			error_callback("この環境ではダウンロードできません [" + url + "]");
+			return;
+		}
+		fetch(url)
+			.then(function (response) {
+				if (!response.ok) {
+					throw new Error("ダウンロードに失敗しました [" + url + "] (HTTP " + response.status + ")");
+				}
+				const length = response.headers.get("Content-Length");
+				const total = length !== null && /^\d+$/.test(length) ? parseInt(length, 10) : null;
+				if (!response.body) {
+					// ストリームに対応していない場合はまとめて取得する
+					return response.text().then(function (text) {
+						let is_done = false;
+						callback({
+							read: function () {
+								const result = { done: is_done, value: is_done ? undefined : text };
+								is_done = true;
+								return Promise.resolve(result);
+							},
+							cancel: function () {
+								is_done = true;
+							},
+							total: total
+						});
+					});
+				}
+				const reader = response.body.getReader();
+				callback({
+					read: function () {
+						return reader.read();
+					},
+					cancel: function () {
+						reader.cancel();
+					},
+					total: total
+				});
+			})
+			.catch(function (error) {
+				error_callback(error.message);
+			});
+	}
+};
+
+export default S3ResourceLoaderBrowser;
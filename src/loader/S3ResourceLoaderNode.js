@@ -0,0 +1,269 @@
+﻿import S3ResourceLoaderBrowser from "./S3ResourceLoaderBrowser.js";
+
+/**
+ * Node.js の組み込みモジュールを取得します。
+ * ブラウザなど取得できない環境ではnullを返します。
+ *
+ * - ES Modules では process.getBuiltinModule（Node.js 20.16 以降、22.3 以降）を使用します
+ * - CommonJS 版では require を使用します
+ *
+ * @param {string} name モジュール名（"fs" など）
+ * @returns {any} モジュール
+ */
+const getNodeModule = function (name) {
+	// @ts-ignore
+	if (typeof process !== "undefined" && process.getBuiltinModule) {
+		// @ts-ignore
+		return process.getBuiltinModule(name);
+	}
+	// @ts-ignore
+	if (typeof require === "function") {
+		// @ts-ignore
+		return require(name);
+	}
+	return null;
+};
+
+/**
+ * データURIの中身を取得します。
+ *
+ * @param {string} url データURI
+ * @param {boolean} is_binary trueならArrayBufferとして取得する
+ * @returns {{data: (string|ArrayBuffer), mime: string}} データとMIMEタイプ
+ */
+const decodeDataURI = function (url, is_binary) {
+	const comma = url.indexOf(",");
+	const header = url.substring(5, comma);
+	const body = url.substring(comma + 1);
+	const binary = /;base64$/.test(header) ? atob(body) : decodeURIComponent(body);
+	const bytes = new Uint8Array(binary.length);
+	for (let i = 0; i < binary.length; i++) {
+		bytes[i] = binary.charCodeAt(i);
+	}
+	return {
+		data: is_binary ? bytes.buffer : new TextDecoder("utf-8").decode(bytes),
+		mime: header.split(";")[0]
+	};
+};
+
+/**
+ * URLをファイルシステムのパスに変換します。
+ *
+ * @param {string} url ファイルのパス、または file: のURL
+ * @returns {string} ファイルシステムのパス
+ */
+const toFilePath = function (url) {
+	if (!/^file:/i.test(url)) {
+		return url;
+	}
+	const path = decodeURIComponent(url.replace(/^file:\/\/[^/]*/i, ""));
+	// Windows のドライブ名（/C:/...）は先頭のスラッシュを除く
+	return /^\/[a-zA-Z]:/.test(path) ? path.substring(1) : path;
+};
+
+/**
+ * Node.js 用のリソース読み込み処理
+ *
+ * - XMLHttpRequest がない環境で S3System が使用する、ローカルのファイルシステムからの読み込み処理です。
+ * - ファイルのパス、file: のURL、データURIを読み込みます。http(s) のURLは fetch が使える場合のみ読み込みます。
+ * - 画像はデコードせず、ファイルの内容を ArrayBuffer として返します（S3Texture はそのまま保持します）。
+ * - コマンドラインでのモデルの変換や、ブラウザのないテストで利用できます。
+ *
+ * @example
+ * // Node.js では自動的に使用されるため、設定は不要
+ * const s3 = new S3.System();
+ * const mesh = await S3.MeshLoader.loadMesh(s3, "./model.mqo");
+ * fs.writeFileSync("./model.obj", S3.MeshLoader.outputData(mesh, "OBJ"));
+ */
+const S3ResourceLoaderNode = {
+	/**
+	 * 画像を読み込みます（ファイルの内容を ArrayBuffer として取得します）。
+	 *
+	 * @param {string} url 画像のパスまたはURL（データURIも可）
+	 * @param {function(any): void} callback 読み込んだ画像のデータを受け取るコールバック
+	 * @param {function(string): void} error_callback 失敗時にエラーの内容を受け取るコールバック
+	 */
+	loadImage: function (url, callback, error_callback) {
+		S3ResourceLoaderNode.loadFile(
+			url,
+			function (data) {
+				callback(data);
+			},
+			true,
+			error_callback
+		);
+	},
+
+	/**
+	 * テキストまたはバイナリのファイルを読み込みます。
+	 *
+	 * @param {string} url ファイルのパスまたはURL
+	 * @param {function(any, ?string): void} callback 読み込んだデータとMIMEタイプを受け取るコールバック
+	 * @param {boolean} is_binary trueならArrayBufferとして取得する
+	 * @param {function(string): void} error_callback 失敗時にエラーの内容を受け取るコールバック
+	 */
+	loadFile: function (url, callback, is_binary, error_callback) {
+		if (/^data:/.test(url)) {
+			const uri = decodeDataURI(url, is_binary);
+			callback(uri.data, uri.mime);
+			return;
+		}
+		if (/^https?:/i.test(url)) {
+			if (typeof fetch === "undefined") {
+				error_callback("この環境ではダウンロードできません [" + url + "]");
+				return;
+			}
+			fetch(url)
+				.then(function (response) {
+					if (!response.ok) {
+						throw new Error("ダウンロードに失敗しました [" + url + "] (HTTP " + response.status + ")");
+					}
+					const content_type = response.headers.get("Content-Type");
+					const data = is_binary ? response.arrayBuffer() : response.text();
+					return data.then(function (data) {
+						callback(data, content_type);
+					});
+				})
+				.catch(function (error) {
+					error_callback(error.message);
+				});
+			return;
+		}
+		const fs = getNodeModule("fs");
+		if (fs === null) {
+			error_callback("ファイルシステムを使用できません [" + url + "] (Node.js 20.16 以降が必要です)");
+			return;
+		}
+		fs.readFile(
+			toFilePath(url),
+			/**
+			 * @param {?Error} error
+			 * @param {any} buffer
+			 */
+			function (error, buffer) {
+				if (error) {
+					error_callback("ファイルを読み込めませんでした [" + url + "] (" + error.message + ")");
+					return;
+				}
+				if (is_binary) {
+					callback(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength), null);
+				} else {
+					// BOMは除く
+					callback(buffer.toString("utf8").replace(/^\uFEFF/, ""), null);
+				}
+			}
+		);
+	},
+
+	/**
+	 * ファイルを少しずつ読み込むストリームを開きます。
+	 * http(s) のURLとデータURIは、ブラウザ用の処理と同じく fetch で読み込みます。
+	 *
+	 * @param {string} url ファイルのパスまたはURL
+	 * @param {function(any): void} callback 開いたストリーム（S3ResourceStream）を受け取るコールバック
+	 * @param {function(string): void} error_callback 失敗時にエラーの内容を受け取るコールバック
+	 */
+	openStream: function (url, callback, error_callback) {
+		if (/^(data|https?):/i.test(url)) {
+			S3ResourceLoaderBrowser.openStream(url, callback, error_callback);
+			return;
+		}
+		const fs = getNodeModule("fs");
+		if (fs === null) {
+			error_callback("ファイルシステムを使用できません [" + url + "] (Node.js 20.16 以降が必要です)");
+			return;
+		}
+		const path = toFilePath(url);
+		fs.stat(
+			path,
+			/**
+			 * @param {?Error} error
+			 * @param {any} stat
+			 */
+			function (error, stat) {
+				if (error) {
+					error_callback("ファイルを読み込めませんでした [" + url + "] (" + error.message + ")");
+					return;
+				}
+				const stream = fs.createReadStream(path);
+				/**
+				 * 届いたが未取得のデータ
+				 * @type {Array<any>}
+				 */
+				const queue = [];
+				let is_end = false;
+				/**
+				 * @type {?string}
+				 */
+				let error_message = null;
+				/**
+				 * 取得を待っている read の Promise
+				 * @type {?{resolve: function(any): void, reject: function(any): void}}
+				 */
+				let waiting = null;
+				/**
+				 * 待っている read があれば、届いたデータや終了を渡す
+				 */
+				const flush = function () {
+					if (waiting === null) {
+						return;
+					}
+					const target = waiting;
+					if (queue.length > 0) {
+						waiting = null;
+						target.resolve({ done: false, value: queue.shift() });
+					} else if (error_message !== null) {
+						waiting = null;
+						target.reject(new Error(error_message));
+					} else if (is_end) {
+						waiting = null;
+						target.resolve({ done: true, value: undefined });
+					}
+				};
+				stream.on(
+					"data",
+					/**
+					 * @param {any} chunk
+					 */
+					function (chunk) {
+						// 解析が追いつくまで読み込みを止める
+						stream.pause();
+						queue.push(chunk);
+						flush();
+					}
+				);
+				stream.on("end", function () {
+					is_end = true;
+					flush();
+				});
+				stream.on(
+					"error",
+					/**
+					 * @param {Error} error
+					 */
+					function (error) {
+						error_message = "ファイルを読み込めませんでした [" + url + "] (" + error.message + ")";
+						flush();
+					}
+				);
+				callback({
+					read: function () {
+						return new Promise(function (resolve, reject) {
+							waiting = { resolve: resolve, reject: reject };
+							flush();
+							if (waiting !== null) {
+								stream.resume();
+							}
+						});
+					},
+					cancel: function () {
+						stream.destroy();
+					},
+					total: stat.size
+				});
+			}
+		);
+	}
+};
+
+export default S3ResourceLoaderNode;
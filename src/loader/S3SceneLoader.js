@@ -0,0 +1,301 @@
+﻿import S3System from "../basic/S3System.js";
+import S3Mesh from "../basic/S3Mesh.js";
+import S3Scene from "../basic/S3Scene.js";
+import S3Vector from "../math/S3Vector.js";
+import S3Angles from "../math/S3Angles.js";
+import S3Quaternion from "../math/S3Quaternion.js";
+import S3MeshLoader from "./S3MeshLoader.js";
+
+/*
+	次のようなデータを入出力できます。
+	const sample = {
+		format: "S3Scene",
+		version: 1,
+		camera: { eye: [0, 0, -10], at: [0, 0, 0], fovY: 45, near: 1, far: 1000 },
+		lights: [
+			{ mode: 2, power: 1, range: 1000, position: [0, 0, 0], direction: [0, 0, -1], color: [1, 1, 1] }
+		],
+		meshes: [
+			{ url: "./model.mqo" },
+			{ data: { Indexes: { body: [[0, 1, 2]] }, Vertices: [[0, 0, 0], [0, 1, 0], [1, 0, 0]] } }
+		],
+		models: [
+			{ mesh: 0, position: [0, 0, 0], scale: [1, 1, 1], angles: { roll: 0, pitch: 0, yaw: 90, order: "ZXY" } }
+		]
+	};
+*/
+
+/**
+ * シーンファイルのメッシュ
+ * url か data のどちらかを持ちます。
+ * @typedef {Object} S3SceneFileMesh
+ * @property {string} [url] メッシュのURL（S3MeshLoader で読み込める形式）
+ * @property {Object} [data] S3MeshLoaderJSON 形式で埋め込んだメッシュ
+ */
+
+/**
+ * シーンファイルのモデル
+ * @typedef {Object} S3SceneFileModel
+ * @property {?number} mesh meshes の番号（メッシュがない場合はnull）
+ * @property {Array<number>} position 位置
+ * @property {Array<number>} scale 拡大縮小率
+ * @property {{roll: number, pitch: number, yaw: number, order: (string|undefined)}} angles 回転角（度）と回転の順序（省略時は "ZXY"）
+ * @property {Array<number>} [quaternion] 四元数で設定した回転（x, y, z, w）。ある場合は angles より優先する
+ */
+
+/**
+ * シーンファイルの内容
+ * @typedef {Object} S3SceneFile
+ * @property {string} format 形式名（"S3Scene"）
+ * @property {number} version 形式のバージョン
+ * @property {?Object} camera カメラ（eye, at, fovY, near, far）
+ * @property {Array<Object>} lights ライト（mode, power, range, position, direction, color）
+ * @property {Array<S3SceneFileMesh>} meshes メッシュ
+ * @property {Array<S3SceneFileModel>} models モデル
+ */
+
+/**
+ * シーン保存時のオプション
+ * @typedef {Object} S3SceneLoaderOption
+ * @property {boolean} [embed] trueの場合、URLから読み込んだメッシュも埋め込む
+ */
+
+/**
+ * 形式名
+ * @type {string}
+ */
+const SCENE_FORMAT = "S3Scene";
+
+/**
+ * ベクトルを配列へ変換します。
+ *
+ * @param {S3Vector} v ベクトル
+ * @returns {Array<number>} [x, y, z]
+ */
+const toArray = function (v) {
+	return [v.x, v.y, v.z];
+};
+
+/**
+ * 配列をベクトルへ変換します。
+ *
+ * @param {Array<number>} x 配列
+ * @param {S3Vector} default_value 配列がない場合の値
+ * @returns {S3Vector} ベクトル
+ */
+const toVector = function (x, default_value) {
+	if (!(x instanceof Array)) {
+		return default_value;
+	}
+	return new S3Vector(x[0], x[1], x[2]);
+};
+
+/**
+ * シーンの保存と読み込みを行うユーティリティ
+ *
+ * - S3Scene のカメラ、ライト、モデル（位置・拡大縮小率・回転角）をバージョン付きのJSON形式で保存します。
+ * - メッシュは読み込み元のURLで参照し、URLがない場合（またはオプション embed を指定した場合）は
+ *   S3MeshLoaderJSON の形式で埋め込みます。複数のモデルが同じメッシュを使う場合は1つにまとめます。
+ * - URLはそのまま保存されるため、読み込み時もページ（Node.js ではカレントディレクトリ）からの相対パスになります。
+ *
+ * @example
+ * const text = S3SceneLoader.outputScene(scene);
+ * const scene2 = await S3SceneLoader.loadScene(s3, text);
+ */
+const S3SceneLoader = {
+	/**
+	 * 出力するシーンファイルの形式のバージョン
+	 * @type {number}
+	 */
+	VERSION: 1,
+
+	/**
+	 * S3Scene をシーンファイルのJSONテキストへ変換します。
+	 *
+	 * @param {S3Scene} scene 保存するシーン
+	 * @param {S3SceneLoaderOption} [option] オプション
+	 * @returns {string} JSONテキスト
+	 */
+	outputScene: function (scene, option) {
+		const is_embed = !!(option && option.embed);
+		/**
+		 * @type {S3SceneFile}
+		 */
+		const output = {
+			format: SCENE_FORMAT,
+			version: S3SceneLoader.VERSION,
+			camera: null,
+			lights: [],
+			meshes: [],
+			models: []
+		};
+		const camera = scene.getCamera();
+		if (camera) {
+			output.camera = {
+				eye: toArray(camera.eye),
+				at: toArray(camera.at),
+				fovY: camera.fovY,
+				near: camera.near,
+				far: camera.far
+			};
+		}
+		const lights = scene.getLights();
+		for (let i = 0; i < lights.length; i++) {
+			const light = lights[i];
+			output.lights.push({
+				mode: light.mode,
+				power: light.power,
+				range: light.range,
+				position: toArray(light.position),
+				direction: toArray(light.direction),
+				color: toArray(light.color)
+			});
+		}
+		/**
+		 * 出力済みのメッシュ（同じメッシュは1つにまとめる）
+		 * @type {Array<S3Mesh>}
+		 */
+		const mesh_list = [];
+		const models = scene.getModels();
+		for (let i = 0; i < models.length; i++) {
+			const model = models[i];
+			const mesh = model.getMesh();
+			let mesh_index = null;
+			if (mesh) {
+				mesh_index = mesh_list.indexOf(mesh);
+				if (mesh_index === -1) {
+					mesh_index = mesh_list.length;
+					mesh_list.push(mesh);
+					if (mesh.getURL() && !is_embed) {
+						output.meshes.push({ url: mesh.getURL() });
+					} else {
+						output.meshes.push({
+							data: JSON.parse(/** @type {string} */ (S3MeshLoader.outputData(mesh, "JSON")))
+						});
+					}
+				}
+			}
+			const angles = model.getAngle();
+			/**
+			 * @type {S3SceneFileModel}
+			 */
+			const model_data = {
+				mesh: mesh_index,
+				position: toArray(model.getPosition()),
+				scale: toArray(model.getScale()),
+				angles: { roll: angles.roll, pitch: angles.pitch, yaw: angles.yaw, order: angles.order }
+			};
+			if (model.quaternion !== null) {
+				const q = model.quaternion;
+				model_data.quaternion = [q.x, q.y, q.z, q.w];
+			}
+			output.models.push(model_data);
+		}
+		return JSON.stringify(output, null, "\t");
+	},
+
+	/**
+	 * シーンファイルを読み込み、S3Scene を返します。
+	 *
+	 * - すべてのメッシュ（とテクスチャ）の読み込みが完了してからresolveします
+	 * - 形式やバージョンが異なる場合、シーンファイルやメッシュの読み込みに失敗した場合はErrorでrejectします
+	 *
+	 * @param {S3System} s3system S3Systemインスタンス
+	 * @param {string|S3SceneFile} data シーンファイルのURL、JSONテキスト、またはそのオブジェクト
+	 * @returns {Promise<S3Scene>} 読み込んだシーン
+	 *
+	 * @example
+	 * S3SceneLoader.loadScene(s3, "./scene.json").then(function (scene) {
+	 * 	s3.drawScene(scene);
+	 * });
+	 */
+	loadScene: function (s3system, data) {
+		/**
+		 * @type {Promise<any>}
+		 */
+		let request;
+		if (typeof data === "string" && !/^\s*\{/.test(data)) {
+			request = s3system._downloadPromise(data);
+		} else {
+			request = Promise.resolve(data);
+		}
+		return request.then(function (text) {
+			/**
+			 * @type {S3SceneFile}
+			 */
+			const scene_data = typeof text === "string" ? JSON.parse(text) : text;
+			if (!scene_data || scene_data.format !== SCENE_FORMAT) {
+				throw new Error("シーンファイルではありません。");
+			}
+			if (!(scene_data.version >= 1 && scene_data.version <= S3SceneLoader.VERSION)) {
+				throw new Error("対応していないシーンファイルのバージョンです (" + scene_data.version + ")");
+			}
+			const mesh_data = scene_data.meshes ? scene_data.meshes : [];
+			const meshes = [];
+			for (let i = 0; i < mesh_data.length; i++) {
+				if (mesh_data[i].url) {
+					meshes.push(S3MeshLoader.loadMesh(s3system, mesh_data[i].url));
+				} else {
+					meshes.push(S3MeshLoader.loadMesh(s3system, mesh_data[i].data, "JSON"));
+				}
+			}
+			return Promise.all(meshes).then(function (meshes) {
+				const scene = s3system.createScene();
+				const camera_data = /** @type {any} */ (scene_data.camera);
+				if (camera_data) {
+					const camera = s3system.createCamera();
+					camera.setEye(toVector(camera_data.eye, camera.eye));
+					camera.setCenter(toVector(camera_data.at, camera.at));
+					if (camera_data.fovY !== undefined) {
+						camera.setFovY(camera_data.fovY);
+					}
+					if (camera_data.near !== undefined && camera_data.far !== undefined) {
+						camera.setDrawRange(camera_data.near, camera_data.far);
+					}
+					scene.setCamera(camera);
+				}
+				const lights = scene_data.lights ? scene_data.lights : [];
+				for (let i = 0; i < lights.length; i++) {
+					const light_data = /** @type {any} */ (lights[i]);
+					const light = s3system.createLight();
+					if (light_data.mode !== undefined) {
+						light.setMode(light_data.mode);
+					}
+					if (light_data.power !== undefined) {
+						light.setPower(light_data.power);
+					}
+					if (light_data.range !== undefined) {
+						light.setRange(light_data.range);
+					}
+					light.setPosition(toVector(light_data.position, light.position));
+					light.setDirection(toVector(light_data.direction, light.direction));
+					light.setColor(toVector(light_data.color, light.color));
+					scene.addLight(light);
+				}
+				const models = scene_data.models ? scene_data.models : [];
+				for (let i = 0; i < models.length; i++) {
+					const model_data = models[i];
+					const model = s3system.createModel();
+					if (model_data.mesh !== null && model_data.mesh !== undefined) {
+						model.setMesh(meshes[model_data.mesh]);
+					}
+					model.setPosition(toVector(model_data.position, model.getPosition()));
+					model.setScale(toVector(model_data.scale, model.getScale()));
+					if (model_data.angles) {
+						const angles = model_data.angles;
+						model.setAngle(new S3Angles(angles.roll, angles.pitch, angles.yaw, angles.order));
+					}
+					if (model_data.quaternion) {
+						// 回転の順序は angles のものを使用する
+						const q = model_data.quaternion;
+						model.setQuaternion(new S3Quaternion(q[0], q[1], q[2], q[3]));
+					}
+					scene.addModel(model);
+				}
+				return scene;
+			});
+		});
+	}
+};
+
+export default S3SceneLoader;
@@ -0,0 +1,78 @@
+﻿import S3System from "../basic/S3System.js";
+import S3Light from "../basic/S3Light.js";
+import S3Angles from "../math/S3Angles.js";
+import S3Vector from "../math/S3Vector.js";
+import S3SceneLoader from "./S3SceneLoader.js";
+
+/**
+ * 同じメッシュを2つのモデルで共有するシーンを作成する
+ * @param {S3System} sys
+ */
+const createScene = function (sys) {
+	const mesh = sys.createMesh();
+	mesh.addVertex(sys.createVertex(new S3Vector(0, 0, 0)));
+	mesh.addVertex(sys.createVertex(new S3Vector(1, 0, 0)));
+	mesh.addVertex(sys.createVertex(new S3Vector(0, 1, 0)));
+	mesh.addTriangleIndex(sys.createTriangleIndex(0, 1, 2, [0, 1, 2], 0));
+	mesh.addMaterial(sys.createMaterial("white"));
+
+	const scene = sys.createScene();
+	const camera = sys.createCamera();
+	camera.setEye(new S3Vector(0, 5, -10));
+	camera.setCenter(new S3Vector(0, 1, 0));
+	camera.setFovY(60);
+	scene.setCamera(camera);
+
+	const light = sys.createLight();
+	light.setMode(S3Light.MODE.DIRECTIONAL_LIGHT);
+	light.setDirection(new S3Vector(0, -1, 0));
+	light.setColor(new S3Vector(1, 0.5, 0));
+	scene.addLight(light);
+
+	const model1 = sys.createModel();
+	model1.setMesh(mesh);
+	model1.setPosition(1, 2, 3);
+	model1.setScale(2);
+	scene.addModel(model1);
+
+	const model2 = sys.createModel();
+	model2.setMesh(mesh);
+	model2.setAngle(new S3Angles(10, 20, 30, S3Angles.ORDER.XYZ));
+	scene.addModel(model2);
+	return scene;
+};
+
+describe("S3SceneLoader", function () {
+	test("保存したシーンを読み込むとカメラ、ライト、モデルの配置が同じになる", function () {
+		const sys = new S3System();
+		const text = S3SceneLoader.outputScene(createScene(sys));
+		return S3SceneLoader.loadScene(sys, text).then(function (scene) {
+			const camera = scene.getCamera();
+			expect([camera.eye.x, camera.eye.y, camera.eye.z]).toEqual([0, 5, -10]);
+			expect(camera.fovY).toBe(60);
+
+			const lights = scene.getLights();
+			expect(lights.length).toBe(1);
+			expect(lights[0].mode).toBe(S3Light.MODE.DIRECTIONAL_LIGHT);
+			expect([lights[0].color.x, lights[0].color.y, lights[0].color.z]).toEqual([1, 0.5, 0]);
+
+			const models = scene.getModels();
+			expect(models.length).toBe(2);
+			const position = models[0].getPosition();
+			expect([position.x, position.y, position.z]).toEqual([1, 2, 3]);
+			expect(models[0].getScale().y).toBe(2);
+			const angles = models[1].getAngle();
+			expect(angles.order).toBe(S3Angles.ORDER.XYZ);
+			expect(angles.roll).toBeCloseTo(10);
+			expect(angles.yaw).toBeCloseTo(30);
+			// 同じメッシュは1つにまとめて保存し、読み込み時も共有する
+			expect(models[0].getMesh()).toBe(models[1].getMesh());
+			expect(models[0].getMesh().getTriangleIndexArray().length).toBe(1);
+		});
+	});
+
+	test("形式の異なるデータはrejectする", function () {
+		const sys = new S3System();
+		return expect(S3SceneLoader.loadScene(sys, JSON.stringify({ format: "other" }))).rejects.toThrow();
+	});
+});
@@ -0,0 +1,193 @@
+﻿import S3Vector from "./S3Vector.js";
+import S3Matrix from "./S3Matrix.js";
+import S3Plane from "./S3Plane.js";
+import S3Sphere from "./S3Sphere.js";
+
+/**
+ * 3DCG用の軸平行境界ボックス（AABB）クラス（immutable）
+ * 各軸の最小値と最大値の座標から、座標軸に平行な直方体を定義します。
+ *
+ * @class
+ * @module S3
+ */
+export default class S3AABB {
+	/**
+	 * 境界ボックスを作成します。
+	 * @param {S3Vector} min 各軸の最小値の座標
+	 * @param {S3Vector} max 各軸の最大値の座標
+	 */
+	constructor(min, max) {
+		/**
+		 * 各軸の最小値の座標
+		 * @type {S3Vector}
+		 */
+		this.min = min;
+
+		/**
+		 * 各軸の最大値の座標
+		 * @type {S3Vector}
+		 */
+		this.max = max;
+	}
+
+	/**
+	 * 点群を囲む境界ボックスを作成します。
+	 * @param {Array<S3Vector>} positions 点の座標（1つ以上）
+	 * @returns {S3AABB} 境界ボックス
+	 */
+	static fromPoints(positions) {
+		let min = positions[0];
+		let max = positions[0];
+		for (let i = 1; i < positions.length; i++) {
+			min = min.min(positions[i]);
+			max = max.max(positions[i]);
+		}
+		return new S3AABB(new S3Vector(min.x, min.y, min.z), new S3Vector(max.x, max.y, max.z));
+	}
+
+	/**
+	 * 中心の座標を求めます。
+	 * @returns {S3Vector} 中心の座標
+	 */
+	getCenter() {
+		return this.min.add(this.max).mul(0.5);
+	}
+
+	/**
+	 * 各軸の長さの半分を求めます。
+	 * @returns {S3Vector} 中心から各面までの距離
+	 */
+	getExtent() {
+		return this.min.getDirection(this.max).mul(0.5);
+	}
+
+	/**
+	 * 任意の点から最も近いボックス内の点を求めます。
+	 * @param {S3Vector} position 点の座標
+	 * @returns {S3Vector} ボックス内の最も近い点（ボックス内の点の場合はその点）
+	 */
+	getNearestPoint(position) {
+		return position.max(this.min).min(this.max);
+	}
+
+	/**
+	 * 点を含むように広げた境界ボックスを作成します。
+	 * @param {S3Vector} position 点の座標
+	 * @returns {S3AABB} 境界ボックス
+	 */
+	addPosition(position) {
+		return new S3AABB(this.min.min(position), this.max.max(position));
+	}
+
+	/**
+	 * 2つの境界ボックスを囲む境界ボックスを作成します。
+	 * @param {S3AABB} box 境界ボックス
+	 * @returns {S3AABB} 境界ボックス
+	 */
+	merge(box) {
+		return new S3AABB(this.min.min(box.min), this.max.max(box.max));
+	}
+
+	/**
+	 * 行列で変換したボックスを囲む境界ボックスを作成します（Arvo の方法）。
+	 * モデル座標系の境界ボックスから、ワールド座標系の境界ボックスを求めるのに使用します。
+	 * @param {S3Matrix} matrix 縦型（列ベクトル用）のアフィン変換行列
+	 * @returns {S3AABB} 境界ボックス
+	 */
+	transform(matrix) {
+		const M = [
+			[matrix.m00, matrix.m01, matrix.m02],
+			[matrix.m10, matrix.m11, matrix.m12],
+			[matrix.m20, matrix.m21, matrix.m22]
+		];
+		const a = [this.min.x, this.min.y, this.min.z];
+		const b = [this.max.x, this.max.y, this.max.z];
+		const min = [matrix.m03, matrix.m13, matrix.m23];
+		const max = [matrix.m03, matrix.m13, matrix.m23];
+		for (let i = 0; i < 3; i++) {
+			for (let j = 0; j < 3; j++) {
+				const e = M[i][j] * a[j];
+				const f = M[i][j] * b[j];
+				min[i] += Math.min(e, f);
+				max[i] += Math.max(e, f);
+			}
+		}
+		return new S3AABB(new S3Vector(min[0], min[1], min[2]), new S3Vector(max[0], max[1], max[2]));
+	}
+
+	/**
+	 * ボックスを囲む球を作成します。
+	 * @returns {S3Sphere} 境界球
+	 */
+	getBoundingSphere() {
+		return new S3Sphere(this.getCenter(), this.getExtent().norm());
+	}
+
+	/**
+	 * 点がボックス内（境界を含む）にあるか判定します。
+	 * @param {S3Vector} position 点の座標
+	 * @returns {boolean} ボックス内ならtrue
+	 */
+	isHitPosition(position) {
+		return (
+			position.x >= this.min.x &&
+			position.x <= this.max.x &&
+			position.y >= this.min.y &&
+			position.y <= this.max.y &&
+			position.z >= this.min.z &&
+			position.z <= this.max.z
+		);
+	}
+
+	/**
+	 * 境界ボックス同士が重なるか判定します。
+	 * @param {S3AABB} box 境界ボックス
+	 * @returns {boolean} 重なる（接する場合を含む）ならtrue
+	 */
+	isHitAABB(box) {
+		return (
+			this.min.x <= box.max.x &&
+			this.max.x >= box.min.x &&
+			this.min.y <= box.max.y &&
+			this.max.y >= box.min.y &&
+			this.min.z <= box.max.z &&
+			this.max.z >= box.min.z
+		);
+	}
+
+	/**
+	 * 球と重なるか判定します。
+	 * @param {S3Sphere} sphere 球
+	 * @returns {boolean} 重なる（接する場合を含む）ならtrue
+	 */
+	isHitSphere(sphere) {
+		return this.getNearestPoint(sphere.center).getDistance(sphere.center) <= sphere.radius;
+	}
+
+	/**
+	 * 平面と交わるか判定します。
+	 * @param {S3Plane} plane 平面
+	 * @returns {boolean} 平面がボックスを通る（接する場合を含む）ならtrue
+	 */
+	isHitPlane(plane) {
+		return Math.abs(plane.getDistance(this.getCenter())) <= this.getProjectedRadius(plane);
+	}
+
+	/**
+	 * ボックスを平面の法線へ投影したときの、中心からの長さを求めます。
+	 * @param {S3Plane} plane 平面
+	 * @returns {number} 投影した長さの半分
+	 */
+	getProjectedRadius(plane) {
+		const e = this.getExtent();
+		return e.x * Math.abs(plane.n.x) + e.y * Math.abs(plane.n.y) + e.z * Math.abs(plane.n.z);
+	}
+
+	/**
+	 * 境界ボックスを文字列に変換します。
+	 * @returns {string} 境界ボックスの情報を表す文字列
+	 */
+	toString() {
+		return "AABB(" + this.min.toString(3) + ", " + this.max.toString(3) + ")";
+	}
+}
@@ -0,0 +1,73 @@
+﻿import S3AABB from "./S3AABB.js";
+import S3Matrix from "./S3Matrix.js";
+import S3Plane from "./S3Plane.js";
+import S3Sphere from "./S3Sphere.js";
+import S3Vector from "./S3Vector.js";
+
+describe("S3AABB", function () {
+	const box = S3AABB.fromPoints([new S3Vector(1, 0, -1), new S3Vector(-1, 2, 1), new S3Vector(0, 1, 0)]);
+
+	test("点の集合を囲むボックスを作成する", function () {
+		expect([box.min.x, box.min.y, box.min.z]).toEqual([-1, 0, -1]);
+		expect([box.max.x, box.max.y, box.max.z]).toEqual([1, 2, 1]);
+		const center = box.getCenter();
+		expect([center.x, center.y, center.z]).toEqual([0, 1, 0]);
+		const merged = box.merge(new S3AABB(new S3Vector(3, 3, 3), new S3Vector(4, 4, 4)));
+		expect(merged.max.x).toBe(4);
+		expect(merged.min.y).toBe(0);
+	});
+
+	test("点、ボックス、球、平面との重なりを判定する", function () {
+		expect(box.isHitPosition(new S3Vector(1, 2, 1))).toBe(true);
+		expect(box.isHitPosition(new S3Vector(1.1, 2, 1))).toBe(false);
+		expect(box.isHitAABB(new S3AABB(new S3Vector(1, 2, 1), new S3Vector(3, 3, 3)))).toBe(true);
+		expect(box.isHitAABB(new S3AABB(new S3Vector(2, 2, 1), new S3Vector(3, 3, 3)))).toBe(false);
+		expect(box.isHitSphere(new S3Sphere(new S3Vector(3, 1, 0), 2))).toBe(true);
+		expect(box.isHitSphere(new S3Sphere(new S3Vector(3, 3, 0), 2))).toBe(false);
+		expect(box.isHitPlane(new S3Plane(new S3Vector(0, 1, 0), 2))).toBe(true);
+		expect(box.isHitPlane(new S3Plane(new S3Vector(0, 1, 0), 2.5))).toBe(false);
+	});
+
+	test("行列で変換したボックスを囲むボックスを作成する", function () {
+		// Z軸で90度回転して、X方向に10移動する
+		const M = new S3Matrix(0, -1, 0, 10, 1, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1);
+		const t = box.transform(M);
+		expect([t.min.x, t.min.y, t.min.z]).toEqual([8, -1, -1]);
+		expect([t.max.x, t.max.y, t.max.z]).toEqual([10, 1, 1]);
+	});
+
+	test("境界球はボックスの頂点を含む", function () {
+		const sphere = box.getBoundingSphere();
+		expect(sphere.radius).toBeCloseTo(Math.sqrt(3));
+		expect(sphere.isHitPosition(box.max)).toBe(true);
+	});
+});
+
+describe("S3Sphere", function () {
+	const sphere = S3Sphere.fromPoints([new S3Vector(-2, 0, 0), new S3Vector(2, 0, 0), new S3Vector(0, 1, 0)]);
+
+	test("点の集合を囲む球を作成する", function () {
+		expect([sphere.center.x, sphere.center.y, sphere.center.z]).toEqual([0, 0.5, 0]);
+		expect(sphere.radius).toBeCloseTo(Math.sqrt(4.25));
+		const box = sphere.getAABB();
+		expect(box.max.x).toBeCloseTo(sphere.radius);
+	});
+
+	test("点、球、ボックス、平面との重なりを判定する", function () {
+		expect(sphere.isHitPosition(new S3Vector(2, 0, 0))).toBe(true);
+		expect(sphere.isHitPosition(new S3Vector(3, 0, 0))).toBe(false);
+		expect(sphere.isHitSphere(new S3Sphere(new S3Vector(4, 0.5, 0), 2))).toBe(true);
+		expect(sphere.isHitSphere(new S3Sphere(new S3Vector(5, 0.5, 0), 2))).toBe(false);
+		expect(sphere.isHitAABB(new S3AABB(new S3Vector(2, 0, 0), new S3Vector(3, 1, 1)))).toBe(true);
+		expect(sphere.isHitAABB(new S3AABB(new S3Vector(3, 3, 3), new S3Vector(4, 4, 4)))).toBe(false);
+		expect(sphere.isHitPlane(new S3Plane(new S3Vector(1, 0, 0), 2))).toBe(true);
+		expect(sphere.isHitPlane(new S3Plane(new S3Vector(1, 0, 0), 3))).toBe(false);
+	});
+
+	test("行列で変換すると最も大きい拡大率で半径を拡大する", function () {
+		const M = new S3Matrix(1, 0, 0, 5, 0, 3, 0, 0, 0, 0, 2, 0, 0, 0, 0, 1);
+		const t = sphere.transform(M);
+		expect([t.center.x, t.center.y, t.center.z]).toEqual([5, 1.5, 0]);
+		expect(t.radius).toBeCloseTo(sphere.radius * 3);
+	});
+});
@@ -1,20 +1,30 @@
-﻿/**
+﻿import S3Quaternion from "./S3Quaternion.js";
+
+/**
  * 3DCG用のオイラー角クラス（immutable）
  * Roll（Z軸）、Pitch（X軸）、Yaw（Y軸）の順で角度を保持します。
  * 各値は常に周期的（-180～180度）に管理されます。
+ * 回転を行う軸の順序（order）は、省略時は ZXY（ロール・ピッチ・ヨー）です。
  *
  * @class
  * @module S3
  */
 export default class S3Angles {
 	/**
-	 * オイラー角（ZXY順）を指定して作成します。
+	 * オイラー角を指定して作成します。
 	 * @param {number} [z] ロール角（Z軸回転）
 	 * @param {number} [x] ピッチ角（X軸回転）
 	 * @param {number} [y] ヨー角（Y軸回転）
+	 * @param {string} [order="ZXY"] 回転を行う軸の順序（S3Angles.ORDER）
 	 */
-	constructor(z, x, y) {
-		if (arguments.length === 3) {
+	constructor(z, x, y, order) {
+		/**
+		 * 回転を行う軸の順序（"ZXY" の場合は Z軸、X軸、Y軸の順に回転する）
+		 * @type {string}
+		 */
+		this.order = S3Angles.toOrder(order);
+
+		if (arguments.length >= 3) {
 			this.setRotateZXY(z, x, y);
 		} else {
 			/**
@@ -52,12 +62,53 @@ export default class S3Angles {
 		return x;
 	}
 
+	/**
+	 * 回転の順序の指定を確認します。
+	 * @param {string} [order] 回転を行う軸の順序（大文字・小文字は区別しない）
+	 * @returns {string} S3Angles.ORDER の値（省略時は "ZXY"）
+	 * @throws {Error} 対応していない順序の場合
+	 */
+	static toOrder(order) {
+		const name = order ? order.toUpperCase() : S3Angles.ORDER.ZXY;
+		if (!/^(XYZ|XZY|YXZ|YZX|ZXY|ZYX)$/.test(name)) {
+			throw new Error("Unsupported rotation order: " + order);
+		}
+		return name;
+	}
+
 	/**
 	 * このオブジェクトのクローンを作成します。
 	 * @returns {S3Angles} 複製されたオイラー角インスタンス
 	 */
 	clone() {
-		return new S3Angles(this.roll, this.pitch, this.yaw);
+		return new S3Angles(this.roll, this.pitch, this.yaw, this.order);
+	}
+
+	/**
+	 * 同じ向きになる、別の回転の順序のオイラー角を返します。
+	 * @param {string} order 新しい回転の順序（S3Angles.ORDER）
+	 * @returns {S3Angles} 新しいオイラー角インスタンス
+	 *
+	 * @example
+	 * // ZXY 順の角度を、XYZ 順を前提とするツール向けに変換する
+	 * const xyz = angles.toOrder("XYZ");
+	 */
+	toOrder(order) {
+		const name = S3Angles.toOrder(order);
+		if (name === this.order) {
+			return this.clone();
+		}
+		return S3Quaternion.fromAngles(this).toAngles(name);
+	}
+
+	/**
+	 * 同じ角度のまま、回転の順序だけを変更したオイラー角を返します（向きは変わります）。
+	 * 別の順序を前提とするデータの角度を、そのまま設定する場合に使用します。
+	 * @param {string} order 新しい回転の順序（S3Angles.ORDER）
+	 * @returns {S3Angles} 新しいオイラー角インスタンス
+	 */
+	setOrder(order) {
+		return new S3Angles(this.roll, this.pitch, this.yaw, order);
 	}
 
 	/**
@@ -78,7 +129,7 @@ export default class S3Angles {
 	 * @returns {S3Angles} 新しいオイラー角インスタンス
 	 */
 	addRotateX(x) {
-		return new S3Angles(this.roll, this.pitch + x, this.yaw);
+		return new S3Angles(this.roll, this.pitch + x, this.yaw, this.order);
 	}
 
 	/**
@@ -87,7 +138,7 @@ export default class S3Angles {
 	 * @returns {S3Angles} 新しいオイラー角インスタンス
 	 */
 	addRotateY(y) {
-		return new S3Angles(this.roll, this.pitch, this.yaw + y);
+		return new S3Angles(this.roll, this.pitch, this.yaw + y, this.order);
 	}
 
 	/**
@@ -96,7 +147,7 @@ export default class S3Angles {
 	 * @returns {S3Angles} 新しいオイラー角インスタンス
 	 */
 	addRotateZ(z) {
-		return new S3Angles(this.roll + z, this.pitch, this.yaw);
+		return new S3Angles(this.roll + z, this.pitch, this.yaw, this.order);
 	}
 
 	/**
@@ -105,7 +156,7 @@ export default class S3Angles {
 	 * @returns {S3Angles} 新しいオイラー角インスタンス
 	 */
 	setRotateX(x) {
-		return new S3Angles(this.roll, x, this.yaw);
+		return new S3Angles(this.roll, x, this.yaw, this.order);
 	}
 
 	/**
@@ -114,7 +165,7 @@ export default class S3Angles {
 	 * @returns {S3Angles} 新しいオイラー角インスタンス
 	 */
 	setRotateY(y) {
-		return new S3Angles(this.roll, this.pitch, y);
+		return new S3Angles(this.roll, this.pitch, y, this.order);
 	}
 
 	/**
@@ -123,7 +174,7 @@ export default class S3Angles {
 	 * @returns {S3Angles} 新しいオイラー角インスタンス
 	 */
 	setRotateZ(z) {
-		return new S3Angles(z, this.pitch, this.yaw);
+		return new S3Angles(z, this.pitch, this.yaw, this.order);
 	}
 
 	/**
@@ -158,3 +209,23 @@ S3Angles.PILOCK = S3Angles.PIOVER2 - 0.0001;
  * @type {number}
  */
 S3Angles.PI2 = 2.0 * S3Angles.PI;
+
+/**
+ * 回転を行う軸の順序（定数）
+ * "ZXY" の場合は Z軸、X軸、Y軸の順に回転します（縦ベクトルでは Y軸回転 * X軸回転 * Z軸回転 の行列）。
+ * @enum {string}
+ */
+S3Angles.ORDER = {
+	/** X軸、Y軸、Z軸の順 */
+	XYZ: "XYZ",
+	/** X軸、Z軸、Y軸の順 */
+	XZY: "XZY",
+	/** Y軸、X軸、Z軸の順 */
+	YXZ: "YXZ",
+	/** Y軸、Z軸、X軸の順 */
+	YZX: "YZX",
+	/** Z軸、X軸、Y軸の順（ロール・ピッチ・ヨー、既定値） */
+	ZXY: "ZXY",
+	/** Z軸、Y軸、X軸の順 */
+	ZYX: "ZYX"
+};
@@ -0,0 +1,133 @@
+﻿import S3Vector from "./S3Vector.js";
+import S3Matrix from "./S3Matrix.js";
+import S3Plane from "./S3Plane.js";
+import S3AABB from "./S3AABB.js";
+import S3Sphere from "./S3Sphere.js";
+
+/**
+ * 3DCG用の視錐台クラス（immutable）
+ * 視錐台を囲む6つの平面から定義し、視野外の物体を描画しない処理（カリング）などに使用します。
+ *
+ * - 平面の法線は視錐台の外側を向いており、S3Plane.isHitPosition が true の側が視錐台の内側になります
+ * - 判定は平面ごとに行うため、視錐台の角の近くにある視野外の物体を視野内と判定する場合があります
+ *
+ * @class
+ * @module S3
+ */
+export default class S3Frustum {
+	/**
+	 * 視錐台を作成します。
+	 * @param {Array<S3Plane>} planes 左、右、下、上、近、遠の順の平面（法線は外向き、正規化済み）
+	 */
+	constructor(planes) {
+		/**
+		 * 左、右、下、上、近、遠の順の平面
+		 * @type {Array<S3Plane>}
+		 */
+		this.planes = planes;
+	}
+
+	/**
+	 * ビュー行列と射影行列を掛けた行列から視錐台を作成します（Gribb/Hartmann の方法）。
+	 * ワールド変換行列も掛けた行列の場合は、モデル座標系の視錐台になります。
+	 *
+	 * - 行列は縦型（列ベクトル用）で指定します。横型の場合は転置してから渡してください
+	 * - S3Camera.getFrustum を使用すると、これらを考慮した視錐台を作成できます
+	 *
+	 * @param {S3Matrix} matrix 縦型のビュー・射影行列
+	 * @param {boolean} [is_zero_to_one=false] 射影後の深度の範囲が 0～1（DirectX）なら true、-1～1（OpenGL）なら false
+	 * @returns {S3Frustum} 視錐台
+	 */
+	static fromMatrix(matrix, is_zero_to_one) {
+		const M = matrix;
+		const r0 = [M.m00, M.m01, M.m02, M.m03];
+		const r1 = [M.m10, M.m11, M.m12, M.m13];
+		const r2 = [M.m20, M.m21, M.m22, M.m23];
+		const r3 = [M.m30, M.m31, M.m32, M.m33];
+		/**
+		 * 射影後の座標 c が内側となる条件 (r3 + sign * r) * v >= 0 の係数を求める
+		 * @param {Array<number>} r
+		 * @param {number} sign
+		 * @returns {Array<number>}
+		 */
+		const combine = function (r, sign) {
+			return [r3[0] + sign * r[0], r3[1] + sign * r[1], r3[2] + sign * r[2], r3[3] + sign * r[3]];
+		};
+		const coefficients = [
+			combine(r0, 1),
+			combine(r0, -1),
+			combine(r1, 1),
+			combine(r1, -1),
+			is_zero_to_one ? r2 : combine(r2, 1),
+			combine(r2, -1)
+		];
+		/**
+		 * @type {Array<S3Plane>}
+		 */
+		const planes = [];
+		for (let i = 0; i < coefficients.length; i++) {
+			const c = coefficients[i];
+			const n = new S3Vector(c[0], c[1], c[2]);
+			const length = n.norm();
+			// 内側が法線の裏側になるように、法線を反転する
+			planes[i] = new S3Plane(n.mul(-1.0 / length), c[3] / length);
+		}
+		return new S3Frustum(planes);
+	}
+
+	/**
+	 * 点が視錐台の内側（境界を含む）にあるか判定します。
+	 * @param {S3Vector} position 点の座標
+	 * @returns {boolean} 内側ならtrue
+	 */
+	isHitPosition(position) {
+		for (let i = 0; i < this.planes.length; i++) {
+			if (this.planes[i].getDistance(position) > 0.0) {
+				return false;
+			}
+		}
+		return true;
+	}
+
+	/**
+	 * 球が視錐台と重なるか判定します。
+	 * @param {S3Sphere} sphere 球
+	 * @returns {boolean} 重なる可能性があるならtrue（完全に外側ならfalse）
+	 */
+	isHitSphere(sphere) {
+		for (let i = 0; i < this.planes.length; i++) {
+			if (this.planes[i].getDistance(sphere.center) > sphere.radius) {
+				return false;
+			}
+		}
+		return true;
+	}
+
+	/**
+	 * 境界ボックスが視錐台と重なるか判定します。
+	 * @param {S3AABB} box 境界ボックス
+	 * @returns {boolean} 重なる可能性があるならtrue（完全に外側ならfalse）
+	 */
+	isHitAABB(box) {
+		const center = box.getCenter();
+		for (let i = 0; i < this.planes.length; i++) {
+			const plane = this.planes[i];
+			if (plane.getDistance(center) > box.getProjectedRadius(plane)) {
+				return false;
+			}
+		}
+		return true;
+	}
+
+	/**
+	 * 視錐台を文字列に変換します。
+	 * @returns {string} 視錐台の情報を表す文字列
+	 */
+	toString() {
+		const text = [];
+		for (let i = 0; i < this.planes.length; i++) {
+			text[i] = this.planes[i].toString();
+		}
+		return "Frustum(" + text.join(", ") + ")";
+	}
+}
@@ -0,0 +1,62 @@
+﻿import S3System from "../basic/S3System.js";
+import S3AABB from "./S3AABB.js";
+import S3Sphere from "./S3Sphere.js";
+import S3Vector from "./S3Vector.js";
+
+const CANVAS = { width: 200, height: 100 };
+
+/**
+ * 原点を向き、描画範囲が 1～100 のカメラの視錐台を作成する
+ * @param {number} depthmode S3System.DEPTH_MODE
+ * @param {number} dimensionmode S3System.DIMENSION_MODE
+ */
+const createFrustum = function (depthmode, dimensionmode) {
+	const sys = new S3System();
+	sys.setDepthMode(depthmode);
+	sys.setDimensionMode(dimensionmode);
+	const camera = sys.createCamera();
+	camera.setEye(new S3Vector(0, 0, -10));
+	camera.setCenter(new S3Vector(0, 0, 0));
+	camera.setFovY(90);
+	camera.setDrawRange(1, 100);
+	return camera.getFrustum(CANVAS);
+};
+
+const MODES = [
+	[S3System.DEPTH_MODE.OPEN_GL, S3System.DIMENSION_MODE.RIGHT_HAND],
+	[S3System.DEPTH_MODE.OPEN_GL, S3System.DIMENSION_MODE.LEFT_HAND],
+	[S3System.DEPTH_MODE.DIRECT_X, S3System.DIMENSION_MODE.RIGHT_HAND],
+	[S3System.DEPTH_MODE.DIRECT_X, S3System.DIMENSION_MODE.LEFT_HAND]
+];
+
+describe("S3Frustum", function () {
+	test("カメラの視錐台は近平面と遠平面の間の視野内の点を含む", function () {
+		MODES.forEach(function (mode) {
+			const frustum = createFrustum(mode[0], mode[1]);
+			expect(frustum.planes.length).toBe(6);
+			frustum.planes.forEach(function (plane) {
+				expect(plane.n.norm()).toBeCloseTo(1);
+			});
+			expect(frustum.isHitPosition(new S3Vector(0, 0, 0))).toBe(true);
+			expect(frustum.isHitPosition(new S3Vector(0, 0, -9.5))).toBe(false);
+			expect(frustum.isHitPosition(new S3Vector(0, 0, 89))).toBe(true);
+			expect(frustum.isHitPosition(new S3Vector(0, 0, 91))).toBe(false);
+			// 上下の視野角は90度なので、距離10の位置では高さ10まで
+			expect(frustum.isHitPosition(new S3Vector(0, 9.9, 0))).toBe(true);
+			expect(frustum.isHitPosition(new S3Vector(0, 10.1, 0))).toBe(false);
+			// 横長のcanvasなので、左右は高さの2倍まで
+			expect(frustum.isHitPosition(new S3Vector(19.9, 0, 0))).toBe(true);
+			expect(frustum.isHitPosition(new S3Vector(-20.1, 0, 0))).toBe(false);
+		});
+	});
+
+	test("視錐台の外にある球とボックスを判定する", function () {
+		const frustum = createFrustum(S3System.DEPTH_MODE.OPEN_GL, S3System.DIMENSION_MODE.RIGHT_HAND);
+		expect(frustum.isHitSphere(new S3Sphere(new S3Vector(0, 12, 0), 3))).toBe(true);
+		expect(frustum.isHitSphere(new S3Sphere(new S3Vector(0, 15, 0), 3))).toBe(false);
+		expect(frustum.isHitSphere(new S3Sphere(new S3Vector(0, 0, -20), 5))).toBe(false);
+		expect(frustum.isHitAABB(new S3AABB(new S3Vector(-1, 9, -1), new S3Vector(1, 11, 1)))).toBe(true);
+		expect(frustum.isHitAABB(new S3AABB(new S3Vector(-1, 13, -1), new S3Vector(1, 15, 1)))).toBe(false);
+		expect(frustum.isHitAABB(new S3AABB(new S3Vector(-1, -1, 95), new S3Vector(1, 1, 99)))).toBe(false);
+	});
+});
@@ -1,5 +1,7 @@
 ﻿import S3Math from "./S3Math.js";
 import S3Vector from "./S3Vector.js";
+import S3Angles from "./S3Angles.js";
+import S3Quaternion from "./S3Quaternion.js";
 
 /**
  * 3DCG用の4x4行列クラス
@@ -510,6 +512,177 @@ export default class S3Matrix {
 		return B;
 	}
 
+	/**
+	 * アフィン変換行列の逆行列を返します。
+	 * 回転・拡大縮小・平行移動のみの行列で、inverse4 より誤差が少なく高速です。
+	 * 縦型（平行移動が m03, m13, m23）と横型（平行移動が m30, m31, m32）のどちらにも対応し、
+	 * アフィン変換でない場合は inverse4 の結果を返します。
+	 * @returns {S3Matrix|null} 逆行列（逆行列が存在しない場合はnull）
+	 */
+	inverseAffine() {
+		const A = this;
+		const is_column = A.m30 === 0.0 && A.m31 === 0.0 && A.m32 === 0.0 && A.m33 === 1.0;
+		const is_row = A.m03 === 0.0 && A.m13 === 0.0 && A.m23 === 0.0 && A.m33 === 1.0;
+		if (!is_column && !is_row) {
+			return A.inverse4();
+		}
+		const B = A.inverse3();
+		if (B === null) {
+			return null;
+		}
+		if (is_column) {
+			// [R t] の逆行列は [R^-1 -R^-1 t]
+			B.m03 = -(B.m00 * A.m03 + B.m01 * A.m13 + B.m02 * A.m23);
+			B.m13 = -(B.m10 * A.m03 + B.m11 * A.m13 + B.m12 * A.m23);
+			B.m23 = -(B.m20 * A.m03 + B.m21 * A.m13 + B.m22 * A.m23);
+			B.m30 = 0.0;
+			B.m31 = 0.0;
+			B.m32 = 0.0;
+		} else {
+			B.m30 = -(A.m30 * B.m00 + A.m31 * B.m10 + A.m32 * B.m20);
+			B.m31 = -(A.m30 * B.m01 + A.m31 * B.m11 + A.m32 * B.m21);
+			B.m32 = -(A.m30 * B.m02 + A.m31 * B.m12 + A.m32 * B.m22);
+			B.m03 = 0.0;
+			B.m13 = 0.0;
+			B.m23 = 0.0;
+		}
+		B.m33 = 1.0;
+		return B;
+	}
+
+	/**
+	 * 法線の変換に使用する行列（3x3部分行列の逆転置行列）を返します。
+	 * 拡大縮小が軸ごとに異なる場合も、変換後の法線が面に垂直になります。
+	 * 縦型・横型のどちらの行列にも使用でき、平行移動の成分は0になります。
+	 * @returns {S3Matrix|null} 法線用の行列（逆行列が存在しない場合はnull）
+	 */
+	normalMatrix() {
+		const B = this.inverse3();
+		if (B === null) {
+			return null;
+		}
+		return new S3Matrix(B.m00, B.m10, B.m20, B.m01, B.m11, B.m21, B.m02, B.m12, B.m22);
+	}
+
+	/**
+	 * 3x3部分行列の各列を正規直交化した行列を返します（縦型の行列の各軸）。
+	 * 誤差が蓄積した回転行列を、拡大縮小やせん断を含まない回転行列に戻すために使用します。
+	 * X軸の向きを優先し、反転を含む行列の場合は反転を保ちます。平行移動の成分はそのまま残します。
+	 * @returns {S3Matrix} 正規直交化した行列
+	 */
+	orthonormalize() {
+		const A = this;
+		/**
+		 * @param {Array<number>} v
+		 * @returns {Array<number>}
+		 */
+		const normalize = function (v) {
+			const n = Math.sqrt(v[0] * v[0] + v[1] * v[1] + v[2] * v[2]);
+			return n === 0.0 ? v : [v[0] / n, v[1] / n, v[2] / n];
+		};
+		const x = normalize([A.m00, A.m10, A.m20]);
+		const y0 = [A.m01, A.m11, A.m21];
+		const dot = x[0] * y0[0] + x[1] * y0[1] + x[2] * y0[2];
+		const y = normalize([y0[0] - x[0] * dot, y0[1] - x[1] * dot, y0[2] - x[2] * dot]);
+		const sign = A.det3() < 0.0 ? -1.0 : 1.0;
+		const z = [
+			(x[1] * y[2] - x[2] * y[1]) * sign,
+			(x[2] * y[0] - x[0] * y[2]) * sign,
+			(x[0] * y[1] - x[1] * y[0]) * sign
+		];
+		const B = A.clone();
+		B.m00 = x[0];
+		B.m10 = x[1];
+		B.m20 = x[2];
+		B.m01 = y[0];
+		B.m11 = y[1];
+		B.m21 = y[2];
+		B.m02 = z[0];
+		B.m12 = z[1];
+		B.m22 = z[2];
+		return B;
+	}
+
+	/**
+	 * 縦型の変換行列を、位置・回転・拡大縮小率に分解します。
+	 * 変換は拡大縮小→回転→移動の順（M = T * R * S）とみなし、せん断の成分は失われます。
+	 * 反転を含む場合は、X軸の拡大縮小率を負にします。
+	 * 横型の行列の場合は transposed で転置してから使用してください。
+	 * @param {string} [order="ZXY"] angles の回転の順序（S3Angles.ORDER）
+	 * @returns {{position: S3Vector, rotation: S3Quaternion, angles: S3Angles, scale: S3Vector}} 分解した値
+	 *
+	 * @example
+	 * const t = sys.getMatrixWorldTransform(model).decompose();
+	 * model.setPosition(t.position);
+	 * model.setQuaternion(t.rotation);
+	 * model.setScale(t.scale);
+	 */
+	decompose(order) {
+		const A = this;
+		const position = new S3Vector(A.m03, A.m13, A.m23);
+		let sx = Math.sqrt(A.m00 * A.m00 + A.m10 * A.m10 + A.m20 * A.m20);
+		const sy = Math.sqrt(A.m01 * A.m01 + A.m11 * A.m11 + A.m21 * A.m21);
+		const sz = Math.sqrt(A.m02 * A.m02 + A.m12 * A.m12 + A.m22 * A.m22);
+		if (A.det3() < 0.0) {
+			sx = -sx;
+		}
+		const scale = new S3Vector(sx, sy, sz);
+		let rotation = new S3Quaternion();
+		if (sx !== 0.0 && sy !== 0.0 && sz !== 0.0) {
+			// 拡大縮小を除いてから、誤差で回転行列からずれないように正規直交化する
+			const R = new S3Matrix(
+				A.m00 / sx,
+				A.m01 / sy,
+				A.m02 / sz,
+				A.m10 / sx,
+				A.m11 / sy,
+				A.m12 / sz,
+				A.m20 / sx,
+				A.m21 / sy,
+				A.m22 / sz
+			).orthonormalize();
+			rotation = S3Quaternion.fromMatrix(R);
+		}
+		return {
+			position: position,
+			rotation: rotation,
+			angles: rotation.toAngles(order),
+			scale: scale
+		};
+	}
+
+	/**
+	 * 位置・回転・拡大縮小率から、縦型の変換行列を作成します（decompose の逆）。
+	 * 変換は拡大縮小→回転→移動の順（M = T * R * S）です。
+	 * 横型の行列が必要な場合は transposed で転置してください。
+	 * @param {S3Vector} position 位置
+	 * @param {S3Quaternion|S3Angles} rotation 回転（四元数、またはオイラー角）
+	 * @param {S3Vector} scale 拡大縮小率
+	 * @returns {S3Matrix} 変換行列
+	 */
+	static compose(position, rotation, scale) {
+		const q = rotation instanceof S3Angles ? S3Quaternion.fromAngles(rotation) : rotation;
+		const R = q.toMatrix();
+		return new S3Matrix(
+			R.m00 * scale.x,
+			R.m01 * scale.y,
+			R.m02 * scale.z,
+			position.x,
+			R.m10 * scale.x,
+			R.m11 * scale.y,
+			R.m12 * scale.z,
+			position.y,
+			R.m20 * scale.x,
+			R.m21 * scale.y,
+			R.m22 * scale.z,
+			position.z,
+			0.0,
+			0.0,
+			0.0,
+			1.0
+		);
+	}
+
 	/**
 	 * 行列を文字列に変換します。
 	 * @returns {string}
@@ -0,0 +1,112 @@
+﻿import S3Angles from "./S3Angles.js";
+import S3Matrix from "./S3Matrix.js";
+import S3Quaternion from "./S3Quaternion.js";
+import S3Vector from "./S3Vector.js";
+
+const KEYS = [
+	"m00",
+	"m01",
+	"m02",
+	"m03",
+	"m10",
+	"m11",
+	"m12",
+	"m13",
+	"m20",
+	"m21",
+	"m22",
+	"m23",
+	"m30",
+	"m31",
+	"m32",
+	"m33"
+];
+
+/**
+ * 全ての成分が近い値か確認する
+ * @param {S3Matrix} A
+ * @param {S3Matrix} B
+ */
+const expectMatrixClose = function (A, B) {
+	KEYS.forEach(function (key) {
+		expect(A[key]).toBeCloseTo(B[key]);
+	});
+};
+
+/**
+ * 単位行列を作成する
+ * @returns {S3Matrix}
+ */
+const identity = function () {
+	return new S3Matrix(1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1);
+};
+
+describe("S3Matrix", function () {
+	test("compose で作成した行列を decompose すると元の位置・回転・拡大縮小率に戻る", function () {
+		const position = new S3Vector(1, -2, 3);
+		const rotation = S3Quaternion.fromEuler(10, 20, 30);
+		const scale = new S3Vector(2, 3, 0.5);
+		const M = S3Matrix.compose(position, rotation, scale);
+		const t = M.decompose();
+		expect([t.position.x, t.position.y, t.position.z]).toEqual([1, -2, 3]);
+		expect(t.scale.x).toBeCloseTo(2);
+		expect(t.scale.y).toBeCloseTo(3);
+		expect(t.scale.z).toBeCloseTo(0.5);
+		expect(Math.abs(t.rotation.dot(rotation))).toBeCloseTo(1);
+		expect(t.angles.order).toBe(S3Angles.ORDER.ZXY);
+		expect(t.angles.pitch).toBeCloseTo(10);
+		expect(t.angles.yaw).toBeCloseTo(20);
+		expect(t.angles.roll).toBeCloseTo(30);
+		expectMatrixClose(S3Matrix.compose(t.position, t.rotation, t.scale), M);
+	});
+
+	test("回転にオイラー角を指定しても、四元数と同じ行列になる", function () {
+		const position = new S3Vector(0, 1, 0);
+		const scale = new S3Vector(1, 1, 1);
+		const angles = new S3Angles(30, 20, 10, S3Angles.ORDER.XYZ);
+		expectMatrixClose(
+			S3Matrix.compose(position, angles, scale),
+			S3Matrix.compose(position, S3Quaternion.fromAngles(angles), scale)
+		);
+	});
+
+	test("反転を含む行列は X軸の拡大縮小率を負にして分解する", function () {
+		const rotation = S3Quaternion.fromAxisAngle(new S3Vector(0, 1, 0), 45);
+		const M = S3Matrix.compose(new S3Vector(0, 0, 0), rotation, new S3Vector(-1, 2, 2));
+		const t = M.decompose();
+		expect(t.scale.x).toBeCloseTo(-1);
+		expect(t.scale.y).toBeCloseTo(2);
+		expectMatrixClose(S3Matrix.compose(t.position, t.rotation, t.scale), M);
+	});
+
+	test("inverseAffine は縦型・横型のどちらも inverse4 と同じ結果になる", function () {
+		const M = S3Matrix.compose(new S3Vector(4, 5, 6), S3Quaternion.fromEuler(40, 50, 60), new S3Vector(1, 2, 3));
+		expectMatrixClose(M.inverseAffine(), M.inverse4());
+		expectMatrixClose(M.mulMatrix(M.inverseAffine()), identity());
+		const T = M.transposed();
+		expectMatrixClose(T.inverseAffine(), T.inverse4());
+		expect(new S3Matrix(0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1).inverseAffine()).toBeNull();
+	});
+
+	test("normalMatrix で変換した法線は、変換後の面に垂直になる", function () {
+		const M = S3Matrix.compose(new S3Vector(1, 1, 1), S3Quaternion.fromEuler(0, 0, 30), new S3Vector(1, 4, 1));
+		// 法線 (1, 1, 0) の面上の向き
+		const tangent = M.mulVector(new S3Vector(1, -1, 0, 0));
+		const normal = M.normalMatrix().mulVector(new S3Vector(1, 1, 0, 0));
+		expect(tangent.x * normal.x + tangent.y * normal.y + tangent.z * normal.z).toBeCloseTo(0);
+		expect(normal.w).toBe(0);
+	});
+
+	test("orthonormalize で誤差を含む回転行列が正規直交な行列に戻る", function () {
+		const R = S3Quaternion.fromEuler(10, 20, 30).toMatrix();
+		const noisy = R.clone();
+		noisy.m00 += 0.01;
+		noisy.m11 -= 0.01;
+		noisy.m21 += 0.01;
+		const B = noisy.orthonormalize();
+		expect(B.det3()).toBeCloseTo(1);
+		expectMatrixClose(B.mulMatrix(B.transposed()), identity());
+		// 大きく向きが変わらない
+		expect(B.m00).toBeCloseTo(R.m00, 1);
+	});
+});
@@ -0,0 +1,175 @@
+﻿import S3Vector from "./S3Vector.js";
+
+/**
+ * 多角形の法線を求めます（Newell法）。
+ * 頂点が同一平面上にない場合も、最も近い平面の法線になります。
+ *
+ * @param {Array<S3Vector>} positions 頂点の座標
+ * @returns {S3Vector} 法線（長さは多角形の面積の2倍、正規化しない）
+ */
+const getNewellNormal = function (positions) {
+	let x = 0;
+	let y = 0;
+	let z = 0;
+	for (let i = 0; i < positions.length; i++) {
+		const a = positions[i];
+		const b = positions[(i + 1) % positions.length];
+		x += (a.y - b.y) * (a.z + b.z);
+		y += (a.z - b.z) * (a.x + b.x);
+		z += (a.x - b.x) * (a.y + b.y);
+	}
+	return new S3Vector(x, y, z);
+};
+
+/**
+ * 扇形に分割した三角形の頂点番号を作成します。
+ *
+ * @param {Array<number>} list 多角形の頂点番号
+ * @param {Array<number>} output 三角形の頂点番号の格納先
+ */
+const addFan = function (list, output) {
+	for (let i = 1; i + 1 < list.length; i++) {
+		output.push(list[0], list[i], list[i + 1]);
+	}
+};
+
+/**
+ * 多角形を扱うユーティリティ
+ * メッシュの読み込み時に、4角形以上の面を三角形へ分割するために使用します。
+ *
+ * @class
+ * @module S3
+ */
+const S3Polygon = {
+	/**
+	 * 多角形を三角形へ分割します（耳刈り取り法）。
+	 *
+	 * - 頂点を多角形に最も近い平面へ投影してから分割するため、凹多角形や、少しねじれた多角形も扱えます
+	 * - 三角形の頂点の並びは、元の多角形の頂点の並びと同じ回り方になります
+	 * - 凸な4角形は (0, 1, 2), (0, 2, 3) に分割します
+	 * - 自己交差などで分割できない場合や、座標が不正な場合は扇形に分割します
+	 *
+	 * @param {Array<S3Vector>} positions 多角形の頂点の座標（面の頂点の順）
+	 * @returns {Array<number>} 三角形ごとに3つずつ並べた、positions の番号
+	 *
+	 * @example
+	 * const index = S3Polygon.triangulate(positions);
+	 * for (let i = 0; i < index.length; i += 3) {
+	 * 	mesh.addTriangleIndex(sys.createTriangleIndex(index[i], index[i + 1], index[i + 2], vertex_index, material));
+	 * }
+	 */
+	triangulate: function (positions) {
+		const n = positions.length;
+		/**
+		 * @type {Array<number>}
+		 */
+		const output = [];
+		/**
+		 * 残っている頂点の番号
+		 * @type {Array<number>}
+		 */
+		const list = [];
+		let is_valid = true;
+		for (let i = 0; i < n; i++) {
+			list[i] = i;
+			if (!(positions[i] instanceof S3Vector) || !positions[i].isFinite()) {
+				is_valid = false;
+			}
+		}
+		if (n < 3) {
+			return output;
+		}
+		if (n === 3 || !is_valid) {
+			addFan(list, output);
+			return output;
+		}
+		// 法線の成分が最も大きい軸を除いた平面へ投影する（反時計回りになるように軸を選ぶ）
+		const normal = getNewellNormal(positions);
+		const a = [Math.abs(normal.x), Math.abs(normal.y), Math.abs(normal.z)];
+		const axis = a[0] > a[1] ? (a[0] > a[2] ? 0 : 2) : a[1] > a[2] ? 1 : 2;
+		if (a[axis] === 0.0) {
+			// 面積がない
+			addFan(list, output);
+			return output;
+		}
+		const sign = [normal.x, normal.y, normal.z][axis] > 0 ? 1 : -1;
+		/**
+		 * 投影した頂点の座標
+		 * @type {Array<number>}
+		 */
+		const u = [];
+		/**
+		 * @type {Array<number>}
+		 */
+		const v = [];
+		for (let i = 0; i < n; i++) {
+			const p = [positions[i].x, positions[i].y, positions[i].z];
+			u[i] = p[(axis + 1) % 3];
+			v[i] = p[(axis + 2) % 3] * sign;
+		}
+		// 誤差の判定に使う大きさ
+		const epsilon = a[axis] * 1.0e-10;
+
+		/**
+		 * 三角形 abc の符号付き面積の2倍（反時計回りで正）
+		 * @param {number} i0
+		 * @param {number} i1
+		 * @param {number} i2
+		 * @returns {number}
+		 */
+		const area = function (i0, i1, i2) {
+			return (u[i1] - u[i0]) * (v[i2] - v[i0]) - (u[i2] - u[i0]) * (v[i1] - v[i0]);
+		};
+
+		/**
+		 * 頂点 cur が耳（他の頂点を含まない凸の頂点）か判定する
+		 * @param {number} prev
+		 * @param {number} cur
+		 * @param {number} next
+		 * @returns {boolean}
+		 */
+		const isEar = function (prev, cur, next) {
+			if (area(prev, cur, next) <= epsilon) {
+				return false;
+			}
+			for (let i = 0; i < list.length; i++) {
+				const p = list[i];
+				if (p === prev || p === cur || p === next) {
+					continue;
+				}
+				// 同じ位置の頂点（穴をつなぐ辺など）は内側とみなさない
+				if ((u[p] === u[prev] && v[p] === v[prev]) || (u[p] === u[next] && v[p] === v[next])) {
+					continue;
+				}
+				if (area(prev, cur, p) >= 0 && area(cur, next, p) >= 0 && area(next, prev, p) >= 0) {
+					return false;
+				}
+			}
+			return true;
+		};
+
+		// 凸な4角形が (0, 1, 2), (0, 2, 3) になるように、1番目の頂点から調べる
+		let i = 1;
+		let rest = list.length;
+		while (list.length > 3 && rest > 0) {
+			const k = i % list.length;
+			const prev = list[(k + list.length - 1) % list.length];
+			const cur = list[k];
+			const next = list[(k + 1) % list.length];
+			if (isEar(prev, cur, next)) {
+				output.push(prev, cur, next);
+				list.splice(k, 1);
+				i = k;
+				rest = list.length;
+			} else {
+				i = k + 1;
+				rest--;
+			}
+		}
+		// 残り（耳が見つからない場合を含む）は扇形に分割する
+		addFan(list, output);
+		return output;
+	}
+};
+
+export default S3Polygon;
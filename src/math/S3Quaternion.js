@@ -0,0 +1,385 @@
+﻿import S3Math from "./S3Math.js";
+import S3Vector from "./S3Vector.js";
+import S3Matrix from "./S3Matrix.js";
+import S3Angles from "./S3Angles.js";
+
+/**
+ * 3DCG用の四元数（クォータニオン）クラス（immutable）
+ * 回転の表現に使用します。オイラー角（S3Angles）と異なりジンバルロックがなく、滑らかに補間できます。
+ *
+ * - 回転の向きは S3System の getMatrixRotateX などと同じです
+ * - q1.mul(q2) は、q2 の回転の後に q1 の回転を行う回転になります
+ * - オイラー角の順序は "ZXY" のように、回転を行う軸の順に指定します（S3Angles.ORDER）
+ *
+ * @class
+ * @module S3
+ */
+export default class S3Quaternion {
+	/**
+	 * 四元数を作成します。引数なしの場合は回転なし（単位四元数）になります。
+	 * @param {number} [x] X成分（虚部）
+	 * @param {number} [y] Y成分（虚部）
+	 * @param {number} [z] Z成分（虚部）
+	 * @param {number} [w] W成分（実部）
+	 */
+	constructor(x, y, z, w) {
+		const is_identity = arguments.length === 0;
+
+		/**
+		 * X成分（虚部）
+		 * @type {number}
+		 */
+		this.x = is_identity ? 0.0 : x;
+
+		/**
+		 * Y成分（虚部）
+		 * @type {number}
+		 */
+		this.y = is_identity ? 0.0 : y;
+
+		/**
+		 * Z成分（虚部）
+		 * @type {number}
+		 */
+		this.z = is_identity ? 0.0 : z;
+
+		/**
+		 * W成分（実部）
+		 * @type {number}
+		 */
+		this.w = is_identity ? 1.0 : w;
+	}
+
+	/**
+	 * 回転軸と角度から四元数を作成します。
+	 * @param {S3Vector} axis 回転軸（正規化されていなくてもよい）
+	 * @param {number} degree 回転角（度）
+	 * @returns {S3Quaternion} 四元数
+	 */
+	static fromAxisAngle(axis, degree) {
+		const n = axis.normalize();
+		const half = S3Math.radius(degree) * 0.5;
+		const s = Math.sin(half);
+		return new S3Quaternion(n.x * s, n.y * s, n.z * s, Math.cos(half));
+	}
+
+	/**
+	 * オイラー角から四元数を作成します。
+	 * @param {number} x X軸回転（度）
+	 * @param {number} y Y軸回転（度）
+	 * @param {number} z Z軸回転（度）
+	 * @param {string} [order="ZXY"] 回転を行う軸の順序（"XYZ", "XZY", "YXZ", "YZX", "ZXY", "ZYX"）
+	 * @returns {S3Quaternion} 四元数
+	 */
+	static fromEuler(x, y, z, order) {
+		const axis_order = S3Angles.toOrder(order);
+		const q = [
+			S3Quaternion.fromAxisAngle(new S3Vector(1, 0, 0), x),
+			S3Quaternion.fromAxisAngle(new S3Vector(0, 1, 0), y),
+			S3Quaternion.fromAxisAngle(new S3Vector(0, 0, 1), z)
+		];
+		const index = S3Quaternion._toAxisIndex(axis_order);
+		// 後に回転する軸を左から掛ける
+		return q[index[2]].mul(q[index[1]]).mul(q[index[0]]);
+	}
+
+	/**
+	 * オイラー角（S3Angles）から四元数を作成します。
+	 * S3Angles の回転の順序（order）に従います。
+	 * @param {S3Angles} angles オイラー角
+	 * @returns {S3Quaternion} 四元数
+	 */
+	static fromAngles(angles) {
+		return S3Quaternion.fromEuler(angles.pitch, angles.yaw, angles.roll, angles.order);
+	}
+
+	/**
+	 * 回転行列から四元数を作成します。
+	 * 縦型（VECTOR4x1、v' = Mv）の行列の左上3x3を、拡大縮小のない回転行列として扱います。
+	 * @param {S3Matrix} M 回転行列
+	 * @returns {S3Quaternion} 四元数
+	 */
+	static fromMatrix(M) {
+		const trace = M.m00 + M.m11 + M.m22;
+		let q;
+		if (trace > 0.0) {
+			const s = 0.5 / Math.sqrt(trace + 1.0);
+			q = new S3Quaternion((M.m21 - M.m12) * s, (M.m02 - M.m20) * s, (M.m10 - M.m01) * s, 0.25 / s);
+		} else if (M.m00 > M.m11 && M.m00 > M.m22) {
+			const s = 2.0 * Math.sqrt(1.0 + M.m00 - M.m11 - M.m22);
+			q = new S3Quaternion(0.25 * s, (M.m01 + M.m10) / s, (M.m02 + M.m20) / s, (M.m21 - M.m12) / s);
+		} else if (M.m11 > M.m22) {
+			const s = 2.0 * Math.sqrt(1.0 + M.m11 - M.m00 - M.m22);
+			q = new S3Quaternion((M.m01 + M.m10) / s, 0.25 * s, (M.m12 + M.m21) / s, (M.m02 - M.m20) / s);
+		} else {
+			const s = 2.0 * Math.sqrt(1.0 + M.m22 - M.m00 - M.m11);
+			q = new S3Quaternion((M.m02 + M.m20) / s, (M.m12 + M.m21) / s, 0.25 * s, (M.m10 - M.m01) / s);
+		}
+		return q.normalize();
+	}
+
+	/**
+	 * 回転の順序を軸の番号（0:X, 1:Y, 2:Z）の配列にします。内部利用のためprivateです。
+	 * @private
+	 * @param {string} order 大文字の順序
+	 * @returns {Array<number>} 回転を行う順の軸の番号
+	 */
+	static _toAxisIndex(order) {
+		return [order.charCodeAt(0) - 88, order.charCodeAt(1) - 88, order.charCodeAt(2) - 88];
+	}
+
+	/**
+	 * このオブジェクトのクローンを作成します。
+	 * @returns {S3Quaternion} 複製された四元数
+	 */
+	clone() {
+		return new S3Quaternion(this.x, this.y, this.z, this.w);
+	}
+
+	/**
+	 * 四元数の積を求めます。
+	 * 結果は、tgt の回転の後にこの回転を行う回転になります。
+	 * @param {S3Quaternion} tgt 右から掛ける四元数
+	 * @returns {S3Quaternion} this * tgt
+	 */
+	mul(tgt) {
+		const a = this;
+		const b = tgt;
+		return new S3Quaternion(
+			a.w * b.x + a.x * b.w + a.y * b.z - a.z * b.y,
+			a.w * b.y - a.x * b.z + a.y * b.w + a.z * b.x,
+			a.w * b.z + a.x * b.y - a.y * b.x + a.z * b.w,
+			a.w * b.w - a.x * b.x - a.y * b.y - a.z * b.z
+		);
+	}
+
+	/**
+	 * 内積を求めます。
+	 * @param {S3Quaternion} tgt 対象の四元数
+	 * @returns {number} 内積
+	 */
+	dot(tgt) {
+		return this.x * tgt.x + this.y * tgt.y + this.z * tgt.z + this.w * tgt.w;
+	}
+
+	/**
+	 * 共役な四元数を求めます（単位四元数の場合は逆回転）。
+	 * @returns {S3Quaternion} 共役な四元数
+	 */
+	conjugate() {
+		return new S3Quaternion(-this.x, -this.y, -this.z, this.w);
+	}
+
+	/**
+	 * 逆元を求めます。
+	 * @returns {S3Quaternion} 逆元
+	 */
+	inverse() {
+		const n = this.dot(this);
+		if (n === 0.0) {
+			return new S3Quaternion(0, 0, 0, 0);
+		}
+		return new S3Quaternion(-this.x / n, -this.y / n, -this.z / n, this.w / n);
+	}
+
+	/**
+	 * 大きさを求めます。
+	 * @returns {number} 大きさ
+	 */
+	norm() {
+		return Math.sqrt(this.dot(this));
+	}
+
+	/**
+	 * 正規化した四元数を求めます。
+	 * @returns {S3Quaternion} 大きさが1の四元数（大きさが0の場合は単位四元数）
+	 */
+	normalize() {
+		const n = this.norm();
+		if (n === 0.0) {
+			return new S3Quaternion();
+		}
+		return new S3Quaternion(this.x / n, this.y / n, this.z / n, this.w / n);
+	}
+
+	/**
+	 * 同じ値か判定します。
+	 * @param {S3Quaternion} tgt 比較対象
+	 * @returns {boolean} 同じ値ならtrue（q と -q は同じ回転ですが、同じ値とはみなしません）
+	 */
+	equals(tgt) {
+		return (
+			S3Math.equals(this.x, tgt.x) &&
+			S3Math.equals(this.y, tgt.y) &&
+			S3Math.equals(this.z, tgt.z) &&
+			S3Math.equals(this.w, tgt.w)
+		);
+	}
+
+	/**
+	 * ベクトルを回転させます。
+	 * @param {S3Vector} v 回転させるベクトル
+	 * @returns {S3Vector} 回転後のベクトル
+	 */
+	rotateVector(v) {
+		const r = this.mul(new S3Quaternion(v.x, v.y, v.z, 0.0)).mul(this.conjugate());
+		return new S3Vector(r.x, r.y, r.z);
+	}
+
+	/**
+	 * 回転軸と角度を求めます。
+	 * @returns {{axis: S3Vector, angle: number}} 回転軸（正規化済み）と回転角（度、0～360）。回転がない場合の軸はX軸
+	 */
+	toAxisAngle() {
+		const q = this.normalize();
+		const s = Math.sqrt(1.0 - Math.min(q.w * q.w, 1.0));
+		const angle = S3Math.degrees(2.0 * Math.acos(S3Math.clamp(q.w, -1.0, 1.0)));
+		if (s < S3Math.EPSILON) {
+			return { axis: new S3Vector(1, 0, 0), angle: angle };
+		}
+		return { axis: new S3Vector(q.x / s, q.y / s, q.z / s), angle: angle };
+	}
+
+	/**
+	 * オイラー角を求めます。
+	 * 2番目の軸の回転が±90度の場合（ジンバルロック）は、最初の軸の回転を0とします。
+	 * @param {string} [order="ZXY"] 回転を行う軸の順序（"XYZ", "XZY", "YXZ", "YZX", "ZXY", "ZYX"）
+	 * @returns {{x: number, y: number, z: number}} 各軸の回転角（度）
+	 */
+	toEuler(order) {
+		const index = S3Quaternion._toAxisIndex(S3Angles.toOrder(order));
+		const M = this.toMatrix();
+		/**
+		 * 縦型の行列の左上3x3
+		 * @type {Array<Array<number>>}
+		 */
+		const m = [
+			[M.m00, M.m01, M.m02],
+			[M.m10, M.m11, M.m12],
+			[M.m20, M.m21, M.m22]
+		];
+		// 回転を行う順に a, b, c とすると M = Rc * Rb * Ra となる
+		const a = index[0];
+		const b = index[1];
+		const c = index[2];
+		// 軸の並びが巡回順（XYZ, YZX, ZXY）なら1、逆順なら-1
+		const sign = (b - a + 3) % 3 === 1 ? 1 : -1;
+		const angle = [0, 0, 0];
+		const sin_b = S3Math.clamp(-sign * m[c][a], -1.0, 1.0);
+		angle[b] = Math.asin(sin_b);
+		if (Math.abs(sin_b) < 0.9999999) {
+			angle[a] = Math.atan2(sign * m[c][b], m[c][c]);
+			angle[c] = Math.atan2(sign * m[b][a], m[a][a]);
+		} else {
+			angle[a] = 0;
+			angle[c] = Math.atan2(-sign * m[a][b], m[b][b]);
+		}
+		return {
+			x: S3Math.degrees(angle[0]),
+			y: S3Math.degrees(angle[1]),
+			z: S3Math.degrees(angle[2])
+		};
+	}
+
+	/**
+	 * オイラー角（S3Angles）を求めます。
+	 * @param {string} [order="ZXY"] 回転を行う軸の順序（S3Angles.ORDER）
+	 * @returns {S3Angles} オイラー角
+	 */
+	toAngles(order) {
+		const name = S3Angles.toOrder(order);
+		const e = this.toEuler(name);
+		return new S3Angles(e.z, e.x, e.y, name);
+	}
+
+	/**
+	 * 回転行列を求めます。
+	 * 縦型（VECTOR4x1、v' = Mv）の行列です。横型で使用する場合は transposed で転置してください。
+	 * @returns {S3Matrix} 回転行列
+	 */
+	toMatrix() {
+		const q = this.normalize();
+		const x2 = q.x + q.x;
+		const y2 = q.y + q.y;
+		const z2 = q.z + q.z;
+		const xx = q.x * x2;
+		const xy = q.x * y2;
+		const xz = q.x * z2;
+		const yy = q.y * y2;
+		const yz = q.y * z2;
+		const zz = q.z * z2;
+		const wx = q.w * x2;
+		const wy = q.w * y2;
+		const wz = q.w * z2;
+		return new S3Matrix(
+			1.0 - (yy + zz),
+			xy - wz,
+			xz + wy,
+			0.0,
+			xy + wz,
+			1.0 - (xx + zz),
+			yz - wx,
+			0.0,
+			xz - wy,
+			yz + wx,
+			1.0 - (xx + yy),
+			0.0,
+			0.0,
+			0.0,
+			0.0,
+			1.0
+		);
+	}
+
+	/**
+	 * 球面線形補間を行います。
+	 * 回転の速さが一定になります。近い方の向きで補間します。
+	 * @param {S3Quaternion} tgt 終点の四元数
+	 * @param {number} alpha 補間係数（0で this、1で tgt）
+	 * @returns {S3Quaternion} 補間した四元数
+	 */
+	slerp(tgt, alpha) {
+		const a = this.normalize();
+		let b = tgt.normalize();
+		let cos = a.dot(b);
+		if (cos < 0.0) {
+			// 遠回りしないように向きをそろえる
+			b = new S3Quaternion(-b.x, -b.y, -b.z, -b.w);
+			cos = -cos;
+		}
+		if (cos > 0.9995) {
+			// ほぼ同じ向きの場合は線形補間とする
+			return a.nlerp(b, alpha);
+		}
+		const theta = Math.acos(cos);
+		const sin = Math.sin(theta);
+		const ka = Math.sin((1.0 - alpha) * theta) / sin;
+		const kb = Math.sin(alpha * theta) / sin;
+		return new S3Quaternion(a.x * ka + b.x * kb, a.y * ka + b.y * kb, a.z * ka + b.z * kb, a.w * ka + b.w * kb);
+	}
+
+	/**
+	 * 正規化線形補間を行います。
+	 * slerp より高速ですが、回転の速さは一定になりません。近い方の向きで補間します。
+	 * @param {S3Quaternion} tgt 終点の四元数
+	 * @param {number} alpha 補間係数（0で this、1で tgt）
+	 * @returns {S3Quaternion} 補間した四元数
+	 */
+	nlerp(tgt, alpha) {
+		const k = this.dot(tgt) < 0.0 ? -1.0 : 1.0;
+		return new S3Quaternion(
+			S3Math.mix(this.x, tgt.x * k, alpha),
+			S3Math.mix(this.y, tgt.y * k, alpha),
+			S3Math.mix(this.z, tgt.z * k, alpha),
+			S3Math.mix(this.w, tgt.w * k, alpha)
+		).normalize();
+	}
+
+	/**
+	 * 四元数を文字列で返します。
+	 * @returns {string} "quaternion[x,y,z,w]"形式の文字列
+	 */
+	toString() {
+		return "quaternion[" + this.x + "," + this.y + "," + this.z + "," + this.w + "]";
+	}
+}
@@ -0,0 +1,125 @@
+﻿import S3System from "../basic/S3System.js";
+import S3Angles from "./S3Angles.js";
+import S3Quaternion from "./S3Quaternion.js";
+import S3Vector from "./S3Vector.js";
+
+const ORDERS = ["XYZ", "XZY", "YXZ", "YZX", "ZXY", "ZYX"];
+
+/**
+ * 3x3部分の各成分が近い値か確認する
+ * @param {import("./S3Matrix.js").default} A
+ * @param {import("./S3Matrix.js").default} B
+ */
+const expectMatrix3Close = function (A, B) {
+	for (let i = 0; i < 3; i++) {
+		for (let j = 0; j < 3; j++) {
+			const key = "m" + i + j;
+			expect(A[key]).toBeCloseTo(B[key]);
+		}
+	}
+};
+
+/**
+ * 同じ回転か確認する（q と -q は同じ回転）
+ * @param {S3Quaternion} a
+ * @param {S3Quaternion} b
+ */
+const expectSameRotation = function (a, b) {
+	expect(Math.abs(a.normalize().dot(b.normalize()))).toBeCloseTo(1);
+};
+
+describe("S3Quaternion", function () {
+	test("各軸の回転行列が S3System の縦型の回転行列と同じになる", function () {
+		const sys = new S3System();
+		sys.setVectorMode(S3System.VECTOR_MODE.VECTOR4x1);
+		expectMatrix3Close(S3Quaternion.fromAxisAngle(new S3Vector(1, 0, 0), 30).toMatrix(), sys.getMatrixRotateX(30));
+		expectMatrix3Close(S3Quaternion.fromAxisAngle(new S3Vector(0, 1, 0), 30).toMatrix(), sys.getMatrixRotateY(30));
+		expectMatrix3Close(S3Quaternion.fromAxisAngle(new S3Vector(0, 0, 1), 30).toMatrix(), sys.getMatrixRotateZ(30));
+	});
+
+	test("オイラー角の回転行列が S3System の getMatrixRotateAngles と同じになる", function () {
+		const sys = new S3System();
+		sys.setVectorMode(S3System.VECTOR_MODE.VECTOR4x1);
+		ORDERS.forEach(function (order) {
+			const angles = new S3Angles(10, 20, 30, order);
+			expectMatrix3Close(S3Quaternion.fromAngles(angles).toMatrix(), sys.getMatrixRotateAngles(angles));
+		});
+	});
+
+	test("ベクトルの回転が回転行列による変換と同じになる", function () {
+		const q = S3Quaternion.fromEuler(15, 40, 70);
+		const v = new S3Vector(1, 2, 3);
+		const r = q.rotateVector(v);
+		const M = q.toMatrix();
+		expect(r.x).toBeCloseTo(M.m00 * v.x + M.m01 * v.y + M.m02 * v.z);
+		expect(r.y).toBeCloseTo(M.m10 * v.x + M.m11 * v.y + M.m12 * v.z);
+		expect(r.z).toBeCloseTo(M.m20 * v.x + M.m21 * v.y + M.m22 * v.z);
+	});
+
+	test("mul は右の回転の後に左の回転を行う", function () {
+		const qx = S3Quaternion.fromAxisAngle(new S3Vector(1, 0, 0), 90);
+		const qy = S3Quaternion.fromAxisAngle(new S3Vector(0, 1, 0), 90);
+		// 縦型の行列では qy.toMatrix() * qx.toMatrix() と同じ回転
+		expectMatrix3Close(qy.mul(qx).toMatrix(), qy.toMatrix().mulMatrix(qx.toMatrix()));
+		// Z軸はX軸回転でY軸の負の向きになり、Y軸回転ではそのまま
+		const r = qy.mul(qx).rotateVector(new S3Vector(0, 0, 1));
+		expect(r.x).toBeCloseTo(0);
+		expect(r.y).toBeCloseTo(-1);
+		expect(r.z).toBeCloseTo(0);
+	});
+
+	test("逆元を掛けると回転なしになる", function () {
+		const q = S3Quaternion.fromEuler(10, -50, 80).mul(new S3Quaternion(0, 0, 0, 2));
+		const r = q.mul(q.inverse());
+		expect(r.x).toBeCloseTo(0);
+		expect(r.y).toBeCloseTo(0);
+		expect(r.z).toBeCloseTo(0);
+		expect(r.w).toBeCloseTo(1);
+	});
+
+	test("回転行列から元の四元数に戻る", function () {
+		// 各分岐を通るように 180度近くの回転も確認する
+		const list = [
+			S3Quaternion.fromEuler(10, 20, 30),
+			S3Quaternion.fromAxisAngle(new S3Vector(1, 0, 0), 179),
+			S3Quaternion.fromAxisAngle(new S3Vector(0, 1, 0), 179),
+			S3Quaternion.fromAxisAngle(new S3Vector(0, 0, 1), 179)
+		];
+		list.forEach(function (q) {
+			expectSameRotation(S3Quaternion.fromMatrix(q.toMatrix()), q);
+		});
+	});
+
+	test("各順序のオイラー角に戻る", function () {
+		ORDERS.forEach(function (order) {
+			const e = S3Quaternion.fromEuler(25, -35, 50, order).toEuler(order);
+			expect(e.x).toBeCloseTo(25);
+			expect(e.y).toBeCloseTo(-35);
+			expect(e.z).toBeCloseTo(50);
+		});
+		const angles = S3Quaternion.fromEuler(25, -35, 50, "YXZ").toAngles("YXZ");
+		expect(angles.order).toBe("YXZ");
+		expect(angles.pitch).toBeCloseTo(25);
+		expect(angles.yaw).toBeCloseTo(-35);
+		expect(angles.roll).toBeCloseTo(50);
+	});
+
+	test("回転軸と角度に戻る", function () {
+		const result = S3Quaternion.fromAxisAngle(new S3Vector(0, 2, 0), 120).toAxisAngle();
+		expect(result.angle).toBeCloseTo(120);
+		expect(result.axis.y).toBeCloseTo(1);
+		expect(new S3Quaternion().toAxisAngle().angle).toBe(0);
+	});
+
+	test("球面線形補間は角度を等分する", function () {
+		const a = new S3Quaternion();
+		const b = S3Quaternion.fromAxisAngle(new S3Vector(0, 0, 1), 90);
+		expectSameRotation(a.slerp(b, 0), a);
+		expectSameRotation(a.slerp(b, 1), b);
+		expect(a.slerp(b, 0.5).toAxisAngle().angle).toBeCloseTo(45);
+		expect(a.slerp(b, 0.25).toAxisAngle().angle).toBeCloseTo(22.5);
+		// 逆向きの四元数でも短い経路で補間する
+		expect(a.slerp(b.mul(new S3Quaternion(0, 0, 0, -1)), 0.5).toAxisAngle().angle).toBeCloseTo(45);
+		expectSameRotation(a.nlerp(b, 0.5), a.slerp(b, 0.5));
+	});
+});
@@ -0,0 +1,202 @@
+﻿import S3Vector from "./S3Vector.js";
+import S3Matrix from "./S3Matrix.js";
+import S3Plane from "./S3Plane.js";
+import S3AABB from "./S3AABB.js";
+import S3Sphere from "./S3Sphere.js";
+
+/**
+ * 3DCG用の半直線（レイ）クラス（immutable）
+ * 始点と方向からなり、マウスで指した物体の選択（ピッキング）などに使用します。
+ *
+ * - 交差判定の結果は、始点から交点までの距離（方向は正規化されているため getPoint にそのまま渡せます）
+ * - 交差しない場合や、交点が始点より後ろにある場合は null を返します
+ *
+ * @class
+ * @module S3
+ */
+export default class S3Ray {
+	/**
+	 * レイを作成します。
+	 * @param {S3Vector} origin 始点
+	 * @param {S3Vector} direction 方向（正規化して保持します）
+	 */
+	constructor(origin, direction) {
+		/**
+		 * 始点
+		 * @type {S3Vector}
+		 */
+		this.origin = origin;
+
+		/**
+		 * 方向（長さ1）
+		 * @type {S3Vector}
+		 */
+		this.direction = direction.normalize();
+	}
+
+	/**
+	 * 2点を通るレイを作成します。
+	 * @param {S3Vector} from 始点
+	 * @param {S3Vector} to 通過する点
+	 * @returns {S3Ray} レイ
+	 */
+	static fromPoints(from, to) {
+		return new S3Ray(from, from.getDirection(to));
+	}
+
+	/**
+	 * 始点から指定した距離にある点を求めます。
+	 * @param {number} distance 始点からの距離
+	 * @returns {S3Vector} レイ上の点
+	 */
+	getPoint(distance) {
+		return this.origin.add(this.direction.mul(distance));
+	}
+
+	/**
+	 * 任意の点から最も近いレイ上の点を求めます。
+	 * @param {S3Vector} position 点の座標
+	 * @returns {S3Vector} レイ上の最も近い点
+	 */
+	getNearestPoint(position) {
+		const t = this.origin.getDirection(position).dot(this.direction);
+		return this.getPoint(Math.max(t, 0.0));
+	}
+
+	/**
+	 * 任意の点からレイまでの距離を求めます。
+	 * @param {S3Vector} position 点の座標
+	 * @returns {number} レイまでの距離
+	 */
+	getDistance(position) {
+		return this.getNearestPoint(position).getDistance(position);
+	}
+
+	/**
+	 * 平面との交差を調べます。
+	 * @param {S3Plane} plane 平面
+	 * @returns {number|null} 交点までの距離（平面と平行、または後ろで交差する場合は null）
+	 */
+	intersectPlane(plane) {
+		const dn = this.direction.dot(plane.n);
+		if (dn === 0.0) {
+			return null;
+		}
+		const t = -plane.getDistance(this.origin) / dn;
+		return t >= 0.0 ? t : null;
+	}
+
+	/**
+	 * 三角形との交差を調べます（Möller–Trumbore 法）。
+	 * 三角形の表裏は区別しません。
+	 * @param {S3Vector} a 三角形の頂点1
+	 * @param {S3Vector} b 三角形の頂点2
+	 * @param {S3Vector} c 三角形の頂点3
+	 * @returns {number|null} 交点までの距離（交差しない場合は null）
+	 */
+	intersectTriangle(a, b, c) {
+		const edge1 = a.getDirection(b);
+		const edge2 = a.getDirection(c);
+		const p = this.direction.cross(edge2);
+		const det = edge1.dot(p);
+		// レイと三角形が平行（または三角形に面積がない）
+		if (Math.abs(det) < 1.0e-12) {
+			return null;
+		}
+		const inv_det = 1.0 / det;
+		const s = a.getDirection(this.origin);
+		const u = s.dot(p) * inv_det;
+		if (u < 0.0 || u > 1.0) {
+			return null;
+		}
+		const q = s.cross(edge1);
+		const v = this.direction.dot(q) * inv_det;
+		if (v < 0.0 || u + v > 1.0) {
+			return null;
+		}
+		const t = edge2.dot(q) * inv_det;
+		return t >= 0.0 ? t : null;
+	}
+
+	/**
+	 * 軸平行境界ボックスとの交差を調べます（スラブ法）。
+	 * @param {S3AABB} box 境界ボックス
+	 * @returns {number|null} 交点までの距離（始点がボックス内にある場合は 0、交差しない場合は null）
+	 */
+	intersectAABB(box) {
+		const origin = [this.origin.x, this.origin.y, this.origin.z];
+		const direction = [this.direction.x, this.direction.y, this.direction.z];
+		const min = [box.min.x, box.min.y, box.min.z];
+		const max = [box.max.x, box.max.y, box.max.z];
+		let t_min = 0.0;
+		let t_max = Infinity;
+		for (let i = 0; i < 3; i++) {
+			if (direction[i] === 0.0) {
+				// 軸と平行な場合は、始点が範囲内にあるかだけを調べる
+				if (origin[i] < min[i] || origin[i] > max[i]) {
+					return null;
+				}
+				continue;
+			}
+			const inv = 1.0 / direction[i];
+			let t0 = (min[i] - origin[i]) * inv;
+			let t1 = (max[i] - origin[i]) * inv;
+			if (t0 > t1) {
+				const t = t0;
+				t0 = t1;
+				t1 = t;
+			}
+			t_min = Math.max(t_min, t0);
+			t_max = Math.min(t_max, t1);
+			if (t_min > t_max) {
+				return null;
+			}
+		}
+		return t_min;
+	}
+
+	/**
+	 * 球との交差を調べます。
+	 * @param {S3Sphere} sphere 球
+	 * @returns {number|null} 交点までの距離（始点が球内にある場合は 0、交差しない場合は null）
+	 */
+	intersectSphere(sphere) {
+		const m = sphere.center.getDirection(this.origin);
+		const c = m.dot(m) - sphere.radius * sphere.radius;
+		if (c <= 0.0) {
+			return 0.0;
+		}
+		const b = m.dot(this.direction);
+		if (b > 0.0) {
+			// 球から離れる方向に向いている
+			return null;
+		}
+		const discr = b * b - c;
+		if (discr < 0.0) {
+			return null;
+		}
+		return -b - Math.sqrt(discr);
+	}
+
+	/**
+	 * レイを行列で変換します（モデル座標系でのピッキングなどに使用します）。
+	 * @param {S3Matrix} matrix 縦型（列ベクトル用）の変換行列
+	 * @returns {S3Ray} 変換後のレイ
+	 */
+	transform(matrix) {
+		const origin = matrix.mulVector(new S3Vector(this.origin.x, this.origin.y, this.origin.z, 1.0));
+		const direction = matrix.mulVector(new S3Vector(this.direction.x, this.direction.y, this.direction.z, 0.0));
+		return new S3Ray(
+			new S3Vector(origin.x / origin.w, origin.y / origin.w, origin.z / origin.w),
+			new S3Vector(direction.x, direction.y, direction.z)
+		);
+	}
+
+	/**
+	 * レイを文字列に変換します。
+	 * @returns {string} レイの情報を表す文字列
+	 */
+	toString() {
+		return "Ray(" + this.origin.toString(3) + ", " + this.direction.toString(3) + ")";
+	}
+}
@@ -0,0 +1,70 @@
+﻿import S3System from "../basic/S3System.js";
+import S3AABB from "./S3AABB.js";
+import S3Matrix from "./S3Matrix.js";
+import S3Plane from "./S3Plane.js";
+import S3Ray from "./S3Ray.js";
+import S3Sphere from "./S3Sphere.js";
+import S3Vector from "./S3Vector.js";
+
+describe("S3Ray", function () {
+	const ray = new S3Ray(new S3Vector(0, 0, -10), new S3Vector(0, 0, 2));
+
+	test("方向は正規化して保持し、距離から点を求められる", function () {
+		expect(ray.direction.z).toBe(1);
+		expect(ray.getPoint(4).z).toBe(-6);
+		expect(ray.getDistance(new S3Vector(3, 0, 0))).toBeCloseTo(3);
+		// 始点より後ろの点は始点との距離
+		expect(ray.getDistance(new S3Vector(0, 4, -13))).toBeCloseTo(5);
+	});
+
+	test("平面との交点までの距離を求め、平行な場合は null になる", function () {
+		expect(ray.intersectPlane(new S3Plane(new S3Vector(0, 0, 1), 2))).toBeCloseTo(12);
+		expect(ray.intersectPlane(new S3Plane(new S3Vector(1, 0, 0), 0))).toBeNull();
+		expect(ray.intersectPlane(new S3Plane(new S3Vector(0, 0, 1), -20))).toBeNull();
+	});
+
+	test("三角形との交点までの距離を表裏の区別なく求める", function () {
+		const a = new S3Vector(-1, -1, 0);
+		const b = new S3Vector(1, -1, 0);
+		const c = new S3Vector(0, 1, 0);
+		expect(ray.intersectTriangle(a, b, c)).toBeCloseTo(10);
+		expect(ray.intersectTriangle(a, c, b)).toBeCloseTo(10);
+		const outside = new S3Ray(new S3Vector(2, 0, -10), new S3Vector(0, 0, 1));
+		expect(outside.intersectTriangle(a, b, c)).toBeNull();
+	});
+
+	test("境界ボックスと球との交点までの距離を求め、内側から始まる場合は 0 になる", function () {
+		const box = new S3AABB(new S3Vector(-1, -1, -1), new S3Vector(1, 1, 1));
+		expect(ray.intersectAABB(box)).toBeCloseTo(9);
+		expect(new S3Ray(new S3Vector(0, 0, 0), new S3Vector(1, 0, 0)).intersectAABB(box)).toBe(0);
+		expect(new S3Ray(new S3Vector(0, 5, -10), new S3Vector(0, 0, 1)).intersectAABB(box)).toBeNull();
+		const sphere = new S3Sphere(new S3Vector(0, 0, 0), 2);
+		expect(ray.intersectSphere(sphere)).toBeCloseTo(8);
+		expect(new S3Ray(new S3Vector(0, 0, 1), new S3Vector(0, 0, 1)).intersectSphere(sphere)).toBe(0);
+		expect(new S3Ray(new S3Vector(0, 0, -10), new S3Vector(0, 0, -1)).intersectSphere(sphere)).toBeNull();
+	});
+
+	test("行列で変換すると始点は移動し、方向は移動しない", function () {
+		const M = new S3Matrix(2, 0, 0, 1, 0, 2, 0, 2, 0, 0, 2, 3, 0, 0, 0, 1);
+		const t = ray.transform(M);
+		expect([t.origin.x, t.origin.y, t.origin.z]).toEqual([1, 2, -17]);
+		expect([t.direction.x, t.direction.y, t.direction.z]).toEqual([0, 0, 1]);
+	});
+
+	test("カメラのピッキング用のレイは、画面の中央で注視点を通る", function () {
+		const canvas = { width: 200, height: 100 };
+		[S3System.DEPTH_MODE.OPEN_GL, S3System.DEPTH_MODE.DIRECT_X].forEach(function (depthmode) {
+			const sys = new S3System();
+			sys.setDepthMode(depthmode);
+			const camera = sys.createCamera();
+			camera.setEye(new S3Vector(1, 2, -10));
+			camera.setCenter(new S3Vector(1, 2, 0));
+			const picking = camera.getPickingRay(canvas, 100, 50);
+			expect(picking.getDistance(new S3Vector(1, 2, 0))).toBeCloseTo(0);
+			expect(picking.direction.z).toBeCloseTo(1);
+			// 画面の上側は注視点より上を通る
+			const upper = camera.getPickingRay(canvas, 100, 0);
+			expect(upper.getPoint(upper.intersectPlane(new S3Plane(new S3Vector(0, 0, 1), 0))).y).toBeGreaterThan(2);
+		});
+	});
+});
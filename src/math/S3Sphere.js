@@ -0,0 +1,115 @@
+﻿import S3Vector from "./S3Vector.js";
+import S3Matrix from "./S3Matrix.js";
+import S3Plane from "./S3Plane.js";
+import S3AABB from "./S3AABB.js";
+
+/**
+ * 3DCG用の球（境界球）クラス（immutable）
+ * 中心と半径から球を定義します。
+ *
+ * @class
+ * @module S3
+ */
+export default class S3Sphere {
+	/**
+	 * 球を作成します。
+	 * @param {S3Vector} center 中心の座標
+	 * @param {number} radius 半径
+	 */
+	constructor(center, radius) {
+		/**
+		 * 中心の座標
+		 * @type {S3Vector}
+		 */
+		this.center = center;
+
+		/**
+		 * 半径
+		 * @type {number}
+		 */
+		this.radius = radius;
+	}
+
+	/**
+	 * 点群を囲む球を作成します。
+	 * 点群の境界ボックスの中心を球の中心とするため、最小の球になるとは限りません。
+	 * @param {Array<S3Vector>} positions 点の座標（1つ以上）
+	 * @returns {S3Sphere} 境界球
+	 */
+	static fromPoints(positions) {
+		const center = S3AABB.fromPoints(positions).getCenter();
+		let radius = 0.0;
+		for (let i = 0; i < positions.length; i++) {
+			radius = Math.max(radius, center.getDistance(positions[i]));
+		}
+		return new S3Sphere(center, radius);
+	}
+
+	/**
+	 * 球を囲む境界ボックスを作成します。
+	 * @returns {S3AABB} 境界ボックス
+	 */
+	getAABB() {
+		const r = new S3Vector(this.radius, this.radius, this.radius);
+		return new S3AABB(this.center.sub(r), this.center.add(r));
+	}
+
+	/**
+	 * 行列で変換した球を囲む球を作成します。
+	 * 拡大縮小が軸ごとに異なる場合は、最も大きい倍率で半径を拡大します。
+	 * @param {S3Matrix} matrix 縦型（列ベクトル用）のアフィン変換行列
+	 * @returns {S3Sphere} 境界球
+	 */
+	transform(matrix) {
+		const c = matrix.mulVector(new S3Vector(this.center.x, this.center.y, this.center.z, 1.0));
+		const sx = matrix.m00 * matrix.m00 + matrix.m10 * matrix.m10 + matrix.m20 * matrix.m20;
+		const sy = matrix.m01 * matrix.m01 + matrix.m11 * matrix.m11 + matrix.m21 * matrix.m21;
+		const sz = matrix.m02 * matrix.m02 + matrix.m12 * matrix.m12 + matrix.m22 * matrix.m22;
+		const scale = Math.sqrt(Math.max(sx, sy, sz));
+		return new S3Sphere(new S3Vector(c.x, c.y, c.z), this.radius * scale);
+	}
+
+	/**
+	 * 点が球内（境界を含む）にあるか判定します。
+	 * @param {S3Vector} position 点の座標
+	 * @returns {boolean} 球内ならtrue
+	 */
+	isHitPosition(position) {
+		return this.center.getDistance(position) <= this.radius;
+	}
+
+	/**
+	 * 球同士が重なるか判定します。
+	 * @param {S3Sphere} sphere 球
+	 * @returns {boolean} 重なる（接する場合を含む）ならtrue
+	 */
+	isHitSphere(sphere) {
+		return this.center.getDistance(sphere.center) <= this.radius + sphere.radius;
+	}
+
+	/**
+	 * 境界ボックスと重なるか判定します。
+	 * @param {S3AABB} box 境界ボックス
+	 * @returns {boolean} 重なる（接する場合を含む）ならtrue
+	 */
+	isHitAABB(box) {
+		return box.isHitSphere(this);
+	}
+
+	/**
+	 * 平面と交わるか判定します。
+	 * @param {S3Plane} plane 平面
+	 * @returns {boolean} 平面が球を通る（接する場合を含む）ならtrue
+	 */
+	isHitPlane(plane) {
+		return Math.abs(plane.getDistance(this.center)) <= this.radius;
+	}
+
+	/**
+	 * 球を文字列に変換します。
+	 * @returns {string} 球の情報を表す文字列
+	 */
+	toString() {
+		return "Sphere(" + this.center.toString(3) + ", [" + this.radius + "])";
+	}
+}